@@ -114,6 +114,7 @@ const swaggerOptions = {
               properties: {
                 latitude: { type: 'number' },
                 longitude: { type: 'number' },
+                point: { $ref: '#/components/schemas/GeoPoint' },
                 lastUpdated: { type: 'string', format: 'date-time' }
               }
             },
@@ -209,6 +210,74 @@ const swaggerOptions = {
             }
           }
         },
+        GeoPoint: {
+          type: 'object',
+          description: 'GeoJSON Point mirrored from latitude/longitude for geospatial queries',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['Point']
+            },
+            coordinates: {
+              type: 'array',
+              items: { type: 'number' },
+              description: '[longitude, latitude]',
+              example: [79.8612, 6.9271]
+            }
+          }
+        },
+        TripConflicts: {
+          type: 'object',
+          description: 'Trips of the same bus that a new or updated trip clashes with',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            message: {
+              type: 'string',
+              example: 'Bus has 1 scheduling conflict with this trip'
+            },
+            conflicts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['overlap', 'repositioning'],
+                    description: 'overlap: the bus is already on the other trip; repositioning: too little time to drive between the trips'
+                  },
+                  message: { type: 'string' },
+                  trip: {
+                    type: 'object',
+                    description: 'The other trip of the bus',
+                    properties: {
+                      tripId: { type: 'string' },
+                      routeNumber: { type: 'string' },
+                      from: { type: 'string' },
+                      to: { type: 'string' },
+                      departureTime: { type: 'string', format: 'date-time' },
+                      estimatedArrival: { type: 'string', format: 'date-time' },
+                      status: { type: 'string' }
+                    }
+                  },
+                  direction: {
+                    type: 'string',
+                    enum: ['before', 'after'],
+                    description: 'Whether the other trip runs before or after this one (repositioning only)'
+                  },
+                  fromCity: { type: 'string' },
+                  toCity: { type: 'string' },
+                  distance: { type: 'number', description: 'Repositioning distance (km)' },
+                  via: { type: 'string', nullable: true, description: 'Route number the distance and time were taken from' },
+                  requiredMinutes: { type: 'number', description: 'Driving time plus turnaround' },
+                  availableMinutes: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -241,13 +310,45 @@ const swaggerOptions = {
         name: 'Routes',
         description: 'Route management and information'
       },
+      {
+        name: 'Stops',
+        description: 'Bus stops shared across routes'
+      },
+      {
+        name: 'Journeys',
+        description: 'Journey planning across routes with transfers'
+      },
       {
         name: 'Trips',
         description: 'Trip scheduling and management'
       },
+      {
+        name: 'Fare Revisions',
+        description: 'Percentage fare revisions across routes from an effective date'
+      },
+      {
+        name: 'Trip Templates',
+        description: 'Recurring trips with service calendars and holiday exceptions'
+      },
+      {
+        name: 'Bookings',
+        description: 'Seat reservations on trips'
+      },
+      {
+        name: 'Tickets',
+        description: 'QR e-ticket validation on board'
+      },
       {
         name: 'Tracking',
         description: 'Real-time bus tracking operations'
+      },
+      {
+        name: 'Geofences',
+        description: 'Depot and terminal geofences with enter/exit events'
+      },
+      {
+        name: 'GTFS',
+        description: 'Schedule and realtime data in GTFS / GTFS-Realtime format for journey planners'
       }
     ]
   },
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { resolveThresholds } = require('../services/signalService');
 
 /**
  * Authentication Controller
@@ -270,6 +271,19 @@ const getProfile = asyncHandler(async (req, res) => {
  *                 type: string
  *               companyName:
  *                 type: string
+ *               signalThresholds:
+ *                 type: object
+ *                 description: Operators only - seconds since the last GPS fix after which their buses count as delayed, stale and offline
+ *                 properties:
+ *                   delayedAfter:
+ *                     type: integer
+ *                     example: 60
+ *                   staleAfter:
+ *                     type: integer
+ *                     example: 300
+ *                   offlineAfter:
+ *                     type: integer
+ *                     example: 1800
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -279,7 +293,7 @@ const getProfile = asyncHandler(async (req, res) => {
  *         description: Unauthorized
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const { fullName, contactNumber, companyName } = req.body;
+  const { fullName, contactNumber, companyName, signalThresholds } = req.body;
 
   const updateData = {};
   
@@ -287,6 +301,22 @@ const updateProfile = asyncHandler(async (req, res) => {
   if (contactNumber) updateData.contactNumber = contactNumber;
   if (companyName && req.user.role === 'operator') updateData.companyName = companyName;
 
+  // Signal freshness thresholds apply to the operator's buses
+  if (signalThresholds && req.user.role === 'operator') {
+    const overrides = { ...req.user.toObject().signalThresholds };
+    ['delayedAfter', 'staleAfter', 'offlineAfter'].forEach(key => {
+      if (signalThresholds[key] !== undefined) overrides[key] = Number(signalThresholds[key]);
+    });
+
+    // Unset thresholds fall back to the system defaults, so check the effective values
+    const effective = resolveThresholds(overrides);
+    if (!(effective.delayedAfter < effective.staleAfter && effective.staleAfter < effective.offlineAfter)) {
+      return res.status(400).json({ success: false, message: 'Signal thresholds must increase: delayedAfter < staleAfter < offlineAfter' });
+    }
+
+    updateData.signalThresholds = overrides;
+  }
+
   const user = await User.findByIdAndUpdate(req.user._id, updateData, { new: true, runValidators: true });
 
   res.status(200).json({ success: true, message: 'Profile updated successfully', data: user });
@@ -0,0 +1,422 @@
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Ticket = require('../models/Ticket');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HOLD_MINUTES, getTripSeatMap, holdSeats, confirmBooking: confirmHeldBooking, cancelBooking: cancelOpenBooking } = require('../services/bookingService');
+
+/**
+ * Booking Controller
+ * Handles seat reservations on trips: holds, confirmation and cancellation
+ */
+
+// Trip and bus details returned with a booking
+const TRIP_DETAILS = { path: 'tripId', select: 'routeId busId departureTime estimatedArrival status fare',
+  populate: [{ path: 'routeId', select: 'routeNumber routeName startLocation.city endLocation.city' }, { path: 'busId', select: 'busNumber busType capacity operatorId' }]
+};
+
+/**
+ * Helper function to load a booking the user may manage, with its trip and bus
+ * Commuters manage their own bookings, operators the bookings on their buses and admins any booking
+ */
+const findBooking = async (req) => {
+  const booking = await Booking.findById(req.params.id).populate(TRIP_DETAILS);
+  if (!booking || !booking.tripId) return null;
+
+  const bus = booking.tripId.busId;
+  const allowed = req.user.role === 'admin' ||
+    booking.userId.toString() === req.user._id.toString() ||
+    (req.user.role === 'operator' && bus && bus.operatorId.toString() === req.user._id.toString());
+
+  return allowed ? booking : null;
+};
+
+/**
+ * @swagger
+ * /api/trips/{id}/seats:
+ *   get:
+ *     summary: Get the seat map of a trip with the availability of each seat
+ *     description: Seats follow the bus seat map, or are laid out from its capacity and type (2+3 normal, 2+2 semi-luxury and air-conditioned, 2+1 luxury) when it has none.
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Seat map retrieved successfully
+ *       404:
+ *         description: Trip not found
+ */
+const getTripSeats = asyncHandler(async (req, res) => {
+  const trip = await Trip.findById(req.params.id);
+
+  if (!trip) {
+    return res.status(404).json({ success: false, message: 'Trip not found' });
+  }
+
+  const bus = await Bus.findById(trip.busId);
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  const seatMap = await getTripSeatMap(trip, bus);
+
+  res.status(200).json({ success: true, data: { tripId: trip._id, busNumber: bus.busNumber, busType: bus.busType, fare: trip.fare, ...seatMap } });
+});
+
+/**
+ * @swagger
+ * /api/bookings:
+ *   get:
+ *     summary: Get bookings (commuters see their own, operators those on their buses)
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tripId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [held, confirmed, cancelled, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bookings retrieved successfully
+ */
+const getBookings = asyncHandler(async (req, res) => {
+  const { tripId, status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (tripId) query.tripId = tripId;
+
+  if (req.user.role === 'commuter') {
+    query.userId = req.user._id;
+  } else if (req.user.role === 'operator') {
+    const busIds = await Bus.find({ operatorId: req.user._id }).distinct('_id');
+    const tripIds = await Trip.find({ busId: { $in: busIds }, ...(tripId && { _id: tripId }) }).distinct('_id');
+    query.tripId = { $in: tripIds };
+  }
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const bookings = await Booking.find(query)
+    .populate(TRIP_DETAILS)
+    .sort({ createdAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await Booking.countDocuments(query);
+
+  res.status(200).json({ success: true, data: { bookings,
+      pagination: {
+        current: pageNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum
+      }
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   get:
+ *     summary: Get a specific booking by ID
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking retrieved successfully
+ *       404:
+ *         description: Booking not found
+ */
+const getBookingById = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req);
+
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+
+  res.status(200).json({ success: true, data: booking });
+});
+
+/**
+ * @swagger
+ * /api/bookings:
+ *   post:
+ *     summary: Hold seats on a trip
+ *     description: |
+ *       Holds the seats asked for, or the first free seats when only seatCount is given. The hold is released
+ *       unless the booking is confirmed within BOOKING_HOLD_MINUTES (default 10). A seat can never be held or
+ *       sold twice: when another passenger gets there first the request fails with 409. Seats are priced at the
+ *       stage fare between the boarding and alighting stops, and at the trip fare for the whole route.
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tripId
+ *             properties:
+ *               tripId:
+ *                 type: string
+ *               seats:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *               seatCount:
+ *                 type: integer
+ *                 description: Used when seats is not given
+ *                 example: 2
+ *               from:
+ *                 type: string
+ *                 description: Stop ID or name of the boarding stop (defaults to the start of the route)
+ *                 example: "Kadawatha"
+ *               to:
+ *                 type: string
+ *                 description: Stop ID or name of the alighting stop (defaults to the end of the route)
+ *                 example: "Kegalle"
+ *               passenger:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "Kamala Jayasinghe"
+ *                   contactNumber:
+ *                     type: string
+ *                     example: "+94771234567"
+ *     responses:
+ *       201:
+ *         description: Seats held
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Validation error, unknown seat, alighting stop before the boarding stop or trip no longer open for booking
+ *       404:
+ *         description: Trip or stop not found
+ *       409:
+ *         description: Seats no longer available
+ */
+const createBooking = asyncHandler(async (req, res) => {
+  const { tripId, seats, seatCount, passenger, from, to } = req.body;
+
+  const trip = await Trip.findById(tripId);
+  if (!trip) {
+    return res.status(404).json({ success: false, message: 'Trip not found' });
+  }
+
+  const bus = await Bus.findById(trip.busId);
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  const route = await Route.findById(trip.routeId);
+  if (!route) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const { booking, status, message, unavailableSeats } = await holdSeats(trip, bus, {
+    userId: req.user._id,
+    seats: seats && seats.map(Number),
+    seatCount: seatCount && parseInt(seatCount, 10),
+    passenger,
+    route,
+    from,
+    to
+  });
+  if (!booking) {
+    return res.status(status).json({ success: false, message, ...(unavailableSeats && { unavailableSeats }) });
+  }
+
+  await booking.populate(TRIP_DETAILS);
+
+  res.status(201).json({ success: true, message: `Seats ${booking.seats.join(', ')} held for ${HOLD_MINUTES} minutes`, data: booking });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/confirm:
+ *   post:
+ *     summary: Confirm a held booking once paid
+ *     description: Confirming a booking that is already confirmed returns its tickets, issuing any that are missing.
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentReference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking confirmed, with a signed QR e-ticket for each seat
+ *       400:
+ *         description: Booking is cancelled or expired
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Seat hold has expired
+ */
+const confirmBooking = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req);
+
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+
+  const { booking: confirmed, tickets, status, message } = await confirmHeldBooking(booking, booking.tripId, booking.tripId.busId, { paymentReference: req.body.paymentReference });
+  if (!confirmed) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  await confirmed.populate(TRIP_DETAILS);
+
+  res.status(200).json({ success: true, message: 'Booking confirmed successfully', data: { booking: confirmed, tickets } });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancel:
+ *   post:
+ *     summary: Cancel a booking
+ *     description: |
+ *       Releases the seats and voids the tickets. Confirmed bookings are refunded 90% up to 24 hours before
+ *       departure, 50% up to 6 hours before and nothing after that; bookings on a trip the operator cancels are
+ *       refunded in full. Bookings whose tickets have been used on board cannot be cancelled.
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking cancelled, with refundPercentage and refundAmount
+ *       400:
+ *         description: Booking is already cancelled or expired, or its tickets have been used
+ *       404:
+ *         description: Booking not found
+ */
+const cancelBooking = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req);
+
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+
+  const trip = booking.tripId;
+  const { booking: cancelled, status, message } = await cancelOpenBooking(booking, trip, trip.busId, {
+    reason: req.body.reason,
+    tripCancelled: trip.status === 'cancelled'
+  });
+  if (!cancelled) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  res.status(200).json({ success: true, message: `Booking cancelled successfully (refund ${cancelled.refundAmount})`, data: cancelled });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/tickets:
+ *   get:
+ *     summary: Get the QR e-tickets of a confirmed booking
+ *     description: Encode each ticket's qrPayload in a QR code for the conductor to scan.
+ *     tags: [Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tickets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ticket'
+ *       404:
+ *         description: Booking not found
+ */
+const getBookingTickets = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req);
+
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+
+  const tickets = await Ticket.find({ bookingId: booking._id }).sort('seatNumber');
+
+  res.status(200).json({ success: true, data: tickets, count: tickets.length });
+});
+
+module.exports = { getTripSeats, getBookings, getBookingById, createBooking, confirmBooking, cancelBooking, getBookingTickets };
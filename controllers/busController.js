@@ -1,5 +1,8 @@
 const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { classifyBuses, parseFreshnessFilter } = require('../services/signalService');
 
 /**
  * Bus Controller
@@ -310,6 +313,8 @@ const createBus = asyncHandler(async (req, res) => {
  *     responses:
  *       200:
  *         description: Bus updated successfully
+ *       400:
+ *         description: Validation error, or a capacity that does not match the bus's seat map
  *       404:
  *         description: Bus not found
  *       401:
@@ -325,6 +330,8 @@ const updateBus = asyncHandler(async (req, res) => {
   delete updateData.busNumber;
   delete updateData.operatorId;
   delete updateData._id;
+  // The seat map has its own endpoint (PUT /api/buses/:id/seat-map)
+  delete updateData.seatMap;
 
   const query = { _id: id, isActive: true };
 
@@ -399,6 +406,7 @@ const deleteBus = asyncHandler(async (req, res) => {
  * /api/buses/nearby:
  *   get:
  *     summary: Find buses nearby a location
+ *     description: Returns active buses whose current location is within the radius, nearest first, with the distance in kilometers.
  *     tags: [Buses]
  *     security:
  *       - BearerAuth: []
@@ -421,6 +429,23 @@ const deleteBus = asyncHandler(async (req, res) => {
  *           type: number
  *           default: 10
  *         description: Search radius in kilometers
+ *       - in: query
+ *         name: busType
+ *         schema:
+ *           type: string
+ *           enum: [normal, semi-luxury, luxury, air-conditioned]
+ *         description: Only return buses of this type
+ *       - in: query
+ *         name: routeId
+ *         schema:
+ *           type: string
+ *         description: Only return buses currently running a trip on this route
+ *       - in: query
+ *         name: freshness
+ *         schema:
+ *           type: string
+ *           example: "live,delayed"
+ *         description: Only return buses whose signal is in these states (comma separated live, delayed, stale, offline)
  *     responses:
  *       200:
  *         description: Nearby buses found
@@ -434,31 +459,47 @@ const deleteBus = asyncHandler(async (req, res) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Bus'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Bus'
+ *                       - type: object
+ *                         properties:
+ *                           freshness:
+ *                             type: string
+ *                             enum: [live, delayed, stale, offline]
+ *                           signalAge:
+ *                             type: integer
+ *                             description: Seconds since the last fix
+ *                           distance:
+ *                             type: number
+ *                             description: Distance from the search point in kilometers
+ *                             example: 2.37
  *       400:
  *         description: Invalid coordinates
  */
 const getNearbyBuses = asyncHandler(async (req, res) => {
-  const { latitude, longitude, radius = 10 } = req.query;
-
-  if (!latitude || !longitude) {
-    return res.status(400).json({
-      success: false,
-      message: 'Latitude and longitude are required'
-    });
-  }
+  const { latitude, longitude, radius = 10, busType, routeId, freshness } = req.query;
 
   const lat = parseFloat(latitude);
   const lng = parseFloat(longitude);
   const radiusKm = parseFloat(radius);
 
-  if (lat < 5.5 || lat > 10.0 || lng < 79.0 || lng > 82.0) {
-    return res.status(400).json({ success: false, message: 'Coordinates must be within Sri Lanka bounds' });
+  const filters = { busType };
+
+  // Restrict to buses currently running a trip on the route
+  if (routeId) {
+    filters.busIds = await Trip.distinct('busId', { routeId, status: 'in-progress' });
   }
 
-  const buses = await Bus.findNearby(lat, lng, radiusKm);
+  const nearby = await Bus.findNearby(lat, lng, radiusKm, filters);
 
-  res.status(200).json({ success: true, data: buses, count: buses.length, searchParams: { latitude: lat, longitude: lng, radius: radiusKm } });
+  // Label each bus with its signal freshness, then apply the freshness filter
+  const signals = await classifyBuses(nearby);
+  const states = parseFreshnessFilter(freshness);
+  const buses = nearby
+    .map((bus, index) => ({ ...bus, ...signals[index] }))
+    .filter(bus => !states || states.includes(bus.freshness));
+
+  res.status(200).json({ success: true, data: buses, count: buses.length, searchParams: { latitude: lat, longitude: lng, radius: radiusKm, busType, routeId, freshness } });
 });
 
 /**
@@ -495,4 +536,155 @@ const getBusesByOperator = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: buses, count: buses.length });
 });
 
-module.exports = { getAllBuses, getBusById, createBus, updateBus, deleteBus, getNearbyBuses, getBusesByOperator };
\ No newline at end of file
+/**
+ * @swagger
+ * /api/buses/{id}/seat-map:
+ *   get:
+ *     summary: Get the seat map of a bus
+ *     description: Buses without a seat map of their own get one laid out from their capacity and type (custom is false).
+ *     tags: [Buses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bus ID
+ *     responses:
+ *       200:
+ *         description: Seat map retrieved successfully
+ *       404:
+ *         description: Bus not found
+ */
+const getBusSeatMap = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.id, isActive: true };
+
+  // For operators, only allow access to their own buses
+  if (req.user.role === 'operator') {
+    query.operatorId = req.user._id;
+  }
+
+  const bus = await Bus.findOne(query);
+
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  res.status(200).json({ success: true, data: { busId: bus._id, busNumber: bus.busNumber, busType: bus.busType, ...bus.getSeatMap() } });
+});
+
+/**
+ * @swagger
+ * /api/buses/{id}/seat-map:
+ *   put:
+ *     summary: Set the seat map of a bus (Admin or Bus Owner)
+ *     description: |
+ *       Either list the seats, or give only rows and columns to fill the whole grid row by row. categories marks
+ *       seats reserved for clergy, disabled passengers and pregnant mothers. The bus capacity becomes the number
+ *       of seats. Seats held or sold on upcoming trips cannot be removed.
+ *     tags: [Buses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bus ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rows
+ *               - columns
+ *             properties:
+ *               rows:
+ *                 type: integer
+ *                 example: 14
+ *               columns:
+ *                 type: integer
+ *                 example: 3
+ *               aisleAfterColumn:
+ *                 type: integer
+ *                 description: Defaults to 2 (1 for two columns)
+ *                 example: 2
+ *               seats:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     seatNumber:
+ *                       type: integer
+ *                     row:
+ *                       type: integer
+ *                     column:
+ *                       type: integer
+ *                     category:
+ *                       type: string
+ *                       enum: [standard, clergy, disabled, pregnant]
+ *               categories:
+ *                 type: object
+ *                 description: Seat numbers by category
+ *                 example: { clergy: [1, 2], disabled: [3] }
+ *     responses:
+ *       200:
+ *         description: Seat map updated successfully
+ *       400:
+ *         description: Validation error or inconsistent seat map
+ *       404:
+ *         description: Bus not found
+ *       409:
+ *         description: Seats held or sold on upcoming trips would be removed
+ */
+const updateBusSeatMap = asyncHandler(async (req, res) => {
+  const { rows, columns, seats, categories = {} } = req.body;
+  const aisleAfterColumn = req.body.aisleAfterColumn || Math.min(2, columns - 1);
+
+  const query = { _id: req.params.id, isActive: true };
+
+  // For operators, only allow updating their own buses
+  if (req.user.role === 'operator') {
+    query.operatorId = req.user._id;
+  }
+
+  const bus = await Bus.findOne(query);
+
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  // Without a seat list the whole grid is filled
+  const seatMap = { rows, columns, aisleAfterColumn,
+    seats: seats || Array.from({ length: rows * columns }, (_, index) => ({ seatNumber: index + 1, row: Math.floor(index / columns) + 1, column: (index % columns) + 1 }))
+  };
+
+  for (const [category, seatNumbers] of Object.entries(categories)) {
+    const unknown = seatNumbers.filter(seatNumber => !seatMap.seats.some(seat => seat.seatNumber === seatNumber));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Seats ${unknown.join(', ')} are not on the seat map` });
+    }
+    seatMap.seats = seatMap.seats.map(seat => (seatNumbers.includes(seat.seatNumber) ? { ...seat, category } : seat));
+  }
+
+  // Seats held or sold on upcoming trips must stay
+  const upcomingTrips = await Trip.find({ busId: bus._id, status: { $in: ['scheduled', 'delayed'] }, departureTime: { $gt: new Date() } }).distinct('_id');
+  const bookedSeats = await Booking.find({ tripId: { $in: upcomingTrips }, active: true }).distinct('seats');
+  const removed = bookedSeats.filter(seatNumber => !seatMap.seats.some(seat => seat.seatNumber === seatNumber));
+  if (removed.length > 0) {
+    return res.status(409).json({ success: false, message: `Seats ${removed.join(', ')} are booked on upcoming trips and cannot be removed`, seats: removed });
+  }
+
+  bus.seatMap = seatMap;
+  bus.capacity = seatMap.seats.length;
+  await bus.save();
+
+  res.status(200).json({ success: true, message: `Seat map updated successfully (capacity ${bus.capacity})`, data: { busId: bus._id, busNumber: bus.busNumber, busType: bus.busType, ...bus.getSeatMap() } });
+});
+
+module.exports = { getAllBuses, getBusById, createBus, updateBus, deleteBus, getNearbyBuses, getBusesByOperator, getBusSeatMap, updateBusSeatMap };
\ No newline at end of file
@@ -0,0 +1,153 @@
+const FareRevision = require('../models/FareRevision');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { reviseFares } = require('../services/fareService');
+
+/**
+ * Fare Revision Controller
+ * Handles percentage fare revisions across routes from an effective date, such as NTC fare hikes
+ */
+
+/**
+ * @swagger
+ * /api/fare-revisions:
+ *   get:
+ *     summary: Get fare revisions, latest effective date first (Admin only)
+ *     tags: [Fare Revisions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fare revisions retrieved successfully
+ */
+const getFareRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const revisions = await FareRevision.find()
+    .populate('appliedBy', 'username fullName')
+    .sort({ effectiveFrom: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await FareRevision.countDocuments();
+
+  res.status(200).json({ success: true, data: { revisions,
+      pagination: {
+        current: pageNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum
+      }
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/fare-revisions:
+ *   post:
+ *     summary: Revise route fares by a percentage from a given date (Admin only)
+ *     description: |
+ *       Adds a fare version from effectiveFrom on to every active route, or to the routes matching the filter:
+ *       the base fare and every stage fare table go up (or down) by the percentage. Fares are worked out with the
+ *       version in effect at a trip's departure, so scheduled trips departing from effectiveFrom on are repriced
+ *       while earlier trips, and seats already booked, keep their fare. Trips whose fare was set by hand (it differs
+ *       from the route's fare before the revision) keep it too and are listed in tripsSkipped. Send preview first
+ *       to see the new fares.
+ *     tags: [Fare Revisions]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - percentage
+ *               - effectiveFrom
+ *             properties:
+ *               percentage:
+ *                 type: number
+ *                 example: 4.5
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-11-01T00:00:00+05:30"
+ *               reason:
+ *                 type: string
+ *                 example: "NTC annual fare revision"
+ *               routeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               routeType:
+ *                 type: string
+ *                 enum: [express, semi-express, normal]
+ *               province:
+ *                 type: string
+ *                 description: Routes starting or ending in the province
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Revision preview
+ *       201:
+ *         description: Revision applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FareRevision'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: No active routes match the filter
+ *       409:
+ *         description: Some of the routes already have fares revised from that date or later
+ */
+const createFareRevision = asyncHandler(async (req, res) => {
+  const { percentage, effectiveFrom, reason, routeIds, routeType, province, preview = false } = req.body;
+
+  const { revision, status, message } = await reviseFares({
+    percentage: Number(percentage),
+    effectiveFrom,
+    reason,
+    routeIds: routeIds && [...new Set(routeIds)],
+    routeType,
+    province,
+    preview,
+    appliedBy: req.user._id
+  });
+
+  if (!revision) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const summary = `${revision.percentage > 0 ? '+' : ''}${revision.percentage}% on ${revision.routes.length} routes from ${revision.effectiveFrom.toISOString()}, ${revision.tripsRepriced} scheduled trips repriced, ${revision.tripsSkipped.length} kept at fares set by hand`;
+
+  res.status(preview ? 200 : 201).json({ success: true,
+    message: preview ? `Fare revision preview: ${summary}` : `Fare revision applied: ${summary}`,
+    data: { preview, ...revision.toObject() }
+  });
+});
+
+module.exports = { getFareRevisions, createFareRevision };
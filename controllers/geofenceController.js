@@ -0,0 +1,335 @@
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { invalidateGeofenceCache } = require('../services/geofenceService');
+
+/**
+ * Geofence Controller
+ * Handles CRUD operations for depot/terminal geofences and their enter/exit event log
+ */
+
+/**
+ * @swagger
+ * /api/geofences:
+ *   get:
+ *     summary: Get all active geofences
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [terminal, depot, other]
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Geofence'
+ *       401:
+ *         description: Unauthorized
+ */
+const getAllGeofences = asyncHandler(async (req, res) => {
+  const { category, city } = req.query;
+
+  const query = { isActive: true };
+  if (category) query.category = category;
+  if (city) query.city = { $regex: `^${city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+
+  const geofences = await Geofence.find(query).sort('name');
+
+  res.status(200).json({ success: true, data: geofences, count: geofences.length });
+});
+
+/**
+ * @swagger
+ * /api/geofences/events:
+ *   get:
+ *     summary: Get the geofence enter/exit event log
+ *     description: Operators only see events for their own buses.
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: busId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tripId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [enter, exit]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GeofenceEvent'
+ *       401:
+ *         description: Unauthorized
+ */
+const getGeofenceEvents = asyncHandler(async (req, res) => {
+  const { geofenceId, busId, tripId, type, from, to, limit = 100 } = req.query;
+
+  const query = {};
+  if (geofenceId) query.geofenceId = geofenceId;
+  if (busId) query.busId = busId;
+  if (tripId) query.tripId = tripId;
+  if (type) query.type = type;
+
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = new Date(from);
+    if (to) query.occurredAt.$lte = new Date(to);
+  }
+
+  // For operators, only show events for their own buses
+  if (req.user.role === 'operator') {
+    query.operatorId = req.user._id;
+  }
+
+  const events = await GeofenceEvent.find(query)
+    .populate('geofenceId', 'name category city')
+    .populate('busId', 'busNumber')
+    .sort({ occurredAt: -1 })
+    .limit(parseInt(limit));
+
+  res.status(200).json({ success: true, data: events, count: events.length });
+});
+
+/**
+ * @swagger
+ * /api/geofences/{id}:
+ *   get:
+ *     summary: Get a specific geofence by ID
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofence retrieved successfully
+ *       404:
+ *         description: Geofence not found
+ */
+const getGeofenceById = asyncHandler(async (req, res) => {
+  const geofence = await Geofence.findOne({ _id: req.params.id, isActive: true });
+
+  if (!geofence) {
+    return res.status(404).json({ success: false, message: 'Geofence not found' });
+  }
+
+  res.status(200).json({ success: true, data: geofence });
+});
+
+/**
+ * @swagger
+ * /api/geofences:
+ *   post:
+ *     summary: Create a new geofence (Admin only)
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - shape
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Pettah Central Bus Stand"
+ *               category:
+ *                 type: string
+ *                 enum: [terminal, depot, other]
+ *                 example: "terminal"
+ *               city:
+ *                 type: string
+ *                 example: "Colombo"
+ *               shape:
+ *                 type: string
+ *                 enum: [circle, polygon]
+ *                 example: "circle"
+ *               center:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                     example: 6.9344
+ *                   longitude:
+ *                     type: number
+ *                     example: 79.8510
+ *               radius:
+ *                 type: number
+ *                 example: 250
+ *               polygon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     latitude:
+ *                       type: number
+ *                     longitude:
+ *                       type: number
+ *               tripAutomation:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Geofence created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+const createGeofence = asyncHandler(async (req, res) => {
+  const geofence = await Geofence.create({ ...req.body, createdBy: req.user._id });
+
+  invalidateGeofenceCache();
+
+  res.status(201).json({ success: true, message: 'Geofence created successfully', data: geofence });
+});
+
+/**
+ * @swagger
+ * /api/geofences/{id}:
+ *   put:
+ *     summary: Update a geofence (Admin only)
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Geofence'
+ *     responses:
+ *       200:
+ *         description: Geofence updated successfully
+ *       404:
+ *         description: Geofence not found
+ */
+const updateGeofence = asyncHandler(async (req, res) => {
+  const updateData = { ...req.body };
+
+  // Remove fields that shouldn't be updated
+  delete updateData._id;
+  delete updateData.createdBy;
+
+  const geofence = await Geofence.findOne({ _id: req.params.id, isActive: true });
+
+  if (!geofence) {
+    return res.status(404).json({ success: false, message: 'Geofence not found' });
+  }
+
+  // Saved through the document so shape-dependent validation sees the merged result
+  geofence.set(updateData);
+  await geofence.save();
+
+  invalidateGeofenceCache();
+
+  res.status(200).json({ success: true, message: 'Geofence updated successfully', data: geofence });
+});
+
+/**
+ * @swagger
+ * /api/geofences/{id}:
+ *   delete:
+ *     summary: Delete a geofence (Admin only)
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofence deleted successfully
+ *       404:
+ *         description: Geofence not found
+ */
+const deleteGeofence = asyncHandler(async (req, res) => {
+  const geofence = await Geofence.findById(req.params.id);
+
+  if (!geofence) {
+    return res.status(404).json({ success: false, message: 'Geofence not found' });
+  }
+
+  // Soft delete (keeps the event log readable)
+  geofence.isActive = false;
+  await geofence.save();
+
+  invalidateGeofenceCache();
+
+  res.status(200).json({ success: true, message: 'Geofence deleted successfully' });
+});
+
+module.exports = { getAllGeofences, getGeofenceEvents, getGeofenceById, createGeofence, updateGeofence, deleteGeofence };
@@ -0,0 +1,279 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { generateGtfsFeed, zipGtfsFeed } = require('../services/gtfsService');
+const { readGtfsZip, importGtfsFeed } = require('../services/gtfsImportService');
+const { getVehiclePositionsFeed, getTripUpdatesFeed, encodeFeed, feedToJson } = require('../services/gtfsRealtimeService');
+
+/**
+ * GTFS Controller
+ * Publishes the schedule as a GTFS static feed and live data as GTFS-Realtime feeds for journey planners,
+ * and imports routes from NTC feeds
+ */
+
+/**
+ * @swagger
+ * /api/gtfs/feed.zip:
+ *   get:
+ *     summary: Download the schedule as a GTFS static feed
+ *     description: |
+ *       Zip archive with agency.txt (one agency per operator), routes.txt, stops.txt, trips.txt,
+ *       stop_times.txt, calendar.txt and feed_info.txt. Covers trips departing within the window
+ *       (default: the next 30 days from the start of today, Asia/Colombo time); cancelled trips are left out.
+ *     tags: [GTFS]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (default start of today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (default from + days)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *         description: Length of the window when to is not given
+ *     responses:
+ *       200:
+ *         description: GTFS feed
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ */
+const getGtfsFeed = asyncHandler(async (req, res) => {
+  const { from, to, days } = req.query;
+
+  const { files, window } = await generateGtfsFeed({ from, to, days: days ? parseInt(days) : undefined });
+  const archive = await zipGtfsFeed(files);
+
+  const fileDate = window.from.toISOString().slice(0, 10).replace(/-/g, '');
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="gtfs-${fileDate}.zip"`,
+    'Content-Length': archive.length
+  });
+  res.status(200).send(archive);
+});
+
+/**
+ * @swagger
+ * /api/gtfs/import:
+ *   post:
+ *     summary: Import routes from a GTFS static feed (Admin only)
+ *     description: |
+ *       Each GTFS route becomes a Route keyed on routeNumber (route_short_name, e.g. "R-001" or "1" for R-001).
+ *       Its longest trip gives the start/end locations and the waypoints; distanceFromStart is measured along
+ *       shapes.txt when the trip has a shape. Existing routes are updated, new ones created, and routes from an
+ *       earlier import that are no longer in the feed are deactivated. With dryRun=true nothing is saved and
+ *       the response reports what would change.
+ *     tags: [GTFS]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/zip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Import (or dry run) completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     created:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           routeNumber:
+ *                             type: string
+ *                           routeName:
+ *                             type: string
+ *                     updated:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           routeNumber:
+ *                             type: string
+ *                           routeName:
+ *                             type: string
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     deactivated:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           routeNumber:
+ *                             type: string
+ *                           routeName:
+ *                             type: string
+ *                     unchanged:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           gtfsRouteId:
+ *                             type: string
+ *                           routeNumber:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *       400:
+ *         description: Missing or invalid zip, or the feed failed GTFS validation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+const importGtfs = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, message: 'Upload the GTFS feed as a zip file (Content-Type: application/zip)' });
+  }
+
+  let files;
+  try {
+    files = await readGtfsZip(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'File is not a valid zip archive' });
+  }
+
+  const { valid, errors, ...summary } = await importGtfsFeed(files, { dryRun });
+
+  if (!valid) {
+    return res.status(400).json({ success: false, message: 'GTFS feed is invalid', errors: errors.slice(0, 100), errorCount: errors.length });
+  }
+
+  const counts = `${summary.created.length} created, ${summary.updated.length} updated, ${summary.deactivated.length} deactivated, ${summary.skipped.length} skipped`;
+  res.status(200).json({ success: true, message: dryRun ? `GTFS import dry run: ${counts}` : `GTFS feed imported: ${counts}`, data: summary });
+});
+
+/**
+ * Helper function to send a GTFS-Realtime feed as protobuf, or as JSON with ?format=json
+ */
+const sendRealtimeFeed = (req, res, feed) => {
+  if (req.query.format === 'json') {
+    return res.status(200).json({ success: true, data: feedToJson(feed) });
+  }
+
+  res.set('Content-Type', 'application/x-protobuf');
+  res.status(200).send(encodeFeed(feed));
+};
+
+/**
+ * @swagger
+ * /api/gtfs-rt/vehicle-positions:
+ *   get:
+ *     summary: GTFS-Realtime VehiclePositions feed
+ *     description: |
+ *       Position, next stop (stop_sequence as in the static feed: 1 is the route start) and occupancy of every bus
+ *       on an in-progress trip. Buses whose signal is offline are left out. Protobuf by default; ?format=json
+ *       returns the same feed as JSON for debugging.
+ *     tags: [GTFS]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [protobuf, json]
+ *           default: protobuf
+ *     responses:
+ *       200:
+ *         description: FeedMessage
+ *         content:
+ *           application/x-protobuf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   description: FeedMessage as JSON
+ */
+const getVehiclePositions = asyncHandler(async (req, res) => {
+  sendRealtimeFeed(req, res, await getVehiclePositionsFeed());
+});
+
+/**
+ * @swagger
+ * /api/gtfs-rt/trip-updates:
+ *   get:
+ *     summary: GTFS-Realtime TripUpdates feed
+ *     description: |
+ *       Predicted arrival/departure times at the remaining stops of running trips and of trips departing in the
+ *       next 3 hours, with the trip delay in seconds. Trips cancelled today or in the next 24 hours have the
+ *       CANCELED schedule relationship. Protobuf by default; ?format=json returns the same feed as JSON.
+ *     tags: [GTFS]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [protobuf, json]
+ *           default: protobuf
+ *     responses:
+ *       200:
+ *         description: FeedMessage
+ *         content:
+ *           application/x-protobuf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   description: FeedMessage as JSON
+ */
+const getTripUpdates = asyncHandler(async (req, res) => {
+  sendRealtimeFeed(req, res, await getTripUpdatesFeed());
+});
+
+module.exports = { getGtfsFeed, importGtfs, getVehiclePositions, getTripUpdates };
@@ -0,0 +1,153 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { findJourneys, MIN_TRANSFER_MINUTES, MAX_TRANSFERS } = require('../services/journeyService');
+
+/**
+ * Journey Controller
+ * Plans journeys between two places, changing buses between routes where needed
+ */
+
+/**
+ * @swagger
+ * /api/journeys:
+ *   get:
+ *     summary: Plan a journey between two places
+ *     description: |
+ *       Searches scheduled and running trips departing within 24 hours of `departAfter` for itineraries from
+ *       one place to another, changing buses where routes share a stop. A place matches stops by ID, code or
+ *       name (English, Sinhala or Tamil) and route start/end cities by name. Times follow the timetable, shifted
+ *       by each trip's current delay. Itineraries that another one beats on departure time, arrival time and
+ *       number of transfers are left out; the rest are ranked by arrival time, then number of transfers.
+ *     tags: [Journeys]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "Galle"
+ *         description: Stop ID, stop code or name, or city
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "Kandy"
+ *         description: Stop ID, stop code or name, or city
+ *       - in: query
+ *         name: departAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest departure (default now)
+ *       - in: query
+ *         name: maxTransfers
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3
+ *           default: 2
+ *       - in: query
+ *         name: minTransferTime
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *           default: 10
+ *         description: Minimum time in minutes to change buses
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Itineraries found (an empty list when there is no connection)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     itineraries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           departureTime:
+ *                             type: string
+ *                             format: date-time
+ *                           arrivalTime:
+ *                             type: string
+ *                             format: date-time
+ *                           duration:
+ *                             type: integer
+ *                             description: Total travel time in minutes, including transfers
+ *                           transfers:
+ *                             type: integer
+ *                           distance:
+ *                             type: number
+ *                           fare:
+ *                             type: number
+ *                             description: Total fare in Rs.
+ *                           legs:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 tripId:
+ *                                   type: string
+ *                                 route:
+ *                                   type: object
+ *                                 bus:
+ *                                   type: object
+ *                                 from:
+ *                                   type: object
+ *                                 to:
+ *                                   type: object
+ *                                 departureTime:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 arrivalTime:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 duration:
+ *                                   type: integer
+ *                                 distance:
+ *                                   type: number
+ *                                 fare:
+ *                                   type: number
+ *                                 transferTime:
+ *                                   type: integer
+ *                                   description: Minutes waited since the previous leg (not on the first leg)
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Stop not found
+ */
+const planJourney = asyncHandler(async (req, res) => {
+  const { from, to, departAfter, maxTransfers, minTransferTime, limit } = req.query;
+
+  const journeys = await findJourneys(from, to, {
+    departAfter,
+    maxTransfers: maxTransfers !== undefined ? parseInt(maxTransfers) : MAX_TRANSFERS,
+    minTransferMinutes: minTransferTime !== undefined ? parseInt(minTransferTime) : MIN_TRANSFER_MINUTES,
+    limit: parseInt(limit) || 5
+  });
+
+  if (!journeys) {
+    return res.status(404).json({ success: false, message: 'Stop not found' });
+  }
+
+  res.status(200).json({ success: true, data: journeys, count: journeys.itineraries.length });
+});
+
+module.exports = { planJourney };
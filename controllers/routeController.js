@@ -1,5 +1,9 @@
 const Route = require('../models/Route');
+const Bus = require('../models/Bus');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getStopArrivals } = require('../services/etaService');
+const { generateTimetable } = require('../services/timetableService');
+const { quoteFare } = require('../services/fareService');
 
 /**
  * Route Controller
@@ -145,6 +149,226 @@ const getRouteById = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: route });
 });
 
+/**
+ * @swagger
+ * /api/routes/{id}/stops/{waypointIndex}/arrivals:
+ *   get:
+ *     summary: Get predicted arrivals of upcoming buses at a stop
+ *     description: |
+ *       Running buses are predicted from their live position, the stop's `distanceFromStart`, dwell time
+ *       (`stopDuration`) at the stops in between and their recent average speed. Trips that have not departed
+ *       yet (or have no GPS position) fall back to the timetable.
+ *     tags: [Routes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Route ID
+ *       - in: path
+ *         name: waypointIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Index of the stop in the route's waypoints
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming arrivals, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stop:
+ *                       type: object
+ *                       properties:
+ *                         index:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                           example: "Kadawatha"
+ *                         distanceFromStart:
+ *                           type: number
+ *                     arrivals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tripId:
+ *                             type: string
+ *                           bus:
+ *                             type: object
+ *                           source:
+ *                             type: string
+ *                             enum: [live, schedule]
+ *                           predictedArrival:
+ *                             type: string
+ *                             format: date-time
+ *                           minutesAway:
+ *                             type: integer
+ *                           distanceAway:
+ *                             type: number
+ *                             description: Remaining distance in km (live predictions only)
+ *                           scheduledArrival:
+ *                             type: string
+ *                             format: date-time
+ *                           expectedDelay:
+ *                             type: integer
+ *                             description: Predicted delay at the stop in minutes
+ *       404:
+ *         description: Route or stop not found
+ */
+const getStopArrivalPredictions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const waypointIndex = parseInt(req.params.waypointIndex);
+  const limit = parseInt(req.query.limit) || 10;
+
+  const route = await Route.findOne({ _id: id, isActive: true });
+
+  if (!route) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const stop = route.waypoints[waypointIndex];
+
+  if (!stop) {
+    return res.status(404).json({ success: false, message: 'Stop not found on this route' });
+  }
+
+  const arrivals = await getStopArrivals(route, waypointIndex, { limit });
+
+  res.status(200).json({ success: true,
+    data: {
+      route: { id: route._id, routeNumber: route.routeNumber, routeName: route.routeName },
+      stop: { index: waypointIndex, name: stop.name, coordinates: stop.coordinates, distanceFromStart: stop.distanceFromStart },
+      arrivals,
+      generatedAt: new Date().toISOString()
+    },
+    count: arrivals.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/routes/{id}/fare:
+ *   get:
+ *     summary: Get the stage fare between two stops of a route
+ *     description: |
+ *       Fares go by the number of fare stages travelled (a ride within one stage pays for one stage), from the
+ *       route's fare table for the bus type. Bus types without a table spread the route's base fare, times the bus
+ *       type multiplier (1.3 semi-luxury, 1.6 luxury, 1.8 air-conditioned), evenly over its stages. The fares
+ *       in effect at the time of travel are used, so fare revisions only apply from their effective date.
+ *     tags: [Routes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Stop ID or name of the boarding stop (defaults to the start of the route)
+ *         schema:
+ *           type: string
+ *           example: "Kadawatha"
+ *       - in: query
+ *         name: to
+ *         description: Stop ID or name of the alighting stop (defaults to the end of the route)
+ *         schema:
+ *           type: string
+ *           example: "Kegalle"
+ *       - in: query
+ *         name: busType
+ *         schema:
+ *           type: string
+ *           enum: [normal, semi-luxury, luxury, air-conditioned]
+ *           default: normal
+ *       - in: query
+ *         name: at
+ *         description: Time of travel (defaults to now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Fare retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     routeNumber:
+ *                       type: string
+ *                     busType:
+ *                       type: string
+ *                     from:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         stopId:
+ *                           type: string
+ *                         stopSequence:
+ *                           type: integer
+ *                         fareStage:
+ *                           type: integer
+ *                     to:
+ *                       type: object
+ *                     wholeRoute:
+ *                       type: boolean
+ *                     distance:
+ *                       type: number
+ *                     stages:
+ *                       type: integer
+ *                     fare:
+ *                       type: number
+ *                     source:
+ *                       type: string
+ *                       enum: [fare-table, base-fare]
+ *                     effectiveFrom:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Start of the fare version used (null for the route's original fares)
+ *       400:
+ *         description: The alighting stop does not come after the boarding stop
+ *       404:
+ *         description: Route or stop not found
+ */
+const getRouteFare = asyncHandler(async (req, res) => {
+  const { from, to, busType = 'normal', at } = req.query;
+
+  const route = await Route.findOne({ _id: req.params.id, isActive: true });
+
+  if (!route) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const { quote, status, message } = quoteFare(route, busType, { from, to, at: at ? new Date(at) : new Date() });
+  if (!quote) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  res.status(200).json({ success: true, data: quote });
+});
+
 /**
  * @swagger
  * /api/routes:
@@ -254,6 +478,9 @@ const createRoute = asyncHandler(async (req, res) => {
  * /api/routes/{id}:
  *   put:
  *     summary: Update a route (Admin only)
+ *     description: |
+ *       Fares (baseFare, fareTables, fareVersions) cannot be changed here: use PUT /api/routes/{id}/fares, or
+ *       POST /api/fare-revisions for a revision across routes.
  *     tags: [Routes]
  *     security:
  *       - BearerAuth: []
@@ -267,6 +494,8 @@ const createRoute = asyncHandler(async (req, res) => {
  *     responses:
  *       200:
  *         description: Route updated successfully
+ *       400:
+ *         description: Validation error, or the update tries to change the fares
  *       404:
  *         description: Route not found
  *       401:
@@ -278,7 +507,7 @@ const updateRoute = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updateData = req.body;
 
-  // Remove fields that shouldn't be updated
+  // Remove fields that shouldn't be updated (fares are rejected by validateRouteUpdate)
   delete updateData.routeNumber;
   delete updateData._id;
 
@@ -295,6 +524,93 @@ const updateRoute = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, message: 'Route updated successfully', data: route });
 });
 
+/**
+ * @swagger
+ * /api/routes/{id}/fares:
+ *   put:
+ *     summary: Set the base fare and stage fare tables of a route (Admin only)
+ *     description: |
+ *       Corrects the fares in effect now, or adds a fare version from effectiveFrom on (trips departing before
+ *       then, and seats already booked, keep their fare). Fares left out are kept as they are.
+ *       Each table gives the fare for travelling 1, 2, 3... stages on one bus type and must cover every stage of
+ *       the route; bus types left out fall back to the base fare.
+ *     tags: [Routes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: fareTables, baseFare or both
+ *             properties:
+ *               fareTables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     busType:
+ *                       type: string
+ *                       enum: [normal, semi-luxury, luxury, air-conditioned]
+ *                     stageFares:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       example: [30, 38, 45, 52]
+ *               baseFare:
+ *                 type: number
+ *                 example: 460
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Date a new fare version takes effect from (the fares in effect now are corrected when not given)
+ *     responses:
+ *       200:
+ *         description: Fares updated, with the route's fare stages
+ *       400:
+ *         description: Validation error or a table does not cover every stage
+ *       404:
+ *         description: Route not found
+ */
+const updateRouteFares = asyncHandler(async (req, res) => {
+  const route = await Route.findOne({ _id: req.params.id, isActive: true });
+
+  if (!route) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const { fareTables, effectiveFrom } = req.body;
+  const baseFare = req.body.baseFare !== undefined ? Number(req.body.baseFare) : undefined;
+
+  if (effectiveFrom) {
+    const from = new Date(effectiveFrom);
+    const previous = route.getFareVersion(from);
+    route.addFareVersion({
+      effectiveFrom: from,
+      baseFare: baseFare !== undefined ? baseFare : previous.baseFare,
+      fareTables: fareTables || previous.fareTables.map(table => ({ busType: table.busType, stageFares: [...table.stageFares] }))
+    });
+  } else {
+    // The version in effect now, or the route's original fares before any revision
+    const current = route.getFareVersion();
+    const fares = current.effectiveFrom ? current : route;
+    if (fareTables) fares.fareTables = fareTables;
+    if (baseFare !== undefined) fares.baseFare = baseFare;
+  }
+  await route.save();
+
+  res.status(200).json({ success: true, message: effectiveFrom ? `Fares updated successfully from ${new Date(effectiveFrom).toISOString()}` : 'Fares updated successfully',
+    data: { routeId: route._id, routeNumber: route.routeNumber, fareStages: route.getFareStages(), baseFare: route.baseFare, fareTables: route.fareTables, fareVersions: route.fareVersions }
+  });
+});
+
 /**
  * @swagger
  * /api/routes/{id}:
@@ -400,4 +716,149 @@ const searchRoutesByCity = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: routes, count: routes.length, searchTerm: city });
 });
 
-module.exports = { getAllRoutes, getRouteById, createRoute, updateRoute, deleteRoute, getInterProvincialRoutes, searchRoutesByCity };
\ No newline at end of file
+/**
+ * @swagger
+ * /api/routes/{id}/timetable/generate:
+ *   post:
+ *     summary: Generate scheduled trips from the route's operating hours and frequency (Admin or Operator)
+ *     description: |
+ *       Creates a trip every `frequency` minutes from the start to the end of the route's operating hours
+ *       (Asia/Colombo time) on each date in the range, assigning buses from the pool. A bus takes another
+ *       departure once it could have come back to the start and turned around, and never one that clashes
+ *       with its other trips; departures with no free bus are listed as unassigned. Re-running is safe:
+ *       departures the pool's operators already have a trip for on this route (cancelled ones included)
+ *       are skipped. Use `preview` to see the timetable without creating anything.
+ *     tags: [Routes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Route ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *               - busIds
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-11-01"
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-11-07"
+ *                 description: Last date (inclusive, at most 31 days after from)
+ *               busIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Buses to assign, in order of preference
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Timetable preview (or nothing left to create)
+ *       201:
+ *         description: Trips created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preview:
+ *                       type: boolean
+ *                     trips:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Trip'
+ *                     existing:
+ *                       type: array
+ *                       description: Departures skipped because a trip already exists
+ *                       items:
+ *                         type: string
+ *                         format: date-time
+ *                     unassigned:
+ *                       type: array
+ *                       description: Departures no bus in the pool was free for
+ *                       items:
+ *                         type: string
+ *                         format: date-time
+ *                     conflicts:
+ *                       type: array
+ *                       description: Departures left out because the assigned bus could not make them (the checks run when a trip is created)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           departureTime:
+ *                             type: string
+ *                             format: date-time
+ *                           busId:
+ *                             type: string
+ *                           conflicts:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *       400:
+ *         description: Validation error or inactive buses in the pool
+ *       403:
+ *         description: Buses in the pool belong to another operator
+ *       404:
+ *         description: Route not found
+ */
+const generateRouteTimetable = asyncHandler(async (req, res) => {
+  const { from, to, busIds, preview = false } = req.body;
+
+  const route = await Route.findOne({ _id: req.params.id, isActive: true });
+
+  if (!route) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const poolIds = [...new Set(busIds)];
+  const buses = await Bus.find({ _id: { $in: poolIds } });
+  // Keep the order the pool was given in
+  const pool = poolIds.map(busId => buses.find(bus => bus._id.toString() === busId)).filter(Boolean);
+
+  if (pool.length !== poolIds.length) {
+    return res.status(404).json({ success: false, message: 'One or more buses not found' });
+  }
+
+  // For operators, ensure they can only schedule their own buses
+  if (req.user.role === 'operator' && pool.some(bus => bus.operatorId.toString() !== req.user._id.toString())) {
+    return res.status(403).json({ success: false, message: 'You can only create trips for your own buses' });
+  }
+
+  const inactive = pool.filter(bus => bus.status !== 'active');
+  if (inactive.length > 0) {
+    return res.status(400).json({ success: false, message: `Buses not active: ${inactive.map(bus => bus.busNumber).join(', ')}` });
+  }
+
+  const timetable = await generateTimetable(route, { from, to, buses: pool, preview });
+  const created = !preview && timetable.trips.length > 0;
+
+  res.status(created ? 201 : 200).json({ success: true,
+    message: `${preview ? 'Timetable preview' : 'Timetable generated'}: ${timetable.trips.length} new trips, ${timetable.existing.length} already scheduled, ${timetable.unassigned.length} without a free bus, ${timetable.conflicts.length} left out for bus conflicts`,
+    data: timetable,
+    count: timetable.trips.length
+  });
+});
+
+module.exports = { getAllRoutes, getRouteById, getStopArrivalPredictions, getRouteFare, createRoute, updateRoute, updateRouteFares, deleteRoute, getInterProvincialRoutes, searchRoutesByCity, generateRouteTimetable };
\ No newline at end of file
@@ -0,0 +1,407 @@
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { toStopCode } = require('../services/stopService');
+
+/**
+ * Stop Controller
+ * Handles bus stops shared across routes
+ */
+
+/**
+ * @swagger
+ * /api/stops:
+ *   get:
+ *     summary: Get all stops
+ *     tags: [Stops]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search stops by code or name (English, Sinhala or Tamil)
+ *       - in: query
+ *         name: amenity
+ *         schema:
+ *           type: string
+ *           enum: [shelter, seating, toilets, lighting, ticket-counter, parking, wheelchair-access, food]
+ *         description: Only return stops with this amenity
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Stops retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stops:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Stop'
+ *                     pagination:
+ *                       type: object
+ */
+const getAllStops = asyncHandler(async (req, res) => {
+  const { search, amenity, page = 1, limit = 50 } = req.query;
+
+  const query = { isActive: true };
+  if (amenity) query.amenities = amenity;
+
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    query.$or = [{ code: pattern }, { 'name.en': pattern }, { 'name.si': pattern }, { 'name.ta': pattern }];
+  }
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const stops = await Stop.find(query)
+    .sort('name.en')
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await Stop.countDocuments(query);
+
+  res.status(200).json({ success: true, data: { stops,
+      pagination: {
+        current: pageNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum
+      }
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/stops/nearby:
+ *   get:
+ *     summary: Find stops near a location
+ *     description: Returns active stops within the radius, nearest first, with the distance in metres.
+ *     tags: [Stops]
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 5000
+ *         description: Search radius in metres
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Nearby stops found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Stop'
+ *                       - type: object
+ *                         properties:
+ *                           distance:
+ *                             type: integer
+ *                             description: Distance from the search point in metres
+ *                             example: 240
+ *       400:
+ *         description: Invalid coordinates
+ */
+const getNearbyStops = asyncHandler(async (req, res) => {
+  const { latitude, longitude, radius = 1000, limit = 20 } = req.query;
+
+  const stops = await Stop.findNearby(parseFloat(latitude), parseFloat(longitude), parseInt(radius), parseInt(limit));
+
+  res.status(200).json({ success: true, data: stops, count: stops.length });
+});
+
+/**
+ * @swagger
+ * /api/stops/{id}:
+ *   get:
+ *     summary: Get a specific stop by ID
+ *     tags: [Stops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stop ID
+ *     responses:
+ *       200:
+ *         description: Stop retrieved successfully
+ *       404:
+ *         description: Stop not found
+ */
+const getStopById = asyncHandler(async (req, res) => {
+  const stop = await Stop.findOne({ _id: req.params.id, isActive: true });
+
+  if (!stop) {
+    return res.status(404).json({ success: false, message: 'Stop not found' });
+  }
+
+  res.status(200).json({ success: true, data: stop });
+});
+
+/**
+ * @swagger
+ * /api/stops/{id}/routes:
+ *   get:
+ *     summary: Get the routes serving a stop
+ *     description: |
+ *       Lists active routes that start, end or stop at the stop, with where the stop falls on each route.
+ *       `stopSequence` follows the GTFS numbering (1 = route start, then each waypoint, then the end).
+ *     tags: [Stops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stop ID
+ *     responses:
+ *       200:
+ *         description: Routes serving the stop
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stop:
+ *                       $ref: '#/components/schemas/Stop'
+ *                     routes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           route:
+ *                             type: object
+ *                           stopSequence:
+ *                             type: integer
+ *                           waypointIndex:
+ *                             type: integer
+ *                             nullable: true
+ *                             description: Index in the route's waypoints (null at the route start or end)
+ *                           distanceFromStart:
+ *                             type: number
+ *                           stopDuration:
+ *                             type: number
+ *                             description: Dwell time at the stop in minutes
+ *       404:
+ *         description: Stop not found
+ */
+const getStopRoutes = asyncHandler(async (req, res) => {
+  const stop = await Stop.findOne({ _id: req.params.id, isActive: true });
+
+  if (!stop) {
+    return res.status(404).json({ success: false, message: 'Stop not found' });
+  }
+
+  const routes = await Route.find({
+    isActive: true,
+    $or: [{ 'startLocation.stopId': stop._id }, { 'endLocation.stopId': stop._id }, { 'waypoints.stopId': stop._id }]
+  }).sort('routeNumber');
+
+  // One entry per visit - a loop route can pass the same stop more than once
+  const visits = [];
+  routes.forEach(route => {
+    const summary = {
+      id: route._id,
+      routeNumber: route.routeNumber,
+      routeName: route.routeName,
+      routeType: route.routeType,
+      from: route.startLocation.city,
+      to: route.endLocation.city
+    };
+
+    if (stop._id.equals(route.startLocation.stopId)) {
+      visits.push({ route: summary, stopSequence: 1, waypointIndex: null, distanceFromStart: 0, stopDuration: 0 });
+    }
+
+    route.waypoints.forEach((waypoint, index) => {
+      if (stop._id.equals(waypoint.stopId)) {
+        visits.push({ route: summary, stopSequence: index + 2, waypointIndex: index, distanceFromStart: waypoint.distanceFromStart, stopDuration: waypoint.stopDuration });
+      }
+    });
+
+    if (stop._id.equals(route.endLocation.stopId)) {
+      visits.push({ route: summary, stopSequence: route.waypoints.length + 2, waypointIndex: null, distanceFromStart: route.distance, stopDuration: 0 });
+    }
+  });
+
+  res.status(200).json({ success: true, data: { stop, routes: visits }, count: visits.length });
+});
+
+/**
+ * @swagger
+ * /api/stops:
+ *   post:
+ *     summary: Create a new stop (Admin only)
+ *     description: The code is derived from the English name when it is not given.
+ *     tags: [Stops]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Stop'
+ *     responses:
+ *       201:
+ *         description: Stop created successfully
+ *       400:
+ *         description: Validation error or duplicate code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+const createStop = asyncHandler(async (req, res) => {
+  const stopData = { ...req.body };
+
+  if (!stopData.code) {
+    stopData.code = toStopCode(stopData.name.en, new Set(await Stop.distinct('code')));
+  }
+
+  const stop = await Stop.create(stopData);
+
+  res.status(201).json({ success: true, message: 'Stop created successfully', data: stop });
+});
+
+/**
+ * @swagger
+ * /api/stops/{id}:
+ *   put:
+ *     summary: Update a stop (Admin only)
+ *     description: Routes read the name and position of the stops they reference, so every such route picks up a new English name or position.
+ *     tags: [Stops]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stop ID
+ *     responses:
+ *       200:
+ *         description: Stop updated successfully
+ *       404:
+ *         description: Stop not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+const updateStop = asyncHandler(async (req, res) => {
+  const updateData = { ...req.body };
+
+  // Remove fields that shouldn't be updated
+  delete updateData._id;
+  delete updateData.point;
+
+  const stop = await Stop.findOne({ _id: req.params.id, isActive: true });
+
+  if (!stop) {
+    return res.status(404).json({ success: false, message: 'Stop not found' });
+  }
+
+  // Saved through the document so the save hooks update the routes that use the stop
+  stop.set(updateData);
+  await stop.save();
+
+  res.status(200).json({ success: true, message: 'Stop updated successfully', data: stop });
+});
+
+/**
+ * @swagger
+ * /api/stops/{id}:
+ *   delete:
+ *     summary: Delete a stop (Admin only)
+ *     tags: [Stops]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stop ID
+ *     responses:
+ *       200:
+ *         description: Stop deleted successfully
+ *       400:
+ *         description: Stop is still used by active routes
+ *       404:
+ *         description: Stop not found
+ */
+const deleteStop = asyncHandler(async (req, res) => {
+  const stop = await Stop.findById(req.params.id);
+
+  if (!stop) {
+    return res.status(404).json({ success: false, message: 'Stop not found' });
+  }
+
+  const routeCount = await Route.countDocuments({
+    isActive: true,
+    $or: [{ 'startLocation.stopId': stop._id }, { 'endLocation.stopId': stop._id }, { 'waypoints.stopId': stop._id }]
+  });
+
+  if (routeCount > 0) {
+    return res.status(400).json({ success: false, message: `Cannot delete stop used by ${routeCount} active route(s)` });
+  }
+
+  // Soft delete
+  stop.isActive = false;
+  await stop.save();
+
+  res.status(200).json({ success: true, message: 'Stop deleted successfully' });
+});
+
+module.exports = { getAllStops, getNearbyStops, getStopById, getStopRoutes, createStop, updateStop, deleteStop };
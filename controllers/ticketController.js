@@ -0,0 +1,93 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getPublicKeyInfo, validateTicket: validateScannedTicket } = require('../services/ticketService');
+
+/**
+ * Ticket Controller
+ * Handles QR e-ticket validation on board and the public key conductor apps verify tickets with
+ */
+
+/**
+ * @swagger
+ * /api/tickets/public-key:
+ *   get:
+ *     summary: Get the public key e-tickets are signed with
+ *     description: |
+ *       Conductor apps can cache this key and check ticket signatures without network access. A QR payload is
+ *       BT1.<payload>.<signature>: the payload is base64url JSON ({ tkt, trip, seat, fare, dep, iat, kid }) and the
+ *       signature is the base64url Ed25519 signature of "BT1.<payload>".
+ *     tags: [Tickets]
+ *     responses:
+ *       200:
+ *         description: Public key in PEM and JWK form
+ */
+const getPublicKey = asyncHandler(async (req, res) => {
+  const keyInfo = getPublicKeyInfo();
+
+  // Long cache: the key only changes when the server's signing key is rotated, unless it is a temporary key
+  res.set('Cache-Control', keyInfo.temporary ? 'no-store' : 'public, max-age=86400');
+
+  res.status(200).json({ success: true, data: keyInfo });
+});
+
+/**
+ * @swagger
+ * /api/tickets/validate:
+ *   post:
+ *     summary: Validate a scanned e-ticket (Admin or Operator)
+ *     description: |
+ *       Checks the ticket's signature, marks it used and counts the passenger in the trip's boardedCount.
+ *       The trip's occupancy is left as it is: the seat was counted in it when the booking was confirmed, so
+ *       counting it again on board would count every ticketed passenger twice.
+ *       A ticket can only be used once. Tickets checked offline can be uploaded later with scannedAt.
+ *     tags: [Tickets]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qrPayload
+ *             properties:
+ *               qrPayload:
+ *                 type: string
+ *                 description: Content of the scanned QR code
+ *               tripId:
+ *                 type: string
+ *                 description: Trip the conductor is working (tickets for other trips are rejected)
+ *               scannedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the ticket was scanned, for scans made offline
+ *     responses:
+ *       200:
+ *         description: Ticket valid and now used, with the trip's occupancy and boardedCount
+ *       400:
+ *         description: Bad signature, ticket for another trip, cancelled ticket or cancelled trip
+ *       403:
+ *         description: Trip is on another operator's bus
+ *       404:
+ *         description: Ticket not found
+ *       409:
+ *         description: Ticket already used (replay)
+ */
+const validateTicket = asyncHandler(async (req, res) => {
+  const { qrPayload, tripId, scannedAt } = req.body;
+
+  const { ticket, trip, status, message } = await validateScannedTicket(qrPayload, {
+    tripId,
+    operatorId: req.user.role === 'operator' ? req.user._id : null,
+    validatedBy: req.user._id,
+    scannedAt: scannedAt && new Date(scannedAt)
+  });
+
+  if (!trip) {
+    return res.status(status).json({ success: false, message, ...(ticket && { data: { ticket } }) });
+  }
+
+  res.status(200).json({ success: true, message: `Ticket valid for seat ${ticket.seatNumber}`, data: { ticket, occupancy: trip.occupancy, boardedCount: trip.boardedCount } });
+});
+
+module.exports = { getPublicKey, validateTicket };
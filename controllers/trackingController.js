@@ -1,6 +1,16 @@
 const Bus = require('../models/Bus');
 const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const TrackingAlert = require('../models/TrackingAlert');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { trackingEvents, getLastRouteEventId } = require('../services/trackingEvents');
+const { findActiveTrip, applyLiveFix, recordHistoricalFixes } = require('../services/locationService');
+const { getTravelTimeModel, predictTravelMinutes, rebuildTravelTimeModel } = require('../services/travelTimeService');
+const { classifyBuses, parseFreshnessFilter } = require('../services/signalService');
+const { openEventStream } = require('../utils/sse');
+
+// Device clocks may run slightly ahead of the server
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
 
 /**
  * Tracking Controller
@@ -53,6 +63,13 @@ const { asyncHandler } = require('../middleware/errorHandler');
  *                           format: date-time
  *                     status:
  *                       type: string
+ *                     freshness:
+ *                       type: string
+ *                       enum: [live, delayed, stale, offline]
+ *                       description: Signal freshness from the age of the last fix and the operator's thresholds
+ *                     signalAge:
+ *                       type: integer
+ *                       description: Seconds since the last fix (null if the bus never reported)
  *                     currentTrip:
  *                       type: object
  *       404:
@@ -73,7 +90,9 @@ const getBusLocation = asyncHandler(async (req, res) => {
   const currentTrip = await Trip.findOne({
     busId: busId,
     status: { $in: ['scheduled', 'in-progress'] }
-  }).populate('routeId', 'routeNumber routeName startLocation endLocation');
+  }).populate('routeId', 'routeNumber routeName startLocation endLocation waypoints distance');
+
+  const [signal] = await classifyBuses([bus]);
 
   res.status(200).json({ success: true,
     data: {
@@ -83,6 +102,7 @@ const getBusLocation = asyncHandler(async (req, res) => {
       capacity: bus.capacity,
       currentLocation: bus.currentLocation,
       status: bus.status,
+      ...signal,
       operator: bus.operator,
       currentTrip: currentTrip || null,
       lastLocationUpdate: bus.currentLocation?.lastUpdated || null
@@ -90,6 +110,96 @@ const getBusLocation = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/tracking/bus/{busId}/history:
+ *   get:
+ *     summary: Get the location history (breadcrumbs) of a bus
+ *     tags: [Tracking]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: busId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bus ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 24 hours before "to")
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 5000
+ *         description: Maximum number of points to return
+ *     responses:
+ *       200:
+ *         description: Location history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     busId:
+ *                       type: string
+ *                     busNumber:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     points:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LocationPing'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Invalid time window
+ *       404:
+ *         description: Bus not found
+ */
+const getBusLocationHistory = asyncHandler(async (req, res) => {
+  const { busId } = req.params;
+  const { limit = 1000 } = req.query;
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (from > to) {
+    return res.status(400).json({ success: false, message: 'The "from" time must be before the "to" time' });
+  }
+
+  const bus = await Bus.findById(busId).select('busNumber');
+
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  const points = await LocationPing.findBusHistory(busId, from, to, parseInt(limit, 10));
+
+  res.status(200).json({ success: true, data: { busId: bus._id, busNumber: bus.busNumber, from: from.toISOString(), to: to.toISOString(), points }, count: points.length });
+});
+
 /**
  * @swagger
  * /api/tracking/update:
@@ -151,6 +261,22 @@ const getBusLocation = asyncHandler(async (req, res) => {
  *                       type: string
  *                     location:
  *                       type: object
+ *                     tripProgress:
+ *                       type: object
+ *                       description: Progress of the in-progress trip, from the bus position projected onto the route line (null when not on a trip)
+ *                       properties:
+ *                         distanceTravelled:
+ *                           type: number
+ *                           description: Km covered along the route (never decreases within a trip)
+ *                         distanceRemaining:
+ *                           type: number
+ *                         progress:
+ *                           type: number
+ *                           description: Percentage of the route distance covered
+ *                         nextStop:
+ *                           type: object
+ *                         delay:
+ *                           type: number
  *                     updateTime:
  *                       type: string
  *                       format: date-time
@@ -177,50 +303,179 @@ const updateBusLocation = asyncHandler(async (req, res) => {
     return res.status(403).json({ success: false, message: 'You can only update location for your own buses' });
   }
 
-  // Update bus location
-  await bus.updateLocation(latitude, longitude, speed, heading);
+  const update = await applyLiveFix(bus, { latitude, longitude, speed, heading });
 
-  // If bus is on an active trip, update trip progress
-  const activeTrip = await Trip.findOne({
-    busId: busId,
-    status: 'in-progress'
-  }).populate('routeId', 'waypoints');
-
-  let tripProgress = null;
-  if (activeTrip && activeTrip.routeId.waypoints.length > 0) {
-    // Simple progress calculation based on proximity to waypoints
-    // In a real system, this would be more sophisticated
-    const currentWaypoint = calculateNearestWaypoint(
-      latitude, 
-      longitude, 
-      activeTrip.routeId.waypoints
-    );
-    
-    if (currentWaypoint !== activeTrip.currentWaypoint) {
-      activeTrip.currentWaypoint = currentWaypoint;
-      await activeTrip.save();
+  res.status(200).json({ success: true, message: 'Bus location updated successfully', data: update });
+});
+
+/**
+ * @swagger
+ * /api/tracking/batch:
+ *   post:
+ *     summary: Upload a batch of buffered GPS fixes from an on-board unit
+ *     description: |
+ *       Accepts up to 500 timestamped fixes for one bus. Fixes must be in chronological order and newer than the
+ *       bus's last known position; duplicate, out-of-order, future-dated or invalid fixes are rejected individually.
+ *       The newest accepted fix becomes `currentLocation` (and is pushed to live subscribers); older accepted fixes
+ *       are written to location history only.
+ *     tags: [Tracking]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - busId
+ *               - fixes
+ *             properties:
+ *               busId:
+ *                 type: string
+ *                 example: "64a1b2c3d4e5f6789012345a"
+ *               fixes:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - latitude
+ *                     - longitude
+ *                     - timestamp
+ *                   properties:
+ *                     latitude:
+ *                       type: number
+ *                       example: 7.2513
+ *                     longitude:
+ *                       type: number
+ *                       example: 80.3464
+ *                     speed:
+ *                       type: number
+ *                       example: 42
+ *                     heading:
+ *                       type: number
+ *                       example: 75
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-12-25T09:15:30.000Z"
+ *     responses:
+ *       200:
+ *         description: Batch processed (see per-item results)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accepted:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                           timestamp:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [live, history, rejected]
+ *                           reason:
+ *                             type: string
+ *                             enum: [invalid, duplicate, out-of-order, future]
+ *                           message:
+ *                             type: string
+ *                     liveUpdate:
+ *                       type: object
+ *       400:
+ *         description: Invalid batch
+ *       403:
+ *         description: Unauthorized to update this bus location
+ *       404:
+ *         description: Bus not found
+ */
+const batchUpdateBusLocation = asyncHandler(async (req, res) => {
+  const { busId, fixes } = req.body;
+
+  // Find the bus
+  const bus = await Bus.findOne({ _id: busId, isActive: true })
+    .populate('operatorId', '_id');
+
+  if (!bus) {
+    return res.status(404).json({ success: false, message: 'Bus not found' });
+  }
+
+  // Check if user has permission to update this bus location
+  if (req.user.role === 'operator' && bus.operatorId._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ success: false, message: 'You can only update location for your own buses' });
+  }
+
+  // Fixes must be newer than the last known position (if the bus has ever reported one)
+  let lastAccepted = bus.currentLocation && bus.currentLocation.latitude !== undefined && bus.currentLocation.lastUpdated
+    ? bus.currentLocation.lastUpdated.getTime()
+    : -Infinity;
+  const latestAllowed = Date.now() + MAX_CLOCK_SKEW_MS;
+
+  const accepted = [];
+  const results = fixes.map((fix, index) => {
+    // The batch is only checked to be an array, so an item may be anything: check its shape before reading it
+    const invalid = getFixValidationError(fix);
+    if (invalid) {
+      return { index, timestamp: fix && typeof fix === 'object' ? fix.timestamp : undefined, status: 'rejected', reason: 'invalid', message: invalid };
     }
 
-    tripProgress = {
-      tripId: activeTrip._id,
-      currentWaypoint: currentWaypoint,
-      progress: Math.round((currentWaypoint / activeTrip.routeId.waypoints.length) * 100)
-    };
+    const timestamp = new Date(fix.timestamp).getTime();
+    const result = { index, timestamp: fix.timestamp };
+
+    if (timestamp > latestAllowed) {
+      return { ...result, status: 'rejected', reason: 'future', message: 'Timestamp is in the future' };
+    }
+
+    if (timestamp === lastAccepted) {
+      return { ...result, status: 'rejected', reason: 'duplicate', message: 'A fix with this timestamp was already recorded' };
+    }
+
+    if (timestamp < lastAccepted) {
+      return { ...result, status: 'rejected', reason: 'out-of-order', message: 'Timestamp is older than the previous accepted fix' };
+    }
+
+    lastAccepted = timestamp;
+    accepted.push({ index, latitude: Number(fix.latitude), longitude: Number(fix.longitude), speed: Number(fix.speed) || 0, heading: Number(fix.heading) || 0, recordedAt: new Date(timestamp) });
+    return { ...result, status: 'history' };
+  });
+
+  let liveUpdate = null;
+
+  if (accepted.length > 0) {
+    const activeTrip = await findActiveTrip(bus._id);
+    const newest = accepted.pop();
+
+    // Older fixes only fill in the history; the newest one becomes the live position
+    await recordHistoricalFixes(bus, accepted, activeTrip);
+    liveUpdate = await applyLiveFix(bus, newest, activeTrip);
+
+    results[newest.index].status = 'live';
   }
 
-  res.status(200).json({ success: true, message: 'Bus location updated successfully',
+  const acceptedCount = results.filter(result => result.status !== 'rejected').length;
+
+  res.status(200).json({ success: true, message: `Processed ${fixes.length} fixes: ${acceptedCount} accepted, ${fixes.length - acceptedCount} rejected`,
     data: {
       busId: bus._id,
       busNumber: bus.busNumber,
-      location: {
-        latitude,
-        longitude,
-        speed,
-        heading,
-        lastUpdated: new Date()
-      },
-      tripProgress,
-      updateTime: new Date().toISOString()
+      accepted: acceptedCount,
+      rejected: fixes.length - acceptedCount,
+      results,
+      liveUpdate
     }
   });
 });
@@ -238,6 +493,12 @@ const updateBusLocation = asyncHandler(async (req, res) => {
  *         schema:
  *           type: string
  *         description: Route ID
+ *       - in: query
+ *         name: freshness
+ *         schema:
+ *           type: string
+ *           example: "live,delayed"
+ *         description: Only include buses whose signal is in these states (comma separated live, delayed, stale, offline)
  *     responses:
  *       200:
  *         description: Route tracking data retrieved successfully
@@ -262,6 +523,11 @@ const updateBusLocation = asyncHandler(async (req, res) => {
  *                             $ref: '#/components/schemas/Bus'
  *                           trip:
  *                             $ref: '#/components/schemas/Trip'
+ *                           freshness:
+ *                             type: string
+ *                             enum: [live, delayed, stale, offline]
+ *                           signalAge:
+ *                             type: integer
  *                           estimatedArrival:
  *                             type: string
  *                             format: date-time
@@ -271,70 +537,111 @@ const updateBusLocation = asyncHandler(async (req, res) => {
 const trackRouteProgress = asyncHandler(async (req, res) => {
   const { routeId } = req.params;
 
-  // Get route information
-  const Route = require('../models/Route');
-  const route = await Route.findOne({ _id: routeId, isActive: true });
+  const progress = await buildRouteProgress(routeId, { freshness: parseFreshnessFilter(req.query.freshness) });
 
-  if (!route) {
+  if (!progress) {
     return res.status(404).json({ success: false, message: 'Route not found' });
   }
 
-  // Get all active trips on this route
-  const activeTrips = await Trip.find({
-    routeId: routeId,
-    status: { $in: ['scheduled', 'in-progress'] }
-  })
-  .populate('busId', 'busNumber busType currentLocation status operatorId')
-  .populate({
-    path: 'busId',
-    populate: {
-      path: 'operatorId',
-      select: 'fullName companyName'
+  res.status(200).json({ success: true, data: progress });
+});
+
+/**
+ * @swagger
+ * /api/tracking/route/{routeId}/stream:
+ *   get:
+ *     summary: Stream route tracking updates (Server-Sent Events)
+ *     description: |
+ *       Sends a `route-progress` event with the same payload as `GET /api/tracking/route/{routeId}`
+ *       whenever a bus on the route posts to `/api/tracking/update`, plus a heartbeat comment every 15 seconds.
+ *       Reconnecting clients that send `Last-Event-ID` only receive a fresh snapshot if they missed an update.
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: routeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Route ID
+ *       - in: query
+ *         name: freshness
+ *         schema:
+ *           type: string
+ *           example: "live,delayed"
+ *         description: Only include buses whose signal is in these states (comma separated live, delayed, stale, offline)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received before reconnecting
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Route not found
+ */
+const streamRouteProgress = asyncHandler(async (req, res) => {
+  const { routeId } = req.params;
+  const options = { freshness: parseFreshnessFilter(req.query.freshness) };
+
+  // Listen for the client going away before the first await, or a disconnect while the snapshot is built goes unnoticed
+  let disconnected = false;
+  res.once('close', () => { disconnected = true; });
+
+  const initialProgress = await buildRouteProgress(routeId, options);
+
+  if (disconnected || res.writableEnded) return;
+
+  if (!initialProgress) {
+    return res.status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const stream = openEventStream(res);
+
+  // Resume: skip the initial snapshot only if the client already saw the latest update for this route
+  const lastEventId = req.header('Last-Event-ID');
+  const currentEventId = getLastRouteEventId(routeId);
+  if (lastEventId === undefined || Number(lastEventId) !== currentEventId) {
+    stream.send('route-progress', initialProgress, currentEventId);
+  }
+
+  // Rebuild the snapshot on each update for this route, coalescing bursts into one rebuild
+  let building = false;
+  let pendingEventId = null;
+
+  const pushProgress = async (eventId) => {
+    building = true;
+    try {
+      const progress = await buildRouteProgress(routeId, options);
+      if (progress) stream.send('route-progress', progress, eventId);
+    } catch (error) {
+      stream.comment(`error rebuilding route progress: ${error.message}`);
+    } finally {
+      building = false;
     }
-  })
-  .sort({ departureTime: 1 });
 
-  // Format response data
-  const activeBuses = activeTrips.map(trip => ({
-    trip: {
-      id: trip._id,
-      status: trip.status,
-      departureTime: trip.departureTime,
-      estimatedArrival: trip.estimatedArrival,
-      actualDeparture: trip.actualDeparture,
-      currentWaypoint: trip.currentWaypoint,
-      delay: trip.delay,
-      occupancy: trip.occupancy,
-      fare: trip.fare
-    },
-    bus: {
-      id: trip.busId._id,
-      busNumber: trip.busId.busNumber,
-      busType: trip.busId.busType,
-      currentLocation: trip.busId.currentLocation,
-      status: trip.busId.status,
-      operator: trip.busId.operatorId
-    },
-    estimatedTimeToDestination: calculateETA(trip, route)
-  }));
+    if (pendingEventId !== null && !stream.closed) {
+      const next = pendingEventId;
+      pendingEventId = null;
+      pushProgress(next);
+    }
+  };
 
-  res.status(200).json({ success: true,
-    data: {
-      route: {
-        id: route._id,
-        routeNumber: route.routeNumber,
-        routeName: route.routeName,
-        startLocation: route.startLocation,
-        endLocation: route.endLocation,
-        distance: route.distance,
-        estimatedDuration: route.estimatedDuration,
-        waypoints: route.waypoints
-      },
-      activeBuses,
-      totalActiveBuses: activeBuses.length,
-      lastUpdated: new Date().toISOString()
+  const onLocation = (update, eventId) => {
+    if (!update.routeId || update.routeId.toString() !== routeId) return;
+    if (building) {
+      pendingEventId = eventId;
+      return;
     }
-  });
+    pushProgress(eventId);
+  };
+
+  trackingEvents.on('location', onLocation);
+  stream.onClose(() => trackingEvents.off('location', onLocation));
 });
 
 /**
@@ -357,13 +664,20 @@ const trackRouteProgress = asyncHandler(async (req, res) => {
  *           type: integer
  *           default: 50
  *         description: Maximum number of buses to return
+ *       - in: query
+ *         name: freshness
+ *         schema:
+ *           type: string
+ *           example: "live,delayed"
+ *         description: Only include buses whose signal is in these states (comma separated live, delayed, stale, offline)
  *     responses:
  *       200:
- *         description: Live tracking data retrieved successfully
+ *         description: Live tracking data retrieved successfully (each bus includes its signal freshness and age)
  */
 const getLiveTracking = asyncHandler(async (req, res) => {
   const { bounds, limit = 50 } = req.query;
-  
+  const freshness = parseFreshnessFilter(req.query.freshness);
+
   // Build query for active buses
   const query = { 
     status: 'active', 
@@ -390,86 +704,319 @@ const getLiveTracking = asyncHandler(async (req, res) => {
     query.operatorId = req.user._id;
   }
 
+  // Freshness depends on per-operator thresholds, so a freshness filter is applied after loading
   const buses = await Bus.find(query)
     .populate('operatorId', 'fullName companyName')
     .populate('currentTrips', 'departureTime estimatedArrival status routeId')
-    .limit(parseInt(limit))
+    .limit(freshness ? 0 : parseInt(limit))
     .sort({ 'currentLocation.lastUpdated': -1 });
 
-  const trackingData = buses.map(bus => ({
+  const signals = await classifyBuses(buses);
+
+  const trackingData = buses.map((bus, index) => ({
     busId: bus._id,
     busNumber: bus.busNumber,
     busType: bus.busType,
     currentLocation: bus.currentLocation,
     status: bus.status,
+    ...signals[index],
     operator: bus.operatorId,
     currentTrip: bus.currentTrips[0] || null,
     lastSeen: bus.currentLocation?.lastUpdated
-  }));
+  }))
+    .filter(entry => !freshness || freshness.includes(entry.freshness))
+    .slice(0, parseInt(limit));
 
   res.status(200).json({ success: true, data: trackingData, count: trackingData.length, bounds: bounds || 'all', timestamp: new Date().toISOString() });
 });
 
 /**
- * Helper function to calculate nearest waypoint
+ * @swagger
+ * /api/tracking/alerts:
+ *   get:
+ *     summary: Get tracking alerts (Admin and Operators)
+ *     description: |
+ *       Route deviation alerts are raised when a bus on an in-progress trip stays further than
+ *       ROUTE_DEVIATION_THRESHOLD_M from its route line for ROUTE_DEVIATION_CONSECUTIVE_PINGS consecutive fixes,
+ *       and cleared when it rejoins. Signal-lost alerts are raised by a background sweep when the bus of an
+ *       in-progress trip goes stale or offline, and cleared by its next fix. Operators only see alerts for their own buses. Live alerts are also pushed
+ *       on the WebSocket `alerts` channel.
+ *     tags: [Tracking]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cleared]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [route-deviation, signal-lost]
+ *       - in: query
+ *         name: busId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tripId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alerts raised at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alerts raised at or before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrackingAlert'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-const calculateNearestWaypoint = (lat, lng, waypoints) => {
-  let nearestIndex = 0;
-  let minDistance = Number.MAX_VALUE;
-
-  waypoints.forEach((waypoint, index) => {
-    const distance = calculateDistance(
-      lat, lng, 
-      waypoint.coordinates.latitude, 
-      waypoint.coordinates.longitude
-    );
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestIndex = index;
-    }
-  });
+const getTrackingAlerts = asyncHandler(async (req, res) => {
+  const { status, type, busId, tripId, from, to, limit = 100 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (busId) query.busId = busId;
+  if (tripId) query.tripId = tripId;
+
+  if (from || to) {
+    query.raisedAt = {};
+    if (from) query.raisedAt.$gte = new Date(from);
+    if (to) query.raisedAt.$lte = new Date(to);
+  }
 
-  return nearestIndex;
-};
+  // For operators, only show alerts for their own buses
+  if (req.user.role === 'operator') {
+    query.operatorId = req.user._id;
+  }
+
+  const alerts = await TrackingAlert.find(query)
+    .populate('busId', 'busNumber busType')
+    .populate('routeId', 'routeNumber routeName')
+    .sort({ raisedAt: -1 })
+    .limit(parseInt(limit));
+
+  res.status(200).json({ success: true, data: alerts, count: alerts.length });
+});
 
 /**
- * Helper function to calculate distance between two points
+ * @swagger
+ * /api/tracking/eta-model/rebuild:
+ *   post:
+ *     summary: Rebuild the historical travel time (ETA) model (Admin only)
+ *     description: |
+ *       Learns segment travel times between consecutive waypoints from completed trips and their GPS history,
+ *       bucketed by route, day of week, time of day and route type. The most recent 20% of trips are held back
+ *       first and predicted with a model trained on the rest, to report accuracy against actual arrivals
+ *       (compared with the flat 50 km/h baseline). The stored model is then trained on all trips.
+ *     tags: [Tracking]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *         description: Use trips completed in the last N days
+ *     responses:
+ *       200:
+ *         description: Model rebuilt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     builtAt:
+ *                       type: string
+ *                       format: date-time
+ *                     tripsUsed:
+ *                       type: integer
+ *                     segmentSamples:
+ *                       type: integer
+ *                     statsWritten:
+ *                       type: integer
+ *                     evaluation:
+ *                       type: object
+ *                       properties:
+ *                         tripsEvaluated:
+ *                           type: integer
+ *                         maeMinutes:
+ *                           type: number
+ *                           description: Mean absolute error of predicted trip duration
+ *                         baselineMaeMinutes:
+ *                           type: number
+ *                           description: Same error for the flat 50 km/h estimate
+ *                         biasMinutes:
+ *                           type: number
+ *                           description: Mean signed error (positive means predictions run long)
+ *                         withinFiveMinutesPct:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin only
  */
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = toRadians(lat2 - lat1);
-  const dLng = toRadians(lng2 - lng1);
-  
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+const rebuildEtaModel = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || undefined;
+
+  const report = await rebuildTravelTimeModel({ days });
+
+  res.status(200).json({ success: true, message: `ETA model rebuilt from ${report.tripsUsed} completed trips`, data: report });
+});
+
+/**
+ * Helper function to validate a single batched fix (same bounds as validateLocationUpdate)
+ * Returns an error message, or null when the fix is valid
+ */
+const getFixValidationError = (fix) => {
+  if (!fix || typeof fix !== 'object' || Array.isArray(fix)) return 'Fix must be an object';
+  if (Number.isNaN(new Date(fix.timestamp).getTime())) return 'Timestamp must be a valid ISO 8601 date-time';
+
+  const latitude = Number(fix.latitude);
+  const longitude = Number(fix.longitude);
+  if (fix.latitude === undefined || Number.isNaN(latitude) || latitude < 5.5 || latitude > 10.0) {
+    return 'Latitude must be within Sri Lanka bounds (5.5 to 10.0)';
+  }
+  if (fix.longitude === undefined || Number.isNaN(longitude) || longitude < 79.0 || longitude > 82.0) {
+    return 'Longitude must be within Sri Lanka bounds (79.0 to 82.0)';
+  }
+  if (fix.speed !== undefined && !(Number(fix.speed) >= 0 && Number(fix.speed) <= 200)) {
+    return 'Speed must be between 0 and 200 km/h';
+  }
+  if (fix.heading !== undefined && !(Number(fix.heading) >= 0 && Number(fix.heading) <= 360)) {
+    return 'Heading must be between 0 and 360 degrees';
+  }
+
+  return null;
 };
 
 /**
- * Helper function to convert degrees to radians
+ * Helper function to build the route tracking payload shared by the JSON and SSE endpoints
+ * Returns null when the route does not exist or is inactive
+ * @param {Object} options - { freshness } list of signal states to keep (all when omitted)
  */
-const toRadians = (degrees) => {
-  return degrees * (Math.PI / 180);
+const buildRouteProgress = async (routeId, options = {}) => {
+  // Get route information
+  const Route = require('../models/Route');
+  const route = await Route.findOne({ _id: routeId, isActive: true });
+
+  if (!route) {
+    return null;
+  }
+
+  // Get all active trips on this route
+  const activeTrips = await Trip.find({
+    routeId: routeId,
+    status: { $in: ['scheduled', 'in-progress'] }
+  })
+  .populate('busId', 'busNumber busType currentLocation status operatorId')
+  .populate({
+    path: 'busId',
+    populate: {
+      path: 'operatorId',
+      select: 'fullName companyName'
+    }
+  })
+  .sort({ departureTime: 1 });
+
+  // Format response data
+  const travelTimeModel = await getTravelTimeModel();
+  const signals = await classifyBuses(activeTrips.map(trip => trip.busId));
+
+  const activeBuses = activeTrips.map((trip, index) => ({
+    trip: {
+      id: trip._id,
+      status: trip.status,
+      departureTime: trip.departureTime,
+      estimatedArrival: trip.estimatedArrival,
+      actualDeparture: trip.actualDeparture,
+      currentWaypoint: trip.currentWaypoint,
+      ...trip.getRouteProgress(route),
+      delay: trip.delay,
+      occupancy: trip.occupancy,
+      fare: trip.fare
+    },
+    bus: {
+      id: trip.busId._id,
+      busNumber: trip.busId.busNumber,
+      busType: trip.busId.busType,
+      currentLocation: trip.busId.currentLocation,
+      status: trip.busId.status,
+      operator: trip.busId.operatorId
+    },
+    ...signals[index],
+    estimatedTimeToDestination: calculateETA(trip, route, travelTimeModel)
+  }))
+    .filter(entry => !options.freshness || options.freshness.includes(entry.freshness));
+
+  return {
+    route: {
+      id: route._id,
+      routeNumber: route.routeNumber,
+      routeName: route.routeName,
+      startLocation: route.startLocation,
+      endLocation: route.endLocation,
+      distance: route.distance,
+      estimatedDuration: route.estimatedDuration,
+      waypoints: route.waypoints
+    },
+    activeBuses,
+    totalActiveBuses: activeBuses.length,
+    lastUpdated: new Date().toISOString()
+  };
 };
 
 /**
- * Helper function to calculate ETA
+ * Helper function to calculate ETA from the historical travel time model
  */
-const calculateETA = (trip, route) => {
+const calculateETA = (trip, route, travelTimeModel) => {
   if (!trip.busId.currentLocation || trip.status !== 'in-progress') {
     return null;
   }
 
-  const remainingDistance = route.distance * (1 - (trip.currentWaypoint / route.waypoints.length));
-  const averageSpeed = 50; // km/h - simplified calculation
-  const remainingTimeMinutes = (remainingDistance / averageSpeed) * 60;
-  
-  const eta = new Date(Date.now() + remainingTimeMinutes * 60000);
+  const { minutes } = predictTravelMinutes(travelTimeModel, route, trip.distanceTravelled || 0, route.distance, new Date());
+
+  const eta = new Date(Date.now() + minutes * 60000);
   return eta.toISOString();
 };
 
-module.exports = { getBusLocation, updateBusLocation, trackRouteProgress, getLiveTracking };
\ No newline at end of file
+module.exports = { getBusLocation, getBusLocationHistory, updateBusLocation, batchUpdateBusLocation, trackRouteProgress, streamRouteProgress, getLiveTracking, getTrackingAlerts, rebuildEtaModel };
\ No newline at end of file
@@ -1,6 +1,15 @@
 const Trip = require('../models/Trip');
 const Bus = require('../models/Bus');
+const LocationPing = require('../models/LocationPing');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { endTripDeviation } = require('../services/deviationService');
+const { restoreTripSignal } = require('../services/signalService');
+const { checkBusConflicts } = require('../services/busConflictService');
+const { openEventStream } = require('../utils/sse');
+const { interpolateFix } = require('../utils/geo');
+
+// Wall-clock interval between replay frames
+const REPLAY_FRAME_INTERVAL_MS = 1000;
 
 /**
  * Trip Controller
@@ -165,6 +174,241 @@ const getTripById = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: trip });
 });
 
+/**
+ * @swagger
+ * /api/trips/{id}/track:
+ *   get:
+ *     summary: Get the recorded GPS track of a trip (Admin or Bus Owner only)
+ *     tags: [Trips]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trip track retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tripId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     points:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LocationPing'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Trip belongs to another operator's bus
+ *       404:
+ *         description: Trip not found
+ */
+const getTripTrack = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const trip = await Trip.findById(id).populate('busId', 'busNumber operatorId');
+
+  if (!trip) {
+    return res.status(404).json({ success: false, message: 'Trip not found' });
+  }
+
+  // Check access permissions for operators (a trip whose bus was removed belongs to no operator)
+  if (req.user.role === 'operator') {
+    if (!trip.busId || trip.busId.operatorId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Access denied. You can only view trips for your own buses.' });
+    }
+  }
+
+  const points = await LocationPing.findTripTrack(trip._id);
+
+  res.status(200).json({ success: true,
+    data: {
+      tripId: trip._id,
+      busNumber: trip.busId ? trip.busId.busNumber : null,
+      status: trip.status,
+      actualDeparture: trip.actualDeparture,
+      actualArrival: trip.actualArrival,
+      points
+    },
+    count: points.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/trips/{id}/replay:
+ *   get:
+ *     summary: Replay a trip's recorded GPS track (Server-Sent Events)
+ *     description: |
+ *       Streams the recorded locations of a trip at `speed` times real time. One `frame` event is sent per second,
+ *       interpolated between recorded pings, with route progress, waypoint and schedule delay computed as live tracking does.
+ *       The stream starts with a `start` event and finishes with an `end` event. Only trips whose location history
+ *       is still within the retention period can be replayed.
+ *     tags: [Trips]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: speed
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Playback speed multiplier
+ *     responses:
+ *       200:
+ *         description: Replay stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Trip or its route not found, or no recorded locations
+ */
+const replayTrip = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const speed = parseFloat(req.query.speed) || 10;
+
+  const trip = await Trip.findById(id)
+    .populate('busId', 'busNumber operatorId')
+    .populate('routeId', 'routeNumber routeName startLocation endLocation waypoints distance');
+
+  if (!trip) {
+    return res.status(404).json({ success: false, message: 'Trip not found' });
+  }
+
+  // Check access permissions for operators
+  if (req.user.role === 'operator') {
+    if (!trip.busId || trip.busId.operatorId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Access denied. You can only replay trips for your own buses.' });
+    }
+  }
+
+  // Progress is replayed along the route line, so a trip whose route was removed cannot be replayed
+  if (!trip.routeId) {
+    return res.status(404).json({ success: false, message: 'Route not found for this trip' });
+  }
+
+  const pings = await LocationPing.findTripTrack(trip._id);
+
+  if (pings.length === 0) {
+    return res.status(404).json({ success: false, message: 'No recorded locations for this trip' });
+  }
+
+  const route = trip.routeId;
+  const startTime = new Date(pings[0].recordedAt).getTime();
+  const endTime = new Date(pings[pings.length - 1].recordedAt).getTime();
+
+  const stream = openEventStream(res);
+
+  stream.send('start', {
+    tripId: trip._id,
+    busNumber: trip.busId ? trip.busId.busNumber : null,
+    route: { id: route._id, routeNumber: route.routeNumber, routeName: route.routeName },
+    speed,
+    pings: pings.length,
+    recordedFrom: new Date(startTime).toISOString(),
+    recordedTo: new Date(endTime).toISOString(),
+    estimatedReplaySeconds: Math.ceil((endTime - startTime) / 1000 / speed)
+  });
+
+  let frame = 0;
+  let pingIndex = 0;
+  let distanceTravelled = 0;
+
+  const sendFrame = () => {
+    const replayTime = Math.min(startTime + frame * REPLAY_FRAME_INTERVAL_MS * speed, endTime);
+
+    // Advance to the recorded ping at or before the replay clock
+    while (pingIndex < pings.length - 1 && new Date(pings[pingIndex + 1].recordedAt).getTime() <= replayTime) {
+      pingIndex++;
+    }
+
+    const current = pings[pingIndex];
+    const next = pings[pingIndex + 1];
+    const currentTime = new Date(current.recordedAt).getTime();
+
+    let position = current;
+    if (next && replayTime > currentTime) {
+      const fraction = (replayTime - currentTime) / (new Date(next.recordedAt).getTime() - currentTime);
+      position = interpolateFix(current, next, fraction);
+    }
+
+    // Progress along the route line, never moving backwards during the replay
+    const located = route.locatePosition(position.latitude, position.longitude, distanceTravelled);
+    distanceTravelled = located.distanceTravelled;
+
+    const currentWaypoint = route.waypoints.length > 0 ? route.getNearestWaypointAt(distanceTravelled) : null;
+    const schedule = trip.getScheduleDelayAtDistance(route, distanceTravelled, replayTime);
+
+    stream.send('frame', {
+      frame,
+      replayTime: new Date(replayTime).toISOString(),
+      latitude: position.latitude,
+      longitude: position.longitude,
+      speed: Math.round(position.speed * 10) / 10,
+      heading: Math.round(position.heading),
+      interpolated: position !== current,
+      pingIndex,
+      currentWaypoint,
+      distanceTravelled,
+      progress: located.progress,
+      delay: schedule ? schedule.delay : null,
+      delayStatus: schedule ? schedule.delayStatus : null
+    }, frame);
+
+    frame++;
+
+    if (replayTime >= endTime) {
+      clearInterval(timer);
+      stream.send('end', { tripId: trip._id, frames: frame });
+      stream.end();
+    }
+  };
+
+  const timer = setInterval(sendFrame, REPLAY_FRAME_INTERVAL_MS);
+  stream.onClose(() => clearInterval(timer));
+  sendFrame();
+});
+
+/**
+ * Helper function to check a trip against the other trips of its bus before it is saved
+ * Admins may save a conflicting trip anyway by sending overrideConflicts: true
+ * @returns {Promise<Object>} { conflicts, blocked }
+ */
+const checkTripConflicts = async (req, trip) => {
+  const conflicts = await checkBusConflicts(trip);
+  const override = req.body.overrideConflicts === true && req.user.role === 'admin';
+
+  return { conflicts, blocked: conflicts.length > 0 && !override };
+};
+
+// Helper function to send the conflicts that stopped a trip from being saved
+const sendConflicts = (res, conflicts) => res.status(409).json({
+  success: false,
+  message: `Bus has ${conflicts.length} scheduling conflict${conflicts.length === 1 ? '' : 's'} with this trip`,
+  conflicts
+});
+
 /**
  * @swagger
  * /api/trips:
@@ -183,8 +427,6 @@ const getTripById = asyncHandler(async (req, res) => {
  *               - busId
  *               - routeId
  *               - departureTime
- *               - estimatedArrival
- *               - fare
  *             properties:
  *               busId:
  *                 type: string
@@ -199,9 +441,11 @@ const getTripById = asyncHandler(async (req, res) => {
  *               estimatedArrival:
  *                 type: string
  *                 format: date-time
+ *                 description: Predicted from the historical travel time model when omitted
  *                 example: "2024-12-25T11:30:00.000Z"
  *               fare:
  *                 type: number
+ *                 description: Defaults to the route's stage fare from start to end for the bus type
  *                 example: 350
  *               driver:
  *                 type: object
@@ -215,15 +459,26 @@ const getTripById = asyncHandler(async (req, res) => {
  *                   contactNumber:
  *                     type: string
  *                     example: "+94771234567"
+ *               overrideConflicts:
+ *                 type: boolean
+ *                 description: Admin only - save the trip even though it conflicts with other trips of the bus
  *     responses:
  *       201:
- *         description: Trip created successfully
+ *         description: Trip created successfully (conflicts overridden by an admin are listed in conflicts)
  *       400:
  *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: |
+ *           The bus is already on another trip at that time (overlap), or cannot get from where its previous trip
+ *           ends to where this one starts, or from where this one ends to its next trip, in time (repositioning)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripConflicts'
  */
 const createTrip = asyncHandler(async (req, res) => {
   const tripData = { ...req.body };
@@ -236,13 +491,22 @@ const createTrip = asyncHandler(async (req, res) => {
     }
   }
 
-  const trip = await Trip.create(tripData);
+  // Validate first so estimatedArrival has been filled in before checking the bus's schedule
+  const trip = new Trip(tripData);
+  await trip.validate();
+
+  const { conflicts, blocked } = await checkTripConflicts(req, trip);
+  if (blocked) {
+    return sendConflicts(res, conflicts);
+  }
+
+  await trip.save();
 
   // Populate the created trip
   await trip.populate('busId', 'busNumber busType capacity');
   await trip.populate('routeId', 'routeNumber routeName startLocation endLocation');
 
-  res.status(201).json({ success: true, message: 'Trip created successfully', data: trip });
+  res.status(201).json({ success: true, message: 'Trip created successfully', data: trip, ...(conflicts.length > 0 && { conflicts }) });
 });
 
 /**
@@ -259,6 +523,15 @@ const createTrip = asyncHandler(async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideConflicts:
+ *                 type: boolean
+ *                 description: Admin only - save the trip even though it conflicts with other trips of the bus
  *     responses:
  *       200:
  *         description: Trip updated successfully
@@ -266,6 +539,12 @@ const createTrip = asyncHandler(async (req, res) => {
  *         description: Trip not found
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: The new times conflict with other trips of the bus
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripConflicts'
  */
 const updateTrip = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -275,6 +554,8 @@ const updateTrip = asyncHandler(async (req, res) => {
   delete updateData._id;
   delete updateData.busId;
   delete updateData.routeId;
+  delete updateData.templateId;
+  delete updateData.overrideConflicts;
 
   const trip = await Trip.findById(id).populate('busId', 'operatorId');
 
@@ -289,15 +570,30 @@ const updateTrip = asyncHandler(async (req, res) => {
     }
   }
 
+  // Template changes no longer apply to a trip edited by hand
+  if (trip.templateId) updateData.manuallyEdited = true;
+
   // Update trip
   Object.assign(trip, updateData);
+  await trip.validate();
+
+  // Only a change of times can create a conflict
+  let conflicts = [];
+  if (trip.isModified('departureTime') || trip.isModified('estimatedArrival') || trip.isModified('status')) {
+    const check = await checkTripConflicts(req, trip);
+    if (check.blocked) {
+      return sendConflicts(res, check.conflicts);
+    }
+    conflicts = check.conflicts;
+  }
+
   await trip.save();
 
   // Populate updated trip
   await trip.populate('busId', 'busNumber busType capacity');
   await trip.populate('routeId', 'routeNumber routeName startLocation endLocation');
 
-  res.status(200).json({ success: true, message: 'Trip updated successfully', data: trip });
+  res.status(200).json({ success: true, message: 'Trip updated successfully', data: trip, ...(conflicts.length > 0 && { conflicts }) });
 });
 
 /**
@@ -396,7 +692,9 @@ const completeTrip = asyncHandler(async (req, res) => {
     return res.status(400).json({ success: false, message: `Trip cannot be completed. Current status: ${trip.status}` });
   }
 
-  // Complete the trip
+  // Close any open route deviation or signal-lost alert, then complete the trip
+  await endTripDeviation(trip);
+  await restoreTripSignal(trip);
   await trip.completeTrip();
 
   res.status(200).json({ success: true, message: 'Trip completed successfully', data: trip });
@@ -455,7 +753,12 @@ const cancelTrip = asyncHandler(async (req, res) => {
     return res.status(400).json({ success: false, message: `Trip cannot be cancelled. Current status: ${trip.status}` });
   }
 
-  // Cancel the trip
+  // A trip cancelled by hand is not brought back by its template
+  if (trip.templateId) trip.manuallyEdited = true;
+
+  // Close any open route deviation or signal-lost alert, then cancel the trip
+  await endTripDeviation(trip);
+  await restoreTripSignal(trip);
   await trip.cancelTrip(reason);
 
   res.status(200).json({ success: true, message: 'Trip cancelled successfully', data: trip });
@@ -486,4 +789,4 @@ const getActiveTrips = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: trips, count: trips.length });
 });
 
-module.exports = { getAllTrips, getTripById, createTrip, updateTrip, startTrip, completeTrip, cancelTrip, getActiveTrips };
\ No newline at end of file
+module.exports = { getAllTrips, getTripById, getTripTrack, replayTrip, createTrip, updateTrip, startTrip, completeTrip, cancelTrip, getActiveTrips };
\ No newline at end of file
@@ -0,0 +1,406 @@
+const TripTemplate = require('../models/TripTemplate');
+const Holiday = require('../models/Holiday');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { DAYS_AHEAD, materializeTemplate, runTemplateScheduler, syncTemplateTrips } = require('../services/tripTemplateService');
+
+/**
+ * Trip Template Controller
+ * Handles recurring trip templates and the holiday calendar they run on
+ */
+
+/**
+ * Helper function to check the route and default bus of a template
+ * @returns {Promise<Object>} { bus } or { status, message } describing the problem
+ */
+const checkTemplateRefs = async (req, { routeId, busId }) => {
+  const [route, bus] = await Promise.all([Route.findOne({ _id: routeId, isActive: true }), Bus.findById(busId)]);
+
+  if (!route) return { status: 404, message: 'Route not found' };
+  if (!bus) return { status: 404, message: 'Bus not found' };
+
+  // For operators, ensure they can only schedule their own buses
+  if (req.user.role === 'operator' && bus.operatorId.toString() !== req.user._id.toString()) {
+    return { status: 403, message: 'You can only create trips for your own buses' };
+  }
+  if (bus.status !== 'active') return { status: 400, message: 'Bus is not active' };
+
+  return { bus };
+};
+
+// Helper function to load a template the user may manage, with its route and bus
+const findTemplate = (req) => {
+  const query = { _id: req.params.id };
+  if (req.user.role === 'operator') query.operatorId = req.user._id;
+
+  return TripTemplate.findOne(query).populate('routeId').populate('busId');
+};
+
+/**
+ * @swagger
+ * /api/trip-templates:
+ *   get:
+ *     summary: Get trip templates (operators see their own)
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: routeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Trip templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TripTemplate'
+ */
+const getAllTemplates = asyncHandler(async (req, res) => {
+  const { routeId, includeInactive } = req.query;
+
+  const query = {};
+  if (includeInactive !== 'true') query.isActive = true;
+  if (routeId) query.routeId = routeId;
+  if (req.user.role === 'operator') query.operatorId = req.user._id;
+
+  const templates = await TripTemplate.find(query)
+    .populate('routeId', 'routeNumber routeName')
+    .populate('busId', 'busNumber busType')
+    .sort('departureTime');
+
+  res.status(200).json({ success: true, data: templates, count: templates.length });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/{id}:
+ *   get:
+ *     summary: Get a specific trip template by ID
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trip template retrieved successfully
+ *       404:
+ *         description: Trip template not found
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  if (!template) {
+    return res.status(404).json({ success: false, message: 'Trip template not found' });
+  }
+
+  res.status(200).json({ success: true, data: template });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates:
+ *   post:
+ *     summary: Create a trip template (Admin or Operator)
+ *     description: |
+ *       Trips for the next days (TRIP_TEMPLATE_DAYS_AHEAD, default 14) are created straight away. Departures the bus
+ *       is busy for, or cannot reach the start of in time, are left out and listed in conflicts.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TripTemplate'
+ *     responses:
+ *       201:
+ *         description: Trip template created successfully
+ *       400:
+ *         description: Validation error or inactive bus
+ *       403:
+ *         description: Bus belongs to another operator
+ *       404:
+ *         description: Route or bus not found
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const templateData = { ...req.body };
+  delete templateData.operatorId;
+
+  const { bus, status, message } = await checkTemplateRefs(req, templateData);
+  if (!bus) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const template = await TripTemplate.create({ ...templateData, operatorId: bus.operatorId, createdBy: req.user._id });
+  await template.populate([{ path: 'routeId' }, { path: 'busId' }]);
+
+  const { created: tripsCreated, conflicts } = await materializeTemplate(template);
+
+  res.status(201).json({ success: true,
+    message: `Trip template created successfully (${tripsCreated} trips scheduled${conflicts.length > 0 ? `, ${conflicts.length} left out for bus conflicts` : ''})`,
+    data: { template, tripsCreated, conflicts }
+  });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/{id}:
+ *   put:
+ *     summary: Update a trip template (Admin or Operator)
+ *     description: |
+ *       Future scheduled trips of the template that have not been edited by hand are moved to the new time,
+ *       bus and route, or cancelled when the template no longer runs that day. Trips edited by hand are left alone.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trip template updated successfully
+ *       404:
+ *         description: Trip template not found
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const updateData = { ...req.body };
+
+  // Remove fields that shouldn't be updated
+  delete updateData._id;
+  delete updateData.operatorId;
+  delete updateData.createdBy;
+
+  const template = await findTemplate(req);
+
+  if (!template || !template.isActive) {
+    return res.status(404).json({ success: false, message: 'Trip template not found' });
+  }
+
+  if (updateData.routeId || updateData.busId) {
+    const { bus, status, message } = await checkTemplateRefs(req, {
+      routeId: updateData.routeId || template.routeId._id,
+      busId: updateData.busId || template.busId._id
+    });
+    if (!bus) {
+      return res.status(status).json({ success: false, message });
+    }
+    updateData.operatorId = bus.operatorId;
+  }
+
+  template.set(updateData);
+  await template.save();
+  await template.populate([{ path: 'routeId' }, { path: 'busId' }]);
+
+  const trips = await syncTemplateTrips(template);
+
+  res.status(200).json({ success: true,
+    message: `Trip template updated successfully (${trips.updated} trips updated, ${trips.cancelled} cancelled, ${trips.created} created, ${trips.conflicts.length} left out for bus conflicts)`,
+    data: { template, trips }
+  });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/{id}:
+ *   delete:
+ *     summary: Delete a trip template (Admin or Operator)
+ *     description: Future scheduled trips of the template that have not been edited by hand are cancelled.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trip template deleted successfully
+ *       404:
+ *         description: Trip template not found
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  if (!template || !template.isActive) {
+    return res.status(404).json({ success: false, message: 'Trip template not found' });
+  }
+
+  // Soft delete (trips keep pointing at their template)
+  template.isActive = false;
+  await template.save();
+
+  const trips = await syncTemplateTrips(template);
+
+  res.status(200).json({ success: true, message: `Trip template deleted successfully (${trips.cancelled} future trips cancelled)` });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/materialize:
+ *   post:
+ *     summary: Create the upcoming trips of every active template now (Admin only)
+ *     description: |
+ *       Runs the template scheduler job straight away. Trips that already exist are not duplicated, and departures
+ *       the template's bus is busy for, or cannot reach the start of in time, are listed in conflicts instead.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 60
+ *         description: Days ahead, today included (default TRIP_TEMPLATE_DAYS_AHEAD)
+ *     responses:
+ *       200:
+ *         description: Templates materialised
+ */
+const materializeTemplates = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || DAYS_AHEAD;
+
+  const result = await runTemplateScheduler({ days });
+
+  res.status(200).json({ success: true,
+    message: `${result.created} trips created from ${result.templates} templates, ${result.conflicts.length} left out for bus conflicts`,
+    data: { ...result, days }
+  });
+});
+
+/**
+ * Helper function to re-apply every active template after the holiday calendar changes
+ */
+const resyncTemplates = async () => {
+  const templates = await TripTemplate.find({ isActive: true }).populate('routeId').populate('busId');
+
+  for (const template of templates) {
+    await syncTemplateTrips(template);
+  }
+};
+
+/**
+ * @swagger
+ * /api/trip-templates/holidays:
+ *   get:
+ *     summary: Get the holiday calendar (Poya days and public holidays)
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holidays retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Holiday'
+ */
+const getHolidays = asyncHandler(async (req, res) => {
+  const { year } = req.query;
+
+  const query = year ? { date: { $regex: `^${parseInt(year)}-` } } : {};
+  const holidays = await Holiday.find(query).sort('date');
+
+  res.status(200).json({ success: true, data: holidays, count: holidays.length });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/holidays:
+ *   post:
+ *     summary: Add a holiday (Admin only)
+ *     description: Future template trips are updated to the new calendar.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Holiday'
+ *     responses:
+ *       201:
+ *         description: Holiday added successfully
+ *       400:
+ *         description: Validation error or date already a holiday
+ */
+const createHoliday = asyncHandler(async (req, res) => {
+  const holiday = await Holiday.create(req.body);
+
+  await resyncTemplates();
+
+  res.status(201).json({ success: true, message: 'Holiday added successfully', data: holiday });
+});
+
+/**
+ * @swagger
+ * /api/trip-templates/holidays/{id}:
+ *   delete:
+ *     summary: Remove a holiday (Admin only)
+ *     description: Future template trips are updated to the new calendar.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Holiday removed successfully
+ *       404:
+ *         description: Holiday not found
+ */
+const deleteHoliday = asyncHandler(async (req, res) => {
+  const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+  if (!holiday) {
+    return res.status(404).json({ success: false, message: 'Holiday not found' });
+  }
+
+  await resyncTemplates();
+
+  res.status(200).json({ success: true, message: 'Holiday removed successfully' });
+});
+
+module.exports = { getAllTemplates, getTemplateById, createTemplate, updateTemplate, deleteTemplate, materializeTemplates, getHolidays, createHoliday, deleteHoliday };
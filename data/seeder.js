@@ -1,8 +1,19 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Route = require('../models/Route');
+const Stop = require('../models/Stop');
 const Bus = require('../models/Bus');
 const Trip = require('../models/Trip');
+const TripTemplate = require('../models/TripTemplate');
+const Booking = require('../models/Booking');
+const Ticket = require('../models/Ticket');
+const FareRevision = require('../models/FareRevision');
+const LocationPing = require('../models/LocationPing');
+const TravelTimeStat = require('../models/TravelTimeStat');
+const TrackingAlert = require('../models/TrackingAlert');
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const { linkRouteStops } = require('../services/stopService');
 
 // Sample data
 const users = require('./users.json');
@@ -16,6 +27,7 @@ class DataSeeder {
   constructor() {
     this.users = [];
     this.routes = [];
+    this.stops = [];
     this.buses = [];
     this.trips = [];
   }
@@ -37,7 +49,7 @@ class DataSeeder {
       await this.seedTrips();
       
       console.log('✅ Data seeding completed successfully!');
-      console.log(`📊 Created: ${this.users.length} users, ${this.routes.length} routes, ${this.buses.length} buses, ${this.trips.length} trips`);
+      console.log(`📊 Created: ${this.users.length} users, ${this.stops.length} stops, ${this.routes.length} routes, ${this.buses.length} buses, ${this.trips.length} trips`);
       
     } catch (error) {
       console.error('❌ Data seeding failed:', error);
@@ -50,9 +62,19 @@ class DataSeeder {
    */
   async clearData() {
     console.log('🧹 Clearing existing data...');
+    await LocationPing.deleteMany({});
+    await TravelTimeStat.deleteMany({});
+    await TrackingAlert.deleteMany({});
+    await GeofenceEvent.deleteMany({});
+    await Geofence.deleteMany({});
+    await Ticket.deleteMany({});
+    await Booking.deleteMany({});
+    await FareRevision.deleteMany({});
     await Trip.deleteMany({});
+    await TripTemplate.deleteMany({});
     await Bus.deleteMany({});
     await Route.deleteMany({});
+    await Stop.deleteMany({});
     await User.deleteMany({});
     console.log('✅ Existing data cleared');
   }
@@ -73,6 +95,13 @@ class DataSeeder {
     console.log('🛣️ Seeding routes...');
     this.routes = await Route.insertMany(routes);
     console.log(`✅ Created ${this.routes.length} routes`);
+
+    // Share stops that several routes pass through
+    this.stops = (await linkRouteStops(this.routes)).created;
+    for (const route of this.routes) {
+      await route.save();
+    }
+    console.log(`✅ Created ${this.stops.length} shared stops`);
   }
 
   /**
@@ -165,7 +194,7 @@ class DataSeeder {
             actualArrival,
             status,
             occupancy: Math.floor(Math.random() * bus.capacity * 0.8), // Random occupancy up to 80%
-            fare: route.calculateFare(bus.busType),
+            fare: route.calculateFare(bus.busType, { at: departureTime }),
             delay: actualDeparture ? Math.round((actualDeparture - departureTime) / 60000) : 0,
             currentWaypoint: status === 'in-progress' ? Math.floor(Math.random() * route.waypoints.length) : 0,
             driver: {
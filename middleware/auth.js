@@ -1,6 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+/**
+ * Token Resolution Helper
+ * Verifies a JWT (with or without the 'Bearer ' prefix) and loads its user------------------------------------getUserFromToken
+ */
+const getUserFromToken = async (token) => {
+  if (token.startsWith('Bearer ')) {
+    token = token.substring(7);
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.userId).select('-password');
+};
+
 /**
  * Authentication Middleware
  * Verifies JWT tokens and sets user information in request object----------------------------------------------------------authenticate
@@ -8,22 +21,14 @@ const User = require('../models/User');
 const authenticate = async (req, res, next) => {
   try {
     // Get token from header
-    let token = req.header('Authorization');
+    const token = req.header('Authorization');
     
     if (!token) {
       return res.status(401).json({ success: false, message: 'Access denied. No token provided.' });
     }
 
-    // Remove 'Bearer ' prefix if present
-    if (token.startsWith('Bearer ')) {
-      token = token.substring(7);
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
+    // Verify token and get user from database
+    const user = await getUserFromToken(token);
     
     if (!user) {
       return res.status(401).json({ success: false, message: 'Token is valid but user not found.' });
@@ -73,15 +78,13 @@ const authorize = (...roles) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    let token = req.header('Authorization');
+    const token = req.header('Authorization');
     
     if (!token || !token.startsWith('Bearer ')) {
       return next();
     }
 
-    token = token.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await getUserFromToken(token);
     
     if (user && user.isActive) {
       req.user = user;
@@ -158,7 +161,7 @@ const ensureBusOwnership = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate, authorize, optionalAuth, ensureOwnership, ensureBusOwnership };
+module.exports = { authenticate, authorize, optionalAuth, ensureOwnership, ensureBusOwnership, getUserFromToken };
 
 
 // const jwt = require('jsonwebtoken');
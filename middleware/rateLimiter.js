@@ -98,4 +98,20 @@ const createTripLimiter = rateLimit({
   handler: handleRateLimitError
 });
 
-module.exports = { generalLimiter, authLimiter, trackingLimiter, searchLimiter, adminLimiter, createTripLimiter };
\ No newline at end of file
+/**
+ * Booking Rate Limiting
+ * Stops a client from holding seat after seat----------------------------------------------------------------------bookingLimiter
+ */
+const bookingLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20, // allow 20 seat holds per 5 minutes
+  message: {
+    success: false,
+    message: 'Too many booking requests. Please wait before booking more seats.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: handleRateLimitError
+});
+
+module.exports = { generalLimiter, authLimiter, trackingLimiter, searchLimiter, adminLimiter, createTripLimiter, bookingLimiter };
\ No newline at end of file
@@ -109,7 +109,61 @@ const validateBus = [
 ];
 
 /**
- * Route Creation/Update Validation----------------------------------------------------------------------------------------validateRoute
+ * Seat Map Validation----------------------------------------------------------------------------------------------validateSeatMap
+ */
+const validateSeatMap = [
+  body('rows')
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Rows must be between 1 and 30'),
+
+  body('columns')
+    .isInt({ min: 2, max: 6 })
+    .withMessage('Columns must be between 2 and 6'),
+
+  body('aisleAfterColumn')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('aisleAfterColumn must be a positive integer')
+    .custom((value, { req }) => {
+      if (Number(value) >= Number(req.body.columns)) {
+        throw new Error('The aisle must come before the last column');
+      }
+      return true;
+    }),
+
+  body('seats')
+    .optional()
+    .isArray({ min: 10, max: 100 })
+    .withMessage('Seats must list between 10 and 100 seats'),
+
+  body(['seats.*.seatNumber', 'seats.*.row', 'seats.*.column'])
+    .isInt({ min: 1 })
+    .withMessage('Seat numbers, rows and columns must be positive integers'),
+
+  body('seats.*.category')
+    .optional()
+    .isIn(['standard', 'clergy', 'disabled', 'pregnant'])
+    .withMessage('Seat category must be one of: standard, clergy, disabled, pregnant'),
+
+  body('categories')
+    .optional()
+    .isObject()
+    .withMessage('Categories must map a category to seat numbers')
+    .custom((categories) => {
+      Object.entries(categories).forEach(([category, seatNumbers]) => {
+        if (!['standard', 'clergy', 'disabled', 'pregnant'].includes(category)) {
+          throw new Error('Seat category must be one of: standard, clergy, disabled, pregnant');
+        }
+        if (!Array.isArray(seatNumbers) || !seatNumbers.every(Number.isInteger)) {
+          throw new Error(`Seats for ${category} must be a list of seat numbers`);
+        }
+      });
+      return true;
+    })
+];
+
+/**
+ * Route Creation Validation---------------------------------------------------------------------------------------validateRoute
  */
 const validateRoute = [
   body('routeNumber')
@@ -133,10 +187,12 @@ const validateRoute = [
     .withMessage('Invalid start province'),
   
   body('startLocation.coordinates.latitude')
+    .if(body('startLocation.stopId').not().exists())
     .isFloat({ min: 5.5, max: 10.0 })
     .withMessage('Start latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
   
   body('startLocation.coordinates.longitude')
+    .if(body('startLocation.stopId').not().exists())
     .isFloat({ min: 79.0, max: 82.0 })
     .withMessage('Start longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
   
@@ -150,10 +206,12 @@ const validateRoute = [
     .withMessage('Invalid end province'),
   
   body('endLocation.coordinates.latitude')
+    .if(body('endLocation.stopId').not().exists())
     .isFloat({ min: 5.5, max: 10.0 })
     .withMessage('End latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
   
   body('endLocation.coordinates.longitude')
+    .if(body('endLocation.stopId').not().exists())
     .isFloat({ min: 79.0, max: 82.0 })
     .withMessage('End longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
   
@@ -179,7 +237,179 @@ const validateRoute = [
   
   body('baseFare')
     .isFloat({ min: 10, max: 5000 })
-    .withMessage('Base fare must be between Rs. 10 and Rs. 5000')
+    .withMessage('Base fare must be between Rs. 10 and Rs. 5000'),
+
+  body(['startLocation.stopId', 'endLocation.stopId', 'waypoints.*.stopId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid stop ID'),
+
+  body('waypoints.*.fareStage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Fare stage must be a non-negative integer')
+];
+
+/**
+ * Route Update Validation----------------------------------------------------------------------------------------validateRouteUpdate
+ */
+const validateRouteUpdate = [
+  // Fares are versioned from an effective date, so they have their own endpoint rather than being overwritten here
+  body(['baseFare', 'fareTables', 'fareVersions'])
+    .not()
+    .exists()
+    .withMessage('Fares cannot be changed here. Use PUT /api/routes/:id/fares')
+];
+
+/**
+ * Route Fare Tables Validation-----------------------------------------------------------------------------validateRouteFares
+ */
+const validateRouteFares = [
+  body('fareTables')
+    .if(body('baseFare').not().exists())
+    .exists()
+    .withMessage('Fare tables or a base fare are required'),
+
+  body('fareTables')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('Fare tables must be a list with at most one table per bus type'),
+
+  body('fareTables.*.busType')
+    .isIn(['normal', 'semi-luxury', 'luxury', 'air-conditioned'])
+    .withMessage('Bus type must be one of: normal, semi-luxury, luxury, air-conditioned'),
+
+  body('fareTables.*.stageFares')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Stage fares must list between 1 and 500 fares'),
+
+  body('fareTables.*.stageFares.*')
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Stage fares must be between Rs. 0 and Rs. 10000'),
+
+  body('baseFare')
+    .optional()
+    .isFloat({ min: 10, max: 5000 })
+    .withMessage('Base fare must be between Rs. 10 and Rs. 5000'),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid effective date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Effective date must be in the future');
+      }
+      return true;
+    })
+];
+
+/**
+ * Fare Revision Validation-------------------------------------------------------------------------------validateFareRevision
+ */
+const validateFareRevision = [
+  body('percentage')
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('Percentage must be between -50 and 100')
+    .bail()
+    .custom((value) => {
+      if (Number(value) === 0) throw new Error('Percentage cannot be 0');
+      return true;
+    }),
+
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Invalid effective date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Effective date must be in the future');
+      }
+      return true;
+    }),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  body('routeIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('routeIds must list between 1 and 500 routes'),
+
+  body('routeIds.*')
+    .isMongoId()
+    .withMessage('Invalid route ID'),
+
+  body('routeType')
+    .optional()
+    .isIn(['express', 'semi-express', 'normal'])
+    .withMessage('Route type must be one of: express, semi-express, normal'),
+
+  body('province')
+    .optional()
+    .isIn(['Western', 'Central', 'Southern', 'Northern', 'Eastern', 'North Western', 'North Central', 'Uva', 'Sabaragamuwa'])
+    .withMessage('Invalid province'),
+
+  body('preview')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Preview must be true or false')
+];
+
+/**
+ * Fare Query Validation-----------------------------------------------------------------------------------validateFareQuery
+ */
+const validateFareQuery = [
+  query(['from', 'to'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('From and to must be a stop ID or name of up to 100 characters'),
+
+  query('busType')
+    .optional()
+    .isIn(['normal', 'semi-luxury', 'luxury', 'air-conditioned'])
+    .withMessage('Bus type must be one of: normal, semi-luxury, luxury, air-conditioned'),
+
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('At must be a valid ISO 8601 date-time')
+];
+
+/**
+ * Timetable Generation Validation-----------------------------------------------------------------------validateTimetableGeneration
+ */
+const validateTimetableGeneration = [
+  body(['from', 'to'])
+    .matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+    .withMessage('From and to must be dates in YYYY-MM-DD format')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('From and to must be valid dates'),
+
+  body('to')
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.body.from)) / (24 * 60 * 60 * 1000);
+      if (!(days >= 0)) throw new Error('To must not be before from');
+      if (days > 31) throw new Error('A timetable can cover at most 31 days');
+      return true;
+    }),
+
+  body('busIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('busIds must list between 1 and 50 buses'),
+
+  body('busIds.*')
+    .isMongoId()
+    .withMessage('Invalid bus ID'),
+
+  body('preview')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Preview must be true or false')
 ];
 
 /**
@@ -205,6 +435,7 @@ const validateTrip = [
     }),
   
   body('estimatedArrival')
+    .optional()
     .isISO8601()
     .withMessage('Invalid estimated arrival time format')
     .custom((value, { req }) => {
@@ -215,6 +446,7 @@ const validateTrip = [
     }),
   
   body('fare')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Fare must be a positive number'),
   
@@ -231,11 +463,208 @@ const validateTrip = [
     .withMessage('License number cannot exceed 20 characters'),
   
   body('driver.contactNumber')
+    .optional()
+    .matches(/^(\+94|0)[0-9]{9}$/)
+    .withMessage('Invalid phone number format'),
+
+  body('overrideConflicts')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('overrideConflicts must be a boolean')
+];
+
+/**
+ * Trip Template Validation---------------------------------------------------------------------------------validateTripTemplate
+ */
+const validateTripTemplate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+
+  body('routeId')
+    .isMongoId()
+    .withMessage('Invalid route ID'),
+
+  body('busId')
+    .isMongoId()
+    .withMessage('Invalid bus ID'),
+
+  body('departureTime')
+    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Departure time format should be HH:MM'),
+
+  body('daysOfWeek')
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week run from 0 (Sunday) to 6 (Saturday)'),
+
+  body('holidays')
+    .optional()
+    .isIn(['normal', 'skip', 'also', 'only'])
+    .withMessage('Holidays must be one of: normal, skip, also, only'),
+
+  body('holidayTypes.*')
+    .isIn(['poya', 'public'])
+    .withMessage('Holiday types must be poya or public'),
+
+  body(['validFrom', 'validUntil', 'exceptions.*.date'])
+    .optional()
+    .matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+
+  body('validFrom')
+    .notEmpty()
+    .withMessage('Valid from date is required'),
+
+  body('exceptions.*.type')
+    .isIn(['added', 'removed'])
+    .withMessage('Exception type must be either added or removed')
+];
+
+/**
+ * Template Materialize Validation-----------------------------------------------------------------validateTemplateMaterialize
+ */
+const validateTemplateMaterialize = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Days must be between 1 and 60')
+];
+
+/**
+ * Holiday Validation-------------------------------------------------------------------------------------------validateHoliday
+ */
+const validateHoliday = [
+  body('date')
+    .matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Holiday name must be between 2 and 100 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['poya', 'public'])
+    .withMessage('Holiday type must be either poya or public')
+];
+
+/**
+ * Booking Validation---------------------------------------------------------------------------------------------validateBooking
+ */
+const validateBooking = [
+  body('tripId')
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+
+  body('seats')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Seats must be a list of 1 to 10 seat numbers')
+    .custom((seats) => {
+      if (new Set(seats.map(String)).size !== seats.length) {
+        throw new Error('Seats cannot repeat');
+      }
+      return true;
+    }),
+
+  body('seats.*')
+    .isInt({ min: 1 })
+    .withMessage('Seat numbers must be positive integers'),
+
+  body('seatCount')
+    .if(body('seats').not().exists())
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Either seats or a seatCount between 1 and 10 is required'),
+
+  body(['from', 'to'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('From and to must be a stop ID or name of up to 100 characters'),
+
+  body('passenger.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Passenger name cannot exceed 100 characters'),
+
+  body('passenger.contactNumber')
     .optional()
     .matches(/^(\+94|0)[0-9]{9}$/)
     .withMessage('Invalid phone number format')
 ];
 
+/**
+ * Booking Confirmation Validation-------------------------------------------------------------------------validateBookingConfirm
+ */
+const validateBookingConfirm = [
+  body('paymentReference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payment reference must be between 1 and 100 characters')
+];
+
+/**
+ * Booking Cancellation Validation--------------------------------------------------------------------------validateBookingCancel
+ */
+const validateBookingCancel = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Cancellation reason cannot exceed 200 characters')
+];
+
+/**
+ * Booking Query Validation-------------------------------------------------------------------------------validateBookingQuery
+ */
+const validateBookingQuery = [
+  query('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+
+  query('status')
+    .optional()
+    .isIn(['held', 'confirmed', 'cancelled', 'expired'])
+    .withMessage('Status must be one of: held, confirmed, cancelled, expired')
+];
+
+/**
+ * Ticket Scan Validation--------------------------------------------------------------------------------------validateTicketScan
+ */
+const validateTicketScan = [
+  body('qrPayload')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('qrPayload is required'),
+
+  body('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+
+  body('scannedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid scan time format')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Scan time cannot be in the future');
+      }
+      return true;
+    })
+];
+
 /**
  * Location Update Validation-------------------------------------------------------------------------------------validateLocationUpdate
  */
@@ -259,6 +688,389 @@ const validateLocationUpdate = [
     .withMessage('Heading must be between 0 and 360 degrees')
 ];
 
+/**
+ * Batched Location Update Validation
+ * Individual fixes are checked by the controller so each one gets its own result-------------------------validateLocationBatch
+ */
+const validateLocationBatch = [
+  body('busId')
+    .isMongoId()
+    .withMessage('Invalid bus ID'),
+
+  body('fixes')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Fixes must be an array of 1 to 500 items')
+];
+
+/**
+ * Freshness Filter Validation---------------------------------------------------------------------------------validateFreshnessQuery
+ */
+const validateFreshnessQuery = [
+  query('freshness')
+    .optional()
+    .custom(value => value.split(',').every(state => ['live', 'delayed', 'stale', 'offline'].includes(state.trim())))
+    .withMessage('Freshness must be a comma separated list of: live, delayed, stale, offline')
+];
+
+/**
+ * Nearby Buses Query Validation----------------------------------------------------------------------------------validateNearbyQuery
+ */
+const validateNearbyQuery = [
+  query('latitude')
+    .isFloat({ min: 5.5, max: 10.0 })
+    .withMessage('Latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
+
+  query('longitude')
+    .isFloat({ min: 79.0, max: 82.0 })
+    .withMessage('Longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
+
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: 200 })
+    .withMessage('Radius must be between 0.1 and 200 km'),
+
+  query('busType')
+    .optional()
+    .isIn(['normal', 'semi-luxury', 'luxury', 'air-conditioned'])
+    .withMessage('Bus type must be one of: normal, semi-luxury, luxury, air-conditioned'),
+
+  query('routeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid route ID'),
+
+  ...validateFreshnessQuery
+];
+
+/**
+ * Stop Validation---------------------------------------------------------------------------------------------------validateStop
+ */
+const validateStop = [
+  body('code')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{2,30}$/)
+    .withMessage('Stop code can only contain letters, numbers and hyphens (2-30 characters)'),
+
+  body('name.en')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Stop name must be between 2 and 100 characters'),
+
+  body(['name.si', 'name.ta'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Translated stop names cannot exceed 100 characters'),
+
+  body('coordinates.latitude')
+    .isFloat({ min: 5.5, max: 10.0 })
+    .withMessage('Latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
+
+  body('coordinates.longitude')
+    .isFloat({ min: 79.0, max: 82.0 })
+    .withMessage('Longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
+
+  body('amenities')
+    .optional()
+    .isArray()
+    .withMessage('Amenities must be an array'),
+
+  body('amenities.*')
+    .isIn(['shelter', 'seating', 'toilets', 'lighting', 'ticket-counter', 'parking', 'wheelchair-access', 'food'])
+    .withMessage('Amenity must be one of: shelter, seating, toilets, lighting, ticket-counter, parking, wheelchair-access, food')
+];
+
+/**
+ * Nearby Stops Validation-------------------------------------------------------------------------------------validateNearbyStops
+ */
+const validateNearbyStops = [
+  query('latitude')
+    .isFloat({ min: 5.5, max: 10.0 })
+    .withMessage('Latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
+
+  query('longitude')
+    .isFloat({ min: 79.0, max: 82.0 })
+    .withMessage('Longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
+
+  query('radius')
+    .optional()
+    .isInt({ min: 50, max: 5000 })
+    .withMessage('Radius must be between 50 and 5000 metres'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Journey Planner Validation--------------------------------------------------------------------------------validateJourneyQuery
+ */
+const validateJourneyQuery = [
+  query(['from', 'to'])
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('From and to must be a stop ID, stop name or city (2-100 characters)'),
+
+  query('to')
+    .custom((value, { req }) => String(value).toLowerCase() !== String(req.query.from).toLowerCase())
+    .withMessage('From and to must be different places'),
+
+  query('departAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('departAfter must be a valid ISO 8601 date-time'),
+
+  query('maxTransfers')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('maxTransfers must be between 0 and 3'),
+
+  query('minTransferTime')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('minTransferTime must be between 0 and 120 minutes'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+];
+
+/**
+ * Stop Arrivals Validation-------------------------------------------------------------------------------------validateStopArrivals
+ */
+const validateStopArrivals = [
+  param('waypointIndex')
+    .isInt({ min: 0 })
+    .withMessage('Waypoint index must be a non-negative integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Location History Query Validation-----------------------------------------------------------------------------validateHistoryQuery
+ */
+const validateHistoryQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date-time'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date-time'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Limit must be between 1 and 5000')
+];
+
+/**
+ * Tracking Alert Query Validation-------------------------------------------------------------------------------validateAlertQuery
+ */
+const validateAlertQuery = [
+  query('status')
+    .optional()
+    .isIn(['active', 'cleared'])
+    .withMessage('Status must be either active or cleared'),
+
+  query('type')
+    .optional()
+    .isIn(['route-deviation', 'signal-lost'])
+    .withMessage('Type must be route-deviation or signal-lost'),
+
+  query('busId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid bus ID'),
+
+  query('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date-time'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date-time'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+];
+
+/**
+ * ETA Model Rebuild Validation-----------------------------------------------------------------------------------validateEtaRebuild
+ */
+const validateEtaRebuild = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+];
+
+/**
+ * Trip Replay Query Validation-----------------------------------------------------------------------------------validateReplayQuery
+ */
+const validateReplayQuery = [
+  query('speed')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Speed must be between 1 and 100')
+];
+
+/**
+ * Geofence Validation---------------------------------------------------------------------------------------------validateGeofence
+ */
+const validateGeofence = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Geofence name must be between 2 and 100 characters'),
+
+  body('category')
+    .optional()
+    .isIn(['terminal', 'depot', 'other'])
+    .withMessage('Category must be one of: terminal, depot, other'),
+
+  body('shape')
+    .isIn(['circle', 'polygon'])
+    .withMessage('Shape must be either circle or polygon'),
+
+  body('center.latitude')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: 5.5, max: 10.0 })
+    .withMessage('Center latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
+
+  body('center.longitude')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: 79.0, max: 82.0 })
+    .withMessage('Center longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
+
+  body('radius')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: 20, max: 5000 })
+    .withMessage('Radius must be between 20 and 5000 metres'),
+
+  body('polygon')
+    .if(body('shape').equals('polygon'))
+    .isArray({ min: 3 })
+    .withMessage('Polygon must have at least 3 points'),
+
+  body('polygon.*.latitude')
+    .isFloat({ min: 5.5, max: 10.0 })
+    .withMessage('Polygon latitude must be within Sri Lanka bounds (5.5 to 10.0)'),
+
+  body('polygon.*.longitude')
+    .isFloat({ min: 79.0, max: 82.0 })
+    .withMessage('Polygon longitude must be within Sri Lanka bounds (79.0 to 82.0)'),
+
+  body('tripAutomation')
+    .optional()
+    .isBoolean()
+    .withMessage('Trip automation must be a boolean')
+];
+
+/**
+ * Geofence Event Query Validation----------------------------------------------------------------------validateGeofenceEventQuery
+ */
+const validateGeofenceEventQuery = [
+  query('geofenceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid geofence ID'),
+
+  query('busId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid bus ID'),
+
+  query('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+
+  query('type')
+    .optional()
+    .isIn(['enter', 'exit'])
+    .withMessage('Type must be either enter or exit'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date-time'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date-time'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+];
+
+/**
+ * GTFS Export Validation----------------------------------------------------------------------------------------validateGtfsExport
+ */
+const validateGtfsExport = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date-time'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date-time')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) <= new Date(req.query.from)) {
+        throw new Error('To must be after from');
+      }
+      return true;
+    }),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Days must be between 1 and 366')
+];
+
+/**
+ * GTFS Import Validation----------------------------------------------------------------------------------------validateGtfsImport
+ */
+const validateGtfsImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dryRun must be true or false')
+];
+
+/**
+ * GTFS-Realtime Feed Validation----------------------------------------------------------------------------validateGtfsRealtimeQuery
+ */
+const validateGtfsRealtimeQuery = [
+  query('format')
+    .optional()
+    .isIn(['protobuf', 'json'])
+    .withMessage('Format must be either protobuf or json')
+];
+
 /**
  * MongoDB ObjectID Validation------------------------------------------------------------------------------------------validateObjectId
  */
@@ -288,4 +1100,4 @@ const validatePagination = [
     .withMessage('Sort format should be: field1,field2,...')
 ];
 
-module.exports = { validateUserRegistration, validateUserLogin, validateBus, validateRoute, validateTrip, validateLocationUpdate, validateObjectId, validatePagination };
\ No newline at end of file
+module.exports = { validateUserRegistration, validateUserLogin, validateBus, validateSeatMap, validateRoute, validateRouteUpdate, validateRouteFares, validateFareRevision, validateFareQuery, validateTimetableGeneration, validateTrip, validateTripTemplate, validateTemplateMaterialize, validateHoliday, validateBooking, validateBookingConfirm, validateBookingCancel, validateBookingQuery, validateTicketScan, validateLocationUpdate, validateLocationBatch, validateNearbyQuery, validateFreshnessQuery, validateStop, validateNearbyStops, validateJourneyQuery, validateStopArrivals, validateHistoryQuery, validateAlertQuery, validateEtaRebuild, validateReplayQuery, validateGeofence, validateGeofenceEventQuery, validateGtfsExport, validateGtfsImport, validateGtfsRealtimeQuery, validateObjectId, validatePagination };
\ No newline at end of file
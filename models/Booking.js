@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Booking Schema for Seat Reservations
+ * A booking holds seats on a trip until it is confirmed (paid) or the hold expires
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Booking:
+ *       type: object
+ *       required:
+ *         - tripId
+ *         - seats
+ *       properties:
+ *         bookingReference:
+ *           type: string
+ *           example: "BK-7F3A9C2E"
+ *         tripId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         seats:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [5, 6]
+ *         passenger:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             contactNumber:
+ *               type: string
+ *         boarding:
+ *           $ref: '#/components/schemas/BookingStop'
+ *         alighting:
+ *           $ref: '#/components/schemas/BookingStop'
+ *         farePerSeat:
+ *           type: number
+ *           description: Stage fare between the boarding and alighting stops (the trip fare for the whole route)
+ *         totalAmount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [held, confirmed, cancelled, expired]
+ *         holdExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Held seats are released at this time unless the booking is confirmed
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         paymentReference:
+ *           type: string
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ *         refundPercentage:
+ *           type: number
+ *         refundAmount:
+ *           type: number
+ *     BookingStop:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Kadawatha"
+ *         stopId:
+ *           type: string
+ *         stopSequence:
+ *           type: integer
+ *           description: Position of the stop on the route (1 = start)
+ */
+// Stop of the route where the passenger boards or alights
+const bookingStopSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  stopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop' },
+  stopSequence: { type: Number, min: 1 }
+}, { _id: false });
+
+const bookingSchema = new mongoose.Schema({
+  bookingReference: { type: String, unique: true, default: () => `BK-${crypto.randomBytes(4).toString('hex').toUpperCase()}` },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: [true, 'Trip ID is required'] },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'User ID is required'] },
+  seats: { type: [{ type: Number, min: [1, 'Seat numbers start at 1'] }],
+    validate: {
+      validator: seats => seats.length > 0 && new Set(seats).size === seats.length,
+      message: 'At least one seat is required and seats cannot repeat'
+    }
+  },
+  passenger: { name: { type: String, trim: true, maxlength: [100, 'Passenger name cannot exceed 100 characters'] }, contactNumber: { type: String, match: [/^(\+94|0)[0-9]{9}$/, 'Invalid phone number format'] } },
+  boarding: bookingStopSchema,
+  alighting: bookingStopSchema,
+  farePerSeat: { type: Number, required: [true, 'Fare per seat is required'], min: [0, 'Fare cannot be negative'] },
+  totalAmount: { type: Number, required: [true, 'Total amount is required'], min: [0, 'Total amount cannot be negative'] },
+  status: { type: String,
+    enum: {
+      values: ['held', 'confirmed', 'cancelled', 'expired'],
+      message: 'Status must be one of: held, confirmed, cancelled, expired'
+    },
+    default: 'held'
+  },
+  // True while the booking keeps its seats (held or confirmed), for the unique seat index
+  active: { type: Boolean, default: true },
+  holdExpiresAt: { type: Date, required: [true, 'Hold expiry is required'] },
+  confirmedAt: { type: Date },
+  paymentReference: { type: String, trim: true },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String, trim: true, maxlength: [200, 'Cancellation reason cannot exceed 200 characters'] },
+  refundPercentage: { type: Number, min: 0, max: 100 },
+  refundAmount: { type: Number, min: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookingSchema.index({ userId: 1, createdAt: -1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+// A seat can only be held or sold once per trip: concurrent bookings of the same seat fail with a duplicate key error
+bookingSchema.index({ tripId: 1, seats: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Pre-validate middleware to keep active in line with the status
+bookingSchema.pre('validate', function(next) {
+  this.active = ['held', 'confirmed'].includes(this.status);
+  next();
+});
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
 
 /**
  * Bus Schema for the Inter-Provincial Bus Tracking System
@@ -34,13 +35,73 @@ const mongoose = require('mongoose');
  *               type: number
  *             longitude:
  *               type: number
+ *             point:
+ *               $ref: '#/components/schemas/GeoPoint'
  *             lastUpdated:
  *               type: string
  *               format: date-time
+ *         seatMap:
+ *           $ref: '#/components/schemas/SeatMap'
  *         status:
  *           type: string
  *           enum: [active, inactive, maintenance]
+ *     SeatMap:
+ *       type: object
+ *       description: Seat layout of a bus. When it is set the bus capacity is the number of seats.
+ *       properties:
+ *         rows:
+ *           type: integer
+ *           example: 14
+ *         columns:
+ *           type: integer
+ *           example: 3
+ *         aisleAfterColumn:
+ *           type: integer
+ *           description: The aisle runs between this column and the next
+ *           example: 2
+ *         seats:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               seatNumber:
+ *                 type: integer
+ *               row:
+ *                 type: integer
+ *               column:
+ *                 type: integer
+ *               category:
+ *                 type: string
+ *                 enum: [standard, clergy, disabled, pregnant]
  */
+
+// Seat categories: seats can be reserved for clergy, disabled passengers and pregnant mothers
+const SEAT_CATEGORIES = ['standard', 'clergy', 'disabled', 'pregnant'];
+
+// Seats either side of the aisle by bus type, for buses without a seat map of their own
+const SEATS_PER_ROW = {
+  normal: [2, 3],
+  'semi-luxury': [2, 2],
+  'air-conditioned': [2, 2],
+  luxury: [2, 1]
+};
+
+// Seat of a bus seat map
+const seatSchema = new mongoose.Schema({
+  seatNumber: { type: Number, required: [true, 'Seat number is required'], min: [1, 'Seat numbers start at 1'] },
+  row: { type: Number, required: [true, 'Seat row is required'], min: [1, 'Rows start at 1'] },
+  column: { type: Number, required: [true, 'Seat column is required'], min: [1, 'Columns start at 1'] },
+  category: { type: String, enum: { values: SEAT_CATEGORIES, message: `Seat category must be one of: ${SEAT_CATEGORIES.join(', ')}` }, default: 'standard' }
+}, { _id: false });
+
+// Seat layout of a bus: a grid of rows and columns with an aisle, and the seats placed on it
+const seatMapSchema = new mongoose.Schema({
+  rows: { type: Number, required: [true, 'Seat map rows are required'], min: [1, 'A seat map needs at least 1 row'], max: [30, 'A seat map cannot have more than 30 rows'] },
+  columns: { type: Number, required: [true, 'Seat map columns are required'], min: [2, 'A seat map needs at least 2 columns'], max: [6, 'A seat map cannot have more than 6 columns'] },
+  aisleAfterColumn: { type: Number, required: [true, 'Aisle position is required'], min: [1, 'The aisle must come after column 1 or later'] },
+  seats: [seatSchema]
+}, { _id: false });
+
 const busSchema = new mongoose.Schema({
   busNumber: { type: String, required: [true, 'Bus number is required'], unique: true, trim: true, uppercase: true, match: [/^[A-Z]{2,3}-[0-9]{4}$/, 'Bus number format should be like: ABC-1234'] },
   operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'Operator ID is required'], validate: {
@@ -52,7 +113,15 @@ const busSchema = new mongoose.Schema({
       message: 'Invalid operator ID or user is not an operator'
     }
   },
-  capacity: { type: Number, required: [true, 'Bus capacity is required'], min: [10, 'Bus capacity must be at least 10'], max: [100, 'Bus capacity cannot exceed 100'] },
+  capacity: { type: Number, required: [true, 'Bus capacity is required'], min: [10, 'Bus capacity must be at least 10'], max: [100, 'Bus capacity cannot exceed 100'],
+    validate: {
+      validator: function(capacity) {
+        // A bus with a seat map holds exactly its seats (updates are checked by the findOneAndUpdate hook below)
+        return !this.seatMap || this.seatMap.seats.length === 0 || capacity === this.seatMap.seats.length;
+      },
+      message: 'Capacity must match the number of seats in the seat map'
+    }
+  },
   busType: { type: String, required: [true, 'Bus type is required'], enum: { values: ['normal', 'semi-luxury', 'luxury', 'air-conditioned'], message: 'Bus type must be one of: normal, semi-luxury, luxury, air-conditioned' } },
   currentLocation: { latitude: { type: Number, min: [-90, 'Latitude must be between -90 and 90'], max: [90, 'Latitude must be between -90 and 90']},
     longitude: {
@@ -74,8 +143,14 @@ const busSchema = new mongoose.Schema({
       min: 0,
       max: 360,
       default: 0
+    },
+    // GeoJSON mirror of latitude/longitude, maintained by the hooks below
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
     }
   },
+  insideGeofences: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Geofence' }],
   status: { type: String, enum: { values: ['active', 'inactive', 'maintenance'], message: 'Status must be either active, inactive, or maintenance' }, default: 'active' },
   specifications: { make: { type: String, trim: true },
     model: {
@@ -93,6 +168,7 @@ const busSchema = new mongoose.Schema({
       default: 'diesel'
     }
   },
+  seatMap: { type: seatMapSchema, default: undefined },
   features: [{ type: String, enum: ['wifi', 'charging-ports', 'gps', 'cctv', 'air-conditioning', 'entertainment-system'] }],
   lastMaintenance: { type: Date },
   nextMaintenanceDue: { type: Date },
@@ -109,6 +185,7 @@ busSchema.index({ operatorId: 1 });
 busSchema.index({ status: 1 });
 busSchema.index({ 'currentLocation.lastUpdated': -1 });
 busSchema.index({ 'currentLocation.latitude': 1, 'currentLocation.longitude': 1 });
+busSchema.index({ 'currentLocation.point': '2dsphere' });
 
 // Virtual for operator details
 busSchema.virtual('operator', { ref: 'User', localField: 'operatorId', foreignField: '_id', justOne: true });
@@ -117,8 +194,8 @@ busSchema.virtual('operator', { ref: 'User', localField: 'operatorId', foreignFi
 busSchema.virtual('currentTrips', { ref: 'Trip', localField: '_id', foreignField: 'busId', match: { status: { $in: ['scheduled', 'in-progress'] } } });
 
 // Instance method to update location
-busSchema.methods.updateLocation = function(latitude, longitude, speed = 0, heading = 0) {
-  this.currentLocation = { latitude, longitude, speed, heading, lastUpdated: new Date() };
+busSchema.methods.updateLocation = function(latitude, longitude, speed = 0, heading = 0, recordedAt = new Date()) {
+  this.currentLocation = { latitude, longitude, speed, heading, lastUpdated: recordedAt };
   return this.save();
 };
 
@@ -129,21 +206,88 @@ busSchema.methods.isOnTrip = async function() {
   return !!activeTrip;
 };
 
-// Static method to find buses within a radius
-busSchema.statics.findNearby = function(latitude, longitude, radiusInKm = 10) {
-  const radiusInRadians = radiusInKm / 6371; // Earth's radius in km
-  
-  return this.find({
-    'currentLocation.latitude': {
-      $gte: latitude - radiusInRadians,
-      $lte: latitude + radiusInRadians
-    },
-    'currentLocation.longitude': {
-      $gte: longitude - radiusInRadians,
-      $lte: longitude + radiusInRadians
+// Instance method to get the seat layout: the bus's seat map, or one laid out from its capacity and type
+// Each seat gets its position (window, aisle or middle)
+busSchema.methods.getSeatMap = function() {
+  const custom = Boolean(this.seatMap && this.seatMap.seats.length > 0);
+  const { rows, columns, aisleAfterColumn, seats } = custom ? this.seatMap.toObject() : this.constructor.buildSeatMap(this.capacity, this.busType);
+
+  return {
+    custom,
+    capacity: seats.length,
+    rows,
+    columns,
+    aisleAfterColumn,
+    seats: [...seats].sort((a, b) => a.seatNumber - b.seatNumber).map(seat => {
+      const window = seat.column === 1 || seat.column === columns;
+      const aisle = seat.column === aisleAfterColumn || seat.column === aisleAfterColumn + 1;
+
+      return { ...seat, position: window ? 'window' : aisle ? 'aisle' : 'middle' };
+    })
+  };
+};
+
+// Static method to lay out seats row by row, left to right, for a capacity and bus type
+busSchema.statics.buildSeatMap = function(capacity, busType = 'normal') {
+  const [left, right] = SEATS_PER_ROW[busType] || SEATS_PER_ROW.normal;
+  const columns = left + right;
+
+  return {
+    rows: Math.ceil(capacity / columns),
+    columns,
+    aisleAfterColumn: left,
+    seats: Array.from({ length: capacity }, (_, index) => ({
+      seatNumber: index + 1,
+      row: Math.floor(index / columns) + 1,
+      column: (index % columns) + 1,
+      category: 'standard'
+    }))
+  };
+};
+
+// Static method to describe what is wrong with a seat map, or null when it is consistent
+busSchema.statics.checkSeatMap = function(seatMap) {
+  if (seatMap.aisleAfterColumn >= seatMap.columns) return 'The aisle must come before the last column';
+
+  const outside = seatMap.seats.filter(seat => seat.row > seatMap.rows || seat.column > seatMap.columns);
+  if (outside.length > 0) return `Seats ${outside.map(seat => seat.seatNumber).join(', ')} are outside the ${seatMap.rows} x ${seatMap.columns} grid`;
+
+  const numbers = new Set(seatMap.seats.map(seat => seat.seatNumber));
+  if (numbers.size !== seatMap.seats.length) return 'Seat numbers cannot repeat';
+
+  const places = new Set(seatMap.seats.map(seat => `${seat.row}:${seat.column}`));
+  if (places.size !== seatMap.seats.length) return 'Two seats cannot share a row and column';
+
+  return null;
+};
+
+// Static method to find buses within a radius, nearest first
+// Resolves to plain objects with `distance` in kilometers
+busSchema.statics.findNearby = function(latitude, longitude, radiusInKm = 10, filters = {}) {
+  const query = { status: 'active', isActive: true };
+
+  if (filters.busType) {
+    query.busType = filters.busType;
+  }
+
+  if (filters.busIds) {
+    query._id = { $in: filters.busIds };
+  }
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(latitude, longitude),
+        key: 'currentLocation.point',
+        distanceField: 'distance',
+        maxDistance: radiusInKm * 1000,
+        spherical: true,
+        query
+      }
     },
-    status: 'active'
-  });
+    { $set: { distance: { $round: [{ $divide: ['$distance', 1000] }, 2] } } },
+    { $project: { __v: 0 } }
+  ]);
 };
 
 // Static method to find buses by operator
@@ -160,4 +304,60 @@ busSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-validate middleware to check the seat map and take the capacity from it
+busSchema.pre('validate', function(next) {
+  if (!this.seatMap || this.seatMap.seats.length === 0) return next();
+
+  const problem = this.constructor.checkSeatMap(this.seatMap);
+  if (problem) {
+    this.invalidate('seatMap', problem);
+  } else if (this.isModified('seatMap') && !this.isModified('capacity')) {
+    this.capacity = this.seatMap.seats.length;
+  }
+  next();
+});
+
+// Pre-validate middleware to keep the GeoJSON point in sync with latitude/longitude
+busSchema.pre('validate', function(next) {
+  if (this.isModified('currentLocation.latitude') || this.isModified('currentLocation.longitude')) {
+    this.currentLocation.point = toGeoPoint(this.currentLocation.latitude, this.currentLocation.longitude);
+  }
+  next();
+});
+
+// Pre-update middleware doing the same for findOneAndUpdate (e.g. PUT /api/buses/:id)
+busSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    if (fields.currentLocation) {
+      fields.currentLocation.point = toGeoPoint(fields.currentLocation.latitude, fields.currentLocation.longitude);
+    } else if ('currentLocation.latitude' in fields && 'currentLocation.longitude' in fields) {
+      fields['currentLocation.point'] = toGeoPoint(fields['currentLocation.latitude'], fields['currentLocation.longitude']);
+    }
+  });
+  next();
+});
+
+// Pre-update middleware checking a new capacity against the bus's seat map, which update validators cannot see
+busSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const capacity = [update, update.$set].filter(Boolean).map(fields => fields.capacity).find(value => value !== undefined);
+  if (capacity === undefined) return;
+
+  const bus = await this.model.findOne(this.getFilter()).select('seatMap');
+  if (bus && bus.seatMap && bus.seatMap.seats.length > 0 && Number(capacity) !== bus.seatMap.seats.length) {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('capacity', new mongoose.Error.ValidatorError({
+      path: 'capacity',
+      message: `Capacity is set by the seat map (${bus.seatMap.seats.length} seats). Update the seat map instead.`,
+      value: capacity
+    }));
+    throw error;
+  }
+});
+
+// Seat categories, for validation
+busSchema.statics.SEAT_CATEGORIES = SEAT_CATEGORIES;
+
 module.exports = mongoose.model('Bus', busSchema);
\ No newline at end of file
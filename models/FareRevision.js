@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fare Revision Schema for NTC Fare Changes
+ * Records a percentage change applied to the fares of a set of routes from a given date
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     FareRevision:
+ *       type: object
+ *       properties:
+ *         percentage:
+ *           type: number
+ *           description: Change applied to every fare (negative for a reduction)
+ *           example: 4.5
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *           example: "NTC annual fare revision"
+ *         filter:
+ *           type: object
+ *           description: Routes the revision was applied to (every active route when empty)
+ *           properties:
+ *             routeIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             routeType:
+ *               type: string
+ *               enum: [express, semi-express, normal]
+ *             province:
+ *               type: string
+ *         routes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               routeId:
+ *                 type: string
+ *               routeNumber:
+ *                 type: string
+ *               baseFareBefore:
+ *                 type: number
+ *               baseFareAfter:
+ *                 type: number
+ *               fareTables:
+ *                 type: integer
+ *                 description: Number of stage fare tables revised
+ *         tripsRepriced:
+ *           type: integer
+ *           description: Scheduled trips departing from effectiveFrom on whose fare was updated
+ *         tripsSkipped:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Scheduled trips left at a fare set by hand (one that differs from the route's fare before the revision)
+ *         appliedBy:
+ *           type: string
+ */
+const fareRevisionSchema = new mongoose.Schema({
+  percentage: { type: Number, required: [true, 'Percentage is required'], min: [-50, 'Fares cannot be cut by more than 50%'], max: [100, 'Fares cannot be raised by more than 100%'] },
+  effectiveFrom: { type: Date, required: [true, 'Effective date is required'] },
+  reason: { type: String, trim: true, maxlength: [200, 'Reason cannot exceed 200 characters'] },
+  filter: {
+    routeIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Route' }], default: undefined },
+    routeType: { type: String, enum: ['express', 'semi-express', 'normal'] },
+    province: { type: String }
+  },
+  routes: [{
+    _id: false,
+    routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+    routeNumber: { type: String },
+    baseFareBefore: { type: Number },
+    baseFareAfter: { type: Number },
+    fareTables: { type: Number, default: 0 }
+  }],
+  tripsRepriced: { type: Number, default: 0 },
+  tripsSkipped: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Trip' }],
+  appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+fareRevisionSchema.index({ effectiveFrom: -1 });
+
+module.exports = mongoose.model('FareRevision', fareRevisionSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { calculateDistance, isPointInPolygon } = require('../utils/geo');
+
+/**
+ * Geofence Schema for Depots and Terminals
+ * A circle or polygon area; buses crossing its boundary produce enter/exit events
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Geofence:
+ *       type: object
+ *       required:
+ *         - name
+ *         - shape
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Pettah Central Bus Stand"
+ *         category:
+ *           type: string
+ *           enum: [terminal, depot, other]
+ *         city:
+ *           type: string
+ *           description: City served, matched against route start/end cities for trip automation
+ *           example: "Colombo"
+ *         shape:
+ *           type: string
+ *           enum: [circle, polygon]
+ *         center:
+ *           type: object
+ *           description: Circle centre (circle only)
+ *           properties:
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *         radius:
+ *           type: number
+ *           description: Circle radius in metres (circle only)
+ *         polygon:
+ *           type: array
+ *           description: Polygon vertices, at least 3 (polygon only)
+ *           items:
+ *             type: object
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *         tripAutomation:
+ *           type: boolean
+ *           description: Auto-start trips leaving this terminal and auto-complete trips arriving at it
+ *         isActive:
+ *           type: boolean
+ */
+const pointSchema = new mongoose.Schema({
+  latitude: { type: Number, required: [true, 'Latitude is required'], min: [5.5, 'Latitude must be within Sri Lanka bounds'], max: [10.0, 'Latitude must be within Sri Lanka bounds'] },
+  longitude: { type: Number, required: [true, 'Longitude is required'], min: [79.0, 'Longitude must be within Sri Lanka bounds'], max: [82.0, 'Longitude must be within Sri Lanka bounds'] }
+}, { _id: false });
+
+const geofenceSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Geofence name is required'], unique: true, trim: true, maxlength: [100, 'Geofence name cannot exceed 100 characters'] },
+  description: { type: String, trim: true, maxlength: [500, 'Description cannot exceed 500 characters'] },
+  category: { type: String, enum: { values: ['terminal', 'depot', 'other'], message: 'Category must be one of: terminal, depot, other' }, default: 'terminal' },
+  city: { type: String, trim: true },
+  shape: { type: String, required: [true, 'Shape is required'], enum: { values: ['circle', 'polygon'], message: 'Shape must be either circle or polygon' } },
+  center: { type: pointSchema, required: [function() { return this.shape === 'circle'; }, 'Center is required for circle geofences'] },
+  radius: { type: Number, min: [20, 'Radius must be at least 20 metres'], max: [5000, 'Radius cannot exceed 5000 metres'],
+    required: [function() { return this.shape === 'circle'; }, 'Radius is required for circle geofences']
+  },
+  polygon: { type: [pointSchema], default: undefined,
+    validate: {
+      validator: function(points) {
+        return this.shape !== 'polygon' || (Array.isArray(points) && points.length >= 3);
+      },
+      message: 'Polygon geofences need at least 3 points'
+    }
+  },
+  tripAutomation: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+geofenceSchema.index({ isActive: 1 });
+geofenceSchema.index({ city: 1 });
+
+// Instance method to check whether a point is inside the geofence
+geofenceSchema.methods.contains = function(latitude, longitude) {
+  if (this.shape === 'circle') {
+    return calculateDistance(latitude, longitude, this.center.latitude, this.center.longitude) * 1000 <= this.radius;
+  }
+
+  return isPointInPolygon(latitude, longitude, this.polygon || []);
+};
+
+// Instance method to check whether the geofence serves a city (case-insensitive)
+geofenceSchema.methods.servesCity = function(city) {
+  return !!this.city && !!city && this.city.trim().toLowerCase() === city.trim().toLowerCase();
+};
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * GeofenceEvent Schema for Geofence Enter/Exit Logs
+ * One document per boundary crossing, tied to the bus and (when running) its trip
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     GeofenceEvent:
+ *       type: object
+ *       properties:
+ *         geofenceId:
+ *           type: string
+ *         busId:
+ *           type: string
+ *         tripId:
+ *           type: string
+ *         routeId:
+ *           type: string
+ *         operatorId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [enter, exit]
+ *         location:
+ *           type: object
+ *           properties:
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *         tripAction:
+ *           type: string
+ *           enum: [started, completed]
+ *           description: Trip automation triggered by this event, if any
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ */
+const geofenceEventSchema = new mongoose.Schema({
+  geofenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Geofence', required: [true, 'Geofence ID is required'] },
+  busId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: [true, 'Bus ID is required'] },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+  operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'Operator ID is required'] },
+  type: { type: String, required: [true, 'Event type is required'], enum: { values: ['enter', 'exit'], message: 'Event type must be either enter or exit' } },
+  location: { latitude: { type: Number }, longitude: { type: Number } },
+  tripAction: { type: String, enum: ['started', 'completed'], default: undefined },
+  occurredAt: { type: Date, required: [true, 'Event time is required'], default: Date.now }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for event log queries
+geofenceEventSchema.index({ geofenceId: 1, occurredAt: -1 });
+geofenceEventSchema.index({ busId: 1, occurredAt: -1 });
+geofenceEventSchema.index({ operatorId: 1, occurredAt: -1 });
+geofenceEventSchema.index({ tripId: 1 });
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Holiday Schema for Poya Days and Public Holidays
+ * Trip templates decide whether they run on these dates
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holiday:
+ *       type: object
+ *       required:
+ *         - date
+ *         - name
+ *       properties:
+ *         date:
+ *           type: string
+ *           description: Local calendar date (YYYY-MM-DD)
+ *           example: "2026-11-24"
+ *         name:
+ *           type: string
+ *           example: "Il Full Moon Poya Day"
+ *         type:
+ *           type: string
+ *           enum: [poya, public]
+ */
+const holidaySchema = new mongoose.Schema({
+  date: { type: String, required: [true, 'Holiday date is required'], unique: true, match: [/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/, 'Date format should be YYYY-MM-DD'] },
+  name: { type: String, required: [true, 'Holiday name is required'], trim: true, maxlength: [100, 'Holiday name cannot exceed 100 characters'] },
+  type: { type: String, enum: { values: ['poya', 'public'], message: 'Holiday type must be either poya or public' }, default: 'public' }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
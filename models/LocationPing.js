@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * LocationPing Schema for GPS Location History
+ * Stores every accepted GPS fix (breadcrumb) per bus, linked to the trip it was recorded on
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     LocationPing:
+ *       type: object
+ *       required:
+ *         - busId
+ *         - latitude
+ *         - longitude
+ *         - recordedAt
+ *       properties:
+ *         busId:
+ *           type: string
+ *           description: Reference to the bus
+ *         tripId:
+ *           type: string
+ *           description: Reference to the in-progress trip when the fix was recorded
+ *         routeId:
+ *           type: string
+ *           description: Reference to the route of that trip
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         speed:
+ *           type: number
+ *         heading:
+ *           type: number
+ *         currentWaypoint:
+ *           type: number
+ *           description: Trip waypoint index at the time of the fix
+ *         distanceTravelled:
+ *           type: number
+ *           description: Distance covered along the route in km at the time of the fix
+ *         delay:
+ *           type: number
+ *           description: Schedule delay in minutes at the time of the fix (positive for late)
+ *         recordedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time the fix was taken
+ */
+
+// Pings older than this are removed automatically by MongoDB's TTL monitor
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 30;
+
+const locationPingSchema = new mongoose.Schema({
+  busId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: [true, 'Bus ID is required'] },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+  latitude: { type: Number, required: [true, 'Latitude is required'], min: [-90, 'Latitude must be between -90 and 90'], max: [90, 'Latitude must be between -90 and 90'] },
+  longitude: { type: Number, required: [true, 'Longitude is required'], min: [-180, 'Longitude must be between -180 and 180'], max: [180, 'Longitude must be between -180 and 180'] },
+  speed: { type: Number, min: 0, default: 0 },
+  heading: { type: Number, min: 0, max: 360, default: 0 },
+  currentWaypoint: { type: Number, min: 0 },
+  distanceTravelled: { type: Number, min: 0 },
+  delay: { type: Number },
+  recordedAt: { type: Date, required: [true, 'Recorded time is required'], default: Date.now }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for history lookups
+locationPingSchema.index({ busId: 1, recordedAt: 1 });
+locationPingSchema.index({ tripId: 1, recordedAt: 1 });
+
+// TTL index for retention
+locationPingSchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to find a bus's pings within a time window
+locationPingSchema.statics.findBusHistory = function(busId, from, to, limit = 1000) {
+  return this.find({ busId, recordedAt: { $gte: from, $lte: to } })
+    .select('-__v -createdAt')
+    .sort({ recordedAt: 1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to find all pings recorded on a trip
+locationPingSchema.statics.findTripTrack = function(tripId) {
+  return this.find({ tripId })
+    .select('-__v -createdAt')
+    .sort({ recordedAt: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { toGeoPoint, projectOntoPolyline } = require('../utils/geo');
+require('./Stop');
+
+// Fare multipliers by bus type, applied to the base fare on routes without a fare table for the bus type
+const FARE_MULTIPLIERS = { 'normal': 1.0, 'semi-luxury': 1.3, 'luxury': 1.6, 'air-conditioned': 1.8 };
+
+// Length of a fare stage in km, for stops without a fare stage of their own
+const FARE_STAGE_KM = parseFloat(process.env.FARE_STAGE_KM) || 2;
 
 /**
  * Route Schema for Inter-Provincial Bus Routes in Sri Lanka
@@ -24,6 +32,9 @@ const mongoose = require('mongoose');
  *         startLocation:
  *           type: object
  *           properties:
+ *             stopId:
+ *               type: string
+ *               description: Stop the route starts at (coordinates are read from it and no point is kept)
  *             city: 
  *               type: string
  *             province:
@@ -35,9 +46,14 @@ const mongoose = require('mongoose');
  *                   type: number
  *                 longitude: 
  *                   type: number
+ *             point:
+ *               $ref: '#/components/schemas/GeoPoint'
  *         endLocation:
  *           type: object
  *           properties:
+ *             stopId:
+ *               type: string
+ *               description: Stop the route ends at (coordinates are read from it and no point is kept)
  *             city: 
  *               type: string
  *             province:
@@ -49,6 +65,8 @@ const mongoose = require('mongoose');
  *                   type: number
  *                 longitude: 
  *                   type: number
+ *             point:
+ *               $ref: '#/components/schemas/GeoPoint'
  *         distance:
  *           type: number
  *           description: Total route distance in kilometers
@@ -57,9 +75,13 @@ const mongoose = require('mongoose');
  *           description: Estimated travel time in minutes
  *         waypoints:
  *           type: array
+ *           description: Ordered stops between the start and end locations
  *           items:
  *             type: object
  *             properties:
+ *               stopId:
+ *                 type: string
+ *                 description: Referenced Stop (name and coordinates are read from it and no point is kept)
  *               name:
  *                 type: string
  *               coordinates:
@@ -69,98 +91,161 @@ const mongoose = require('mongoose');
  *                     type: number
  *                   longitude: 
  *                     type: number
+ *               point:
+ *                 $ref: '#/components/schemas/GeoPoint'
  *               stopDuration:
  *                 type: number
+ *               fareStage:
+ *                 type: integer
+ *                 description: Fare stage the stop is in (derived from its distance from the start when not set)
+ *         fareTables:
+ *           type: array
+ *           description: Stage fares by bus type (bus types without a table spread the base fare over the stages)
+ *           items:
+ *             type: object
+ *             properties:
+ *               busType:
+ *                 type: string
+ *                 enum: [normal, semi-luxury, luxury, air-conditioned]
+ *               stageFares:
+ *                 type: array
+ *                 description: Fare for travelling 1, 2, 3... stages
+ *                 items:
+ *                   type: number
+ *                 example: [30, 38, 45, 52]
+ *         fareVersions:
+ *           type: array
+ *           description: Revised fares, each in effect from its effectiveFrom (baseFare and fareTables apply before the first)
+ *           items:
+ *             type: object
+ *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               baseFare:
+ *                 type: number
+ *               fareTables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               revisionId:
+ *                 type: string
+ *                 description: Fare revision that added the version
+ *         source:
+ *           type: string
+ *           enum: [manual, gtfs]
+ *           description: Whether the route was entered by hand or imported from a GTFS feed
+ *         gtfsRouteId:
+ *           type: string
+ *           description: route_id in the GTFS feed the route was imported from
  */
-const routeSchema = new mongoose.Schema({
-  routeNumber: { type: String, required: [true, 'Route number is required'], unique: true, trim: true, uppercase: true, match: [/^R-[0-9]{3,4}$/, 'Route number format should be like: R-001 or R-1234' ] },
-  routeName: { type: String, required: [true, 'Route name is required'], trim: true, maxlength: [100, 'Route name cannot exceed 100 characters'] },
-  startLocation: { city: { type: String, required: [true, 'Start city is required'], trim: true },
-    province: {
-      type: String,
-      required: [true, 'Start province is required'],
-      enum: [
-        'Western', 'Central', 'Southern', 'Northern', 'Eastern',
-        'North Western', 'North Central', 'Uva', 'Sabaragamuwa'
-      ]
-    },
-    coordinates: {
-      latitude: {
-        type: Number,
-        required: [true, 'Start location latitude is required'],
-        min: [5.5, 'Latitude must be within Sri Lanka bounds'],
-        max: [10.0, 'Latitude must be within Sri Lanka bounds']
-      },
-      longitude: {
-        type: Number,
-        required: [true, 'Start location longitude is required'],
-        min: [79.0, 'Longitude must be within Sri Lanka bounds'],
-        max: [82.0, 'Longitude must be within Sri Lanka bounds']
-      }
+// Stage fares of one bus type: stageFares[n - 1] is the fare for travelling n stages
+const fareTableSchema = new mongoose.Schema({
+  busType: { type: String, required: [true, 'Bus type is required'],
+    enum: {
+      values: Object.keys(FARE_MULTIPLIERS),
+      message: 'Bus type must be one of: normal, semi-luxury, luxury, air-conditioned'
     }
   },
-  endLocation: {
-    city: {
-      type: String,
-      required: [true, 'End city is required'],
-      trim: true
-    },
-    province: {
-      type: String,
-      required: [true, 'End province is required'],
-      enum: [
-        'Western', 'Central', 'Southern', 'Northern', 'Eastern',
-        'North Western', 'North Central', 'Uva', 'Sabaragamuwa'
-      ]
-    },
-    coordinates: {
-      latitude: {
-        type: Number,
-        required: [true, 'End location latitude is required'],
-        min: [5.5, 'Latitude must be within Sri Lanka bounds'],
-        max: [10.0, 'Latitude must be within Sri Lanka bounds']
-      },
-      longitude: {
-        type: Number,
-        required: [true, 'End location longitude is required'],
-        min: [79.0, 'Longitude must be within Sri Lanka bounds'],
-        max: [82.0, 'Longitude must be within Sri Lanka bounds']
-      }
+  stageFares: { type: [{ type: Number, min: [0, 'Fare cannot be negative'] }],
+    validate: {
+      validator: fares => fares.length > 0 && fares.every((fare, index) => index === 0 || fare >= fares[index - 1]),
+      message: 'Stage fares are required and cannot go down as more stages are travelled'
     }
-  },
-  distance: { type: Number, required: [true, 'Route distance is required'], min: [1, 'Distance must be at least 1 km'], max: [500, 'Distance cannot exceed 500 km'] },
-  estimatedDuration: { type: Number, required: [true, 'Estimated duration is required'], min: [30, 'Duration must be at least 30 minutes'], max: [720, 'Duration cannot exceed 12 hours'] },
-  waypoints: [{
-    name: {
-      type: String,
-      required: [true, 'Waypoint name is required'],
-      trim: true
-    },
-    coordinates: {
-      latitude: {
-        type: Number,
-        required: [true, 'Waypoint latitude is required'],
-        min: [5.5, 'Latitude must be within Sri Lanka bounds'],
-        max: [10.0, 'Latitude must be within Sri Lanka bounds']
-      },
-      longitude: {
-        type: Number,
-        required: [true, 'Waypoint longitude is required'],
-        min: [79.0, 'Longitude must be within Sri Lanka bounds'],
-        max: [82.0, 'Longitude must be within Sri Lanka bounds']
-      }
-    },
-    stopDuration: {
+  }
+}, { _id: false });
+
+// Fares of a route from effectiveFrom on, until the next version takes over
+const fareVersionSchema = new mongoose.Schema({
+  effectiveFrom: { type: Date, required: [true, 'Effective date is required'] },
+  baseFare: { type: Number, required: [true, 'Base fare is required'], min: [10, 'Base fare must be at least Rs. 10'], max: [5000, 'Base fare cannot exceed Rs. 5000'] },
+  fareTables: [fareTableSchema],
+  revisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'FareRevision' }
+}, { _id: false });
+
+const PROVINCES = ['Western', 'Central', 'Southern', 'Northern', 'Eastern', 'North Western', 'North Central', 'Uva', 'Sabaragamuwa'];
+
+// Name and coordinates are only kept on the route for stops that are not shared; referenced stops supply them
+const requiredWithoutStop = function() {
+  return !this.stopId;
+};
+
+// Getter reading a field of the referenced stop once it is populated, or else the route's own value
+const fromStop = read => function(value) {
+  return this.stopId && this.stopId.coordinates ? read(this.stopId) : value;
+};
+
+// Position of a stop that is not shared; referenced stops supply theirs through the getter
+const buildCoordinates = label => ({
+  type: new mongoose.Schema({
+    latitude: {
       type: Number,
-      default: 5,
-      min: [0, 'Stop duration cannot be negative'],
-      max: [60, 'Stop duration cannot exceed 60 minutes']
+      required: [true, `${label} latitude is required`],
+      min: [5.5, 'Latitude must be within Sri Lanka bounds'],
+      max: [10.0, 'Latitude must be within Sri Lanka bounds']
     },
-    distanceFromStart: {
+    longitude: {
       type: Number,
-      min: 0
+      required: [true, `${label} longitude is required`],
+      min: [79.0, 'Longitude must be within Sri Lanka bounds'],
+      max: [82.0, 'Longitude must be within Sri Lanka bounds']
     }
-  }],
+  }, { _id: false }),
+  required: [requiredWithoutStop, `${label} coordinates are required`],
+  get: fromStop(stop => ({ latitude: stop.coordinates.latitude, longitude: stop.coordinates.longitude }))
+});
+
+// GeoJSON mirror of coordinates for stops that are not shared, maintained by the hooks below
+const pointField = {
+  type: { type: String, enum: ['Point'] },
+  coordinates: { type: [Number], default: undefined }
+};
+
+// Start or end of a route: the city and province are the route's own, the position comes from the stop
+const buildLocationSchema = label => new mongoose.Schema({
+  stopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop' },
+  city: { type: String, required: [true, `${label} city is required`], trim: true },
+  province: { type: String, required: [true, `${label} province is required`], enum: PROVINCES },
+  coordinates: buildCoordinates(`${label} location`),
+  point: pointField
+}, { _id: false });
+
+// Stop between the start and end: the distance, stop duration and fare stage are the route's own, the name and
+// position come from the stop
+const waypointSchema = new mongoose.Schema({
+  stopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop' },
+  name: {
+    type: String,
+    required: [requiredWithoutStop, 'Waypoint name is required'],
+    trim: true,
+    get: fromStop(stop => stop.name.en)
+  },
+  coordinates: buildCoordinates('Waypoint'),
+  point: pointField,
+  stopDuration: {
+    type: Number,
+    default: 5,
+    min: [0, 'Stop duration cannot be negative'],
+    max: [60, 'Stop duration cannot exceed 60 minutes']
+  },
+  distanceFromStart: {
+    type: Number,
+    min: 0
+  },
+  fareStage: {
+    type: Number,
+    min: [0, 'Fare stage cannot be negative']
+  }
+});
+
+const routeSchema = new mongoose.Schema({
+  routeNumber: { type: String, required: [true, 'Route number is required'], unique: true, trim: true, uppercase: true, match: [/^R-[0-9]{3,4}$/, 'Route number format should be like: R-001 or R-1234' ] },
+  routeName: { type: String, required: [true, 'Route name is required'], trim: true, maxlength: [100, 'Route name cannot exceed 100 characters'] },
+  startLocation: buildLocationSchema('Start'),
+  endLocation: buildLocationSchema('End'),
+  distance: { type: Number, required: [true, 'Route distance is required'], min: [1, 'Distance must be at least 1 km'], max: [500, 'Distance cannot exceed 500 km'] },
+  estimatedDuration: { type: Number, required: [true, 'Estimated duration is required'], min: [30, 'Duration must be at least 30 minutes'], max: [720, 'Duration cannot exceed 12 hours'] },
+  waypoints: [waypointSchema],
   routeType: { type: String, enum: ['express', 'semi-express', 'normal'], default: 'normal' },
   operatingHours: {
     startTime: {
@@ -176,12 +261,16 @@ const routeSchema = new mongoose.Schema({
   },
   frequency: { type: Number, required: [true, 'Service frequency is required'], min: [15, 'Frequency must be at least 15 minutes'], max: [480, 'Frequency cannot exceed 8 hours'] },
   baseFare: { type: Number, required: [true, 'Base fare is required'], min: [10, 'Base fare must be at least Rs. 10'], max: [5000, 'Base fare cannot exceed Rs. 5000'] },
+  fareTables: [fareTableSchema],
+  fareVersions: [fareVersionSchema],
   isActive: { type: Boolean, default: true },
+  source: { type: String, enum: ['manual', 'gtfs'], default: 'manual' },
+  gtfsRouteId: { type: String, trim: true },
   difficulty: { type: String, enum: ['easy', 'moderate', 'difficult'], default: 'moderate', description: 'Route difficulty based on terrain and traffic' }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes for better query performance
@@ -189,6 +278,12 @@ const routeSchema = new mongoose.Schema({
 routeSchema.index({ 'startLocation.city': 1, 'endLocation.city': 1 });
 routeSchema.index({ 'startLocation.province': 1, 'endLocation.province': 1 });
 routeSchema.index({ isActive: 1 });
+routeSchema.index({ 'startLocation.point': '2dsphere' });
+routeSchema.index({ 'endLocation.point': '2dsphere' });
+routeSchema.index({ 'waypoints.point': '2dsphere' });
+routeSchema.index({ 'waypoints.stopId': 1 });
+routeSchema.index({ 'startLocation.stopId': 1 });
+routeSchema.index({ 'endLocation.stopId': 1 });
 
 // Virtual for route description
 routeSchema.virtual('description').get(function() {
@@ -208,12 +303,156 @@ routeSchema.methods.isInterProvincial = function() {
   return this.startLocation.province !== this.endLocation.province;
 };
 
-// Instance method to calculate fare based on distance
-routeSchema.methods.calculateFare = function(busType = 'normal') {
-  const multipliers = { 'normal': 1.0, 'semi-luxury': 1.3, 'luxury': 1.6, 'air-conditioned': 1.8 };
-  
-  const baseRate = this.baseFare / this.distance; // per km rate
-  return Math.round(this.distance * baseRate * (multipliers[busType] || 1.0));
+// Instance method to calculate the fare between two stops (indexes into start, waypoints, end - the whole route by default)
+// with the fares in effect at a time (e.g. a trip's departure)
+routeSchema.methods.calculateFare = function(busType = 'normal', options = {}) {
+  return this.getStageFare(busType, options).fare;
+};
+
+// Instance method to get a waypoint's distance from the start in km
+// Falls back to an even spread along the route when distanceFromStart is not set
+routeSchema.methods.getWaypointDistance = function(waypointIndex) {
+  const waypoint = this.waypoints[waypointIndex];
+
+  if (waypoint && waypoint.distanceFromStart != null) {
+    return Math.min(waypoint.distanceFromStart, this.distance);
+  }
+
+  return this.distance * (waypointIndex + 1) / (this.waypoints.length + 1);
+};
+
+// Instance method to list stop distances in km: start, every waypoint, end
+// Segment i runs from stop i to stop i + 1
+routeSchema.methods.getStopDistances = function() {
+  return [0, ...this.waypoints.map((waypoint, index) => this.getWaypointDistance(index)), this.distance];
+};
+
+// Instance method to list fare stages: start, every waypoint, end
+// Stops without a fare stage get one from their distance (FARE_STAGE_KM per stage); stages never go down along the route
+routeSchema.methods.getFareStages = function() {
+  const stages = [0];
+
+  (this.waypoints || []).forEach((waypoint, index) => {
+    const stage = waypoint.fareStage != null ? waypoint.fareStage : Math.round(this.getWaypointDistance(index) / FARE_STAGE_KM);
+    stages.push(Math.max(stage, stages[stages.length - 1]));
+  });
+  stages.push(Math.max(Math.round(this.distance / FARE_STAGE_KM), stages[stages.length - 1], 1));
+
+  return stages;
+};
+
+// Instance method to get the fares in effect at a time: the latest fare version in effect by then, or else the
+// route's own base fare and fare tables
+routeSchema.methods.getFareVersion = function(at = new Date()) {
+  const time = new Date(at).getTime();
+  const version = (this.fareVersions || []).reduce((latest, entry) =>
+    (entry.effectiveFrom.getTime() <= time && (!latest || entry.effectiveFrom > latest.effectiveFrom) ? entry : latest), null);
+
+  return version || { effectiveFrom: null, baseFare: this.baseFare, fareTables: this.fareTables || [], revisionId: null };
+};
+
+// Instance method to add a fare version (replacing one from the same time), keeping versions in date order
+routeSchema.methods.addFareVersion = function({ effectiveFrom, baseFare, fareTables = [], revisionId }) {
+  const versions = (this.fareVersions || [])
+    .filter(entry => entry.effectiveFrom.getTime() !== new Date(effectiveFrom).getTime())
+    .map(entry => entry.toObject());
+
+  versions.push({ effectiveFrom, baseFare, fareTables, revisionId });
+  this.fareVersions = versions.sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+};
+
+// Instance method to get the fare for travelling 1, 2, 3... stages on a bus type, with the fares in effect at a time
+// Bus types without a fare table spread the base fare (times the bus type multiplier) evenly over the route's stages
+routeSchema.methods.getStageFares = function(busType = 'normal', at = new Date()) {
+  const { effectiveFrom, baseFare, fareTables, revisionId } = this.getFareVersion(at);
+
+  const table = fareTables.find(entry => entry.busType === busType);
+  if (table) {
+    return { source: 'fare-table', stageFares: [...table.stageFares], effectiveFrom, revisionId };
+  }
+
+  const stages = this.getFareStages();
+  const stageCount = stages[stages.length - 1];
+  const farePerStage = baseFare * (FARE_MULTIPLIERS[busType] || 1.0) / stageCount;
+
+  return { source: 'base-fare', stageFares: Array.from({ length: stageCount }, (value, index) => Math.round(farePerStage * (index + 1))), effectiveFrom, revisionId };
+};
+
+// Instance method to get the stage fare between two stops (indexes into start, waypoints, end - the whole route by default)
+// A ride within one stage pays for one stage, and rides beyond the end of the fare table pay its last fare
+routeSchema.methods.getStageFare = function(busType = 'normal', { fromStop = 0, toStop = this.waypoints.length + 1, at = new Date() } = {}) {
+  const fareStages = this.getFareStages();
+  const stages = Math.max(fareStages[toStop] - fareStages[fromStop], 1);
+  const { source, stageFares, effectiveFrom, revisionId } = this.getStageFares(busType, at);
+
+  return {
+    fromStage: fareStages[fromStop],
+    toStage: fareStages[toStop],
+    stages,
+    fare: stageFares[Math.min(stages, stageFares.length) - 1],
+    source,
+    effectiveFrom,
+    revisionId
+  };
+};
+
+// Instance method to get the route line: start, every waypoint, end
+routeSchema.methods.getPolyline = function() {
+  return [
+    this.startLocation.coordinates,
+    ...this.waypoints.map(waypoint => waypoint.coordinates),
+    this.endLocation.coordinates
+  ];
+};
+
+// Instance method to locate a position along the route line
+// Segments ending before minDistance are skipped, so a road looping back past an earlier stop cannot pull progress backwards
+routeSchema.methods.locatePosition = function(latitude, longitude, minDistance = 0) {
+  const stopDistances = this.getStopDistances();
+
+  let fromSegment = 0;
+  while (fromSegment < stopDistances.length - 2 && stopDistances[fromSegment + 1] < minDistance) {
+    fromSegment++;
+  }
+
+  const projection = projectOntoPolyline(latitude, longitude, this.getPolyline(), fromSegment);
+  const { segmentIndex, fraction } = projection;
+  const projected = stopDistances[segmentIndex] + (stopDistances[segmentIndex + 1] - stopDistances[segmentIndex]) * fraction;
+  const distanceTravelled = Math.round(Math.min(Math.max(projected, minDistance), this.distance) * 100) / 100;
+
+  return {
+    distanceTravelled,
+    distanceRemaining: Math.round((this.distance - distanceTravelled) * 100) / 100,
+    progress: Math.round((distanceTravelled / this.distance) * 100),
+    distanceFromRoute: Math.round(projection.distance * 1000),
+    nextStop: this.getNextStop(distanceTravelled)
+  };
+};
+
+// Instance method to get the waypoint nearest to a distance (km) along the route
+routeSchema.methods.getNearestWaypointAt = function(distance) {
+  let nearest = 0;
+
+  (this.waypoints || []).forEach((waypoint, index) => {
+    if (Math.abs(this.getWaypointDistance(index) - distance) < Math.abs(this.getWaypointDistance(nearest) - distance)) {
+      nearest = index;
+    }
+  });
+
+  return nearest;
+};
+
+// Instance method to get the first stop beyond a distance (km) along the route - the end location once every waypoint is passed
+routeSchema.methods.getNextStop = function(distanceTravelled) {
+  const waypointIndex = (this.waypoints || []).findIndex((waypoint, index) => this.getWaypointDistance(index) > distanceTravelled);
+  const distanceFromStart = waypointIndex === -1 ? this.distance : this.getWaypointDistance(waypointIndex);
+
+  return {
+    waypointIndex: waypointIndex === -1 ? null : waypointIndex,
+    name: waypointIndex === -1 ? this.endLocation.city : this.waypoints[waypointIndex].name,
+    distanceFromStart,
+    distanceAway: Math.round(Math.max(distanceFromStart - distanceTravelled, 0) * 100) / 100
+  };
 };
 
 // Static method to find routes between provinces
@@ -250,4 +489,148 @@ routeSchema.pre('save', function(next) {
   next();
 });
 
+// Stop references of a route, read with the route so names and positions come from the stops
+const STOP_POPULATE = ['startLocation.stopId', 'endLocation.stopId', 'waypoints.stopId'].map(path => ({ path, select: 'code name coordinates' }));
+
+/**
+ * Helper function to attach the referenced stops to the start/end locations and waypoints, dropping the name and
+ * coordinates kept on the route for them (the stop is the source of truth)
+ * Works on route documents and on plain update objects
+ * @returns {Promise<Array>} Paths whose stop does not exist
+ */
+const attachStops = async (fields) => {
+  const refs = [];
+  ['startLocation', 'endLocation'].forEach(field => {
+    if (fields[field] && fields[field].stopId) refs.push({ path: `${field}.stopId`, target: fields[field], isLocation: true });
+  });
+  (Array.isArray(fields.waypoints) ? fields.waypoints : []).forEach((waypoint, index) => {
+    if (waypoint && waypoint.stopId) refs.push({ path: `waypoints.${index}.stopId`, target: waypoint, isLocation: false });
+  });
+
+  if (refs.length === 0) return [];
+
+  // stopId may be populated
+  const idOf = ref => String(ref.target.stopId._id || ref.target.stopId);
+  const stops = await mongoose.model('Stop').find({ _id: { $in: refs.map(idOf) } }).select('code name coordinates');
+  const stopsById = new Map(stops.map(stop => [stop._id.toString(), stop]));
+
+  const missing = [];
+  refs.forEach(ref => {
+    const stop = stopsById.get(idOf(ref));
+    if (!stop) return missing.push(ref.path);
+
+    // Documents keep the stop populated; update objects only store its ID
+    ref.target.stopId = fields instanceof mongoose.Document ? stop : stop._id;
+    ref.target.coordinates = undefined;
+    ref.target.point = undefined;
+    if (!ref.isLocation) ref.target.name = undefined;
+  });
+
+  return missing;
+};
+
+// Pre-validate middleware to check the referenced stops exist and read them with the route
+routeSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('waypoints') && !this.isModified('startLocation') && !this.isModified('endLocation')) return;
+
+  const missing = await attachStops(this);
+  missing.forEach(path => this.invalidate(path, 'Stop not found', this.get(path)));
+});
+
+// Pre-update middleware doing the same for findOneAndUpdate (e.g. PUT /api/routes/:id)
+routeSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+
+  for (const fields of [update, update.$set].filter(Boolean)) {
+    const missing = await attachStops(fields);
+
+    if (missing.length > 0) {
+      const error = new mongoose.Error.ValidationError();
+      missing.forEach(path => error.addError(path, new mongoose.Error.ValidatorError({ path, message: 'Stop not found' })));
+      throw error;
+    }
+  }
+});
+
+// Pre-query middleware to populate the referenced stops, including on routes populated into trips and templates
+routeSchema.pre(['find', 'findOne', 'findOneAndUpdate'], function() {
+  if (!this.mongooseOptions().lean) {
+    this.populate(STOP_POPULATE);
+  }
+});
+
+// Pre-validate middleware to check that fare stages do not go down along the route and fare tables cover every stage
+routeSchema.pre('validate', function(next) {
+  if (!this.distance) return next();
+
+  let previous = 0;
+  (this.waypoints || []).forEach((waypoint, index) => {
+    if (waypoint.fareStage == null) return;
+    if (waypoint.fareStage < previous) {
+      this.invalidate(`waypoints.${index}.fareStage`, 'Fare stages cannot go down along the route', waypoint.fareStage);
+    }
+    previous = Math.max(previous, waypoint.fareStage);
+  });
+
+  const stages = this.getFareStages();
+  const stageCount = stages[stages.length - 1];
+  const tableLists = [
+    { path: 'fareTables', fareTables: this.fareTables },
+    ...(this.fareVersions || []).map((version, index) => ({ path: `fareVersions.${index}.fareTables`, fareTables: version.fareTables }))
+  ];
+
+  tableLists.forEach(({ path, fareTables }) => {
+    const busTypes = new Set();
+
+    (fareTables || []).forEach((table, index) => {
+      if (busTypes.has(table.busType)) {
+        this.invalidate(`${path}.${index}.busType`, `Route already has a fare table for ${table.busType} buses`, table.busType);
+      }
+      if (table.stageFares.length < stageCount) {
+        this.invalidate(`${path}.${index}.stageFares`, `Fare table must give the fare for each of the route's ${stageCount} stages`, table.stageFares.length);
+      }
+      busTypes.add(table.busType);
+    });
+  });
+  next();
+});
+
+// Pre-validate middleware to keep the GeoJSON points of stops that are not shared in sync with the lat/lng coordinates
+routeSchema.pre('validate', function(next) {
+  ['startLocation', 'endLocation'].forEach(field => {
+    if (this[field] && !this[field].stopId && this[field].coordinates) {
+      this[field].point = toGeoPoint(this[field].coordinates.latitude, this[field].coordinates.longitude);
+    }
+  });
+
+  (this.waypoints || []).forEach(waypoint => {
+    if (!waypoint.stopId && waypoint.coordinates) {
+      waypoint.point = toGeoPoint(waypoint.coordinates.latitude, waypoint.coordinates.longitude);
+    }
+  });
+  next();
+});
+
+// Pre-update middleware doing the same for findOneAndUpdate (e.g. PUT /api/routes/:id)
+routeSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    ['startLocation', 'endLocation'].forEach(field => {
+      if (fields[field] && !fields[field].stopId && fields[field].coordinates) {
+        fields[field].point = toGeoPoint(fields[field].coordinates.latitude, fields[field].coordinates.longitude);
+      }
+    });
+
+    if (Array.isArray(fields.waypoints)) {
+      fields.waypoints.forEach(waypoint => {
+        if (waypoint && !waypoint.stopId && waypoint.coordinates) {
+          waypoint.point = toGeoPoint(waypoint.coordinates.latitude, waypoint.coordinates.longitude);
+        }
+      });
+    }
+  });
+  next();
+});
+
 module.exports = mongoose.model('Route', routeSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+
+/**
+ * Stop Schema for Bus Stops Shared Across Routes
+ * Routes reference stops by ID; each route keeps its own distanceFromStart and stopDuration for the stop
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stop:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - coordinates
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Unique stop code
+ *           example: "KADAWATHA"
+ *         name:
+ *           type: object
+ *           properties:
+ *             en:
+ *               type: string
+ *               example: "Kadawatha"
+ *             si:
+ *               type: string
+ *               description: Sinhala name
+ *               example: "කඩවත"
+ *             ta:
+ *               type: string
+ *               description: Tamil name
+ *               example: "கடவத்தை"
+ *         coordinates:
+ *           type: object
+ *           properties:
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *         point:
+ *           $ref: '#/components/schemas/GeoPoint'
+ *         amenities:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [shelter, seating, toilets, lighting, ticket-counter, parking, wheelchair-access, food]
+ *         isActive:
+ *           type: boolean
+ */
+const AMENITIES = ['shelter', 'seating', 'toilets', 'lighting', 'ticket-counter', 'parking', 'wheelchair-access', 'food'];
+
+const stopSchema = new mongoose.Schema({
+  code: { type: String, required: [true, 'Stop code is required'], unique: true, trim: true, uppercase: true, match: [/^[A-Z0-9-]{2,30}$/, 'Stop code can only contain letters, numbers and hyphens (2-30 characters)'] },
+  name: {
+    en: { type: String, required: [true, 'Stop name is required'], trim: true, maxlength: [100, 'Stop name cannot exceed 100 characters'] },
+    si: { type: String, trim: true, maxlength: [100, 'Sinhala name cannot exceed 100 characters'] },
+    ta: { type: String, trim: true, maxlength: [100, 'Tamil name cannot exceed 100 characters'] }
+  },
+  coordinates: {
+    latitude: { type: Number, required: [true, 'Stop latitude is required'], min: [5.5, 'Latitude must be within Sri Lanka bounds'], max: [10.0, 'Latitude must be within Sri Lanka bounds'] },
+    longitude: { type: Number, required: [true, 'Stop longitude is required'], min: [79.0, 'Longitude must be within Sri Lanka bounds'], max: [82.0, 'Longitude must be within Sri Lanka bounds'] }
+  },
+  // GeoJSON mirror of coordinates, maintained by the hook below
+  point: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  amenities: [{ type: String, enum: { values: AMENITIES, message: `Amenity must be one of: ${AMENITIES.join(', ')}` } }],
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+stopSchema.index({ 'name.en': 1 });
+stopSchema.index({ isActive: 1 });
+stopSchema.index({ point: '2dsphere' });
+
+// Static method to find active stops near a point, nearest first (distance in metres)
+stopSchema.statics.findNearby = function(latitude, longitude, radiusInMetres = 1000, limit = 20) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(latitude, longitude),
+        key: 'point',
+        distanceField: 'distance',
+        maxDistance: radiusInMetres,
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    { $limit: limit },
+    { $set: { distance: { $round: ['$distance', 0] } } },
+    { $project: { __v: 0 } }
+  ]);
+};
+
+// Pre-validate middleware to keep the GeoJSON point in sync with the lat/lng coordinates
+stopSchema.pre('validate', function(next) {
+  if (this.coordinates) {
+    this.point = toGeoPoint(this.coordinates.latitude, this.coordinates.longitude);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Stop', stopSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Ticket Schema for QR E-Tickets
+ * One ticket per seat of a confirmed booking, carried as a signed QR payload that conductors can check offline
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Ticket:
+ *       type: object
+ *       properties:
+ *         ticketNumber:
+ *           type: string
+ *           example: "TK-1C9E44B0A7"
+ *         bookingId:
+ *           type: string
+ *         tripId:
+ *           type: string
+ *         seatNumber:
+ *           type: integer
+ *         fare:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [issued, used, void]
+ *         keyId:
+ *           type: string
+ *           description: ID of the key that signed the QR payload
+ *         qrPayload:
+ *           type: string
+ *           description: Signed payload to encode in the QR code (BT1.<payload>.<signature>, base64url)
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *         validatedBy:
+ *           type: string
+ */
+const ticketSchema = new mongoose.Schema({
+  ticketNumber: { type: String, unique: true, default: () => `TK-${crypto.randomBytes(5).toString('hex').toUpperCase()}` },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: [true, 'Booking ID is required'] },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: [true, 'Trip ID is required'] },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'User ID is required'] },
+  seatNumber: { type: Number, required: [true, 'Seat number is required'], min: [1, 'Seat numbers start at 1'] },
+  fare: { type: Number, required: [true, 'Fare is required'], min: [0, 'Fare cannot be negative'] },
+  status: { type: String,
+    enum: {
+      values: ['issued', 'used', 'void'],
+      message: 'Status must be one of: issued, used, void'
+    },
+    default: 'issued'
+  },
+  keyId: { type: String, required: [true, 'Signing key ID is required'] },
+  qrPayload: { type: String, required: [true, 'QR payload is required'] },
+  usedAt: { type: Date },
+  validatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ticketSchema.index({ tripId: 1, status: 1 });
+// One ticket per seat of a booking, so issuing again is harmless
+ticketSchema.index({ bookingId: 1, seatNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Ticket', ticketSchema);
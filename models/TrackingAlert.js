@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * TrackingAlert Schema for Live Tracking Alerts
+ * Raised by the GPS ingestion pipeline (e.g. a bus leaving its route corridor) or the signal sweep (a bus that stopped reporting)
+ * and cleared when the condition ends
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrackingAlert:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [route-deviation, signal-lost]
+ *         status:
+ *           type: string
+ *           enum: [active, cleared]
+ *         busId:
+ *           type: string
+ *         tripId:
+ *           type: string
+ *         routeId:
+ *           type: string
+ *         operatorId:
+ *           type: string
+ *           description: Operator of the bus (alerts are only visible to that operator and admins)
+ *         message:
+ *           type: string
+ *         location:
+ *           type: object
+ *           description: Position when the alert was raised
+ *           properties:
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *         distanceFromRoute:
+ *           type: number
+ *           description: Latest distance from the route in metres
+ *         maxDistanceFromRoute:
+ *           type: number
+ *           description: Furthest distance from the route in metres while the alert was active
+ *         raisedAt:
+ *           type: string
+ *           format: date-time
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ */
+const trackingAlertSchema = new mongoose.Schema({
+  type: { type: String, required: [true, 'Alert type is required'], enum: { values: ['route-deviation', 'signal-lost'], message: 'Alert type must be route-deviation or signal-lost' } },
+  status: { type: String, enum: ['active', 'cleared'], default: 'active' },
+  busId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: [true, 'Bus ID is required'] },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+  operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'Operator ID is required'] },
+  message: { type: String, trim: true, maxlength: [500, 'Message cannot exceed 500 characters'] },
+  location: { latitude: { type: Number }, longitude: { type: Number } },
+  distanceFromRoute: { type: Number, min: 0 },
+  maxDistanceFromRoute: { type: Number, min: 0 },
+  raisedAt: { type: Date, default: Date.now },
+  clearedAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for alert queries
+trackingAlertSchema.index({ operatorId: 1, raisedAt: -1 });
+trackingAlertSchema.index({ busId: 1, raisedAt: -1 });
+trackingAlertSchema.index({ status: 1, type: 1 });
+
+// Virtual for how long the alert lasted (or has lasted so far) in minutes
+trackingAlertSchema.virtual('durationMinutes').get(function() {
+  if (!this.raisedAt) return null;
+  return Math.round(((this.clearedAt || new Date()) - this.raisedAt) / (1000 * 60));
+});
+
+// Instance method to clear an active alert
+trackingAlertSchema.methods.clear = function(at = new Date()) {
+  this.status = 'cleared';
+  this.clearedAt = at;
+  return this.save();
+};
+
+module.exports = mongoose.model('TrackingAlert', trackingAlertSchema);
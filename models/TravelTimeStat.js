@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * TravelTimeStat Schema for the Historical ETA Model
+ * Aggregated travel times learned from completed trips, rebuilt by the admin rebuild endpoint.
+ * Segment i of a route runs from stop i to stop i + 1 (stop 0 = start, stop n + 1 = end).
+ *
+ * Levels, most specific first:
+ * - route + segment + day of week + time bucket
+ * - route + segment + time bucket (dayOfWeek null)
+ * - routeType + day of week + time bucket (routeId/segmentIndex null, speed only)
+ * - routeType + time bucket (dayOfWeek null, speed only)
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     TravelTimeStat:
+ *       type: object
+ *       properties:
+ *         routeId:
+ *           type: string
+ *           description: Route the segment belongs to (null for route type averages)
+ *         routeType:
+ *           type: string
+ *           enum: [express, semi-express, normal]
+ *         segmentIndex:
+ *           type: number
+ *           description: Segment between stop i and stop i + 1 (null for route type averages)
+ *         dayOfWeek:
+ *           type: number
+ *           description: 0 (Sunday) to 6 (Saturday), null for all days
+ *         timeBucket:
+ *           type: string
+ *           enum: [night, early-morning, morning-peak, midday, evening-peak, evening]
+ *         samples:
+ *           type: number
+ *         meanMinutes:
+ *           type: number
+ *           description: Mean segment travel time including dwell (segment levels only)
+ *         meanSpeed:
+ *           type: number
+ *           description: Mean speed in km/h
+ */
+const travelTimeStatSchema = new mongoose.Schema({
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+  routeType: { type: String, enum: ['express', 'semi-express', 'normal'], required: [true, 'Route type is required'] },
+  segmentIndex: { type: Number, min: 0, default: null },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: null },
+  timeBucket: { type: String, enum: ['night', 'early-morning', 'morning-peak', 'midday', 'evening-peak', 'evening'], required: [true, 'Time bucket is required'] },
+  samples: { type: Number, min: 1, required: true },
+  meanMinutes: { type: Number, min: 0 },
+  meanSpeed: { type: Number, min: 0 },
+  builtAt: { type: Date, default: Date.now }
+}, {
+  timestamps: false
+});
+
+// Index for lookups by level
+travelTimeStatSchema.index({ routeId: 1, segmentIndex: 1, dayOfWeek: 1, timeBucket: 1 });
+travelTimeStatSchema.index({ routeType: 1, dayOfWeek: 1, timeBucket: 1 });
+
+module.exports = mongoose.model('TravelTimeStat', travelTimeStatSchema);
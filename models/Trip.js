@@ -28,7 +28,7 @@ const mongoose = require('mongoose');
  *         estimatedArrival:
  *           type: string
  *           format: date-time
- *           description: Estimated arrival time
+ *           description: Estimated arrival time (predicted from the historical travel time model when omitted)
  *         actualDeparture:
  *           type: string
  *           format: date-time
@@ -41,13 +41,58 @@ const mongoose = require('mongoose');
  *           type: string
  *           enum: [scheduled, in-progress, completed, cancelled, delayed]
  *           description: Current trip status
+ *         distanceTravelled:
+ *           type: number
+ *           description: Distance covered along the route in km (bus position projected onto the route line, never decreases)
+ *         distanceRemaining:
+ *           type: number
+ *           description: Distance left to the end of the route in km (when the route is populated)
+ *         progressPercentage:
+ *           type: number
+ *           description: Share of the route distance covered (when the route is populated)
+ *         nextStop:
+ *           type: object
+ *           description: Next waypoint ahead of the bus, or the end location once every waypoint is passed (when the route is populated)
+ *           properties:
+ *             waypointIndex:
+ *               type: integer
+ *               nullable: true
+ *             name:
+ *               type: string
+ *             distanceFromStart:
+ *               type: number
+ *             distanceAway:
+ *               type: number
  *         occupancy:
  *           type: number
- *           description: Current passenger count
+ *           description: Current passenger count (booked seats are counted when the booking is confirmed)
+ *         boardedCount:
+ *           type: number
+ *           description: Passengers whose e-ticket was validated on board (already counted in occupancy)
  *         fare:
  *           type: number
  *           description: Trip fare amount
+ *         templateId:
+ *           type: string
+ *           nullable: true
+ *           description: Trip template the trip was created from
+ *         manuallyEdited:
+ *           type: boolean
+ *           description: Set once a template trip is edited by hand; template changes no longer touch it
+ */
+// Minutes early/late still reported as on time
+const ON_TIME_WINDOW = { early: -3, late: 5 };
+
+/**
+ * Helper function to label a delay in minutes (positive for late, negative for early)
  */
+const getDelayStatus = (delay) => {
+  if (delay === null || delay === undefined) return null;
+  if (delay < ON_TIME_WINDOW.early) return 'early';
+  if (delay > ON_TIME_WINDOW.late) return 'delayed';
+  return 'on-time';
+};
+
 const tripSchema = new mongoose.Schema({
   busId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: [true, 'Bus ID is required'],
     validate: {
@@ -124,9 +169,15 @@ const tripSchema = new mongoose.Schema({
       message: 'Occupancy cannot exceed bus capacity'
     }
   },
+  boardedCount: { type: Number, default: 0, min: 0, description: 'Passengers whose e-ticket was validated on board (booked seats are counted in occupancy)' },
   fare: { type: Number, required: [true, 'Fare is required'], min: [0, 'Fare cannot be negative'] },
   delay: { type: Number, default: 0, description: 'Delay in minutes (positive for late, negative for early)' },
   currentWaypoint: { type: Number, default: 0, min: 0, description: 'Index of current waypoint (0 = not started)' },
+  distanceTravelled: { type: Number, default: 0, min: 0, description: 'Distance covered along the route in km (never decreases within a trip)' },
+  deviation: { offRouteCount: { type: Number, default: 0, min: 0 }, alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrackingAlert', default: null } },
+  signalAlertId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrackingAlert', default: null, description: 'Open signal-lost alert while the bus is not reporting' },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'TripTemplate', default: null },
+  manuallyEdited: { type: Boolean, default: false, description: 'Edited by hand after being created from a template' },
   driver: { name: { type: String, trim: true }, licenseNumber: { type: String, trim: true }, contactNumber: { type: String, match: [/^(\+94|0)[0-9]{9}$/, 'Invalid phone number format'] } },
   conductor: { name: { type: String, trim: true }, employeeId: { type: String, trim: true } },
   weather: { condition: { type: String, enum: ['clear', 'cloudy', 'rainy', 'stormy', 'foggy'] }, temperature: { type: Number, min: 15, max: 45 }, recorded: { type: Date, default: Date.now } },
@@ -142,6 +193,13 @@ tripSchema.index({ busId: 1, departureTime: -1 });
 tripSchema.index({ routeId: 1, departureTime: 1 });
 tripSchema.index({ status: 1, departureTime: 1 });
 tripSchema.index({ departureTime: 1 });
+// One trip per template departure, so the template scheduler can re-run safely
+tripSchema.index({ templateId: 1, departureTime: 1 }, { unique: true, partialFilterExpression: { templateId: { $type: 'objectId' } } });
+// One trip per bus departure on a route, so timetables generated side by side cannot both add it. Cancelled trips are
+// left out so the departure can be scheduled again (partial indexes take $in but not $ne)
+tripSchema.index({ routeId: 1, busId: 1, departureTime: 1 }, { unique: true,
+  partialFilterExpression: { status: { $in: ['scheduled', 'in-progress', 'completed', 'delayed'] } }
+});
 
 // Virtual for bus details
 tripSchema.virtual('bus', { ref: 'Bus', localField: 'busId', foreignField: '_id', justOne: true });
@@ -161,18 +219,28 @@ tripSchema.virtual('actualDuration').get(function() {
   return Math.round((this.actualArrival - this.actualDeparture) / (1000 * 60)); // in minutes
 });
 
+// Helper to get the populated route (route virtual or populated routeId) when it has the fields progress needs
+const getLoadedRoute = (trip) => {
+  const route = trip.route || trip.routeId;
+  return route && typeof route.getNextStop === 'function' && route.distance ? route : null;
+};
+
 // Virtual for progress percentage
 tripSchema.virtual('progressPercentage').get(function() {
-  if (this.status === 'scheduled') return 0;
-  if (this.status === 'completed') return 100;
-  if (this.status === 'cancelled') return 0;
-  
-  // Simple progress based on current waypoint
-  if (!this.route || !this.route.waypoints) return 0;
-  const totalWaypoints = this.route.waypoints.length;
-  if (totalWaypoints === 0) return 50; // Assume 50% if no waypoints
-  
-  return Math.round((this.currentWaypoint / totalWaypoints) * 100);
+  const route = getLoadedRoute(this);
+  return route ? this.getRouteProgress(route).progressPercentage : (this.status === 'completed' ? 100 : 0);
+});
+
+// Virtual for distance left to the end of the route
+tripSchema.virtual('distanceRemaining').get(function() {
+  const route = getLoadedRoute(this);
+  return route ? this.getRouteProgress(route).distanceRemaining : null;
+});
+
+// Virtual for the next stop ahead of the bus
+tripSchema.virtual('nextStop').get(function() {
+  const route = getLoadedRoute(this);
+  return route ? this.getRouteProgress(route).nextStop : null;
 });
 
 // Instance method to start trip
@@ -204,6 +272,48 @@ tripSchema.methods.cancelTrip = function(reason = '') {
   return this.save();
 };
 
+// Instance method to summarise progress along the route (distances in km)
+tripSchema.methods.getRouteProgress = function(route) {
+  const running = this.status === 'in-progress';
+  const distanceTravelled = this.status === 'completed' ? route.distance : running ? Math.min(this.distanceTravelled || 0, route.distance) : 0;
+
+  return {
+    distanceTravelled,
+    distanceRemaining: Math.round((route.distance - distanceTravelled) * 100) / 100,
+    progressPercentage: Math.round((distanceTravelled / route.distance) * 100),
+    nextStop: running && route.endLocation && route.waypoints ? route.getNextStop(distanceTravelled) : null
+  };
+};
+
+// Instance method to calculate schedule delay when the bus is at a given waypoint
+tripSchema.methods.getScheduleDelay = function(route, waypointIndex, at = new Date()) {
+  if (!route || !route.waypoints || route.waypoints.length === 0) {
+    return null;
+  }
+
+  return this.getScheduleDelayAtDistance(route, route.getWaypointDistance(waypointIndex), at);
+};
+
+// Instance method to get the scheduled time at a distance (km) along the route, pro rata between departure and arrival
+tripSchema.methods.getScheduledTimeAtDistance = function(route, distance) {
+  if (!this.departureTime || !this.estimatedArrival || !route || !route.distance) {
+    return null;
+  }
+
+  const fraction = Math.min(Math.max(distance / route.distance, 0), 1);
+  return new Date(this.departureTime.getTime() + (this.estimatedArrival - this.departureTime) * fraction);
+};
+
+// Instance method to calculate schedule delay when the bus is a given distance (km) along the route
+tripSchema.methods.getScheduleDelayAtDistance = function(route, distance, at = new Date()) {
+  const scheduledAt = this.getScheduledTimeAtDistance(route, distance);
+  if (!scheduledAt) return null;
+
+  const delay = Math.round((new Date(at) - scheduledAt) / (1000 * 60));
+
+  return { delay, delayStatus: getDelayStatus(delay), scheduledAt };
+};
+
 // Instance method to update occupancy
 tripSchema.methods.updateOccupancy = async function(newOccupancy) {
   const bus = await mongoose.model('Bus').findById(this.busId);
@@ -214,6 +324,9 @@ tripSchema.methods.updateOccupancy = async function(newOccupancy) {
   throw new Error('Occupancy exceeds bus capacity');
 };
 
+// Static method to label a delay as early, on-time or delayed
+tripSchema.statics.getDelayStatus = getDelayStatus;
+
 // Static method to find trips by date range
 tripSchema.statics.findByDateRange = function(startDate, endDate, status = null) {
   const query = {
@@ -237,7 +350,7 @@ tripSchema.statics.findByDateRange = function(startDate, endDate, status = null)
 tripSchema.statics.findActiveTrips = function() {
   return this.find({ status: 'in-progress' })
     .populate('busId', 'busNumber currentLocation')
-    .populate('routeId', 'routeNumber routeName startLocation endLocation');
+    .populate('routeId', 'routeNumber routeName startLocation endLocation waypoints distance');
 };
 
 // Static method to find trips for a specific bus
@@ -248,6 +361,32 @@ tripSchema.statics.findByBus = function(busId, limit = 10) {
     .limit(limit);
 };
 
+// Pre-validate middleware to default the fare to the route's stage fare from start to end for the bus type, with the
+// fares in effect at departure
+tripSchema.pre('validate', async function() {
+  if (this.fare != null || !this.routeId || !this.busId) return;
+
+  const route = await mongoose.model('Route').findById(this.routeId);
+  const bus = await mongoose.model('Bus').findById(this.busId);
+  if (!route || !bus) return;
+
+  this.fare = route.calculateFare(bus.busType, { at: this.departureTime });
+});
+
+// Pre-validate middleware to default estimatedArrival from the historical travel time model
+tripSchema.pre('validate', async function() {
+  if (this.estimatedArrival || !this.departureTime || !this.routeId) return;
+
+  const route = await mongoose.model('Route').findById(this.routeId);
+  if (!route) return;
+
+  // Required here rather than at the top: the service depends on this model
+  const { predictTripDuration } = require('../services/travelTimeService');
+  const minutes = await predictTripDuration(route, this.departureTime);
+
+  this.estimatedArrival = new Date(this.departureTime.getTime() + Math.round(minutes) * 60000);
+});
+
 // Pre-save middleware to set status based on time
 tripSchema.pre('save', function(next) {
   const now = new Date();
@@ -263,4 +402,19 @@ tripSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to remember whether the trip has just been cancelled
+tripSchema.pre('save', function(next) {
+  this.$locals.cancelBookings = !this.isNew && this.isModified('status') && this.status === 'cancelled';
+  next();
+});
+
+// Post-save middleware to cancel the seat bookings of a cancelled trip with a full refund
+tripSchema.post('save', async function(trip) {
+  if (!trip.$locals.cancelBookings) return;
+
+  // Required here rather than at the top: the service depends on this model
+  const { cancelTripBookings } = require('../services/bookingService');
+  await cancelTripBookings(trip);
+});
+
 module.exports = mongoose.model('Trip', tripSchema);
\ No newline at end of file
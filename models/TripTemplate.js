@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trip Template Schema for Recurring Services
+ * A departure time on a route, run by a default bus on a pattern of days; the template scheduler
+ * creates the Trips a number of days ahead
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     TripTemplate:
+ *       type: object
+ *       required:
+ *         - routeId
+ *         - busId
+ *         - departureTime
+ *         - daysOfWeek
+ *         - validFrom
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Weekday 06:30 express"
+ *         routeId:
+ *           type: string
+ *         busId:
+ *           type: string
+ *           description: Default bus for the trips
+ *         operatorId:
+ *           type: string
+ *           description: Operator of the default bus
+ *         departureTime:
+ *           type: string
+ *           description: Local departure time (HH:MM)
+ *           example: "06:30"
+ *         daysOfWeek:
+ *           type: array
+ *           description: Days the service runs (0 = Sunday)
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           example: [1, 2, 3, 4, 5]
+ *         holidays:
+ *           type: string
+ *           enum: [normal, skip, also, only]
+ *           description: |
+ *             How holidays of `holidayTypes` are treated: ignored (normal), no service (skip), service even on
+ *             other days of the week (also), or service on those holidays only (only)
+ *         holidayTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [poya, public]
+ *         validFrom:
+ *           type: string
+ *           example: "2026-11-01"
+ *         validUntil:
+ *           type: string
+ *           example: "2027-03-31"
+ *         exceptions:
+ *           type: array
+ *           description: Dates added to or removed from the service
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2026-12-25"
+ *               type:
+ *                 type: string
+ *                 enum: [added, removed]
+ *               reason:
+ *                 type: string
+ *         isActive:
+ *           type: boolean
+ */
+const DATE_PATTERN = [/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/, 'Date format should be YYYY-MM-DD'];
+
+const tripTemplateSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: [100, 'Template name cannot exceed 100 characters'] },
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', required: [true, 'Route ID is required'] },
+  busId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: [true, 'Default bus is required'] },
+  operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: [true, 'Operator ID is required'] },
+  departureTime: { type: String, required: [true, 'Departure time is required'], match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Departure time format should be HH:MM'] },
+  daysOfWeek: {
+    type: [{ type: Number, min: [0, 'Days of week run from 0 (Sunday) to 6 (Saturday)'], max: [6, 'Days of week run from 0 (Sunday) to 6 (Saturday)'] }],
+    validate: {
+      validator: function(days) {
+        return days.length > 0 || this.holidays === 'only';
+      },
+      message: 'At least one day of the week is required'
+    }
+  },
+  holidays: { type: String, enum: { values: ['normal', 'skip', 'also', 'only'], message: 'Holidays must be one of: normal, skip, also, only' }, default: 'normal' },
+  holidayTypes: { type: [{ type: String, enum: ['poya', 'public'] }], default: ['poya', 'public'] },
+  validFrom: { type: String, required: [true, 'Valid from date is required'], match: DATE_PATTERN },
+  validUntil: { type: String, match: DATE_PATTERN,
+    validate: {
+      validator: function(validUntil) {
+        return !validUntil || validUntil >= this.validFrom;
+      },
+      message: 'Valid until must not be before valid from'
+    }
+  },
+  exceptions: [{
+    date: { type: String, required: [true, 'Exception date is required'], match: DATE_PATTERN },
+    type: { type: String, enum: { values: ['added', 'removed'], message: 'Exception type must be either added or removed' }, required: [true, 'Exception type is required'] },
+    reason: { type: String, trim: true, maxlength: [200, 'Reason cannot exceed 200 characters'] },
+    _id: false
+  }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+tripTemplateSchema.index({ isActive: 1 });
+tripTemplateSchema.index({ routeId: 1 });
+tripTemplateSchema.index({ operatorId: 1 });
+
+// Instance method to check whether the service runs on a local date
+// holidays: Map of date (YYYY-MM-DD) -> holiday type
+tripTemplateSchema.methods.runsOn = function(date, weekday, holidays = new Map()) {
+  if (date < this.validFrom || (this.validUntil && date > this.validUntil)) return false;
+
+  const exception = this.exceptions.find(entry => entry.date === date);
+  if (exception) return exception.type === 'added';
+
+  const isHoliday = this.holidayTypes.includes(holidays.get(date));
+  const onDay = this.daysOfWeek.includes(weekday);
+
+  switch (this.holidays) {
+    case 'skip': return onDay && !isHoliday;
+    case 'also': return onDay || isHoliday;
+    case 'only': return isHoliday;
+    default: return onDay;
+  }
+};
+
+module.exports = mongoose.model('TripTemplate', tripTemplateSchema);
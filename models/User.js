@@ -45,6 +45,16 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           format: date-time
  *           description: Last login timestamp
+ *         signalThresholds:
+ *           type: object
+ *           description: Operator overrides (seconds since the last GPS fix) for classifying buses as delayed, stale or offline
+ *           properties:
+ *             delayedAfter:
+ *               type: integer
+ *             staleAfter:
+ *               type: integer
+ *             offlineAfter:
+ *               type: integer
  */
 const userSchema = new mongoose.Schema({
   username: { type: String, required: [true, 'Username is required'], unique: true, trim: true, minlength: [3, 'Username must be at least 3 characters long'], maxlength: [30, 'Username cannot exceed 30 characters'] },
@@ -56,7 +66,12 @@ const userSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
   lastLogin: { type: Date}, // Additional fields for bus operators
   companyName: { type: String, required: function() { return this.role === 'operator'; }, trim: true },
-  licenseNumber: { type: String, required: function() { return this.role === 'operator'; }, trim: true } }, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true }
+  licenseNumber: { type: String, required: function() { return this.role === 'operator'; }, trim: true },
+  signalThresholds: {
+    delayedAfter: { type: Number, min: [10, 'Thresholds must be at least 10 seconds'], max: [86400, 'Thresholds cannot exceed 24 hours'] },
+    staleAfter: { type: Number, min: [10, 'Thresholds must be at least 10 seconds'], max: [86400, 'Thresholds cannot exceed 24 hours'] },
+    offlineAfter: { type: Number, min: [10, 'Thresholds must be at least 10 seconds'], max: [86400, 'Thresholds cannot exceed 24 hours'] }
+  } }, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true }
 });
 
 // Indexes for better query performance
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getBookings, getBookingById, createBooking, confirmBooking, cancelBooking, getBookingTickets } = require('../controllers/bookingController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { bookingLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateBooking, validateBookingConfirm, validateBookingCancel, validateBookingQuery, validateObjectId, validatePagination } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookings
+ *   description: Seat reservations on trips
+ */
+
+/**
+ * Protected routes (authentication required)
+ */
+
+// Get bookings (own bookings for commuters, bookings on their buses for operators)
+router.get('/', authenticate, validatePagination, validateBookingQuery, handleValidationErrors, getBookings );
+
+// Get specific booking by ID
+router.get('/:id', authenticate, validateObjectId(), handleValidationErrors, getBookingById );
+
+// Get the QR e-tickets of a booking
+router.get('/:id/tickets', authenticate, validateObjectId(), handleValidationErrors, getBookingTickets );
+
+// Hold seats on a trip
+router.post('/', authenticate, bookingLimiter, validateBooking, handleValidationErrors, createBooking );
+
+// Confirm a held booking
+router.post('/:id/confirm', authenticate, validateObjectId(), validateBookingConfirm, handleValidationErrors, confirmBooking );
+
+// Cancel a booking
+router.post('/:id/cancel', authenticate, validateObjectId(), validateBookingCancel, handleValidationErrors, cancelBooking );
+
+module.exports = router;
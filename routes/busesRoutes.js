@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { getAllBuses, getBusById, createBus, updateBus, deleteBus, getNearbyBuses, getBusesByOperator } = require('../controllers/busController');
+const { getAllBuses, getBusById, createBus, updateBus, deleteBus, getNearbyBuses, getBusesByOperator, getBusSeatMap, updateBusSeatMap } = require('../controllers/busController');
 
 // Import middleware
 const { authenticate, authorize, ensureBusOwnership } = require('../middleware/auth');
 const { searchLimiter } = require('../middleware/rateLimiter');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { validateBus, validateObjectId, validatePagination } = require('../middleware/validation');
+const { validateBus, validateSeatMap, validateNearbyQuery, validateObjectId, validatePagination } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -22,7 +22,7 @@ const { validateBus, validateObjectId, validatePagination } = require('../middle
  */
 
 // Get nearby buses (public access for commuters)
-router.get('/nearby', searchLimiter, getNearbyBuses );
+router.get('/nearby', searchLimiter, validateNearbyQuery, handleValidationErrors, getNearbyBuses );
 
 /**
  * Protected routes (authentication required)
@@ -37,12 +37,18 @@ router.get('/operator/:operatorId', authenticate, validateObjectId('operatorId')
 // Get specific bus by ID
 router.get('/:id', authenticate, validateObjectId(), handleValidationErrors, ensureBusOwnership, getBusById );
 
+// Get the seat map of a bus
+router.get('/:id/seat-map', authenticate, validateObjectId(), handleValidationErrors, ensureBusOwnership, getBusSeatMap );
+
 // Create new bus (Admin or Operator only)
 router.post('/', authenticate, authorize('admin', 'operator'), validateBus, handleValidationErrors, createBus );
 
 // Update bus (Admin or Bus Owner only)
 router.put('/:id', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, ensureBusOwnership, updateBus );
 
+// Set the seat map of a bus (Admin or Bus Owner only)
+router.put('/:id/seat-map', authenticate, authorize('admin', 'operator'), validateObjectId(), validateSeatMap, handleValidationErrors, ensureBusOwnership, updateBusSeatMap );
+
 // Delete bus (Admin only)
 router.delete('/:id', authenticate, authorize('admin'), validateObjectId(), handleValidationErrors, deleteBus );
 
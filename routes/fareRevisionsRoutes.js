@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getFareRevisions, createFareRevision } = require('../controllers/fareRevisionController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateFareRevision, validatePagination } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fare Revisions
+ *   description: Percentage fare revisions across routes from an effective date
+ */
+
+/**
+ * Protected routes (authentication required - Admin only)
+ */
+
+// Get fare revisions
+router.get('/', authenticate, authorize('admin'), validatePagination, handleValidationErrors, getFareRevisions );
+
+// Preview or apply a fare revision
+router.post('/', authenticate, authorize('admin'), adminLimiter, validateFareRevision, handleValidationErrors, createFareRevision );
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getAllGeofences, getGeofenceEvents, getGeofenceById, createGeofence, updateGeofence, deleteGeofence } = require('../controllers/geofenceController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateGeofence, validateGeofenceEventQuery, validateObjectId } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Geofences
+ *   description: Depot and terminal geofences with enter/exit events
+ */
+
+/**
+ * Protected routes (Admin or Operator)
+ */
+
+// Get all geofences
+router.get('/', authenticate, authorize('admin', 'operator'), getAllGeofences );
+
+// Get geofence enter/exit events
+router.get('/events', authenticate, authorize('admin', 'operator'), validateGeofenceEventQuery, handleValidationErrors, getGeofenceEvents );
+
+// Get specific geofence by ID
+router.get('/:id', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, getGeofenceById );
+
+/**
+ * Admin only routes
+ */
+
+// Create new geofence
+router.post('/', authenticate, authorize('admin'), adminLimiter, validateGeofence, handleValidationErrors, createGeofence );
+
+// Update geofence
+router.put('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, updateGeofence );
+
+// Delete geofence
+router.delete('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, deleteGeofence );
+
+module.exports = router;
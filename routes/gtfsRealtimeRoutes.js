@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getVehiclePositions, getTripUpdates } = require('../controllers/gtfsController');
+
+// Import middleware
+const { searchLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateGtfsRealtimeQuery } = require('../middleware/validation');
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// GTFS-Realtime vehicle positions
+router.get('/vehicle-positions', searchLimiter, validateGtfsRealtimeQuery, handleValidationErrors, getVehiclePositions );
+
+// GTFS-Realtime trip updates (predicted stop times and cancellations)
+router.get('/trip-updates', searchLimiter, validateGtfsRealtimeQuery, handleValidationErrors, getTripUpdates );
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getGtfsFeed, importGtfs } = require('../controllers/gtfsController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { searchLimiter, adminLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateGtfsExport, validateGtfsImport } = require('../middleware/validation');
+
+// Raw body parser for uploaded GTFS zip files
+const gtfsUpload = express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '50mb' });
+
+/**
+ * @swagger
+ * tags:
+ *   name: GTFS
+ *   description: Schedule and realtime data in GTFS / GTFS-Realtime format for journey planners, and route import from GTFS feeds
+ */
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Download the GTFS static feed
+router.get('/feed.zip', searchLimiter, validateGtfsExport, handleValidationErrors, getGtfsFeed );
+
+/**
+ * Admin only routes
+ */
+
+// Import routes from a GTFS feed (add ?dryRun=true to only report the changes)
+router.post('/import', authenticate, authorize('admin'), adminLimiter, validateGtfsImport, handleValidationErrors, gtfsUpload, importGtfs );
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { planJourney } = require('../controllers/journeyController');
+
+// Import middleware
+const { searchLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateJourneyQuery } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Journeys
+ *   description: Journey planning across routes with transfers
+ */
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Plan a journey between two places
+router.get('/', searchLimiter, validateJourneyQuery, handleValidationErrors, planJourney );
+
+module.exports = router;
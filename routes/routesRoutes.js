@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { getAllRoutes, getRouteById, createRoute, updateRoute, deleteRoute, getInterProvincialRoutes, searchRoutesByCity } = require('../controllers/routeController');
+const { getAllRoutes, getRouteById, getStopArrivalPredictions, getRouteFare, createRoute, updateRoute, updateRouteFares, deleteRoute, getInterProvincialRoutes, searchRoutesByCity, generateRouteTimetable } = require('../controllers/routeController');
 
 // Import middleware
 const { authenticate, authorize } = require('../middleware/auth');
-const { searchLimiter, adminLimiter } = require('../middleware/rateLimiter');
+const { searchLimiter, adminLimiter, createTripLimiter } = require('../middleware/rateLimiter');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { validateRoute, validateObjectId, validatePagination } = require('../middleware/validation');
+const { validateRoute, validateRouteUpdate, validateRouteFares, validateStopArrivals, validateFareQuery, validateTimetableGeneration, validateObjectId, validatePagination } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -33,6 +33,12 @@ router.get('/search', searchLimiter, searchRoutesByCity );
 // Get specific route by ID
 router.get('/:id', validateObjectId(), handleValidationErrors, getRouteById );
 
+// Get predicted arrivals at a stop (public access for commuters)
+router.get('/:id/stops/:waypointIndex/arrivals', searchLimiter, validateObjectId(), validateStopArrivals, handleValidationErrors, getStopArrivalPredictions );
+
+// Get the stage fare between two stops
+router.get('/:id/fare', searchLimiter, validateObjectId(), validateFareQuery, handleValidationErrors, getRouteFare );
+
 /**
  * Protected routes (authentication required - Admin only)
  */
@@ -41,9 +47,19 @@ router.get('/:id', validateObjectId(), handleValidationErrors, getRouteById );
 router.post('/', authenticate, authorize('admin'), adminLimiter, validateRoute, handleValidationErrors, createRoute );
 
 // Update route
-router.put('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, updateRoute );
+router.put('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), validateRouteUpdate, handleValidationErrors, updateRoute );
+
+// Set the stage fare tables of a route
+router.put('/:id/fares', authenticate, authorize('admin'), adminLimiter, validateObjectId(), validateRouteFares, handleValidationErrors, updateRouteFares );
 
 // Delete route
 router.delete('/:id', authenticate, authorize('admin'), validateObjectId(), handleValidationErrors, deleteRoute );
 
+/**
+ * Protected routes (authentication required - Admin or Operator)
+ */
+
+// Generate scheduled trips from the route's operating hours and frequency
+router.post('/:id/timetable/generate', authenticate, authorize('admin', 'operator'), createTripLimiter, validateObjectId(), validateTimetableGeneration, handleValidationErrors, generateRouteTimetable );
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getAllStops, getNearbyStops, getStopById, getStopRoutes, createStop, updateStop, deleteStop } = require('../controllers/stopController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { searchLimiter, adminLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateStop, validateNearbyStops, validateObjectId, validatePagination } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stops
+ *   description: Bus stops shared across routes
+ */
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Get all stops with search and pagination
+router.get('/', validatePagination, handleValidationErrors, getAllStops );
+
+// Find stops near a location
+router.get('/nearby', searchLimiter, validateNearbyStops, handleValidationErrors, getNearbyStops );
+
+// Get specific stop by ID
+router.get('/:id', validateObjectId(), handleValidationErrors, getStopById );
+
+// Get the routes serving a stop
+router.get('/:id/routes', validateObjectId(), handleValidationErrors, getStopRoutes );
+
+/**
+ * Admin only routes
+ */
+
+// Create new stop
+router.post('/', authenticate, authorize('admin'), adminLimiter, validateStop, handleValidationErrors, createStop );
+
+// Update stop
+router.put('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, updateStop );
+
+// Delete stop
+router.delete('/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, deleteStop );
+
+module.exports = router;
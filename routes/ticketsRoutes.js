@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getPublicKey, validateTicket } = require('../controllers/ticketController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateTicketScan } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tickets
+ *   description: QR e-ticket validation on board
+ */
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Get the public key tickets are signed with, for offline checks
+router.get('/public-key', getPublicKey );
+
+/**
+ * Protected routes (authentication required - Admin or Operator)
+ */
+
+// Validate a scanned ticket and mark it used
+router.post('/validate', authenticate, authorize('admin', 'operator'), validateTicketScan, handleValidationErrors, validateTicket );
+
+module.exports = router;
@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { getBusLocation, updateBusLocation, trackRouteProgress, getLiveTracking } = require('../controllers/trackingController');
+const { getBusLocation, getBusLocationHistory, updateBusLocation, batchUpdateBusLocation, trackRouteProgress, streamRouteProgress, getLiveTracking, getTrackingAlerts, rebuildEtaModel } = require('../controllers/trackingController');
 
 // Import middleware
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
-const { trackingLimiter } = require('../middleware/rateLimiter');
+const { authenticate, authorize, optionalAuth, ensureBusOwnership } = require('../middleware/auth');
+const { trackingLimiter, adminLimiter } = require('../middleware/rateLimiter');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { validateLocationUpdate, validateObjectId } = require('../middleware/validation');
+const { validateLocationUpdate, validateLocationBatch, validateHistoryQuery, validateAlertQuery, validateEtaRebuild, validateFreshnessQuery, validateObjectId } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -25,16 +25,31 @@ const { validateLocationUpdate, validateObjectId } = require('../middleware/vali
 router.get('/bus/:busId', validateObjectId('busId'), handleValidationErrors, getBusLocation );
 
 // Track all active buses on a specific route
-router.get('/route/:routeId', validateObjectId('routeId'), handleValidationErrors, trackRouteProgress );
+router.get('/route/:routeId', validateObjectId('routeId'), validateFreshnessQuery, handleValidationErrors, trackRouteProgress );
+
+// Stream route tracking updates to kiosk displays (Server-Sent Events)
+router.get('/route/:routeId/stream', validateObjectId('routeId'), validateFreshnessQuery, handleValidationErrors, streamRouteProgress );
 
 /**
  * Protected routes (authentication required)
  */
 
 // Get live tracking data for all active buses (Admin and Operators)
-router.get('/live', authenticate, authorize('admin', 'operator'), getLiveTracking );
+router.get('/live', authenticate, authorize('admin', 'operator'), validateFreshnessQuery, handleValidationErrors, getLiveTracking );
+
+// Get route deviation and other tracking alerts (Admin and Operators - own buses only)
+router.get('/alerts', authenticate, authorize('admin', 'operator'), validateAlertQuery, handleValidationErrors, getTrackingAlerts );
+
+// Get location history of a bus (Admin and Bus Owner only)
+router.get('/bus/:busId/history', authenticate, authorize('admin', 'operator'), validateObjectId('busId'), validateHistoryQuery, handleValidationErrors, ensureBusOwnership, getBusLocationHistory );
 
 // Update bus location (GPS tracking from bus operators)
 router.post('/update', authenticate, authorize('admin', 'operator'), trackingLimiter, validateLocationUpdate, handleValidationErrors, updateBusLocation );
 
+// Upload buffered GPS fixes in one request (on-board units flushing after losing coverage)
+router.post('/batch', authenticate, authorize('admin', 'operator'), trackingLimiter, validateLocationBatch, handleValidationErrors, batchUpdateBusLocation );
+
+// Rebuild the historical ETA model from completed trips (Admin only)
+router.post('/eta-model/rebuild', authenticate, authorize('admin'), adminLimiter, validateEtaRebuild, handleValidationErrors, rebuildEtaModel );
+
 module.exports = router;
\ No newline at end of file
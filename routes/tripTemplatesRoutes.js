@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getAllTemplates, getTemplateById, createTemplate, updateTemplate, deleteTemplate, materializeTemplates, getHolidays, createHoliday, deleteHoliday } = require('../controllers/tripTemplateController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { adminLimiter, createTripLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validateTripTemplate, validateHoliday, validateTemplateMaterialize, validateObjectId } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trip Templates
+ *   description: Recurring trips with service calendars and holiday exceptions
+ */
+
+/**
+ * Holiday calendar
+ */
+
+// Get the holiday calendar
+router.get('/holidays', authenticate, authorize('admin', 'operator'), getHolidays );
+
+// Add a holiday (Admin only)
+router.post('/holidays', authenticate, authorize('admin'), adminLimiter, validateHoliday, handleValidationErrors, createHoliday );
+
+// Remove a holiday (Admin only)
+router.delete('/holidays/:id', authenticate, authorize('admin'), adminLimiter, validateObjectId(), handleValidationErrors, deleteHoliday );
+
+/**
+ * Admin only routes
+ */
+
+// Create the upcoming trips of every active template now
+router.post('/materialize', authenticate, authorize('admin'), adminLimiter, validateTemplateMaterialize, handleValidationErrors, materializeTemplates );
+
+/**
+ * Protected routes (Admin or Operator)
+ */
+
+// Get all trip templates
+router.get('/', authenticate, authorize('admin', 'operator'), getAllTemplates );
+
+// Get specific trip template by ID
+router.get('/:id', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, getTemplateById );
+
+// Create new trip template
+router.post('/', authenticate, authorize('admin', 'operator'), createTripLimiter, validateTripTemplate, handleValidationErrors, createTemplate );
+
+// Update trip template
+router.put('/:id', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, updateTemplate );
+
+// Delete trip template
+router.delete('/:id', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, deleteTemplate );
+
+module.exports = router;
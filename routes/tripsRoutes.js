@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { getAllTrips, getTripById, createTrip, updateTrip, startTrip, completeTrip, cancelTrip, getActiveTrips } = require('../controllers/tripController');
+const { getAllTrips, getTripById, getTripTrack, replayTrip, createTrip, updateTrip, startTrip, completeTrip, cancelTrip, getActiveTrips } = require('../controllers/tripController');
+const { getTripSeats } = require('../controllers/bookingController');
 
 // Import middleware
 const { authenticate, authorize } = require('../middleware/auth');
 const { createTripLimiter } = require('../middleware/rateLimiter');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { validateTrip, validateObjectId, validatePagination } = require('../middleware/validation');
+const { validateTrip, validateReplayQuery, validateObjectId, validatePagination } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -30,6 +31,15 @@ router.get('/active', authenticate, getActiveTrips );
 // Get specific trip by ID
 router.get('/:id', authenticate, validateObjectId(), handleValidationErrors, getTripById );
 
+// Get the seat map of a trip with seat availability
+router.get('/:id/seats', authenticate, validateObjectId(), handleValidationErrors, getTripSeats );
+
+// Get recorded GPS track of a trip (Admin and Bus Owner only)
+router.get('/:id/track', authenticate, authorize('admin', 'operator'), validateObjectId(), handleValidationErrors, getTripTrack );
+
+// Replay a trip's recorded track as a Server-Sent Events stream (Admin or Operator only)
+router.get('/:id/replay', authenticate, authorize('admin', 'operator'), validateObjectId(), validateReplayQuery, handleValidationErrors, replayTrip );
+
 // Create new trip (Admin or Operator only)
 router.post('/', authenticate, authorize('admin', 'operator'), createTripLimiter, validateTrip, handleValidationErrors, createTrip );
 
@@ -0,0 +1,64 @@
+/**
+ * GTFS Export Script
+ * Writes the schedule as a GTFS static feed zip (same content as GET /api/gtfs/feed.zip)
+ *
+ * Usage: node scripts/exportGtfs.js [output.zip] [--from=ISO date] [--to=ISO date] [--days=N]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+const { generateGtfsFeed, zipGtfsFeed } = require('../services/gtfsService');
+const { validateGtfsFeed } = require('../utils/gtfs');
+
+// Split the command line into --name=value options and positional arguments
+const parseArgs = (argv) => {
+  const options = {};
+  const positional = [];
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+    else positional.push(arg);
+  });
+
+  return { options, positional };
+};
+
+async function exportGtfs() {
+  try {
+    const { options, positional } = parseArgs(process.argv.slice(2));
+    const output = path.resolve(positional[0] || 'gtfs.zip');
+
+    console.log('🚀 Starting GTFS export...');
+
+    await database.connect();
+
+    const { files, window, tripCount } = await generateGtfsFeed({
+      from: options.from,
+      to: options.to,
+      days: options.days ? parseInt(options.days) : undefined
+    });
+    console.log(`✅ Exported ${tripCount} trips from ${window.from.toISOString()} to ${window.to.toISOString()}`);
+
+    // Report structural problems, but still write the feed so it can be inspected
+    const { valid, errors } = validateGtfsFeed(files);
+    if (!valid) {
+      console.warn(`⚠️  Feed has ${errors.length} validation errors:`);
+      errors.slice(0, 20).forEach(error => console.warn(`   ${error.file}${error.line ? `:${error.line}` : ''} ${error.message}`));
+    }
+
+    fs.writeFileSync(output, await zipGtfsFeed(files));
+    console.log(`🎉 GTFS feed written to ${output}`);
+
+    process.exit(valid ? 0 : 1);
+
+  } catch (error) {
+    console.error('💥 GTFS export failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the export
+exportGtfs();
@@ -0,0 +1,55 @@
+/**
+ * GTFS Import Script
+ * Upserts routes from a GTFS static feed zip (same as POST /api/gtfs/import)
+ *
+ * Usage: node scripts/importGtfs.js <feed.zip> [--dry-run]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const database = require('../config/database');
+const { readGtfsZip, importGtfsFeed } = require('../services/gtfsImportService');
+
+async function importGtfs() {
+  try {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const feedPath = args.find(arg => !arg.startsWith('--'));
+
+    if (!feedPath) {
+      console.error('Usage: node scripts/importGtfs.js <feed.zip> [--dry-run]');
+      process.exit(1);
+    }
+
+    console.log(`🚀 Starting GTFS import${dryRun ? ' (dry run - nothing will be saved)' : ''}...`);
+
+    const files = await readGtfsZip(fs.readFileSync(feedPath));
+
+    await database.connect();
+
+    const result = await importGtfsFeed(files, { dryRun });
+
+    if (!result.valid) {
+      console.error(`💥 GTFS feed has ${result.errors.length} validation errors:`);
+      result.errors.slice(0, 20).forEach(error => console.error(`   ${error.file}${error.line ? `:${error.line}` : ''} ${error.message}`));
+      process.exit(1);
+    }
+
+    result.created.forEach(route => console.log(`➕ ${route.routeNumber} ${route.routeName}`));
+    result.updated.forEach(route => console.log(`✏️  ${route.routeNumber} ${route.routeName} (${route.changes.join(', ')})`));
+    result.deactivated.forEach(route => console.log(`➖ ${route.routeNumber} ${route.routeName}`));
+    result.skipped.forEach(route => console.warn(`⚠️  Skipped ${route.routeNumber || route.gtfsRouteId}: ${route.reason}`));
+
+    console.log(`✅ ${result.created.length} created, ${result.updated.length} updated, ${result.deactivated.length} deactivated, ${result.unchanged.length} unchanged, ${result.skipped.length} skipped`);
+    console.log(dryRun ? '🎉 Dry run completed - no changes were saved' : '🎉 GTFS import completed successfully!');
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 GTFS import failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the import
+importGtfs();
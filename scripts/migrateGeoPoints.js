@@ -0,0 +1,64 @@
+/**
+ * GeoJSON Point Migration Script
+ * Backfills the GeoJSON `point` fields from the existing latitude/longitude values
+ * and builds the 2dsphere indexes used by the nearby-bus search
+ *
+ * Usage: node scripts/migrateGeoPoints.js
+ */
+
+require('dotenv').config();
+const database = require('../config/database');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+
+// Aggregation expression building a GeoJSON Point from a { latitude, longitude } path
+const pointFrom = (path) => ({
+  type: 'Point',
+  coordinates: [`$${path}.longitude`, `$${path}.latitude`]
+});
+
+async function migrateGeoPoints() {
+  try {
+    console.log('🚀 Starting GeoJSON point migration...');
+
+    await database.connect();
+
+    // Bus current locations
+    const buses = await Bus.updateMany(
+      { 'currentLocation.latitude': { $type: 'number' }, 'currentLocation.longitude': { $type: 'number' } },
+      [{ $set: { 'currentLocation.point': pointFrom('currentLocation') } }]
+    );
+    console.log(`✅ Updated ${buses.modifiedCount} bus locations`);
+
+    // Route start/end locations and waypoints
+    const routes = await Route.updateMany({}, [{
+      $set: {
+        'startLocation.point': pointFrom('startLocation.coordinates'),
+        'endLocation.point': pointFrom('endLocation.coordinates'),
+        waypoints: {
+          $map: {
+            input: { $ifNull: ['$waypoints', []] },
+            as: 'waypoint',
+            in: { $mergeObjects: ['$$waypoint', { point: pointFrom('$waypoint.coordinates') }] }
+          }
+        }
+      }
+    }]);
+    console.log(`✅ Updated ${routes.modifiedCount} routes`);
+
+    // Build the 2dsphere indexes (and drop any the schemas no longer declare)
+    await Bus.syncIndexes();
+    await Route.syncIndexes();
+    console.log('✅ Geospatial indexes are in place');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateGeoPoints();
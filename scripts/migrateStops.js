@@ -0,0 +1,50 @@
+/**
+ * Stop Migration Script
+ * Creates shared Stop documents from the stops embedded in existing routes, merging copies of the
+ * same stop (same name within STOP_MERGE_RADIUS_M metres), and links every route to them
+ *
+ * Usage: node scripts/migrateStops.js [--dry-run]
+ */
+
+require('dotenv').config();
+const database = require('../config/database');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { linkRouteStops } = require('../services/stopService');
+
+async function migrateStops() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    console.log(`🚀 Starting stop migration${dryRun ? ' (dry run)' : ''}...`);
+
+    await database.connect();
+    await Stop.syncIndexes();
+
+    const routes = await Route.find({});
+    const { created, linked } = await linkRouteStops(routes, { dryRun });
+    console.log(`✅ Linked ${linked} route stops to ${created.length} new stops`);
+    created.forEach(stop => console.log(`   + ${stop.code} (${stop.coordinates.latitude}, ${stop.coordinates.longitude})`));
+
+    if (!dryRun) {
+      // Saving drops the route's own copies of the names and positions the shared stops now supply
+      const modified = routes.filter(route => route.isModified());
+      for (const route of modified) {
+        await route.save();
+      }
+      console.log(`✅ Updated ${modified.length} routes`);
+
+      await Route.syncIndexes();
+      console.log('✅ Stop indexes are in place');
+    }
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateStops();
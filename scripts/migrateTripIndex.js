@@ -0,0 +1,53 @@
+/**
+ * Trip Index Migration Script
+ * Cancels duplicate trips (the same bus departing on the same route at the same time) and builds the unique
+ * route/bus/departure index, which cannot be built while duplicates exist
+ * Of each set of duplicates the trip that has already run (or else the first one added) is kept; the others are
+ * cancelled, which refunds their seat bookings in full.
+ *
+ * Usage: node scripts/migrateTripIndex.js
+ */
+
+require('dotenv').config();
+const database = require('../config/database');
+const Trip = require('../models/Trip');
+
+async function migrateTripIndex() {
+  try {
+    console.log('🚀 Starting trip index migration...');
+
+    await database.connect();
+
+    const duplicates = await Trip.aggregate([
+      { $match: { status: { $ne: 'cancelled' } } },
+      { $addFields: { started: { $in: ['$status', ['in-progress', 'completed']] } } },
+      { $sort: { started: -1, _id: 1 } },
+      { $group: { _id: { routeId: '$routeId', busId: '$busId', departureTime: '$departureTime' }, tripIds: { $push: '$_id' } } },
+      { $match: { 'tripIds.1': { $exists: true } } }
+    ]);
+
+    let cancelled = 0;
+    for (const { tripIds: [, ...extra] } of duplicates) {
+      for (const tripId of extra) {
+        const trip = await Trip.findById(tripId);
+        await trip.cancelTrip('Duplicate of another trip');
+        cancelled++;
+      }
+    }
+    console.log(`✅ Cancelled ${cancelled} duplicate trips from ${duplicates.length} departures`);
+
+    // Build the unique index (and replace one built before cancelled trips were left out of it)
+    await Trip.syncIndexes();
+    console.log('✅ Trip indexes are in place');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('💥 Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateTripIndex();
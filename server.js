@@ -27,8 +27,23 @@ const { errorHandler, notFound, handleDatabaseError } = require('./middleware/er
 const authRoutes = require('./routes/authRoutes');
 const busRoutes = require('./routes/busesRoutes');
 const routeRoutes = require('./routes/routesRoutes');
+const stopRoutes = require('./routes/stopsRoutes');
+const journeyRoutes = require('./routes/journeysRoutes');
 const tripRoutes = require('./routes/tripsRoutes');
+const tripTemplateRoutes = require('./routes/tripTemplatesRoutes');
+const bookingRoutes = require('./routes/bookingsRoutes');
+const ticketRoutes = require('./routes/ticketsRoutes');
+const fareRevisionRoutes = require('./routes/fareRevisionsRoutes');
 const trackingRoutes = require('./routes/trackingRoutes');
+const geofenceRoutes = require('./routes/geofencesRoutes');
+const gtfsRoutes = require('./routes/gtfsRoutes');
+const gtfsRealtimeRoutes = require('./routes/gtfsRealtimeRoutes');
+
+// Import real-time services
+const { attachTrackingSocket, TRACKING_SOCKET_PATH } = require('./services/trackingSocket');
+const { startSignalSweep } = require('./services/signalService');
+const { startTemplateScheduler } = require('./services/tripTemplateService');
+const { startBookingExpirySweep } = require('./services/bookingService');
 
 // Initialize Express app
 const app = express();
@@ -129,8 +144,18 @@ app.get('/', (req, res) => {
       authentication: '/api/auth',
       buses: '/api/buses',
       routes: '/api/routes',
+      stops: '/api/stops',
+      journeys: '/api/journeys',
       trips: '/api/trips',
-      tracking: '/api/tracking'
+      tripTemplates: '/api/trip-templates',
+      bookings: '/api/bookings',
+      tickets: '/api/tickets',
+      fareRevisions: '/api/fare-revisions',
+      tracking: '/api/tracking',
+      geofences: '/api/geofences',
+      gtfs: '/api/gtfs/feed.zip',
+      gtfsRealtime: '/api/gtfs-rt',
+      liveTracking: TRACKING_SOCKET_PATH
     },
     developer: 'Your Student ID Here',
     university: 'Coventry University (via NIBM)'
@@ -146,8 +171,17 @@ const API_BASE = process.env.API_BASE_URL || '/api';
 app.use(`${API_BASE}/auth`, authRoutes);
 app.use(`${API_BASE}/buses`, busRoutes);
 app.use(`${API_BASE}/routes`, routeRoutes);
+app.use(`${API_BASE}/stops`, stopRoutes);
+app.use(`${API_BASE}/journeys`, journeyRoutes);
 app.use(`${API_BASE}/trips`, tripRoutes);
+app.use(`${API_BASE}/trip-templates`, tripTemplateRoutes);
+app.use(`${API_BASE}/bookings`, bookingRoutes);
+app.use(`${API_BASE}/tickets`, ticketRoutes);
+app.use(`${API_BASE}/fare-revisions`, fareRevisionRoutes);
 app.use(`${API_BASE}/tracking`, trackingRoutes);
+app.use(`${API_BASE}/geofences`, geofenceRoutes);
+app.use(`${API_BASE}/gtfs`, gtfsRoutes);
+app.use(`${API_BASE}/gtfs-rt`, gtfsRealtimeRoutes);
 
 /**
  * Error Handling
@@ -179,6 +213,7 @@ const startServer = async () => {
 🔗 Base API URL: http://localhost:${PORT}${API_BASE}
 ⚡ Database: ${database.getConnectionStatus()}
 📊 Health Check: http://localhost:${PORT}/health
+🛰️ Live Tracking Socket: ws://localhost:${PORT}${TRACKING_SOCKET_PATH}
 ================================
 🎓 Student: Your Student ID Here
 🏫 Course: NB6007CEM - Web API Development
@@ -186,9 +221,25 @@ const startServer = async () => {
       `);
     });
 
+    // Attach WebSocket push channel for live bus positions
+    const trackingSocket = attachTrackingSocket(server);
+
+    // Flag in-progress trips whose bus has stopped reporting
+    const signalSweep = startSignalSweep();
+
+    // Keep trips from recurring templates scheduled ahead
+    const templateScheduler = startTemplateScheduler();
+
+    // Release seat holds that were not confirmed in time
+    const bookingExpirySweep = startBookingExpirySweep();
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 SIGTERM received, shutting down gracefully');
+      trackingSocket.close();
+      signalSweep.stop();
+      templateScheduler.stop();
+      bookingExpirySweep.stop();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
@@ -197,6 +248,10 @@ const startServer = async () => {
 
     process.on('SIGINT', () => {
       console.log('🛑 SIGINT received, shutting down gracefully');
+      trackingSocket.close();
+      signalSweep.stop();
+      templateScheduler.stop();
+      bookingExpirySweep.stop();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
@@ -0,0 +1,293 @@
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const Ticket = require('../models/Ticket');
+const { issueTickets, voidTickets } = require('./ticketService');
+const { quoteFare } = require('./fareService');
+
+/**
+ * Booking Service
+ * Seat availability, seat holds, confirmation (with e-tickets) and cancellation refunds for seat bookings
+ */
+
+// Minutes held seats are kept for before they are released
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+
+// How often expired holds are released
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Share of the amount paid that is refunded, by hours left before departure (checked in order)
+const REFUND_RULES = [
+  { hoursBefore: 24, percentage: 90 },
+  { hoursBefore: 6, percentage: 50 },
+  { hoursBefore: 0, percentage: 0 }
+];
+
+// Trips that can still be booked
+const BOOKABLE_STATUSES = ['scheduled', 'delayed'];
+
+// Attempts at picking free seats when another booking takes them first
+const AUTO_SEAT_ATTEMPTS = 3;
+
+/**
+ * Refund due when a confirmed booking is cancelled
+ * @param {Date} departureTime - Departure of the trip
+ * @param {Object} options - { now, tripCancelled (the operator cancelled the trip: full refund) }
+ * @returns {number} Percentage of the amount paid
+ */
+const getRefundPercentage = (departureTime, { now = new Date(), tripCancelled = false } = {}) => {
+  if (tripCancelled) return 100;
+
+  const hoursLeft = (new Date(departureTime) - now) / (60 * 60 * 1000);
+  const rule = REFUND_RULES.find(entry => hoursLeft >= entry.hoursBefore);
+
+  return rule ? rule.percentage : 0;
+};
+
+/**
+ * Release the seats of holds that were not confirmed in time
+ * @param {Object} filter - Extra booking filter (e.g. { tripId })
+ * @returns {Promise<number>} Holds released
+ */
+const releaseExpiredHolds = async (filter = {}, now = new Date()) => {
+  const result = await Booking.updateMany(
+    { ...filter, status: 'held', holdExpiresAt: { $lte: now } },
+    { $set: { status: 'expired', active: false } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Seats of a trip with their availability
+ * @param {Object} trip - Trip document
+ * @param {Object} bus - Bus of the trip
+ * @returns {Promise<Object>} Bus seat map, each seat with status (available | held | booked), and counts
+ */
+const getTripSeatMap = async (trip, bus, now = new Date()) => {
+  await releaseExpiredHolds({ tripId: trip._id }, now);
+
+  const bookings = await Booking.find({ tripId: trip._id, active: true }).select('seats status');
+  const taken = new Map();
+  bookings.forEach(booking => booking.seats.forEach(seat => taken.set(seat, booking.status === 'confirmed' ? 'booked' : 'held')));
+
+  const layout = bus.getSeatMap();
+  const seats = layout.seats.map(seat => ({ ...seat, status: taken.get(seat.seatNumber) || 'available' }));
+
+  return {
+    ...layout,
+    seats,
+    available: seats.filter(seat => seat.status === 'available').length,
+    held: seats.filter(seat => seat.status === 'held').length,
+    booked: seats.filter(seat => seat.status === 'booked').length
+  };
+};
+
+/**
+ * Hold seats on a trip for a user
+ * Either the seats asked for are held, or seatCount of the lowest free standard seats (seats reserved for clergy,
+ * disabled passengers and pregnant mothers are only given out when asked for). The unique seat index makes
+ * concurrent holds of the same seat fail, so a seat is never held or sold twice.
+ * Seats are priced at the stage fare between the boarding and alighting stops, never more than the trip's fare;
+ * bookings for the whole route pay the trip's fare.
+ * @param {Object} trip - Trip document
+ * @param {Object} bus - Bus of the trip
+ * @param {Object} options - { userId, seats, seatCount, passenger, route (route of the trip), from, to (boarding and
+ *                           alighting stop IDs or names; the start and end of the route when not given), now }
+ * @returns {Promise<Object>} { booking } or { status, message, unavailableSeats } describing the problem
+ */
+const holdSeats = async (trip, bus, { userId, seats, seatCount, passenger, route, from, to, now = new Date() }) => {
+  if (!BOOKABLE_STATUSES.includes(trip.status) || trip.departureTime <= now) {
+    return { status: 400, message: 'Trip is no longer open for booking' };
+  }
+
+  const { quote, status, message } = quoteFare(route, bus.busType, { from, to, at: trip.departureTime });
+  if (!quote) {
+    return { status, message };
+  }
+  const farePerSeat = quote.wholeRoute ? trip.fare : Math.min(quote.fare, trip.fare);
+  const toBookingStop = ({ name, stopId, stopSequence }) => ({ name, stopId: stopId || undefined, stopSequence });
+
+  const layout = bus.getSeatMap();
+  const seatNumbers = new Set(layout.seats.map(seat => seat.seatNumber));
+  const invalidSeats = (seats || []).filter(seat => !seatNumbers.has(seat));
+  if (invalidSeats.length > 0) {
+    return { status: 400, message: `Seats ${invalidSeats.join(', ')} do not exist on this bus` };
+  }
+
+  await releaseExpiredHolds({ tripId: trip._id }, now);
+
+  for (let attempt = 1; attempt <= AUTO_SEAT_ATTEMPTS; attempt++) {
+    const taken = new Set(await Booking.find({ tripId: trip._id, active: true }).distinct('seats'));
+    let chosen = seats;
+
+    if (seats) {
+      const unavailableSeats = seats.filter(seat => taken.has(seat));
+      if (unavailableSeats.length > 0) {
+        return { status: 409, message: 'Some of the seats are no longer available', unavailableSeats };
+      }
+    } else {
+      chosen = layout.seats.filter(seat => seat.category === 'standard' && !taken.has(seat.seatNumber)).map(seat => seat.seatNumber).slice(0, seatCount);
+      if (chosen.length < seatCount) {
+        return { status: 409, message: `Only ${chosen.length} standard seats are left on this trip` };
+      }
+    }
+
+    try {
+      const booking = await Booking.create({
+        tripId: trip._id,
+        userId,
+        seats: chosen,
+        passenger,
+        boarding: toBookingStop(quote.from),
+        alighting: toBookingStop(quote.to),
+        farePerSeat,
+        totalAmount: farePerSeat * chosen.length,
+        holdExpiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000)
+      });
+
+      return { booking };
+    } catch (error) {
+      // Another booking took one of the seats in the meantime
+      if (error.code !== 11000 || !/seats/.test(error.message)) throw error;
+      if (seats) return { status: 409, message: 'Some of the seats are no longer available', unavailableSeats: seats };
+    }
+  }
+
+  return { status: 409, message: 'Seats are being booked by other passengers. Please try again.' };
+};
+
+/**
+ * Helper function to add seats to (or take them off) a trip's occupancy, kept between 0 and the bus capacity
+ */
+const adjustOccupancy = (tripId, change, capacity) => Trip.updateOne({ _id: tripId }, [
+  { $set: { occupancy: { $min: [capacity, { $max: [0, { $add: [{ $ifNull: ['$occupancy', 0] }, change] }] }] } } }
+]);
+
+/**
+ * Confirm a held booking once paid, counting its seats in the trip's occupancy and issuing a signed e-ticket for
+ * each of them
+ * Confirming a booking that is already confirmed issues any tickets still missing, so a request that failed after
+ * the booking was confirmed can simply be retried.
+ * @param {Object} booking - Booking document
+ * @param {Object} trip - Trip of the booking
+ * @param {Object} bus - Bus of the trip
+ * @param {Object} options - { paymentReference, now }
+ * @returns {Promise<Object>} { booking, tickets } or { status, message }
+ */
+const confirmBooking = async (booking, trip, bus, { paymentReference, now = new Date() } = {}) => {
+  if (booking.status === 'confirmed') {
+    return { booking, tickets: await issueTickets(booking, trip, now) };
+  }
+
+  // Only one request can move the hold on, and only before it expires
+  const confirmed = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'held', holdExpiresAt: { $gt: now } },
+    { $set: { status: 'confirmed', confirmedAt: now, ...(paymentReference && { paymentReference }) } },
+    { new: true, runValidators: true }
+  );
+
+  if (!confirmed) {
+    if (booking.status === 'held') {
+      await releaseExpiredHolds({ _id: booking._id }, now);
+      return { status: 409, message: 'Seat hold has expired. Please book again.' };
+    }
+    return { status: 400, message: `Booking cannot be confirmed. Current status: ${booking.status}` };
+  }
+
+  await adjustOccupancy(confirmed.tripId, confirmed.seats.length, bus.capacity);
+  const tickets = await issueTickets(confirmed, trip, now);
+
+  return { booking: confirmed, tickets };
+};
+
+/**
+ * Cancel a held or confirmed booking, releasing its seats and voiding its tickets
+ * Confirmed bookings are refunded by REFUND_RULES (in full when the trip itself was cancelled) and leave the
+ * trip's occupancy; held bookings were never paid for. Once a ticket has been used on board the booking can only
+ * be cancelled with its trip.
+ * @param {Object} booking - Booking document
+ * @param {Object} trip - Trip of the booking
+ * @param {Object} bus - Bus of the trip (occupancy is left alone without it)
+ * @param {Object} options - { reason, tripCancelled, now }
+ * @returns {Promise<Object>} { booking } or { status, message }
+ */
+const cancelBooking = async (booking, trip, bus, { reason, tripCancelled = false, now = new Date() } = {}) => {
+  const paid = booking.status === 'confirmed';
+  const refundPercentage = paid ? getRefundPercentage(trip.departureTime, { now, tripCancelled }) : 0;
+
+  if (paid && !tripCancelled && await Ticket.exists({ bookingId: booking._id, status: 'used' })) {
+    return { status: 400, message: 'Booking cannot be cancelled. Its tickets have already been used' };
+  }
+
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status, active: true },
+    { $set: {
+      status: 'cancelled',
+      active: false,
+      cancelledAt: now,
+      ...(reason && { cancellationReason: reason }),
+      refundPercentage,
+      refundAmount: paid ? Math.round(booking.totalAmount * refundPercentage) / 100 : 0
+    } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return { status: 400, message: `Booking cannot be cancelled. Current status: ${booking.status}` };
+  }
+
+  if (paid && bus) await adjustOccupancy(trip._id, -booking.seats.length, bus.capacity);
+  if (paid) await voidTickets(booking._id);
+
+  return { booking: cancelled };
+};
+
+/**
+ * Cancel every open booking of a cancelled trip with a full refund
+ * @param {Object} trip - Trip document
+ * @returns {Promise<number>} Bookings cancelled
+ */
+const cancelTripBookings = async (trip, now = new Date()) => {
+  const bookings = await Booking.find({ tripId: trip._id, active: true });
+  if (bookings.length === 0) return 0;
+
+  const bus = await Bus.findById(trip.busId);
+  let cancelled = 0;
+
+  for (const booking of bookings) {
+    const result = await cancelBooking(booking, trip, bus, { reason: 'Trip cancelled by the operator', tripCancelled: true, now });
+    if (result.booking) cancelled++;
+  }
+
+  return cancelled;
+};
+
+/**
+ * Release expired holds every minute
+ * @returns {Object} { stop } to cancel the sweep on shutdown
+ */
+const startBookingExpirySweep = (intervalMs = EXPIRY_SWEEP_INTERVAL_MS) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+      await releaseExpiredHolds();
+    } catch (error) {
+      console.error('Booking expiry sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { HOLD_MINUTES, REFUND_RULES, getRefundPercentage, releaseExpiredHolds, getTripSeatMap, holdSeats, confirmBooking, cancelBooking, cancelTripBookings, startBookingExpirySweep };
@@ -0,0 +1,149 @@
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const { calculateDistance } = require('../utils/geo');
+const { TURNAROUND_MINUTES } = require('./timetableService');
+const { normalizeStopName } = require('./stopService');
+
+/**
+ * Bus Conflict Service
+ * Finds trips that make a bus's schedule impossible: trips overlapping in time, and back-to-back trips
+ * that leave too little time to drive from where one ends to where the next starts
+ */
+
+// Average speed (km/h) of an empty bus repositioning between cities with no route joining them
+const DEADHEAD_SPEED_KMH = parseInt(process.env.DEADHEAD_SPEED_KMH) || 40;
+
+// Straight-line distances are stretched by this factor to approximate the road distance
+const ROAD_FACTOR = 1.3;
+
+// Locations closer than this (km) count as the same place
+const SAME_PLACE_KM = 1;
+
+// Trips further apart than this are never adjacent to the one being checked
+const SEARCH_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+const idOf = ref => String(ref && ref._id ? ref._id : ref);
+
+// Helper function to key a pair of cities, in either direction
+const getConnectionKey = (fromCity, toCity) => [normalizeStopName(fromCity), normalizeStopName(toCity)].sort().join('|');
+
+/**
+ * Helper function to work out the drive from where one trip ends to where the next one starts
+ * @param {Object} from - Route location ({ city, coordinates, stopId })
+ * @param {Object} to - Route location
+ * @param {Map} connections - getConnectionKey -> Route joining the two cities
+ * @returns {Object} { distance (km), minutes, via (route number, when a route joins the cities) }
+ */
+const getRepositioning = (from, to, connections = new Map()) => {
+  const straight = calculateDistance(from.coordinates.latitude, from.coordinates.longitude, to.coordinates.latitude, to.coordinates.longitude);
+  const samePlace = (from.stopId && to.stopId && idOf(from.stopId) === idOf(to.stopId)) ||
+    normalizeStopName(from.city) === normalizeStopName(to.city) || straight < SAME_PLACE_KM;
+
+  if (samePlace) return { distance: 0, minutes: 0, via: null };
+
+  const route = connections.get(getConnectionKey(from.city, to.city));
+  if (route) return { distance: route.distance, minutes: route.estimatedDuration, via: route.routeNumber };
+
+  const distance = Math.round(straight * ROAD_FACTOR * 10) / 10;
+  return { distance, minutes: Math.round(distance / DEADHEAD_SPEED_KMH * 60), via: null };
+};
+
+// Helper function to describe another trip of the bus in a conflict
+const describeTrip = trip => ({
+  tripId: trip._id,
+  routeNumber: trip.routeId.routeNumber,
+  from: trip.routeId.startLocation.city,
+  to: trip.routeId.endLocation.city,
+  departureTime: trip.departureTime,
+  estimatedArrival: trip.estimatedArrival,
+  status: trip.status
+});
+
+/**
+ * Find the conflicts between a trip and the other trips of its bus
+ * @param {Object} trip - Trip (departureTime, estimatedArrival, _id)
+ * @param {Object} route - Route of the trip
+ * @param {Array} otherTrips - Other trips of the same bus with routeId populated (cancelled ones left out)
+ * @param {Map} connections - Routes joining the cities involved (see getConnectionKey)
+ * @returns {Array} [{ type (overlap | repositioning), message, trip, ...repositioning details }]
+ */
+const findConflicts = (trip, route, otherTrips, connections = new Map()) => {
+  const start = new Date(trip.departureTime).getTime();
+  const end = new Date(trip.estimatedArrival).getTime();
+  const others = otherTrips.filter(other => idOf(other._id) !== idOf(trip._id) && other.routeId);
+
+  const conflicts = others
+    .filter(other => other.departureTime.getTime() < end && other.estimatedArrival.getTime() > start)
+    .map(other => ({ type: 'overlap', message: `Bus is already on trip ${other.routeId.routeNumber} at that time`, trip: describeTrip(other) }));
+
+  // Only the trips right before and after can make repositioning impossible
+  const previous = others.filter(other => other.estimatedArrival.getTime() <= start).sort((a, b) => b.estimatedArrival - a.estimatedArrival)[0];
+  const next = others.filter(other => other.departureTime.getTime() >= end).sort((a, b) => a.departureTime - b.departureTime)[0];
+
+  const checkGap = (other, fromLocation, toLocation, availableMs, direction) => {
+    const repositioning = getRepositioning(fromLocation, toLocation, connections);
+    const requiredMinutes = repositioning.minutes + TURNAROUND_MINUTES;
+    const availableMinutes = Math.floor(availableMs / 60000);
+
+    if (availableMinutes < requiredMinutes) {
+      conflicts.push({
+        type: 'repositioning',
+        message: `Bus cannot get from ${fromLocation.city} to ${toLocation.city} in ${availableMinutes} minutes (needs ${requiredMinutes})`,
+        trip: describeTrip(other),
+        direction,
+        fromCity: fromLocation.city,
+        toCity: toLocation.city,
+        distance: repositioning.distance,
+        via: repositioning.via,
+        requiredMinutes,
+        availableMinutes
+      });
+    }
+  };
+
+  if (previous) checkGap(previous, previous.routeId.endLocation, route.startLocation, start - previous.estimatedArrival.getTime(), 'before');
+  if (next) checkGap(next, route.endLocation, next.routeId.startLocation, next.departureTime.getTime() - end, 'after');
+
+  return conflicts;
+};
+
+/**
+ * Load the other trips of a trip's bus and find the conflicts
+ * @param {Object} trip - Trip document (busId and routeId may be populated)
+ * @returns {Promise<Array>} findConflicts result
+ */
+const checkBusConflicts = async (trip) => {
+  // Cancelled and completed trips no longer tie the bus up
+  if (['cancelled', 'completed'].includes(trip.status)) return [];
+
+  const route = trip.routeId && trip.routeId.startLocation ? trip.routeId : await Route.findById(trip.routeId);
+  if (!route) return [];
+
+  const otherTrips = await Trip.find({
+    busId: idOf(trip.busId),
+    _id: { $ne: trip._id },
+    status: { $ne: 'cancelled' },
+    departureTime: { $lt: new Date(trip.estimatedArrival.getTime() + SEARCH_WINDOW_MS) },
+    estimatedArrival: { $gt: new Date(trip.departureTime.getTime() - SEARCH_WINDOW_MS) }
+  }).populate('routeId', 'routeNumber startLocation endLocation');
+
+  // Routes that could carry the bus between the cities involved
+  const cities = [route.startLocation.city, route.endLocation.city, ...otherTrips.filter(other => other.routeId).flatMap(other => [other.routeId.startLocation.city, other.routeId.endLocation.city])];
+  const cityPattern = [...new Set(cities.map(city => city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))].join('|');
+  const candidates = await Route.find({
+    isActive: true,
+    'startLocation.city': { $regex: `^(${cityPattern})$`, $options: 'i' },
+    'endLocation.city': { $regex: `^(${cityPattern})$`, $options: 'i' }
+  }).select('routeNumber distance estimatedDuration startLocation.city endLocation.city');
+
+  // The shortest route between each pair of cities
+  const connections = new Map();
+  candidates.forEach(candidate => {
+    const key = getConnectionKey(candidate.startLocation.city, candidate.endLocation.city);
+    if (!connections.has(key) || candidate.distance < connections.get(key).distance) connections.set(key, candidate);
+  });
+
+  return findConflicts(trip, route, otherTrips, connections);
+};
+
+module.exports = { getConnectionKey, getRepositioning, findConflicts, checkBusConflicts };
@@ -0,0 +1,100 @@
+const TrackingAlert = require('../models/TrackingAlert');
+const { publishAlert } = require('./trackingEvents');
+const { projectOntoPolyline } = require('../utils/geo');
+
+/**
+ * Route Deviation Service
+ * Compares live fixes with the trip's route line and raises/clears route deviation alerts
+ */
+
+// Distance from the route line (metres) beyond which a fix counts as off-route
+const DEVIATION_THRESHOLD_M = parseInt(process.env.ROUTE_DEVIATION_THRESHOLD_M) || 1000;
+
+// Consecutive off-route fixes needed before an alert is raised (filters out single GPS jumps)
+const DEVIATION_CONSECUTIVE_PINGS = parseInt(process.env.ROUTE_DEVIATION_CONSECUTIVE_PINGS) || 3;
+
+/**
+ * Evaluate a live fix against the route corridor of an in-progress trip
+ * Updates trip.deviation in memory - the caller saves the trip when `changed` is true
+ * @param {Object} trip - Active trip with routeId populated (startLocation, endLocation, waypoints)
+ * @param {Object} bus - Bus document
+ * @param {Object} fix - { latitude, longitude, recordedAt }
+ * @returns {Promise<Object|null>} { distanceFromRoute, offRoute, alertId, changed }
+ */
+const evaluateRouteDeviation = async (trip, bus, fix) => {
+  const route = trip.routeId;
+  if (!route || !route.startLocation) return null;
+
+  const projection = projectOntoPolyline(fix.latitude, fix.longitude, route.getPolyline());
+  if (!projection) return null;
+
+  const distanceFromRoute = Math.round(projection.distance * 1000);
+  const offRoute = distanceFromRoute > DEVIATION_THRESHOLD_M;
+  const state = trip.deviation;
+  const before = { offRouteCount: state.offRouteCount, alertId: state.alertId };
+
+  if (offRoute) {
+    state.offRouteCount += 1;
+
+    if (state.alertId) {
+      // Keep the open alert's distance current
+      await TrackingAlert.updateOne(
+        { _id: state.alertId },
+        { $set: { distanceFromRoute }, $max: { maxDistanceFromRoute: distanceFromRoute } }
+      );
+    } else if (state.offRouteCount >= DEVIATION_CONSECUTIVE_PINGS) {
+      const alert = await TrackingAlert.create({
+        type: 'route-deviation',
+        busId: bus._id,
+        tripId: trip._id,
+        routeId: route._id,
+        operatorId: bus.operatorId._id || bus.operatorId,
+        message: `Bus ${bus.busNumber} is ${distanceFromRoute} m off route for ${state.offRouteCount} consecutive fixes`,
+        location: { latitude: fix.latitude, longitude: fix.longitude },
+        distanceFromRoute,
+        maxDistanceFromRoute: distanceFromRoute,
+        raisedAt: fix.recordedAt
+      });
+
+      state.alertId = alert._id;
+      publishAlert('raised', alert);
+    }
+  } else {
+    state.offRouteCount = 0;
+
+    // Back on the route: close the open alert
+    if (state.alertId) {
+      await clearAlert(state.alertId, fix.recordedAt);
+      state.alertId = null;
+    }
+  }
+
+  const changed = before.offRouteCount !== state.offRouteCount || before.alertId !== state.alertId;
+  return { distanceFromRoute, offRoute, alertId: state.alertId, changed };
+};
+
+/**
+ * Helper function to clear an alert and notify subscribers
+ */
+const clearAlert = async (alertId, at = new Date()) => {
+  const alert = await TrackingAlert.findOne({ _id: alertId, status: 'active' });
+  if (!alert) return null;
+
+  await alert.clear(at);
+  publishAlert('cleared', alert);
+  return alert;
+};
+
+/**
+ * Clear any open deviation alert of a trip that has ended (completed or cancelled)
+ * Updates trip.deviation in memory - the caller saves the trip
+ */
+const endTripDeviation = async (trip) => {
+  if (!trip.deviation || !trip.deviation.alertId) return;
+
+  await clearAlert(trip.deviation.alertId);
+  trip.deviation.alertId = null;
+  trip.deviation.offRouteCount = 0;
+};
+
+module.exports = { DEVIATION_THRESHOLD_M, DEVIATION_CONSECUTIVE_PINGS, evaluateRouteDeviation, endTripDeviation, clearAlert };
@@ -0,0 +1,186 @@
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const { getTravelTimeModel, predictTravelMinutes } = require('./travelTimeService');
+
+/**
+ * ETA Service
+ * Predicts when buses reach a given stop (waypoint) on a route
+ */
+
+// Recent speeds below this are treated as a temporary stop rather than the pace for the rest of the journey
+const MIN_SPEED_KMH = 10;
+
+// Window of GPS history used for the recent speed
+const RECENT_SPEED_WINDOW_MS = 10 * 60 * 1000;
+
+// How far ahead scheduled (not yet departed) trips are included
+const SCHEDULE_HORIZON_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Average speed of a bus over its recent GPS history (km/h)
+ * @returns {Promise<number|null>} null when there is no recent history
+ */
+const getRecentSpeed = async (busId, now = new Date()) => {
+  const pings = await LocationPing.find({ busId, recordedAt: { $gte: new Date(now - RECENT_SPEED_WINDOW_MS), $lte: now } })
+    .select('speed')
+    .lean();
+
+  if (pings.length === 0) {
+    return null;
+  }
+
+  return pings.reduce((total, ping) => total + (ping.speed || 0), 0) / pings.length;
+};
+
+/**
+ * Predict the arrival of an in-progress trip at a waypoint
+ * Learned segment travel times are used where there is history; the bus's recent speed fills the gaps
+ * @param {Object} trip - Trip with busId populated (currentLocation)
+ * @param {Object} route - Route document
+ * @param {number} waypointIndex - Target stop
+ * @param {Object} model - Travel time model
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} Prediction, or null when the bus has already passed the stop
+ */
+const predictLiveArrival = async (trip, route, waypointIndex, model, now = new Date()) => {
+  const targetKm = route.getWaypointDistance(waypointIndex);
+  const currentKm = trip.distanceTravelled || 0;
+
+  if (currentKm > targetKm) {
+    return null;
+  }
+
+  // Recent average speed, then the last reported speed
+  const recentSpeed = await getRecentSpeed(trip.busId._id, now);
+  const reportedSpeed = recentSpeed != null ? recentSpeed : trip.busId.currentLocation.speed;
+  const fallbackSpeed = reportedSpeed ? Math.max(reportedSpeed, MIN_SPEED_KMH) : null;
+
+  const remainingKm = targetKm - currentKm;
+  const prediction = predictTravelMinutes(model, route, currentKm, targetKm, now, { fallbackSpeed });
+
+  return {
+    source: 'live',
+    basis: prediction.basis,
+    distanceAway: Math.round(remainingKm * 10) / 10,
+    speedUsed: fallbackSpeed ? Math.round(fallbackSpeed) : null,
+    predictedArrival: new Date(now.getTime() + prediction.minutes * 60000)
+  };
+};
+
+/**
+ * How far (ms) a trip without a live position is expected to run behind its timetable
+ * A running trip keeps its last known delay; a late departure pushes the whole schedule back
+ */
+const getScheduleLateness = (trip, now = new Date()) => (trip.status === 'in-progress'
+  ? (trip.delay || 0) * 60000
+  : Math.max(now - trip.departureTime, 0));
+
+/**
+ * Predict the arrival of a trip from its timetable (not departed yet, or no GPS position)
+ * @returns {Object|null} Prediction, or null when the stop should already have been passed
+ */
+const predictScheduledArrival = (trip, route, waypointIndex, now = new Date()) => {
+  const schedule = trip.getScheduleDelay(route, waypointIndex, now);
+  if (!schedule) return null;
+
+  const predictedArrival = new Date(schedule.scheduledAt.getTime() + getScheduleLateness(trip, now));
+  if (predictedArrival < now) return null;
+
+  return {
+    source: 'schedule',
+    basis: 'timetable',
+    distanceAway: null,
+    speedUsed: null,
+    predictedArrival
+  };
+};
+
+/**
+ * Upcoming arrivals at a stop, soonest first
+ * @param {Object} route - Route document
+ * @param {number} waypointIndex - Target stop
+ * @param {Object} options - { limit, now }
+ * @returns {Promise<Array>} Arrivals with trip/bus details and the prediction
+ */
+const getStopArrivals = async (route, waypointIndex, options = {}) => {
+  const { limit = 10, now = new Date() } = options;
+
+  const trips = await Trip.find({
+    routeId: route._id,
+    $or: [
+      { status: 'in-progress' },
+      { status: { $in: ['scheduled', 'delayed'] }, departureTime: { $lte: new Date(now.getTime() + SCHEDULE_HORIZON_MS) } }
+    ]
+  })
+    .populate('busId', 'busNumber busType currentLocation')
+    .sort({ departureTime: 1 });
+
+  const model = await getTravelTimeModel();
+  const arrivals = [];
+
+  for (const trip of trips) {
+    if (!trip.busId) continue;
+
+    const prediction = trip.status === 'in-progress' && trip.busId.currentLocation && trip.busId.currentLocation.latitude != null
+      ? await predictLiveArrival(trip, route, waypointIndex, model, now)
+      : predictScheduledArrival(trip, route, waypointIndex, now);
+
+    if (!prediction) continue;
+
+    const schedule = trip.getScheduleDelay(route, waypointIndex, prediction.predictedArrival);
+
+    arrivals.push({
+      tripId: trip._id,
+      bus: {
+        id: trip.busId._id,
+        busNumber: trip.busId.busNumber,
+        busType: trip.busId.busType
+      },
+      status: trip.status,
+      ...prediction,
+      minutesAway: Math.max(Math.round((prediction.predictedArrival - now) / 60000), 0),
+      scheduledArrival: schedule ? schedule.scheduledAt : null,
+      expectedDelay: schedule ? schedule.delay : null
+    });
+  }
+
+  return arrivals
+    .sort((a, b) => a.predictedArrival - b.predictedArrival)
+    .slice(0, limit);
+};
+
+/**
+ * Predict a trip's arrival at every stop it has not passed yet (start, waypoints and end)
+ * @param {Object} trip - Trip with busId populated (currentLocation)
+ * @param {Object} route - Route document
+ * @param {Object} model - Travel time model
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} { stopIndex (0 = start), scheduledArrival, predictedArrival, source } per stop
+ */
+const predictRemainingStops = async (trip, route, model, now = new Date()) => {
+  const live = trip.status === 'in-progress' && trip.busId && trip.busId.currentLocation && trip.busId.currentLocation.latitude != null;
+  const currentKm = live ? trip.distanceTravelled || 0 : 0;
+
+  let fallbackSpeed = null;
+  if (live) {
+    const recentSpeed = await getRecentSpeed(trip.busId._id, now);
+    const reportedSpeed = recentSpeed != null ? recentSpeed : trip.busId.currentLocation.speed;
+    fallbackSpeed = reportedSpeed ? Math.max(reportedSpeed, MIN_SPEED_KMH) : null;
+  }
+
+  const lateBy = getScheduleLateness(trip, now);
+
+  return route.getStopDistances()
+    .map((distance, stopIndex) => ({ distance, stopIndex }))
+    .filter(stop => !live || stop.distance > currentKm)
+    .map(({ distance, stopIndex }) => {
+      const scheduledArrival = trip.getScheduledTimeAtDistance(route, distance);
+      const predictedArrival = live
+        ? new Date(now.getTime() + predictTravelMinutes(model, route, currentKm, distance, now, { fallbackSpeed }).minutes * 60000)
+        : new Date(scheduledArrival.getTime() + lateBy);
+
+      return { stopIndex, scheduledArrival, predictedArrival, source: live ? 'live' : 'schedule' };
+    });
+};
+
+module.exports = { getRecentSpeed, getStopArrivals, predictRemainingStops };
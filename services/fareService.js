@@ -0,0 +1,185 @@
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const FareRevision = require('../models/FareRevision');
+const { normalizeStopName } = require('./stopService');
+
+/**
+ * Fare Service
+ * Quotes NTC-style stage fares between two stops of a route, from the route's fare table for the bus type, and
+ * applies fare revisions from a given date
+ */
+
+// Trips whose fare follows a fare revision (trips already running or over keep the fare they were sold at)
+const REPRICED_STATUSES = ['scheduled', 'delayed'];
+
+// Base fare limits of a route
+const MIN_BASE_FARE = 10;
+const MAX_BASE_FARE = 5000;
+
+/**
+ * Helper function to list a route's stops: start, every waypoint, end
+ */
+const getRouteStops = (route) => [
+  { name: route.startLocation.city, stopId: route.startLocation.stopId },
+  ...route.waypoints.map(waypoint => ({ name: waypoint.name, stopId: waypoint.stopId })),
+  { name: route.endLocation.city, stopId: route.endLocation.stopId }
+];
+
+/**
+ * Helper function to find a stop by Stop ID or name, looking no earlier than a given stop
+ * @returns {number} Index of the stop (0 = start of the route), or -1
+ */
+const findStopIndex = (stops, value, fromIndex = 0) => {
+  const name = normalizeStopName(value);
+
+  return stops.findIndex((stop, index) => index >= fromIndex &&
+    ((stop.stopId && String(stop.stopId._id || stop.stopId) === String(value)) || normalizeStopName(stop.name) === name));
+};
+
+/**
+ * Quote the stage fare between two stops of a route
+ * @param {Object} route - Route document
+ * @param {string} busType - Bus type the fare is for
+ * @param {Object} options - { from, to (Stop ID or stop name; the start and end of the route when not given),
+ *                           at (time of travel: fares in effect then are used) }
+ * @returns {Object} { quote } or { status, message } describing the problem
+ */
+const quoteFare = (route, busType = 'normal', { from, to, at = new Date() } = {}) => {
+  const stops = getRouteStops(route);
+
+  const fromIndex = from ? findStopIndex(stops, from) : 0;
+  if (fromIndex === -1) {
+    return { status: 404, message: `${from} is not a stop on route ${route.routeNumber}` };
+  }
+
+  const toIndex = to ? findStopIndex(stops, to, fromIndex + 1) : stops.length - 1;
+  if (toIndex === -1 && findStopIndex(stops, to) === -1) {
+    return { status: 404, message: `${to} is not a stop on route ${route.routeNumber}` };
+  }
+  if (toIndex <= fromIndex) {
+    return { status: 400, message: to ? `${to} does not come after ${stops[fromIndex].name} on route ${route.routeNumber}` : `${stops[fromIndex].name} is the last stop on route ${route.routeNumber}` };
+  }
+
+  const distances = route.getStopDistances();
+  const { fromStage, toStage, stages, fare, source, effectiveFrom } = route.getStageFare(busType, { fromStop: fromIndex, toStop: toIndex, at });
+  const describeStop = (index, fareStage) => ({ name: stops[index].name, stopId: stops[index].stopId || null, stopSequence: index + 1, fareStage });
+
+  return {
+    quote: {
+      routeId: route._id,
+      routeNumber: route.routeNumber,
+      busType,
+      from: describeStop(fromIndex, fromStage),
+      to: describeStop(toIndex, toStage),
+      wholeRoute: fromIndex === 0 && toIndex === stops.length - 1,
+      distance: Math.round((distances[toIndex] - distances[fromIndex]) * 10) / 10,
+      stages,
+      fare,
+      source,
+      effectiveFrom
+    }
+  };
+};
+
+/**
+ * Helper function to revise the fares a route charges at a time by a percentage
+ * @returns {Object} Fare version ({ effectiveFrom, baseFare, fareTables })
+ */
+const reviseFareVersion = (route, percentage, effectiveFrom) => {
+  const current = route.getFareVersion(effectiveFrom);
+  const revise = fare => Math.round(fare * (1 + percentage / 100));
+
+  return {
+    effectiveFrom,
+    baseFare: Math.min(Math.max(revise(current.baseFare), MIN_BASE_FARE), MAX_BASE_FARE),
+    fareTables: current.fareTables.map(table => ({ busType: table.busType, stageFares: table.stageFares.map(revise) }))
+  };
+};
+
+/**
+ * Revise the fares of every active route, or of a filtered set of routes, by a percentage from a given date
+ * Each route gets a new fare version from effectiveFrom on. Scheduled trips departing from then on are repriced;
+ * earlier trips, and seats already booked, keep the fare they were sold at. Trips whose fare differs from the
+ * route's fare before the revision were priced by hand and are left alone (reported in tripsSkipped).
+ * @param {Object} options - { percentage, effectiveFrom, reason, routeIds, routeType, province (start or end of the
+ *                           route), preview (work out the revision without applying it), appliedBy }
+ * @returns {Promise<Object>} { revision, preview } or { status, message } describing the problem
+ */
+const reviseFares = async ({ percentage, effectiveFrom, reason, routeIds, routeType, province, preview = false, appliedBy }) => {
+  const from = new Date(effectiveFrom);
+
+  const query = { isActive: true };
+  if (routeIds) query._id = { $in: routeIds };
+  if (routeType) query.routeType = routeType;
+  if (province) query.$or = [{ 'startLocation.province': province }, { 'endLocation.province': province }];
+
+  const routes = await Route.find(query).sort('routeNumber');
+  if (routes.length === 0) {
+    return { status: 404, message: 'No active routes match the filter' };
+  }
+
+  // A later version would hide the revision from its effective date on
+  const superseded = routes.filter(route => (route.fareVersions || []).some(version => version.effectiveFrom >= from));
+  if (superseded.length > 0) {
+    return { status: 409, message: `Routes already have fares revised from ${from.toISOString()} or later: ${superseded.map(route => route.routeNumber).join(', ')}` };
+  }
+
+  const revision = new FareRevision({
+    percentage,
+    effectiveFrom: from,
+    reason,
+    filter: { routeIds, routeType, province },
+    appliedBy
+  });
+
+  const routesById = new Map(routes.map(route => [String(route._id), route]));
+  const trips = (await Trip.find({ routeId: { $in: routes.map(route => route._id) }, status: { $in: REPRICED_STATUSES }, departureTime: { $gte: from } })
+    .populate('busId', 'busType'))
+    .filter(trip => trip.busId);
+  const calculateTripFare = trip => routesById.get(String(trip.routeId)).calculateFare(trip.busId.busType, { at: trip.departureTime });
+
+  // Fares set by hand are kept: only trips still at the route's fare (before the revision) follow it
+  const atRouteFare = trips.filter(trip => calculateTripFare(trip) === trip.fare);
+  revision.tripsSkipped = trips.filter(trip => !atRouteFare.includes(trip)).map(trip => trip._id);
+
+  // Routes are only saved once the revision is applied, so a preview changes nothing
+  routes.forEach(route => {
+    const version = reviseFareVersion(route, percentage, from);
+    revision.routes.push({
+      routeId: route._id,
+      routeNumber: route.routeNumber,
+      baseFareBefore: route.getFareVersion(from).baseFare,
+      baseFareAfter: version.baseFare,
+      fareTables: version.fareTables.length
+    });
+    route.addFareVersion({ ...version, revisionId: revision._id });
+  });
+
+  const repriced = atRouteFare
+    .map(trip => ({ trip, fare: calculateTripFare(trip) }))
+    .filter(({ trip, fare }) => fare !== trip.fare);
+  revision.tripsRepriced = repriced.length;
+
+  // Every route and the revision are checked before any is written, so a fare that fails leaves all routes as they were
+  for (const document of [...routes, revision]) {
+    await document.validate();
+  }
+
+  if (preview) {
+    return { revision, preview: true };
+  }
+
+  for (const route of routes) {
+    await route.save();
+  }
+
+  if (repriced.length > 0) {
+    await Trip.bulkWrite(repriced.map(({ trip, fare }) => ({ updateOne: { filter: { _id: trip._id }, update: { $set: { fare } } } })));
+  }
+
+  await revision.save();
+
+  return { revision, preview: false };
+};
+
+module.exports = { quoteFare, reviseFares };
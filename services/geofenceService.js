@@ -0,0 +1,165 @@
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const Trip = require('../models/Trip');
+const { endTripDeviation } = require('./deviationService');
+const { restoreTripSignal } = require('./signalService');
+
+/**
+ * Geofence Service
+ * Detects buses entering and leaving geofences, logs the events and drives terminal trip automation
+ */
+
+// Active geofences are cached in memory and refreshed at most this often (CRUD changes invalidate immediately)
+const GEOFENCE_CACHE_TTL_MS = 60 * 1000;
+
+// Window around the scheduled departure in which leaving the origin terminal starts the trip
+// (Trip.actualDeparture may not be more than 30 minutes early)
+const AUTO_START_EARLY_MS = 30 * 60 * 1000;
+const AUTO_START_LATE_MS = 2 * 60 * 60 * 1000;
+
+let cachedGeofences = null;
+let cachedAt = 0;
+
+/**
+ * Get all active geofences (cached)
+ * @returns {Promise<Array>} Geofence documents
+ */
+const getActiveGeofences = async () => {
+  if (!cachedGeofences || Date.now() - cachedAt > GEOFENCE_CACHE_TTL_MS) {
+    cachedGeofences = await Geofence.find({ isActive: true });
+    cachedAt = Date.now();
+  }
+
+  return cachedGeofences;
+};
+
+/**
+ * Drop the cached geofences so the next evaluation reloads them
+ */
+const invalidateGeofenceCache = () => {
+  cachedGeofences = null;
+};
+
+/**
+ * Find the scheduled trip of a bus departing from the geofence's city around the given time
+ */
+const findTripToStart = async (busId, geofence, at) => {
+  const trips = await Trip.find({
+    busId,
+    status: { $in: ['scheduled', 'delayed'] },
+    departureTime: { $gte: new Date(at.getTime() - AUTO_START_LATE_MS), $lte: new Date(at.getTime() + AUTO_START_EARLY_MS) }
+  }).populate('routeId', 'startLocation endLocation');
+
+  const candidates = trips.filter(trip => trip.routeId && geofence.servesCity(trip.routeId.startLocation.city));
+
+  // The departure closest to now
+  candidates.sort((a, b) => Math.abs(a.departureTime - at) - Math.abs(b.departureTime - at));
+  return candidates[0] || null;
+};
+
+/**
+ * Evaluate a fix against all active geofences and log enter/exit events
+ * Updates bus.insideGeofences in memory - the caller saves the bus
+ * @param {Object} bus - Bus document
+ * @param {Object} fix - { latitude, longitude, recordedAt }
+ * @param {Object} activeTrip - In-progress trip with routeId populated (or null)
+ * @param {Object} options - { automate } set to false to log events without starting/completing trips
+ * @returns {Promise<Object>} { events, tripStarted, tripCompleted }
+ */
+const evaluateGeofences = async (bus, fix, activeTrip, options = {}) => {
+  const { automate = true } = options;
+  const at = new Date(fix.recordedAt);
+
+  const geofences = await getActiveGeofences();
+  const wasInside = new Set((bus.insideGeofences || []).map(id => id.toString()));
+  const isInside = new Set(geofences.filter(geofence => geofence.contains(fix.latitude, fix.longitude)).map(geofence => geofence._id.toString()));
+
+  const events = [];
+  let tripStarted = null;
+  let tripCompleted = null;
+
+  // Fixes buffered before the trip departed are not part of it
+  const currentTrip = () => (activeTrip && (!activeTrip.actualDeparture || at >= activeTrip.actualDeparture) ? activeTrip : null);
+
+  const buildEvent = (geofence, type, trip, tripAction) => ({
+    geofenceId: geofence._id,
+    busId: bus._id,
+    tripId: trip ? trip._id : null,
+    routeId: trip && trip.routeId ? trip.routeId._id : null,
+    operatorId: bus.operatorId._id || bus.operatorId,
+    type,
+    location: { latitude: fix.latitude, longitude: fix.longitude },
+    tripAction,
+    occurredAt: at
+  });
+
+  // Exits first: leaving the origin terminal may start the trip
+  for (const geofence of geofences) {
+    const id = geofence._id.toString();
+    if (!wasInside.has(id) || isInside.has(id)) continue;
+
+    let trip = currentTrip();
+    let tripAction;
+
+    if (automate && geofence.tripAutomation && !trip && !tripStarted) {
+      const scheduled = await findTripToStart(bus._id, geofence, at);
+
+      if (scheduled) {
+        try {
+          await scheduled.startTrip();
+          tripStarted = scheduled;
+          trip = scheduled;
+          tripAction = 'started';
+        } catch (error) {
+          console.error(`Geofence auto-start failed for trip ${scheduled._id}:`, error.message);
+        }
+      }
+    }
+
+    events.push(buildEvent(geofence, 'exit', trip, tripAction));
+  }
+
+  // Entries: arriving at the destination terminal completes the trip
+  for (const geofence of geofences) {
+    const id = geofence._id.toString();
+    if (wasInside.has(id) || !isInside.has(id)) continue;
+
+    const trip = tripStarted || currentTrip();
+    let tripAction;
+
+    if (automate && geofence.tripAutomation && trip && trip === activeTrip && !tripCompleted &&
+        trip.routeId && trip.routeId.endLocation && geofence.servesCity(trip.routeId.endLocation.city)) {
+      try {
+        await endTripDeviation(trip);
+        await restoreTripSignal(trip);
+        await trip.completeTrip();
+        tripCompleted = trip;
+        tripAction = 'completed';
+      } catch (error) {
+        console.error(`Geofence auto-complete failed for trip ${trip._id}:`, error.message);
+      }
+    }
+
+    events.push(buildEvent(geofence, 'enter', trip, tripAction));
+  }
+
+  bus.insideGeofences = Array.from(isInside);
+
+  if (events.length > 0) {
+    await GeofenceEvent.insertMany(events);
+  }
+
+  return {
+    events: events.map(event => ({
+      geofenceId: event.geofenceId,
+      name: geofences.find(geofence => geofence._id.equals(event.geofenceId)).name,
+      type: event.type,
+      tripId: event.tripId,
+      tripAction: event.tripAction || null
+    })),
+    tripStarted,
+    tripCompleted
+  };
+};
+
+module.exports = { getActiveGeofences, invalidateGeofenceCache, evaluateGeofences };
@@ -0,0 +1,384 @@
+const JSZip = require('jszip');
+const Route = require('../models/Route');
+const { calculateDistance, projectOntoPolyline } = require('../utils/geo');
+const { linkRouteStops } = require('./stopService');
+const { parseCsv, parseGtfsTime, validateGtfsFeed } = require('../utils/gtfs');
+
+/**
+ * GTFS Import Service
+ * Turns a GTFS static feed into Route documents (stops become waypoints) and upserts them by routeNumber
+ */
+
+// Per-km rate used for routes whose feed has no fare information
+const DEFAULT_FARE_PER_KM = parseFloat(process.env.GTFS_DEFAULT_FARE_PER_KM) || 2.2;
+
+// Default service frequency (minutes) when a route has a single trip per day
+const DEFAULT_FREQUENCY = 60;
+
+// Default dwell time (minutes) at stops without separate arrival and departure times
+const DEFAULT_STOP_DURATION = 5;
+
+// District capitals, used to pick the province of a stop (GTFS has no notion of provinces)
+const DISTRICT_CAPITALS = [
+  { province: 'Western', latitude: 6.9271, longitude: 79.8612 },
+  { province: 'Western', latitude: 7.0917, longitude: 79.9999 },
+  { province: 'Western', latitude: 6.5854, longitude: 79.9607 },
+  { province: 'Central', latitude: 7.2906, longitude: 80.6337 },
+  { province: 'Central', latitude: 7.4675, longitude: 80.6234 },
+  { province: 'Central', latitude: 6.9497, longitude: 80.7891 },
+  { province: 'Southern', latitude: 6.0535, longitude: 80.2210 },
+  { province: 'Southern', latitude: 5.9549, longitude: 80.5550 },
+  { province: 'Southern', latitude: 6.1246, longitude: 81.1185 },
+  { province: 'Northern', latitude: 9.6615, longitude: 80.0255 },
+  { province: 'Northern', latitude: 9.3803, longitude: 80.3770 },
+  { province: 'Northern', latitude: 8.9810, longitude: 79.9044 },
+  { province: 'Northern', latitude: 8.7514, longitude: 80.4971 },
+  { province: 'Northern', latitude: 9.2671, longitude: 80.8142 },
+  { province: 'Eastern', latitude: 8.5874, longitude: 81.2152 },
+  { province: 'Eastern', latitude: 7.7310, longitude: 81.6747 },
+  { province: 'Eastern', latitude: 7.2970, longitude: 81.6820 },
+  { province: 'North Western', latitude: 7.4863, longitude: 80.3623 },
+  { province: 'North Western', latitude: 8.0362, longitude: 79.8283 },
+  { province: 'North Central', latitude: 8.3114, longitude: 80.4037 },
+  { province: 'North Central', latitude: 7.9403, longitude: 81.0188 },
+  { province: 'Uva', latitude: 6.9934, longitude: 81.0550 },
+  { province: 'Uva', latitude: 6.8724, longitude: 81.3507 },
+  { province: 'Sabaragamuwa', latitude: 6.6828, longitude: 80.3992 },
+  { province: 'Sabaragamuwa', latitude: 7.2513, longitude: 80.3464 }
+];
+
+// Sri Lanka bounds enforced by the Route schema
+const BOUNDS = { minLatitude: 5.5, maxLatitude: 10.0, minLongitude: 79.0, maxLongitude: 82.0 };
+
+// Route fields compared when reporting what an import would change
+const COMPARED_FIELDS = ['routeName', 'startLocation', 'endLocation', 'distance', 'estimatedDuration', 'waypoints', 'operatingHours', 'frequency', 'baseFare', 'isActive', 'source', 'gtfsRouteId'];
+
+/**
+ * Read the .txt files of a GTFS zip (files may sit in a single top-level folder)
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Promise<Object>} File name -> CSV text
+ */
+const readGtfsZip = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = {};
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || !entry.name.toLowerCase().endsWith('.txt')) continue;
+    files[entry.name.split('/').pop().toLowerCase()] = await entry.async('string');
+  }
+
+  return files;
+};
+
+/**
+ * Helper function to pick the province of the nearest district capital
+ */
+const guessProvince = (latitude, longitude) => {
+  let nearest = null;
+  let minDistance = Infinity;
+
+  DISTRICT_CAPITALS.forEach(capital => {
+    const distance = calculateDistance(latitude, longitude, capital.latitude, capital.longitude);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = capital;
+    }
+  });
+
+  return nearest.province;
+};
+
+/**
+ * Helper function to turn a GTFS route_short_name into our R-000 route number
+ * @returns {string|null} null when the name cannot be mapped
+ */
+const toRouteNumber = (shortName) => {
+  const value = String(shortName || '').trim().toUpperCase();
+
+  if (/^R-[0-9]{3,4}$/.test(value)) return value;
+  if (/^[0-9]{1,4}$/.test(value)) return `R-${value.padStart(3, '0')}`;
+  return null;
+};
+
+/**
+ * Helper function to format seconds since midnight as HH:MM (wrapping past midnight)
+ */
+const toClockTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Distance (km) of each stop from the first one
+ * Stops are projected onto the trip's shape when the feed has one, in order so a route that
+ * passes near a stop twice is measured at the right pass; otherwise the straight-line legs are summed
+ */
+const measureStops = (stops, shape) => {
+  if (shape && shape.length >= 2) {
+    const cumulative = [0];
+    for (let i = 1; i < shape.length; i++) {
+      cumulative.push(cumulative[i - 1] + calculateDistance(shape[i - 1].latitude, shape[i - 1].longitude, shape[i].latitude, shape[i].longitude));
+    }
+
+    let fromSegment = 0;
+    let previous = 0;
+    const alongShape = stops.map(stop => {
+      const projection = projectOntoPolyline(stop.latitude, stop.longitude, shape, fromSegment);
+      const { segmentIndex, fraction } = projection;
+      fromSegment = segmentIndex;
+      previous = Math.max(previous, cumulative[segmentIndex] + (cumulative[segmentIndex + 1] - cumulative[segmentIndex]) * fraction);
+      return previous;
+    });
+
+    // The shape may start before the first stop
+    return alongShape.map(distance => distance - alongShape[0]);
+  }
+
+  let total = 0;
+  return stops.map((stop, index) => {
+    if (index > 0) total += calculateDistance(stops[index - 1].latitude, stops[index - 1].longitude, stop.latitude, stop.longitude);
+    return total;
+  });
+};
+
+/**
+ * Median of a list of numbers
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Build Route data from the files of a GTFS feed
+ * Each GTFS route is described by its longest trip in the first direction: the first and last stops
+ * become the start and end locations and the stops in between become waypoints
+ * @param {Object} files - File name -> CSV text
+ * @returns {Object} { routes, skipped } where skipped lists { gtfsRouteId, routeNumber, reason }
+ */
+const buildRoutesFromFeed = (files) => {
+  const table = file => (files[file] ? parseCsv(files[file]).rows : []);
+
+  const stopsById = new Map(table('stops.txt').map(stop => [stop.stop_id, {
+    name: stop.stop_name,
+    latitude: Number(stop.stop_lat),
+    longitude: Number(stop.stop_lon)
+  }]));
+
+  const stopTimesByTrip = new Map();
+  table('stop_times.txt').forEach(stopTime => {
+    if (!stopTimesByTrip.has(stopTime.trip_id)) stopTimesByTrip.set(stopTime.trip_id, []);
+    stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+  });
+  stopTimesByTrip.forEach(stopTimes => stopTimes.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence)));
+
+  const shapes = new Map();
+  table('shapes.txt').forEach(point => {
+    if (!shapes.has(point.shape_id)) shapes.set(point.shape_id, []);
+    shapes.get(point.shape_id).push({ sequence: Number(point.shape_pt_sequence), latitude: Number(point.shape_pt_lat), longitude: Number(point.shape_pt_lon) });
+  });
+  shapes.forEach(points => points.sort((a, b) => a.sequence - b.sequence));
+
+  const tripsByRoute = new Map();
+  table('trips.txt').forEach(trip => {
+    if (!tripsByRoute.has(trip.route_id)) tripsByRoute.set(trip.route_id, []);
+    tripsByRoute.get(trip.route_id).push(trip);
+  });
+
+  // Fares: the highest fare attached to a route (the full-length ticket), or the only fare of the feed
+  const fares = new Map(table('fare_attributes.txt').map(fare => [fare.fare_id, Number(fare.price)]));
+  const fareRules = table('fare_rules.txt');
+  const getFare = (routeId) => {
+    const prices = fareRules.filter(rule => rule.route_id === routeId && fares.has(rule.fare_id)).map(rule => fares.get(rule.fare_id));
+    if (prices.length > 0) return Math.max(...prices);
+    if (fareRules.length === 0 && fares.size === 1) return [...fares.values()][0];
+    return null;
+  };
+
+  const routes = [];
+  const skipped = [];
+  const routeNumbers = new Set();
+
+  table('routes.txt').forEach(gtfsRoute => {
+    const gtfsRouteId = gtfsRoute.route_id;
+    const routeNumber = toRouteNumber(gtfsRoute.route_short_name);
+    const skip = reason => skipped.push({ gtfsRouteId, routeNumber, reason });
+
+    if (!routeNumber) return skip(`route_short_name "${gtfsRoute.route_short_name}" cannot be mapped to a route number like R-001`);
+    if (routeNumbers.has(routeNumber)) return skip(`Another route in the feed already maps to ${routeNumber}`);
+
+    const trips = (tripsByRoute.get(gtfsRouteId) || []).filter(trip => (stopTimesByTrip.get(trip.trip_id) || []).length >= 2);
+    if (trips.length === 0) return skip('Route has no trips with stop times');
+
+    // Representative trip: the longest one in the first direction
+    const direction = trips.some(trip => !trip.direction_id || trip.direction_id === '0') ? ['', '0'] : ['1'];
+    const candidates = trips.filter(trip => direction.includes(trip.direction_id || ''));
+    const trip = candidates.reduce((longest, candidate) =>
+      (stopTimesByTrip.get(candidate.trip_id).length > stopTimesByTrip.get(longest.trip_id).length ? candidate : longest));
+    const stopTimes = stopTimesByTrip.get(trip.trip_id);
+
+    const stops = stopTimes.map(stopTime => stopsById.get(stopTime.stop_id));
+    if (stops.some(stop => !stop)) return skip(`Trip ${trip.trip_id} uses an unknown stop`);
+
+    const outside = stops.find(stop => !(stop.latitude >= BOUNDS.minLatitude && stop.latitude <= BOUNDS.maxLatitude &&
+      stop.longitude >= BOUNDS.minLongitude && stop.longitude <= BOUNDS.maxLongitude));
+    if (outside) return skip(`Stop "${outside.name}" is outside Sri Lanka`);
+
+    const distances = measureStops(stops, shapes.get(trip.shape_id));
+    const distance = round(distances[distances.length - 1]);
+    if (distance < 1) return skip('Route is shorter than 1 km');
+
+    // Duration from the first departure to the last arrival of the representative trip
+    const firstDeparture = parseGtfsTime(stopTimes[0].departure_time || stopTimes[0].arrival_time);
+    const lastArrival = parseGtfsTime(stopTimes[stopTimes.length - 1].arrival_time || stopTimes[stopTimes.length - 1].departure_time);
+    if (firstDeparture === null || lastArrival === null) return skip(`Trip ${trip.trip_id} has no times at its first or last stop`);
+
+    // Operating hours span the first departures of every trip on the route
+    const departures = trips
+      .map(routeTrip => parseGtfsTime(stopTimesByTrip.get(routeTrip.trip_id)[0].departure_time))
+      .filter(time => time !== null);
+
+    // Frequency: median gap between departures in the same direction on the same service day
+    const headways = [...new Set(candidates
+      .filter(candidate => candidate.service_id === trip.service_id)
+      .map(candidate => parseGtfsTime(stopTimesByTrip.get(candidate.trip_id)[0].departure_time))
+      .filter(time => time !== null))]
+      .sort((a, b) => a - b)
+      .map((time, index, times) => (index > 0 ? time - times[index - 1] : null))
+      .filter(gap => gap !== null);
+
+    const fare = getFare(gtfsRouteId);
+
+    const toLocation = stop => ({
+      city: stop.name,
+      province: guessProvince(stop.latitude, stop.longitude),
+      coordinates: { latitude: stop.latitude, longitude: stop.longitude }
+    });
+
+    const start = stops[0];
+    const end = stops[stops.length - 1];
+
+    routeNumbers.add(routeNumber);
+    routes.push({
+      routeNumber,
+      routeName: (gtfsRoute.route_long_name || `${start.name} - ${end.name}`).slice(0, 100),
+      startLocation: toLocation(start),
+      endLocation: toLocation(end),
+      distance,
+      estimatedDuration: clamp(Math.round((lastArrival - firstDeparture) / 60), 30, 720),
+      waypoints: stops.slice(1, -1).map((stop, index) => {
+        const stopTime = stopTimes[index + 1];
+        const arrival = parseGtfsTime(stopTime.arrival_time);
+        const departure = parseGtfsTime(stopTime.departure_time);
+
+        return {
+          name: stop.name,
+          coordinates: { latitude: stop.latitude, longitude: stop.longitude },
+          stopDuration: arrival !== null && departure !== null ? clamp(Math.round((departure - arrival) / 60), 0, 60) : DEFAULT_STOP_DURATION,
+          distanceFromStart: round(Math.min(distances[index + 1], distance))
+        };
+      }),
+      operatingHours: {
+        startTime: toClockTime(Math.min(...departures)),
+        endTime: toClockTime(Math.max(...departures))
+      },
+      frequency: clamp(headways.length > 0 ? Math.round(median(headways) / 60) : DEFAULT_FREQUENCY, 15, 480),
+      baseFare: clamp(Math.round(fare !== null ? fare : distance * DEFAULT_FARE_PER_KM), 10, 5000),
+      isActive: true,
+      source: 'gtfs',
+      gtfsRouteId
+    });
+  });
+
+  return { routes, skipped };
+};
+
+/**
+ * Helper function to list the compared fields that differ between a route and imported data
+ */
+const diffRoute = (route, data) => {
+  // Getters read the names and positions of referenced stops
+  const current = route.toObject({ virtuals: false, getters: true });
+
+  // Compare plain values only (no _id or GeoJSON mirrors)
+  const normalize = value => JSON.stringify(value, (key, item) => (key === '_id' || key === 'point' ? undefined : item));
+
+  return COMPARED_FIELDS.filter(field => {
+    if (field === 'waypoints') {
+      const waypoints = (current.waypoints || []).map(({ name, coordinates, stopDuration, distanceFromStart }) => ({ name, coordinates, stopDuration, distanceFromStart }));
+      return normalize(waypoints) !== normalize(data.waypoints);
+    }
+    if (field === 'startLocation' || field === 'endLocation') {
+      const { city, province, coordinates } = current[field] || {};
+      return normalize({ city, province, coordinates }) !== normalize(data[field]);
+    }
+    return normalize(current[field]) !== normalize(data[field]);
+  });
+};
+
+/**
+ * Import a GTFS feed into Route documents
+ * Routes are upserted by routeNumber; routes imported earlier (source "gtfs") that are no longer in
+ * the feed are deactivated. Manually entered routes are never deactivated
+ * @param {Object} files - File name -> CSV text (see readGtfsZip)
+ * @param {Object} options - { dryRun } to report the changes without saving them
+ * @returns {Promise<Object>} { valid, errors } for an invalid feed, otherwise
+ *   { valid, dryRun, created, updated, deactivated, unchanged, skipped }
+ */
+const importGtfsFeed = async (files, { dryRun = false } = {}) => {
+  const { valid, errors } = validateGtfsFeed(files);
+  if (!valid) return { valid, errors };
+
+  const { routes, skipped } = buildRoutesFromFeed(files);
+  const existing = await Route.find({ routeNumber: { $in: routes.map(route => route.routeNumber) } });
+  const existingByNumber = new Map(existing.map(route => [route.routeNumber, route]));
+
+  const summary = { valid: true, dryRun, created: [], updated: [], deactivated: [], unchanged: [], skipped };
+
+  for (const data of routes) {
+    const current = existingByNumber.get(data.routeNumber);
+    const changes = current ? diffRoute(current, data) : null;
+
+    if (current && changes.length === 0) {
+      summary.unchanged.push(data.routeNumber);
+      continue;
+    }
+
+    const route = current || new Route();
+    route.set(data);
+
+    // Report routes the schema would reject instead of failing the whole import
+    try {
+      await route.validate();
+    } catch (error) {
+      skipped.push({ gtfsRouteId: data.gtfsRouteId, routeNumber: data.routeNumber, reason: error.message });
+      continue;
+    }
+
+    if (!dryRun) {
+      // Share stops with the routes already in the system (set() replaced the waypoints)
+      await linkRouteStops([route]);
+      await route.save();
+    }
+
+    if (current) summary.updated.push({ routeNumber: data.routeNumber, routeName: data.routeName, changes });
+    else summary.created.push({ routeNumber: data.routeNumber, routeName: data.routeName });
+  }
+
+  // Routes from an earlier import that this feed no longer contains (skipped routes are kept as they are)
+  const inFeed = [...routes, ...skipped].map(route => route.routeNumber).filter(Boolean);
+  const removed = await Route.find({ source: 'gtfs', isActive: true, routeNumber: { $nin: inFeed } }).select('routeNumber routeName');
+
+  summary.deactivated = removed.map(route => ({ routeNumber: route.routeNumber, routeName: route.routeName }));
+  if (!dryRun && removed.length > 0) {
+    await Route.updateMany({ _id: { $in: removed.map(route => route._id) } }, { isActive: false });
+  }
+
+  return summary;
+};
+
+module.exports = { readGtfsZip, guessProvince, toRouteNumber, buildRoutesFromFeed, diffRoute, importGtfsFeed };
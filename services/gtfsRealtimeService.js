@@ -0,0 +1,232 @@
+const { transit_realtime: GtfsRealtime } = require('gtfs-realtime-bindings');
+const Trip = require('../models/Trip');
+const { getLocalParts, getLocalDayStart, getGtfsRouteId } = require('./gtfsService');
+const { classifyBuses } = require('./signalService');
+const { getTravelTimeModel } = require('./travelTimeService');
+const { predictRemainingStops } = require('./etaService');
+const { formatGtfsTime } = require('../utils/gtfs');
+
+/**
+ * GTFS-Realtime Service
+ * Builds VehiclePositions and TripUpdates feeds whose IDs match the static feed (trip_id = Trip ID,
+ * route_id from getGtfsRouteId, stop_sequence 1 = route start, then each waypoint, then the end)
+ */
+
+const { ScheduleRelationship } = GtfsRealtime.TripDescriptor;
+const { VehicleStopStatus, OccupancyStatus } = GtfsRealtime.VehiclePosition;
+
+// Scheduled trips departing within this window get predicted stop times
+const UPCOMING_HORIZON_MS = 3 * 60 * 60 * 1000;
+
+// Cancellations are published for trips departing within this window
+const CANCELLATION_HORIZON_MS = 24 * 60 * 60 * 1000;
+
+// A bus this close (km) to its current waypoint is treated as stopped there
+const STOPPED_AT_KM = 0.1;
+
+// A bus this close (km) to its next stop is about to arrive
+const INCOMING_AT_KM = 0.5;
+
+// Buses in these freshness states are left out of vehicle positions
+const HIDDEN_FRESHNESS = ['offline'];
+
+const toSeconds = date => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Helper function to build a feed message around a list of entities
+ */
+const createFeed = (entities, now) => GtfsRealtime.FeedMessage.create({
+  header: {
+    gtfsRealtimeVersion: '2.0',
+    incrementality: GtfsRealtime.FeedHeader.Incrementality.FULL_DATASET,
+    timestamp: toSeconds(now)
+  },
+  entity: entities
+});
+
+/**
+ * Helper function to describe a trip the way the static feed does
+ */
+const toTripDescriptor = (trip, scheduleRelationship = ScheduleRelationship.SCHEDULED) => {
+  const local = getLocalParts(trip.departureTime);
+
+  return {
+    tripId: trip._id.toString(),
+    routeId: getGtfsRouteId(trip.routeId, trip.busId.operatorId),
+    startDate: local.date,
+    startTime: formatGtfsTime(local.secondsOfDay),
+    scheduleRelationship
+  };
+};
+
+const toVehicleDescriptor = bus => ({ id: bus._id.toString(), label: bus.busNumber, licensePlate: bus.busNumber });
+
+/**
+ * Helper function to map a passenger count to a GTFS-RT occupancy status
+ */
+const toOccupancyStatus = (occupancy, capacity) => {
+  if (!capacity) return OccupancyStatus.NO_DATA_AVAILABLE;
+
+  const ratio = (occupancy || 0) / capacity;
+  if (ratio >= 1) return OccupancyStatus.FULL;
+  if (ratio >= 0.9) return OccupancyStatus.STANDING_ROOM_ONLY;
+  if (ratio >= 0.5) return OccupancyStatus.FEW_SEATS_AVAILABLE;
+  if (ratio > 0) return OccupancyStatus.MANY_SEATS_AVAILABLE;
+  return OccupancyStatus.EMPTY;
+};
+
+/**
+ * Build the VehiclePositions feed for running trips
+ * @param {Array} trips - In-progress trips with busId (currentLocation, capacity, operatorId) and routeId populated
+ * @param {Array} freshness - classifyBuses result for trips[i].busId, in the same order
+ * @param {Date} now - Feed timestamp
+ * @returns {Object} FeedMessage
+ */
+const buildVehiclePositionsFeed = (trips, freshness, now = new Date()) => {
+  const entities = [];
+
+  trips.forEach((trip, index) => {
+    const bus = trip.busId;
+    const route = trip.routeId;
+    const location = bus.currentLocation;
+
+    if (!location || location.latitude == null || HIDDEN_FRESHNESS.includes(freshness[index].freshness)) return;
+
+    // Stopped at the current waypoint, otherwise heading for the next stop (waypoints are sequence 2 onwards)
+    const distanceTravelled = trip.distanceTravelled || 0;
+    const atWaypoint = route.waypoints.length > 0 && Math.abs(route.getWaypointDistance(trip.currentWaypoint) - distanceTravelled) <= STOPPED_AT_KM;
+    const nextStop = route.getNextStop(distanceTravelled);
+    const nextSequence = nextStop.waypointIndex === null ? route.waypoints.length + 2 : nextStop.waypointIndex + 2;
+
+    let stopStatus = VehicleStopStatus.IN_TRANSIT_TO;
+    if (atWaypoint) stopStatus = VehicleStopStatus.STOPPED_AT;
+    else if (nextStop.distanceAway <= INCOMING_AT_KM) stopStatus = VehicleStopStatus.INCOMING_AT;
+
+    entities.push({
+      id: bus._id.toString(),
+      vehicle: {
+        trip: toTripDescriptor(trip),
+        vehicle: toVehicleDescriptor(bus),
+        position: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          ...(location.heading != null ? { bearing: location.heading } : {}),
+          // GTFS-RT speeds are in metres per second
+          ...(location.speed != null ? { speed: location.speed / 3.6 } : {})
+        },
+        currentStopSequence: atWaypoint ? trip.currentWaypoint + 2 : nextSequence,
+        currentStatus: stopStatus,
+        timestamp: toSeconds(location.lastUpdated || now),
+        occupancyStatus: toOccupancyStatus(trip.occupancy, bus.capacity),
+        ...(bus.capacity ? { occupancyPercentage: Math.round((trip.occupancy || 0) / bus.capacity * 100) } : {})
+      }
+    });
+  });
+
+  return createFeed(entities, now);
+};
+
+/**
+ * Build the TripUpdates feed
+ * @param {Array} trips - Trips with busId and routeId populated (running, upcoming and cancelled)
+ * @param {Map} predictions - Trip ID -> predictRemainingStops result (cancelled trips need none)
+ * @param {Date} now - Feed timestamp
+ * @returns {Object} FeedMessage
+ */
+const buildTripUpdatesFeed = (trips, predictions, now = new Date()) => {
+  const entities = trips.map(trip => {
+    const id = trip._id.toString();
+
+    if (trip.status === 'cancelled') {
+      return { id, tripUpdate: { trip: toTripDescriptor(trip, ScheduleRelationship.CANCELED), timestamp: toSeconds(trip.updatedAt || now) } };
+    }
+
+    const stops = predictions.get(id) || [];
+    const lastStopIndex = trip.routeId.waypoints.length + 1;
+
+    return {
+      id,
+      tripUpdate: {
+        trip: toTripDescriptor(trip),
+        vehicle: toVehicleDescriptor(trip.busId),
+        timestamp: toSeconds(trip.status === 'in-progress' && trip.busId.currentLocation && trip.busId.currentLocation.lastUpdated || now),
+        delay: Math.round((trip.delay || 0) * 60),
+        stopTimeUpdate: stops.map(stop => {
+          const event = {
+            time: toSeconds(stop.predictedArrival),
+            delay: Math.round((stop.predictedArrival - stop.scheduledArrival) / 1000)
+          };
+
+          return {
+            stopSequence: stop.stopIndex + 1,
+            ...(stop.stopIndex > 0 ? { arrival: event } : {}),
+            ...(stop.stopIndex < lastStopIndex ? { departure: event } : {})
+          };
+        })
+      }
+    };
+  });
+
+  return createFeed(entities, now);
+};
+
+// Helper function to keep trips that can be described in the static feed's terms
+const isDescribable = trip => trip.busId && trip.busId.operatorId && trip.routeId && trip.routeId.getStopDistances;
+
+/**
+ * Load running trips and build the VehiclePositions feed
+ * @returns {Promise<Object>} FeedMessage
+ */
+const getVehiclePositionsFeed = async (now = new Date()) => {
+  const trips = (await Trip.find({ status: 'in-progress' })
+    .populate('busId', 'busNumber operatorId capacity currentLocation')
+    .populate('routeId', 'routeNumber waypoints distance endLocation'))
+    .filter(isDescribable);
+
+  const freshness = await classifyBuses(trips.map(trip => trip.busId), now);
+  return buildVehiclePositionsFeed(trips, freshness, now);
+};
+
+/**
+ * Load running, upcoming and cancelled trips and build the TripUpdates feed
+ * @returns {Promise<Object>} FeedMessage
+ */
+const getTripUpdatesFeed = async (now = new Date()) => {
+  const dayStart = getLocalDayStart(now);
+
+  const trips = (await Trip.find({
+    $or: [
+      { status: 'in-progress' },
+      { status: { $in: ['scheduled', 'delayed'] }, departureTime: { $gte: dayStart, $lte: new Date(now.getTime() + UPCOMING_HORIZON_MS) } },
+      { status: 'cancelled', departureTime: { $gte: dayStart, $lte: new Date(now.getTime() + CANCELLATION_HORIZON_MS) } }
+    ]
+  })
+    .populate('busId', 'busNumber operatorId currentLocation')
+    .populate('routeId', 'routeNumber waypoints distance endLocation')
+    .sort({ departureTime: 1 }))
+    .filter(isDescribable);
+
+  const model = await getTravelTimeModel();
+  const predictions = new Map();
+
+  for (const trip of trips) {
+    if (trip.status !== 'cancelled') {
+      predictions.set(trip._id.toString(), await predictRemainingStops(trip, trip.routeId, model, now));
+    }
+  }
+
+  return buildTripUpdatesFeed(trips, predictions, now);
+};
+
+/**
+ * Encode a feed as protobuf
+ * @returns {Buffer}
+ */
+const encodeFeed = (feed) => Buffer.from(GtfsRealtime.FeedMessage.encode(feed).finish());
+
+/**
+ * Convert a feed to plain JSON for debugging (enum names, numeric timestamps)
+ */
+const feedToJson = (feed) => GtfsRealtime.FeedMessage.toObject(feed, { enums: String, longs: Number });
+
+module.exports = { buildVehiclePositionsFeed, buildTripUpdatesFeed, getVehiclePositionsFeed, getTripUpdatesFeed, encodeFeed, feedToJson };
@@ -0,0 +1,246 @@
+const JSZip = require('jszip');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { toCsv, formatGtfsTime } = require('../utils/gtfs');
+
+/**
+ * GTFS Service
+ * Builds a GTFS static feed (agency, stops, routes, trips, stop_times, calendar, feed_info) from the schedule
+ */
+
+// GTFS times are local to the agency timezone
+const TIME_ZONE = 'Asia/Colombo';
+
+// Default number of days of trips included in an export
+const DEFAULT_EXPORT_DAYS = parseInt(process.env.GTFS_EXPORT_DAYS) || 30;
+
+// Operators have no website of their own, so agencies point at the publisher
+const PUBLISHER = {
+  name: process.env.GTFS_PUBLISHER_NAME || 'National Transport Commission',
+  url: process.env.GTFS_PUBLISHER_URL || 'https://www.ntc.gov.lk'
+};
+
+// GTFS route_type for bus services
+const ROUTE_TYPE_BUS = 3;
+
+const WEEKDAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short',
+  hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+/**
+ * Local calendar date (YYYYMMDD), weekday and time of day of an instant
+ * @returns {Object} { date, weekday (0 = Sunday), secondsOfDay }
+ */
+const getLocalParts = (instant) => {
+  const parts = {};
+  localFormatter.formatToParts(new Date(instant)).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    date: `${parts.year}${parts.month}${parts.day}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    secondsOfDay: (parseInt(parts.hour) % 24) * 3600 + parseInt(parts.minute) * 60 + parseInt(parts.second)
+  };
+};
+
+/**
+ * Start of the local day containing an instant
+ */
+const getLocalDayStart = (instant) => {
+  const date = new Date(instant);
+  return new Date(date.getTime() - getLocalParts(date).secondsOfDay * 1000 - date.getMilliseconds());
+};
+
+/**
+ * Helper function to turn a stop name into an ID fragment
+ */
+const slugify = (text) => String(text).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stop';
+
+/**
+ * GTFS route_id of a route as run by one operator
+ * A GTFS route belongs to one agency, so each operator running a route gets its own route_id
+ */
+const getGtfsRouteId = (route, operatorId) => `${route.routeNumber}-${operatorId}`;
+
+/**
+ * Stops of a route in travel order: start, waypoints, end, with their distance from the start
+ */
+const getRouteStops = (route) => {
+  const distances = route.getStopDistances();
+
+  return [
+    { name: route.startLocation.city, coordinates: route.startLocation.coordinates },
+    ...route.waypoints.map(waypoint => ({ name: waypoint.name, coordinates: waypoint.coordinates })),
+    { name: route.endLocation.city, coordinates: route.endLocation.coordinates }
+  ].map((stop, index) => ({ ...stop, distanceFromStart: distances[index] }));
+};
+
+/**
+ * Build the GTFS files for a set of trips
+ * Pure function: all data is passed in, so it can be used without a database
+ * @param {Object} data - { trips (busId and routeId populated), operators, from, to, generatedAt }
+ * @returns {Object} File name -> CSV text
+ */
+const buildGtfsFeed = ({ trips, operators, from, to, generatedAt = new Date() }) => {
+  const operatorsById = new Map(operators.map(operator => [operator._id.toString(), operator]));
+
+  // Only trips whose route and operator are known can be described
+  const exportable = trips
+    .filter(trip => trip.routeId && trip.routeId.getStopDistances && trip.busId && trip.busId.operatorId &&
+      operatorsById.has(trip.busId.operatorId.toString()) && trip.departureTime && trip.estimatedArrival)
+    .sort((a, b) => a.departureTime - b.departureTime || a._id.toString().localeCompare(b._id.toString()));
+
+  const agencies = new Map();
+  const routes = new Map();
+  const stops = new Map();
+  const stopIdsInUse = new Set();
+  const services = new Map();
+  const tripRows = [];
+  const stopTimeRows = [];
+
+  // Stops shared between routes (same name and position) get a single stop_id
+  const getStopId = (stop) => {
+    const key = `${stop.name}|${stop.coordinates.latitude.toFixed(5)}|${stop.coordinates.longitude.toFixed(5)}`;
+
+    if (!stops.has(key)) {
+      let stopId = slugify(stop.name);
+      for (let suffix = 2; stopIdsInUse.has(stopId); suffix++) {
+        stopId = `${slugify(stop.name)}-${suffix}`;
+      }
+      stopIdsInUse.add(stopId);
+      stops.set(key, { stop_id: stopId, stop_name: stop.name, stop_lat: stop.coordinates.latitude, stop_lon: stop.coordinates.longitude });
+    }
+
+    return stops.get(key).stop_id;
+  };
+
+  exportable.forEach(trip => {
+    const route = trip.routeId;
+    const operator = operatorsById.get(trip.busId.operatorId.toString());
+    const agencyId = operator._id.toString();
+
+    if (!agencies.has(agencyId)) {
+      agencies.set(agencyId, {
+        agency_id: agencyId,
+        agency_name: operator.companyName || operator.fullName,
+        agency_url: PUBLISHER.url,
+        agency_timezone: TIME_ZONE,
+        agency_lang: 'en',
+        agency_phone: operator.contactNumber
+      });
+    }
+
+    const routeId = getGtfsRouteId(route, agencyId);
+    if (!routes.has(routeId)) {
+      routes.set(routeId, {
+        route_id: routeId,
+        agency_id: agencyId,
+        route_short_name: route.routeNumber,
+        route_long_name: route.routeName,
+        route_desc: route.description,
+        route_type: ROUTE_TYPE_BUS
+      });
+    }
+
+    // One service per local calendar day
+    const local = getLocalParts(trip.departureTime);
+    if (!services.has(local.date)) {
+      const service = { service_id: local.date, start_date: local.date, end_date: local.date };
+      WEEKDAY_COLUMNS.forEach((column, index) => { service[column] = index === local.weekday ? 1 : 0; });
+      services.set(local.date, service);
+    }
+
+    tripRows.push({
+      route_id: routeId,
+      service_id: local.date,
+      trip_id: trip._id.toString(),
+      trip_headsign: route.endLocation.city
+    });
+
+    // Times at each stop, pro rata by distance between departure and arrival, relative to the service day
+    const serviceDayStart = getLocalDayStart(trip.departureTime);
+    getRouteStops(route).forEach((stop, index) => {
+      const time = formatGtfsTime((trip.getScheduledTimeAtDistance(route, stop.distanceFromStart) - serviceDayStart) / 1000);
+
+      stopTimeRows.push({
+        trip_id: trip._id.toString(),
+        arrival_time: time,
+        departure_time: time,
+        stop_id: getStopId(stop),
+        stop_sequence: index + 1,
+        shape_dist_traveled: Math.round(stop.distanceFromStart * 100) / 100
+      });
+    });
+  });
+
+  const serviceDates = [...services.keys()].sort();
+  const feedStart = from ? getLocalParts(from).date : serviceDates[0];
+  const feedEnd = to ? getLocalParts(new Date(new Date(to).getTime() - 1)).date : serviceDates[serviceDates.length - 1];
+
+  return {
+    'agency.txt': toCsv(['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang', 'agency_phone'], [...agencies.values()]),
+    'stops.txt': toCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], [...stops.values()]),
+    'routes.txt': toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type'], [...routes.values()]),
+    'trips.txt': toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign'], tripRows),
+    'stop_times.txt': toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled'], stopTimeRows),
+    'calendar.txt': toCsv(['service_id', ...WEEKDAY_COLUMNS.slice(1), 'sunday', 'start_date', 'end_date'], serviceDates.map(date => services.get(date))),
+    'feed_info.txt': toCsv(['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'], [{
+      feed_publisher_name: PUBLISHER.name,
+      feed_publisher_url: PUBLISHER.url,
+      feed_lang: 'en',
+      feed_start_date: feedStart,
+      feed_end_date: feedEnd,
+      feed_version: generatedAt.toISOString()
+    }])
+  };
+};
+
+/**
+ * Resolve the export window, defaulting to DEFAULT_EXPORT_DAYS from the start of today (local time)
+ * @returns {Object} { from, to }
+ */
+const getExportWindow = ({ from, to, days } = {}) => {
+  const start = from ? new Date(from) : getLocalDayStart(new Date());
+  const end = to ? new Date(to) : new Date(start.getTime() + (days || DEFAULT_EXPORT_DAYS) * 24 * 60 * 60 * 1000);
+
+  return { from: start, to: end };
+};
+
+/**
+ * Load the schedule for a window and build the GTFS files
+ * Cancelled trips are left out (they are reported through GTFS-Realtime instead)
+ * @param {Object} options - { from, to, days }
+ * @returns {Promise<Object>} { files, window, tripCount }
+ */
+const generateGtfsFeed = async (options = {}) => {
+  const window = getExportWindow(options);
+
+  const trips = await Trip.find({
+    departureTime: { $gte: window.from, $lt: window.to },
+    status: { $ne: 'cancelled' }
+  })
+    .populate('routeId', 'routeNumber routeName startLocation endLocation waypoints distance')
+    .populate('busId', 'operatorId');
+
+  const operatorIds = [...new Set(trips.filter(trip => trip.busId).map(trip => trip.busId.operatorId.toString()))];
+  const operators = await User.find({ _id: { $in: operatorIds } }).select('fullName companyName contactNumber');
+
+  const files = buildGtfsFeed({ trips, operators, from: window.from, to: window.to });
+  return { files, window, tripCount: trips.length };
+};
+
+/**
+ * Zip a set of GTFS files
+ * @param {Object} files - File name -> CSV text
+ * @returns {Promise<Buffer>} Zip archive
+ */
+const zipGtfsFeed = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = { TIME_ZONE, getLocalParts, getLocalDayStart, getGtfsRouteId, buildGtfsFeed, getExportWindow, generateGtfsFeed, zipGtfsFeed };
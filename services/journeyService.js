@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const Stop = require('../models/Stop');
+const { normalizeStopName } = require('./stopService');
+
+/**
+ * Journey Planner Service
+ * Finds itineraries between two places over scheduled trips, changing buses where routes share a stop
+ * (same Stop, or the same stop name on routes not linked to stops yet). Walking between stops is not modelled.
+ */
+
+// Default minimum time (minutes) to change buses
+const MIN_TRANSFER_MINUTES = parseInt(process.env.JOURNEY_MIN_TRANSFER_MINUTES) || 10;
+
+// Default maximum number of bus changes
+const MAX_TRANSFERS = 2;
+
+// Trips departing within this window after departAfter are searched
+const SEARCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Trips that can still be boarded
+const BOARDABLE_STATUSES = ['scheduled', 'delayed', 'in-progress'];
+
+/**
+ * Helper function to describe a place to search from or to
+ * @param {Array} stopIds - Stops that count as the place
+ * @param {string} name - Stop or city name that counts as the place
+ */
+const toPlace = (stopIds, name) => ({ stopIds: new Set(stopIds.map(String)), name: normalizeStopName(name) });
+
+// Helper function to check whether a stop on a route is (part of) a place
+const isAtPlace = (stop, place) => (stop.stopId && place.stopIds.has(String(stop.stopId))) || (place.name && normalizeStopName(stop.name) === place.name);
+
+// Helper function to identify a stop across routes
+const getPlaceKey = stop => (stop.stopId ? `stop:${stop.stopId}` : `name:${normalizeStopName(stop.name)}`);
+
+/**
+ * Helper function to list a trip's stops (start, waypoints, end) with their expected times
+ * Times are the timetable pro rata along the route, shifted by the trip's current delay
+ */
+const getTripStops = (trip) => {
+  const route = trip.routeId;
+  const distances = route.getStopDistances();
+  const delayMs = (trip.delay || 0) * 60 * 1000;
+  const stops = [
+    { name: route.startLocation.city, stopId: route.startLocation.stopId },
+    ...route.waypoints.map(waypoint => ({ name: waypoint.name, stopId: waypoint.stopId })),
+    { name: route.endLocation.city, stopId: route.endLocation.stopId }
+  ];
+
+  return stops.map((stop, index) => ({
+    ...stop,
+    sequence: index + 1,
+    distance: distances[index],
+    key: getPlaceKey(stop),
+    time: trip.getScheduledTimeAtDistance(route, distances[index]).getTime() + delayMs,
+    // A running bus can only be boarded at stops it has not passed
+    boardable: trip.status !== 'in-progress' || distances[index] > (trip.distanceTravelled || 0)
+  }));
+};
+
+// Helper function to check whether label a is at least as good as label b (left no earlier, arrived no later)
+const dominates = (a, b) => a.departure >= b.departure && a.time <= b.time && a.transfers <= b.transfers;
+
+/**
+ * Helper function to describe an itinerary for the API
+ */
+const toItinerary = (label) => {
+  const legs = label.legs.map((leg, index) => {
+    const { trip, from, to } = leg;
+    const route = trip.routeId;
+    const distance = Math.round((to.distance - from.distance) * 10) / 10;
+
+    return {
+      tripId: trip._id,
+      route: { id: route._id, routeNumber: route.routeNumber, routeName: route.routeName },
+      bus: { id: trip.busId._id, busNumber: trip.busId.busNumber, busType: trip.busId.busType },
+      from: { name: from.name, stopId: from.stopId || null, stopSequence: from.sequence },
+      to: { name: to.name, stopId: to.stopId || null, stopSequence: to.sequence },
+      departureTime: new Date(from.time),
+      arrivalTime: new Date(to.time),
+      duration: Math.round((to.time - from.time) / 60000),
+      distance,
+      fare: route.calculateFare(trip.busId.busType, { fromStop: from.sequence - 1, toStop: to.sequence - 1, at: trip.departureTime }),
+      ...(index > 0 ? { transferTime: Math.round((from.time - label.legs[index - 1].to.time) / 60000) } : {})
+    };
+  });
+
+  return {
+    departureTime: legs[0].departureTime,
+    arrivalTime: legs[legs.length - 1].arrivalTime,
+    duration: Math.round((label.time - label.departure) / 60000),
+    transfers: legs.length - 1,
+    distance: Math.round(legs.reduce((total, leg) => total + leg.distance, 0) * 10) / 10,
+    fare: legs.reduce((total, leg) => total + leg.fare, 0),
+    legs
+  };
+};
+
+/**
+ * Plan journeys over a set of trips
+ * Works in rounds like RAPTOR: round k rides one more bus from where round k - 1 could get to, and only
+ * keeps arrivals that no other option beats on departure time, arrival time and number of transfers
+ * @param {Array} trips - Trips with routeId (Route document) and busId (busNumber, busType) populated
+ * @param {Object} from - Place from toPlace()
+ * @param {Object} to - Place from toPlace()
+ * @param {Object} options - { departAfter, maxTransfers, minTransferMinutes, limit }
+ * @returns {Array} Itineraries ranked by arrival time, then number of transfers
+ */
+const planJourneys = (trips, from, to, { departAfter = new Date(), maxTransfers = MAX_TRANSFERS, minTransferMinutes = MIN_TRANSFER_MINUTES, limit = 5 } = {}) => {
+  const earliest = new Date(departAfter).getTime();
+  const minTransferMs = minTransferMinutes * 60 * 1000;
+  const entries = trips.map(trip => ({ trip, stops: getTripStops(trip) }));
+
+  const arrivals = [];
+  const settled = new Map();
+  let frontier = new Map();
+
+  for (let round = 0; round <= maxTransfers; round++) {
+    const next = new Map();
+
+    entries.forEach(({ trip, stops }) => {
+      const routeId = String(trip.routeId._id);
+      let boarded = null;
+
+      stops.forEach(stop => {
+        // Ride from the boarding stop to this one
+        if (boarded) {
+          const label = {
+            departure: boarded.label.departure,
+            time: stop.time,
+            transfers: round,
+            legs: [...boarded.label.legs, { trip, from: boarded.stop, to: stop }]
+          };
+
+          if (isAtPlace(stop, to)) {
+            arrivals.push(label);
+          } else if (round < maxTransfers) {
+            const known = settled.get(stop.key) || [];
+            if (!known.some(other => dominates(other, label))) {
+              settled.set(stop.key, [...known, label]);
+              next.set(stop.key, [...(next.get(stop.key) || []).filter(other => !dominates(label, other)), label]);
+            }
+          }
+        }
+
+        if (!stop.boardable || stop.sequence === stops.length) return;
+
+        // Board here if it lets the journey start later than boarding further back did
+        let candidate = null;
+        if (round === 0) {
+          if (isAtPlace(stop, from) && stop.time >= earliest) candidate = { departure: stop.time, legs: [] };
+        } else {
+          (frontier.get(stop.key) || []).forEach(label => {
+            const lastLeg = label.legs[label.legs.length - 1];
+            if (label.time + minTransferMs > stop.time || String(lastLeg.trip.routeId._id) === routeId) return;
+            if (!candidate || label.departure > candidate.departure) candidate = label;
+          });
+        }
+
+        if (candidate && (!boarded || candidate.departure > boarded.label.departure)) {
+          boarded = { label: candidate, stop };
+        }
+      });
+    });
+
+    frontier = next;
+  }
+
+  // Drop itineraries another one beats (or matches) on every count
+  const best = arrivals.filter((label, index) => !arrivals.some((other, otherIndex) =>
+    otherIndex !== index && dominates(other, label) && (!dominates(label, other) || otherIndex < index)));
+
+  return best
+    .sort((a, b) => a.time - b.time || a.transfers - b.transfers || b.departure - a.departure)
+    .slice(0, limit)
+    .map(toItinerary);
+};
+
+/**
+ * Helper function to resolve a stop ID or a place name
+ * @returns {Promise<Object>} Place, or null when nothing matches
+ */
+const resolvePlace = async (query) => {
+  if (mongoose.isValidObjectId(query)) {
+    const stop = await Stop.findOne({ _id: query, isActive: true });
+    return stop ? { ...toPlace([stop._id], null), label: stop.name.en } : null;
+  }
+
+  const exact = { $regex: `^${query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+  const stops = await Stop.find({ isActive: true, $or: [{ code: exact }, { 'name.en': exact }, { 'name.si': exact }, { 'name.ta': exact }] });
+
+  // Sinhala/Tamil names and codes only match through stops, so use the English name for unlinked routes
+  return { ...toPlace(stops.map(stop => stop._id), stops.length > 0 ? stops[0].name.en : query), label: stops.length > 0 ? stops[0].name.en : query.trim() };
+};
+
+/**
+ * Load the trips that can be boarded after departAfter and plan journeys between two places
+ * @param {string} from - Stop ID, code or name (English, Sinhala or Tamil), or city
+ * @param {string} to - Stop ID, code or name (English, Sinhala or Tamil), or city
+ * @param {Object} options - planJourneys options
+ * @returns {Promise<Object>} { from, to, itineraries }, or null when a stop ID does not exist
+ */
+const findJourneys = async (from, to, options = {}) => {
+  const departAfter = new Date(options.departAfter || Date.now());
+  const [origin, destination] = await Promise.all([resolvePlace(from), resolvePlace(to)]);
+
+  if (!origin || !destination) return null;
+
+  const trips = (await Trip.find({
+    status: { $in: BOARDABLE_STATUSES },
+    departureTime: { $lte: new Date(departAfter.getTime() + SEARCH_WINDOW_MS) },
+    estimatedArrival: { $gte: departAfter }
+  })
+    .populate('routeId', 'routeNumber routeName startLocation endLocation waypoints distance baseFare isActive')
+    .populate('busId', 'busNumber busType'))
+    .filter(trip => trip.routeId && trip.routeId.isActive && trip.busId);
+
+  return {
+    from: origin.label,
+    to: destination.label,
+    itineraries: planJourneys(trips, origin, destination, { ...options, departAfter })
+  };
+};
+
+module.exports = { MIN_TRANSFER_MINUTES, MAX_TRANSFERS, toPlace, planJourneys, findJourneys };
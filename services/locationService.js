@@ -0,0 +1,189 @@
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const { publishLocationUpdate } = require('./trackingEvents');
+const { evaluateRouteDeviation } = require('./deviationService');
+const { evaluateGeofences } = require('./geofenceService');
+const { restoreTripSignal } = require('./signalService');
+
+/**
+ * Location Service
+ * Shared GPS ingestion pipeline for single (/api/tracking/update) and batched (/api/tracking/batch) updates
+ */
+
+/**
+ * Find the in-progress trip of a bus with the route fields needed for progress calculations
+ * @param {string} busId - Bus ID
+ * @returns {Promise<Object|null>} Trip document with routeId populated
+ */
+const findActiveTrip = (busId) => {
+  return Trip.findOne({ busId, status: 'in-progress' })
+    .populate('routeId', 'waypoints distance startLocation endLocation');
+};
+
+/**
+ * Calculate trip progress for a fix without saving anything
+ * The fix is projected onto the route line and never placed behind minDistance
+ * @param {Object} trip - Active trip with routeId populated (or null)
+ * @param {Object} fix - { latitude, longitude, recordedAt }
+ * @param {number} minDistance - Distance (km) already covered, defaults to trip.distanceTravelled
+ * @returns {Object|null} { tripId, currentWaypoint, distanceTravelled, distanceRemaining, progress, nextStop, delay, delayStatus }
+ */
+const calculateTripProgress = (trip, fix, minDistance = trip ? trip.distanceTravelled || 0 : 0) => {
+  if (!trip || !trip.routeId) {
+    return null;
+  }
+
+  const route = trip.routeId;
+  const position = route.locatePosition(fix.latitude, fix.longitude, minDistance);
+
+  // Waypoint closest to the projected position (kept for consumers that work per stop)
+  const currentWaypoint = route.getNearestWaypointAt(position.distanceTravelled);
+
+  // Delay against the schedule at the projected position
+  const schedule = trip.getScheduleDelayAtDistance(route, position.distanceTravelled, fix.recordedAt);
+
+  return {
+    tripId: trip._id,
+    currentWaypoint,
+    distanceTravelled: position.distanceTravelled,
+    distanceRemaining: position.distanceRemaining,
+    progress: position.progress,
+    nextStop: position.nextStop,
+    delay: schedule ? schedule.delay : null,
+    delayStatus: schedule ? schedule.delayStatus : null
+  };
+};
+
+/**
+ * Helper function to build a LocationPing document for a fix
+ */
+const buildPing = (bus, trip, fix, tripProgress) => ({
+  busId: bus._id,
+  tripId: trip ? trip._id : null,
+  routeId: trip && trip.routeId ? trip.routeId._id : null,
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  speed: fix.speed,
+  heading: fix.heading,
+  currentWaypoint: tripProgress ? tripProgress.currentWaypoint : undefined,
+  distanceTravelled: tripProgress ? tripProgress.distanceTravelled : undefined,
+  delay: tripProgress ? tripProgress.delay : undefined,
+  recordedAt: fix.recordedAt
+});
+
+/**
+ * Apply a fix as the bus's live position: update currentLocation and trip progress,
+ * record the breadcrumb and push the update to live subscribers
+ * @param {Object} bus - Bus document (operatorId may be populated)
+ * @param {Object} fix - { latitude, longitude, speed, heading, recordedAt }
+ * @param {Object} activeTrip - Result of findActiveTrip (looked up when omitted)
+ * @returns {Promise<Object>} The published update payload
+ */
+const applyLiveFix = async (bus, fix, activeTrip) => {
+  const { latitude, longitude, speed = 0, heading = 0 } = fix;
+  const recordedAt = fix.recordedAt ? new Date(fix.recordedAt) : new Date();
+
+  // Find the bus's in-progress trip (if any)
+  if (activeTrip === undefined) {
+    activeTrip = await findActiveTrip(bus._id);
+  }
+
+  // Geofence enter/exit events - leaving or reaching a terminal may start or complete a trip
+  const geofences = await evaluateGeofences(bus, { latitude, longitude, recordedAt }, activeTrip);
+  if (geofences.tripStarted || geofences.tripCompleted) {
+    activeTrip = await findActiveTrip(bus._id);
+  }
+
+  // Update bus location (also saves the geofence state)
+  await bus.updateLocation(latitude, longitude, speed, heading, recordedAt);
+
+  // If bus is on an active trip, update trip progress
+  const tripProgress = calculateTripProgress(activeTrip, { latitude, longitude, recordedAt });
+  let tripChanged = false;
+
+  if (tripProgress) {
+    const delay = tripProgress.delay !== null ? tripProgress.delay : activeTrip.delay;
+
+    if (tripProgress.distanceTravelled !== activeTrip.distanceTravelled || tripProgress.currentWaypoint !== activeTrip.currentWaypoint || delay !== activeTrip.delay) {
+      activeTrip.distanceTravelled = tripProgress.distanceTravelled;
+      activeTrip.currentWaypoint = tripProgress.currentWaypoint;
+      activeTrip.delay = delay;
+      tripChanged = true;
+    }
+  }
+
+  // The bus is reporting again: close any signal-lost alert raised by the background sweep
+  if (activeTrip && await restoreTripSignal(activeTrip, recordedAt)) {
+    tripChanged = true;
+  }
+
+  // Compare the fix with the route corridor (raises/clears route deviation alerts)
+  const deviation = activeTrip ? await evaluateRouteDeviation(activeTrip, bus, { latitude, longitude, recordedAt }) : null;
+
+  if (tripChanged || (deviation && deviation.changed)) {
+    await activeTrip.save();
+  }
+
+  // Keep a breadcrumb of every accepted fix for location history
+  await LocationPing.create(buildPing(bus, activeTrip, { latitude, longitude, speed, heading, recordedAt }, tripProgress));
+
+  const update = {
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    busType: bus.busType,
+    operatorId: bus.operatorId._id || bus.operatorId,
+    routeId: activeTrip && activeTrip.routeId ? activeTrip.routeId._id : null,
+    location: {
+      latitude,
+      longitude,
+      speed,
+      heading,
+      lastUpdated: bus.currentLocation.lastUpdated
+    },
+    tripProgress,
+    routeDeviation: deviation ? { distanceFromRoute: deviation.distanceFromRoute, offRoute: deviation.offRoute, alertId: deviation.alertId } : null,
+    geofenceEvents: geofences.events,
+    updateTime: new Date().toISOString()
+  };
+
+  // Push the accepted update to WebSocket and SSE subscribers
+  publishLocationUpdate(update);
+
+  return update;
+};
+
+/**
+ * Record older (buffered) fixes to location history only - currentLocation, live subscribers and
+ * route deviation checks are untouched. Geofence crossings are still logged (without trip automation);
+ * the caller saves the bus, normally by applying the newest fix with applyLiveFix()
+ * @param {Object} bus - Bus document
+ * @param {Array} fixes - Fixes in chronological order
+ * @param {Object} activeTrip - Result of findActiveTrip
+ * @returns {Promise<number>} Number of pings written
+ */
+const recordHistoricalFixes = async (bus, fixes, activeTrip) => {
+  if (fixes.length === 0) return 0;
+
+  const pings = [];
+
+  // Progress carried from fix to fix so the breadcrumbs do not move backwards either
+  let distanceTravelled = activeTrip ? activeTrip.distanceTravelled || 0 : 0;
+
+  for (const fix of fixes) {
+    const normalised = { speed: 0, heading: 0, ...fix, recordedAt: new Date(fix.recordedAt) };
+
+    // Fixes buffered before the trip departed are not part of its track
+    const trip = activeTrip && (!activeTrip.actualDeparture || normalised.recordedAt >= activeTrip.actualDeparture) ? activeTrip : null;
+
+    await evaluateGeofences(bus, normalised, activeTrip, { automate: false });
+    const tripProgress = calculateTripProgress(trip, normalised, distanceTravelled);
+    if (tripProgress) distanceTravelled = tripProgress.distanceTravelled;
+
+    pings.push(buildPing(bus, trip, normalised, tripProgress));
+  }
+
+  await LocationPing.insertMany(pings);
+  return pings.length;
+};
+
+module.exports = { findActiveTrip, calculateTripProgress, applyLiveFix, recordHistoricalFixes };
@@ -0,0 +1,188 @@
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const TrackingAlert = require('../models/TrackingAlert');
+const { publishAlert } = require('./trackingEvents');
+const { clearAlert } = require('./deviationService');
+
+/**
+ * Signal Freshness Service
+ * Classifies how recent a bus's last GPS fix is and flags in-progress trips whose bus has gone quiet
+ */
+
+// Freshness states, from most to least recent
+const FRESHNESS_STATES = ['live', 'delayed', 'stale', 'offline'];
+
+// Default thresholds in seconds since the last fix: up to delayedAfter is live, up to staleAfter delayed,
+// up to offlineAfter stale, anything older (or no fix at all) offline. Operators can override them on their profile
+const DEFAULT_THRESHOLDS = {
+  delayedAfter: parseInt(process.env.SIGNAL_DELAYED_AFTER_S) || 60,
+  staleAfter: parseInt(process.env.SIGNAL_STALE_AFTER_S) || 300,
+  offlineAfter: parseInt(process.env.SIGNAL_OFFLINE_AFTER_S) || 1800
+};
+
+// How often the background sweep checks in-progress trips
+const SWEEP_INTERVAL_MS = (parseInt(process.env.SIGNAL_SWEEP_INTERVAL_S) || 60) * 1000;
+
+// Trips whose bus is in one of these states have lost their signal
+const SIGNAL_LOST_STATES = ['stale', 'offline'];
+
+/**
+ * Merge an operator's threshold overrides over the defaults
+ * @param {Object} overrides - User.signalThresholds (may be empty)
+ * @returns {Object} { delayedAfter, staleAfter, offlineAfter } in seconds
+ */
+const resolveThresholds = (overrides = {}) => ({
+  delayedAfter: overrides.delayedAfter ?? DEFAULT_THRESHOLDS.delayedAfter,
+  staleAfter: overrides.staleAfter ?? DEFAULT_THRESHOLDS.staleAfter,
+  offlineAfter: overrides.offlineAfter ?? DEFAULT_THRESHOLDS.offlineAfter
+});
+
+/**
+ * Classify the freshness of a last-fix time
+ * @param {Date} lastUpdated - currentLocation.lastUpdated (may be missing)
+ * @param {Object} thresholds - Result of resolveThresholds
+ * @param {Date} now - Reference time
+ * @returns {Object} { freshness, signalAge } with the age in seconds (null when the bus never reported)
+ */
+const classifyFreshness = (lastUpdated, thresholds = DEFAULT_THRESHOLDS, now = new Date()) => {
+  if (!lastUpdated) {
+    return { freshness: 'offline', signalAge: null };
+  }
+
+  const signalAge = Math.max(Math.round((now - new Date(lastUpdated)) / 1000), 0);
+
+  let freshness = 'offline';
+  if (signalAge <= thresholds.delayedAfter) freshness = 'live';
+  else if (signalAge <= thresholds.staleAfter) freshness = 'delayed';
+  else if (signalAge <= thresholds.offlineAfter) freshness = 'stale';
+
+  return { freshness, signalAge };
+};
+
+/**
+ * Load the resolved thresholds of a set of operators
+ * @param {Array} operatorIds - Operator IDs (duplicates allowed)
+ * @returns {Promise<Map>} operatorId string -> thresholds
+ */
+const getOperatorThresholds = async (operatorIds) => {
+  const ids = [...new Set(operatorIds.filter(Boolean).map(id => id.toString()))];
+  const operators = ids.length > 0 ? await User.find({ _id: { $in: ids } }).select('signalThresholds').lean() : [];
+
+  return new Map(operators.map(operator => [operator._id.toString(), resolveThresholds(operator.signalThresholds)]));
+};
+
+/**
+ * Classify a list of buses using each operator's thresholds
+ * @param {Array} buses - Bus documents or plain objects (operatorId may be populated)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} { freshness, signalAge } per bus, in the same order
+ */
+const classifyBuses = async (buses, now = new Date()) => {
+  const operatorIdOf = bus => (bus.operatorId && bus.operatorId._id ? bus.operatorId._id : bus.operatorId);
+  const thresholdsByOperator = await getOperatorThresholds(buses.map(operatorIdOf));
+
+  return buses.map(bus => {
+    const operatorId = operatorIdOf(bus);
+    const thresholds = (operatorId && thresholdsByOperator.get(operatorId.toString())) || DEFAULT_THRESHOLDS;
+    return classifyFreshness(bus.currentLocation && bus.currentLocation.lastUpdated, thresholds, now);
+  });
+};
+
+/**
+ * Parse a comma separated freshness filter ("live,delayed")
+ * @returns {Array|null} Requested states, or null when no filter was given
+ */
+const parseFreshnessFilter = (value) => {
+  if (!value) return null;
+  return value.split(',').map(state => state.trim()).filter(Boolean);
+};
+
+/**
+ * Clear the signal-lost alert of a trip whose bus is reporting again, or whose trip has ended
+ * Updates trip.signalAlertId in memory - the caller saves the trip
+ * @returns {Promise<boolean>} true when an alert was cleared
+ */
+const restoreTripSignal = async (trip, at = new Date()) => {
+  if (!trip || !trip.signalAlertId) return false;
+
+  await clearAlert(trip.signalAlertId, at);
+  trip.signalAlertId = null;
+  return true;
+};
+
+/**
+ * Check every in-progress trip and raise a signal-lost alert when its bus has gone stale or offline
+ * Alerts are cleared by the next live fix (see locationService) or when the trip ends
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { checked, raised }
+ */
+const sweepLostSignals = async (now = new Date()) => {
+  const trips = await Trip.find({ status: 'in-progress', signalAlertId: null })
+    .populate('busId', 'busNumber operatorId currentLocation')
+    .select('busId routeId signalAlertId');
+
+  const running = trips.filter(trip => trip.busId);
+  const states = await classifyBuses(running.map(trip => trip.busId), now);
+  let raised = 0;
+
+  for (let i = 0; i < running.length; i++) {
+    const trip = running[i];
+    const bus = trip.busId;
+    const { freshness, signalAge } = states[i];
+
+    if (!SIGNAL_LOST_STATES.includes(freshness)) continue;
+
+    const lastSeen = signalAge === null ? 'has not reported its location' : `has not reported its location for ${Math.round(signalAge / 60)} minutes`;
+    const alert = await TrackingAlert.create({
+      type: 'signal-lost',
+      busId: bus._id,
+      tripId: trip._id,
+      routeId: trip.routeId,
+      operatorId: bus.operatorId,
+      message: `Bus ${bus.busNumber} ${lastSeen} (${freshness})`,
+      location: bus.currentLocation ? { latitude: bus.currentLocation.latitude, longitude: bus.currentLocation.longitude } : undefined,
+      raisedAt: now
+    });
+
+    // Attach the alert unless the trip ended or was flagged in the meantime
+    const claimed = await Trip.updateOne({ _id: trip._id, status: 'in-progress', signalAlertId: null }, { $set: { signalAlertId: alert._id } });
+    if (claimed.modifiedCount === 0) {
+      await TrackingAlert.deleteOne({ _id: alert._id });
+      continue;
+    }
+
+    publishAlert('raised', alert);
+    raised++;
+  }
+
+  return { checked: running.length, raised };
+};
+
+/**
+ * Run sweepLostSignals in the background every SIGNAL_SWEEP_INTERVAL_S seconds
+ * @returns {Object} { stop } to cancel the sweep on shutdown
+ */
+const startSignalSweep = (intervalMs = SWEEP_INTERVAL_MS) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+      await sweepLostSignals();
+    } catch (error) {
+      console.error('Signal sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { FRESHNESS_STATES, DEFAULT_THRESHOLDS, resolveThresholds, classifyFreshness, classifyBuses, parseFreshnessFilter, restoreTripSignal, sweepLostSignals, startSignalSweep };
@@ -0,0 +1,116 @@
+const Stop = require('../models/Stop');
+const { calculateDistance } = require('../utils/geo');
+
+/**
+ * Stop Service
+ * Links route locations and waypoints to shared Stop documents, merging copies of the same stop
+ */
+
+// Copies of a stop with the same name within this distance (metres) are treated as one stop
+const STOP_MERGE_RADIUS_M = parseInt(process.env.STOP_MERGE_RADIUS_M) || 500;
+
+/**
+ * Helper function to normalise a stop name for matching ("Kadawatha ", "KADAWATHA" and "Kadawatha." match)
+ */
+const normalizeStopName = (name) => String(name || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Helper function to derive an unused stop code from a name ("Nuwara Eliya" -> NUWARA-ELIYA, then NUWARA-ELIYA-2)
+ * @param {Set} takenCodes - Codes in use; the new code is added to it
+ */
+const toStopCode = (name, takenCodes) => {
+  const base = (normalizeStopName(name).toUpperCase().replace(/ /g, '-') || 'STOP').slice(0, 26);
+
+  let code = base.length >= 2 ? base : `${base}-STOP`;
+  for (let suffix = 2; takenCodes.has(code); suffix++) {
+    code = `${base}-${suffix}`;
+  }
+
+  takenCodes.add(code);
+  return code;
+};
+
+const average = values => values.reduce((total, value) => total + value, 0) / values.length;
+
+/**
+ * Link the start/end locations and waypoints of routes to shared stops
+ * Unlinked entries match an existing stop, or each other, when they have the same name and lie within
+ * STOP_MERGE_RADIUS_M; entries with no match become a new stop placed at the average of their positions.
+ * The routes are only updated in memory - the caller saves them (which drops the copies the stops replace)
+ * @param {Array} routes - Route documents
+ * @param {Object} options - { dryRun } to work out the stops without creating them
+ * @returns {Promise<Object>} { created (new stops), linked (number of entries linked) }
+ */
+const linkRouteStops = async (routes, { dryRun = false } = {}) => {
+  const existing = await Stop.find({ isActive: true });
+  const clusters = existing.map(stop => ({
+    stop,
+    key: normalizeStopName(stop.name.en),
+    name: stop.name.en,
+    latitude: stop.coordinates.latitude,
+    longitude: stop.coordinates.longitude,
+    members: []
+  }));
+
+  // Every start/end location and waypoint that does not reference a stop yet
+  const entries = [];
+  routes.forEach(route => {
+    ['startLocation', 'endLocation'].forEach(field => {
+      const location = route[field];
+      if (location && !location.stopId) entries.push({ target: location, name: location.city, latitude: location.coordinates.latitude, longitude: location.coordinates.longitude });
+    });
+
+    (route.waypoints || []).forEach(waypoint => {
+      if (!waypoint.stopId) entries.push({ target: waypoint, name: waypoint.name, latitude: waypoint.coordinates.latitude, longitude: waypoint.coordinates.longitude });
+    });
+  });
+
+  entries.forEach(entry => {
+    const key = normalizeStopName(entry.name);
+    let match = null;
+    let matchDistance = Infinity;
+
+    clusters.forEach(cluster => {
+      if (cluster.key !== key) return;
+
+      const distance = calculateDistance(entry.latitude, entry.longitude, cluster.latitude, cluster.longitude) * 1000;
+      if (distance <= STOP_MERGE_RADIUS_M && distance < matchDistance) {
+        match = cluster;
+        matchDistance = distance;
+      }
+    });
+
+    if (!match) {
+      match = { stop: null, key, name: entry.name, latitude: entry.latitude, longitude: entry.longitude, members: [] };
+      clusters.push(match);
+    }
+    match.members.push(entry);
+  });
+
+  const takenCodes = new Set(await Stop.distinct('code'));
+  const created = [];
+
+  for (const cluster of clusters) {
+    if (cluster.members.length === 0) continue;
+
+    if (!cluster.stop) {
+      cluster.stop = new Stop({
+        code: toStopCode(cluster.name, takenCodes),
+        name: { en: cluster.name },
+        coordinates: {
+          latitude: Math.round(average(cluster.members.map(member => member.latitude)) * 1e6) / 1e6,
+          longitude: Math.round(average(cluster.members.map(member => member.longitude)) * 1e6) / 1e6
+        }
+      });
+
+      if (!dryRun) await cluster.stop.save();
+      created.push(cluster.stop);
+    }
+
+    cluster.members.forEach(member => { member.target.stopId = cluster.stop._id; });
+  }
+
+  return { created, linked: entries.length };
+};
+
+module.exports = { STOP_MERGE_RADIUS_M, normalizeStopName, toStopCode, linkRouteStops };
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+
+/**
+ * Ticket Service
+ * Issues QR e-tickets signed with the server's Ed25519 key and validates them on board
+ *
+ * A QR payload is BT1.<payload>.<signature>: the payload is base64url JSON ({ tkt, trip, seat, fare, dep, iat, kid })
+ * and the signature is the base64url Ed25519 signature of "BT1.<payload>", so conductor apps holding the public
+ * key can check tickets without network access.
+ */
+
+// Version prefix of QR payloads
+const QR_PREFIX = 'BT1';
+
+let signingKeys = null;
+
+/**
+ * Helper function to load the ticket signing key pair
+ * TICKET_SIGNING_KEY holds an Ed25519 private key in PEM (newlines may be written as \n). Without it a key is
+ * generated for this run only (temporary), so tickets issued before a restart stop verifying.
+ * @returns {Object} { privateKey, publicKey, keyId, temporary }
+ */
+const getSigningKeys = () => {
+  if (signingKeys) return signingKeys;
+
+  const temporary = !process.env.TICKET_SIGNING_KEY;
+  const privateKey = temporary
+    ? crypto.generateKeyPairSync('ed25519').privateKey
+    : crypto.createPrivateKey(process.env.TICKET_SIGNING_KEY.replace(/\\n/g, '\n'));
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+
+  signingKeys = { privateKey, publicKey, keyId, temporary };
+  return signingKeys;
+};
+
+/**
+ * Public half of the signing key, for conductor apps to verify tickets offline
+ * @returns {Object} { algorithm, keyId, temporary (the key changes when the server restarts), publicKey (PEM), jwk,
+ *   payloadFormat }
+ */
+const getPublicKeyInfo = () => {
+  const { publicKey, keyId, temporary } = getSigningKeys();
+
+  return {
+    algorithm: 'Ed25519',
+    keyId,
+    temporary,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'EdDSA', use: 'sig' },
+    payloadFormat: `${QR_PREFIX}.<base64url JSON { tkt, trip, seat, fare, dep, iat, kid }>.<base64url Ed25519 signature of "${QR_PREFIX}.<payload>">`
+  };
+};
+
+/**
+ * Sign a ticket payload into the string encoded in its QR code
+ * @param {Object} payload - { tkt, trip, seat, fare, dep, iat }
+ * @returns {string} BT1.<payload>.<signature>
+ */
+const signTicketPayload = (payload) => {
+  const { privateKey, keyId } = getSigningKeys();
+  const body = `${QR_PREFIX}.${Buffer.from(JSON.stringify({ ...payload, kid: keyId })).toString('base64url')}`;
+
+  return `${body}.${crypto.sign(null, Buffer.from(body), privateKey).toString('base64url')}`;
+};
+
+/**
+ * Check the signature of a QR payload and read it
+ * @param {string} qrPayload - BT1.<payload>.<signature>
+ * @returns {Object|null} The payload, or null when the QR code is malformed or not signed by this server
+ */
+const verifyTicketPayload = (qrPayload) => {
+  const parts = String(qrPayload || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== QR_PREFIX) return null;
+
+  const { publicKey } = getSigningKeys();
+  if (!crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'))) return null;
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Issue a signed ticket for each seat of a confirmed booking
+ * Issuing again returns the tickets already issued
+ * @param {Object} booking - Confirmed Booking document
+ * @param {Object} trip - Trip of the booking
+ * @returns {Promise<Array>} Tickets of the booking, by seat
+ */
+const issueTickets = async (booking, trip, now = new Date()) => {
+  const tickets = booking.seats.map(seatNumber => {
+    const ticket = new Ticket({ bookingId: booking._id, tripId: trip._id, userId: booking.userId, seatNumber, fare: booking.farePerSeat, keyId: getSigningKeys().keyId });
+
+    ticket.qrPayload = signTicketPayload({
+      tkt: ticket.ticketNumber,
+      trip: String(trip._id),
+      seat: seatNumber,
+      fare: booking.farePerSeat,
+      dep: trip.departureTime.toISOString(),
+      iat: Math.floor(now.getTime() / 1000)
+    });
+
+    return ticket;
+  });
+
+  try {
+    await Ticket.insertMany(tickets, { ordered: false });
+  } catch (error) {
+    // Tickets already issued for some of the seats
+    if (error.code !== 11000) throw error;
+  }
+
+  return Ticket.find({ bookingId: booking._id }).sort('seatNumber');
+};
+
+/**
+ * Void the unused tickets of a cancelled booking
+ * @returns {Promise<number>} Tickets voided
+ */
+const voidTickets = async (bookingId) => {
+  const result = await Ticket.updateMany({ bookingId, status: 'issued' }, { $set: { status: 'void' } });
+  return result.modifiedCount;
+};
+
+/**
+ * Validate a ticket on board: check its signature, mark it used and count the passenger as boarded
+ * (occupancy already counts the booked seat)
+ * A ticket can only be used once; scanning it again is rejected as a replay.
+ * @param {string} qrPayload - Scanned QR payload
+ * @param {Object} options - { tripId (trip the conductor is working), operatorId (set for operators: their buses
+ *                           only), validatedBy, scannedAt (when the ticket was scanned offline), now }
+ * @returns {Promise<Object>} { ticket, trip } or { status, message, ticket } describing the problem
+ */
+const validateTicket = async (qrPayload, { tripId, operatorId, validatedBy, scannedAt, now = new Date() } = {}) => {
+  const payload = verifyTicketPayload(qrPayload);
+  if (!payload) {
+    return { status: 400, message: 'Invalid ticket: the QR code is malformed or its signature does not match' };
+  }
+
+  const ticket = await Ticket.findOne({ ticketNumber: payload.tkt });
+  if (!ticket || String(ticket.tripId) !== payload.trip || ticket.seatNumber !== payload.seat) {
+    return { status: 404, message: 'Ticket not found' };
+  }
+
+  if (tripId && String(ticket.tripId) !== String(tripId)) {
+    return { status: 400, message: 'Ticket is for another trip', ticket };
+  }
+
+  const trip = await Trip.findById(ticket.tripId);
+  const bus = trip && await Bus.findById(trip.busId);
+  if (!trip || !bus) {
+    return { status: 404, message: 'Trip not found' };
+  }
+
+  if (operatorId && bus.operatorId.toString() !== operatorId.toString()) {
+    return { status: 403, message: 'Access denied. You can only validate tickets for your own buses.' };
+  }
+  if (trip.status === 'cancelled') {
+    return { status: 400, message: 'Trip has been cancelled', ticket };
+  }
+
+  // Only one scan can move the ticket from issued to used
+  const used = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: 'issued' },
+    { $set: { status: 'used', usedAt: scannedAt || now, validatedBy } },
+    { new: true }
+  );
+
+  if (!used) {
+    const current = await Ticket.findById(ticket._id);
+    return current.status === 'used'
+      ? { status: 409, message: `Ticket already used at ${current.usedAt.toISOString()}`, ticket: current }
+      : { status: 400, message: 'Ticket has been cancelled', ticket: current };
+  }
+
+  await Trip.updateOne({ _id: trip._id }, { $inc: { boardedCount: 1 } });
+
+  return { ticket: used, trip: await Trip.findById(trip._id).select('occupancy boardedCount status departureTime') };
+};
+
+module.exports = { getPublicKeyInfo, signTicketPayload, verifyTicketPayload, issueTickets, voidTickets, validateTicket };
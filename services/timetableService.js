@@ -0,0 +1,181 @@
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const { getLocalDayStart } = require('./gtfsService');
+
+/**
+ * Timetable Service
+ * Generates scheduled trips for a route from its operating hours and frequency, assigning buses from a pool
+ */
+
+// Minutes a bus needs at the start of the route before taking another departure
+const TURNAROUND_MINUTES = parseInt(process.env.TIMETABLE_TURNAROUND_MINUTES) || 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to turn HH:MM into minutes after midnight
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Helper function to get the start of a local (Asia/Colombo) calendar date
+ * @param {string} date - YYYY-MM-DD
+ */
+const getDateStart = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return getLocalDayStart(new Date(Date.UTC(year, month - 1, day, 12)));
+};
+
+/**
+ * Departures of a route on a local calendar date: every `frequency` minutes from the start of its
+ * operating hours up to the end (an end before the start runs past midnight)
+ * @param {Object} route - Route with operatingHours and frequency
+ * @param {Date} dayStart - Start of the local date
+ * @returns {Array<Date>}
+ */
+const getServiceDepartures = (route, dayStart) => {
+  const start = toMinutes(route.operatingHours.startTime);
+  let end = toMinutes(route.operatingHours.endTime);
+  if (end <= start) end += 24 * 60;
+
+  const departures = [];
+  for (let minutes = start; minutes <= end; minutes += route.frequency) {
+    departures.push(new Date(dayStart.getTime() + minutes * 60 * 1000));
+  }
+
+  return departures;
+};
+
+/**
+ * Plan the trips of a route for a date range
+ * A bus is assumed to come back to the start of the route (another estimatedDuration) and turn around before
+ * its next departure, and is never given a departure that clashes with one of its trips already scheduled.
+ * Each departure goes to the free bus that has been waiting longest, so the work is shared across the pool.
+ * @param {Object} options - { route, buses (pool, in order of preference), from, to (YYYY-MM-DD, inclusive),
+ *                           existingDepartures (departures already run by the operator), busyTrips (trips of
+ *                           the pool buses: busId, departureTime, estimatedArrival), now }
+ * @returns {Object} { trips (new trip data), existing (departures skipped), unassigned (departures with no free bus) }
+ */
+const planTimetable = ({ route, buses, from, to, existingDepartures = [], busyTrips = [], now = new Date() }) => {
+  const durationMs = route.estimatedDuration * 60 * 1000;
+  const turnaroundMs = TURNAROUND_MINUTES * 60 * 1000;
+  const existing = new Set(existingDepartures.map(departure => new Date(departure).getTime()));
+
+  const pool = buses.map(bus => ({
+    bus,
+    freeAt: 0,
+    busy: busyTrips
+      .filter(trip => String(trip.busId) === String(bus._id))
+      .map(trip => ({ start: new Date(trip.departureTime).getTime(), end: new Date(trip.estimatedArrival).getTime() }))
+  }));
+
+  const plan = { trips: [], existing: [], unassigned: [] };
+  const lastDay = getDateStart(to).getTime();
+
+  // Asia/Colombo has no daylight saving, so local days are always 24 hours long
+  for (let dayStart = getDateStart(from); dayStart.getTime() <= lastDay; dayStart = new Date(dayStart.getTime() + DAY_MS)) {
+    getServiceDepartures(route, dayStart).forEach(departure => {
+      const start = departure.getTime();
+      if (start <= now.getTime()) return;
+
+      if (existing.has(start)) {
+        plan.existing.push(departure);
+        return;
+      }
+
+      // Out, back to the start and turned around
+      const end = start + 2 * durationMs + turnaroundMs;
+      const free = pool.filter(entry => entry.freeAt <= start &&
+        !entry.busy.some(trip => trip.start < end && trip.end + turnaroundMs > start));
+
+      if (free.length === 0) {
+        plan.unassigned.push(departure);
+        return;
+      }
+
+      const chosen = free.reduce((best, entry) => (entry.freeAt < best.freeAt ? entry : best));
+      chosen.freeAt = end;
+
+      plan.trips.push({
+        busId: chosen.bus._id,
+        routeId: route._id,
+        departureTime: departure,
+        estimatedArrival: new Date(start + durationMs),
+        fare: route.calculateFare(chosen.bus.busType, { at: departure }),
+        status: 'scheduled'
+      });
+    });
+  }
+
+  return plan;
+};
+
+/**
+ * Helper function to tell whether an insert failed only on trips that already exist
+ */
+const isDuplicateTripError = error => (error.writeErrors || [error]).every(writeError => writeError.code === 11000);
+
+/**
+ * Generate (or preview) the trips of a route for a date range
+ * Re-running is safe: departures the pool's operators already run on the route are left alone, and the unique
+ * route/bus/departure index keeps a run at the same time from adding them twice.
+ * Planned trips are checked with checkBusConflicts too: the plan keeps each bus clear of its other trips, but only
+ * the conflict check knows whether a bus finishing a trip elsewhere can get back to the start in time.
+ * @param {Object} route - Route document
+ * @param {Object} options - { from, to (YYYY-MM-DD), buses (pool Bus documents), preview }
+ * @returns {Promise<Object>} { preview, trips, existing, unassigned, conflicts (planned trips left out: departureTime,
+ *   busId, conflicts) }
+ */
+const generateTimetable = async (route, { from, to, buses, preview = false }) => {
+  // Required here: the conflict service reads TURNAROUND_MINUTES from this module
+  const { checkBusConflicts } = require('./busConflictService');
+
+  const windowStart = getDateStart(from);
+  // Past-midnight departures of the last day and the return runs of the pool buses
+  const windowEnd = new Date(getDateStart(to).getTime() + 2 * DAY_MS);
+
+  const operatorIds = [...new Set(buses.map(bus => String(bus.operatorId)))];
+  const operatorBusIds = await Bus.find({ operatorId: { $in: operatorIds } }).distinct('_id');
+
+  const [existingTrips, busyTrips] = await Promise.all([
+    Trip.find({ routeId: route._id, busId: { $in: operatorBusIds }, departureTime: { $gte: windowStart, $lt: windowEnd } }).select('departureTime'),
+    Trip.find({
+      busId: { $in: buses.map(bus => bus._id) },
+      status: { $ne: 'cancelled' },
+      departureTime: { $lt: windowEnd },
+      estimatedArrival: { $gt: new Date(windowStart.getTime() - DAY_MS) }
+    }).select('busId departureTime estimatedArrival')
+  ]);
+
+  const plan = planTimetable({ route, buses, from, to, existingDepartures: existingTrips.map(trip => trip.departureTime), busyTrips });
+
+  const planned = [];
+  const conflicts = [];
+  for (const data of plan.trips) {
+    const tripConflicts = await checkBusConflicts(new Trip({ ...data, routeId: route }));
+
+    if (tripConflicts.length > 0) conflicts.push({ departureTime: data.departureTime, busId: data.busId, conflicts: tripConflicts });
+    else planned.push(data);
+  }
+
+  if (preview || planned.length === 0) {
+    return { preview, trips: planned, existing: plan.existing, unassigned: plan.unassigned, conflicts };
+  }
+
+  let trips;
+  try {
+    trips = await Trip.insertMany(planned, { ordered: false });
+  } catch (error) {
+    if (!isDuplicateTripError(error)) throw error;
+
+    // Another run added some of the departures first
+    trips = error.insertedDocs || [];
+    const inserted = new Set(trips.map(trip => trip.departureTime.getTime()));
+    plan.existing.push(...planned.filter(data => !inserted.has(data.departureTime.getTime())).map(data => data.departureTime));
+  }
+
+  return { preview, trips, existing: plan.existing, unassigned: plan.unassigned, conflicts };
+};
+
+module.exports = { TURNAROUND_MINUTES, toMinutes, getDateStart, getServiceDepartures, planTimetable, generateTimetable };
@@ -0,0 +1,52 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Tracking Event Bus
+ * In-process publisher for accepted GPS updates and tracking alerts, consumed by the live push channels
+ */
+const trackingEvents = new EventEmitter();
+
+// Every connected socket/stream may add a listener, so lift the default cap of 10
+trackingEvents.setMaxListeners(0);
+
+// Monotonic event sequence, used as the SSE event id so reconnecting clients can resume
+let eventSequence = 0;
+const lastEventIdByRoute = new Map();
+
+/**
+ * Publish an accepted bus location update to all live subscribers
+ * Listeners receive (update, eventId)
+ * @param {Object} update - Location update payload (busId, routeId, location, tripProgress...)
+ * @returns {number} The event id assigned to this update
+ */
+const publishLocationUpdate = (update) => {
+  const eventId = ++eventSequence;
+
+  if (update.routeId) {
+    lastEventIdByRoute.set(update.routeId.toString(), eventId);
+  }
+
+  trackingEvents.emit('location', update, eventId);
+  return eventId;
+};
+
+/**
+ * Get the id of the most recent update published for a route (0 if none since startup)
+ * @param {string} routeId - Route ID
+ * @returns {number} Last event id for the route
+ */
+const getLastRouteEventId = (routeId) => {
+  return lastEventIdByRoute.get(routeId.toString()) || 0;
+};
+
+/**
+ * Publish a tracking alert change (raised, updated or cleared) to live subscribers
+ * Listeners receive ({ event, alert })
+ * @param {string} event - raised | cleared
+ * @param {Object} alert - TrackingAlert document
+ */
+const publishAlert = (event, alert) => {
+  trackingEvents.emit('alert', { event, alert: alert.toJSON ? alert.toJSON() : alert });
+};
+
+module.exports = { trackingEvents, publishLocationUpdate, publishAlert, getLastRouteEventId };
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getUserFromToken } = require('../middleware/auth');
+const { trackingEvents } = require('./trackingEvents');
+
+/**
+ * Tracking WebSocket Channel
+ * Pushes every accepted location update to subscribed clients instead of having them poll /api/tracking/live
+ *
+ * Connect to ws://<host>/ws/tracking (optionally ?token=<JWT> or an Authorization header), then send:
+ *   { "action": "subscribe", "channel": "route", "routeId": "..." }                 - public
+ *   { "action": "subscribe", "channel": "bus", "busId": "..." }                     - admin / operator (own buses)
+ *   { "action": "subscribe", "channel": "bounds", "bounds": "north,south,east,west" } - admin / operator (own buses)
+ *   { "action": "subscribe", "channel": "alerts" }                                 - admin / operator (own buses)
+ *   { "action": "unsubscribe", "subscriptionId": "..." }
+ *
+ * Matching updates arrive as { type: 'location', subscriptions: [...ids], data: {...} }
+ * and alerts as { type: 'alert', subscriptions: [...ids], data: { event: 'raised' | 'cleared', alert: {...} } }
+ */
+
+const TRACKING_SOCKET_PATH = '/ws/tracking';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_SUBSCRIPTIONS_PER_CLIENT = 50;
+
+/**
+ * Helper function to send a JSON message to an open socket
+ */
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Helper function to reject an upgrade request before the socket is accepted
+ */
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Helper function to parse "north,south,east,west" bounds (same format as /api/tracking/live)
+ */
+const parseBounds = (bounds) => {
+  if (typeof bounds !== 'string') return null;
+
+  const [north, south, east, west] = bounds.split(',').map(Number);
+  if ([north, south, east, west].some(value => Number.isNaN(value)) || north < south || east < west) {
+    return null;
+  }
+
+  return { north, south, east, west };
+};
+
+/**
+ * Build a subscription filter from a client subscribe message
+ * Returns { event, filter } on success (event defaults to 'location') or { error } when the request is invalid or not permitted
+ */
+const buildSubscription = async (message, user) => {
+  const isStaff = user && ['admin', 'operator'].includes(user.role);
+  const ownsOnly = user && user.role === 'operator' ? user._id.toString() : null;
+
+  switch (message.channel) {
+    case 'route': {
+      if (!mongoose.Types.ObjectId.isValid(message.routeId)) {
+        return { error: 'Invalid routeId format' };
+      }
+      const routeId = message.routeId.toString();
+      return { filter: (update) => update.routeId && update.routeId.toString() === routeId };
+    }
+
+    case 'bus': {
+      if (!isStaff) {
+        return { error: 'Bus channels require an admin or operator token' };
+      }
+      if (!mongoose.Types.ObjectId.isValid(message.busId)) {
+        return { error: 'Invalid busId format' };
+      }
+
+      if (ownsOnly) {
+        const Bus = require('../models/Bus');
+        const bus = await Bus.findById(message.busId).select('operatorId');
+        if (!bus || bus.operatorId.toString() !== ownsOnly) {
+          return { error: 'You can only subscribe to your own buses' };
+        }
+      }
+
+      const busId = message.busId.toString();
+      return { filter: (update) => update.busId.toString() === busId };
+    }
+
+    case 'bounds': {
+      if (!isStaff) {
+        return { error: 'Bounding box channels require an admin or operator token' };
+      }
+      const box = parseBounds(message.bounds);
+      if (!box) {
+        return { error: 'Bounds must be in format "north,south,east,west"' };
+      }
+
+      return {
+        filter: (update) => {
+          if (ownsOnly && update.operatorId.toString() !== ownsOnly) return false;
+          const { latitude, longitude } = update.location;
+          return latitude >= box.south && latitude <= box.north && longitude >= box.west && longitude <= box.east;
+        }
+      };
+    }
+
+    case 'alerts': {
+      if (!isStaff) {
+        return { error: 'Alert channels require an admin or operator token' };
+      }
+
+      return {
+        event: 'alert',
+        filter: ({ alert }) => !ownsOnly || alert.operatorId.toString() === ownsOnly
+      };
+    }
+
+    default:
+      return { error: 'Channel must be one of: route, bus, bounds, alerts' };
+  }
+};
+
+/**
+ * Handle a single message from a connected client
+ */
+const handleMessage = async (ws, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(ws, { type: 'error', message: 'Messages must be valid JSON' });
+  }
+
+  if (message.action === 'subscribe') {
+    if (ws.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_CLIENT) {
+      return send(ws, { type: 'error', message: `Maximum ${MAX_SUBSCRIPTIONS_PER_CLIENT} subscriptions per connection` });
+    }
+
+    const { event = 'location', filter, error } = await buildSubscription(message, ws.user);
+    if (error) {
+      return send(ws, { type: 'error', channel: message.channel, message: error });
+    }
+
+    const subscriptionId = String(++ws.subscriptionCounter);
+    ws.subscriptions.set(subscriptionId, { event, filter });
+    return send(ws, { type: 'subscribed', subscriptionId, channel: message.channel });
+  }
+
+  if (message.action === 'unsubscribe') {
+    const removed = ws.subscriptions.delete(String(message.subscriptionId));
+    return send(ws, removed
+      ? { type: 'unsubscribed', subscriptionId: String(message.subscriptionId) }
+      : { type: 'error', message: 'Unknown subscriptionId' });
+  }
+
+  send(ws, { type: 'error', message: 'Action must be either subscribe or unsubscribe' });
+};
+
+/**
+ * Attach the tracking WebSocket server to an existing HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @returns {{ wss: WebSocketServer, close: Function }} The attached server and its shutdown hook
+ */
+const attachTrackingSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Authenticate during the HTTP upgrade so invalid tokens never get a socket
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== TRACKING_SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = searchParams.get('token') || req.headers.authorization;
+    let user = null;
+
+    if (token) {
+      try {
+        user = await getUserFromToken(token);
+      } catch (error) {
+        user = null;
+      }
+
+      // A supplied token must be valid - only tokenless clients are treated as anonymous
+      if (!user || !user.isActive) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.subscriptions = new Map();
+    ws.subscriptionCounter = 0;
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch(error => {
+        send(ws, { type: 'error', message: 'Subscription error', error: error.message });
+      });
+    });
+
+    send(ws, { type: 'welcome', authenticated: !!ws.user, role: ws.user ? ws.user.role : 'anonymous' });
+  });
+
+  // Fan out each published event to matching subscriptions
+  const fanOut = (event, type, payload) => {
+    wss.clients.forEach(ws => {
+      const matched = [];
+      ws.subscriptions.forEach((subscription, subscriptionId) => {
+        if (subscription.event === event && subscription.filter(payload)) matched.push(subscriptionId);
+      });
+
+      if (matched.length > 0) {
+        send(ws, { type, subscriptions: matched, data: payload });
+      }
+    });
+  };
+
+  const onLocation = (update) => fanOut('location', 'location', update);
+  const onAlert = (change) => fanOut('alert', 'alert', change);
+  trackingEvents.on('location', onLocation);
+  trackingEvents.on('alert', onAlert);
+
+  // Drop clients that stop answering pings (mobile networks often leave half-open sockets)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // wss.close() waits for open sockets to finish, so stop pushing and terminate them first
+  const close = () => {
+    clearInterval(heartbeat);
+    trackingEvents.off('location', onLocation);
+    trackingEvents.off('alert', onAlert);
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+  };
+
+  return { wss, close };
+};
+
+module.exports = { attachTrackingSocket, buildSubscription, TRACKING_SOCKET_PATH };
@@ -0,0 +1,377 @@
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const TravelTimeStat = require('../models/TravelTimeStat');
+const { calculateDistance } = require('../utils/geo');
+
+/**
+ * Travel Time Service
+ * Historical ETA model: segment travel times learned from completed trips,
+ * bucketed by route, day of week, time of day and route type
+ */
+
+// Used only when there is no history at all (km/h)
+const DEFAULT_SPEED_KMH = 50;
+
+// Buckets are evaluated in Sri Lankan local time
+const TIME_ZONE = 'Asia/Colombo';
+
+const TIME_BUCKETS = [
+  { name: 'night', from: 0, to: 5 },
+  { name: 'early-morning', from: 5, to: 7 },
+  { name: 'morning-peak', from: 7, to: 10 },
+  { name: 'midday', from: 10, to: 16 },
+  { name: 'evening-peak', from: 16, to: 19 },
+  { name: 'evening', from: 19, to: 24 }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A bucket needs this many samples before it is trusted
+const MIN_SAMPLES = 3;
+
+// A bus must pass within this distance of a waypoint for the passage to count
+const WAYPOINT_MATCH_RADIUS_KM = 1;
+
+// Completed trips used for a rebuild (location history is only kept for LOCATION_HISTORY_RETENTION_DAYS)
+const DEFAULT_TRAINING_DAYS = 30;
+
+// Share of the most recent trips held back to measure accuracy
+const HOLDOUT_RATIO = 0.2;
+
+// The loaded model is refreshed from the database at most this often
+const MODEL_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Prediction bases from strongest to weakest
+const BASES = ['history', 'route-type', 'fallback', 'default'];
+
+const slotFormatter = new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+
+/**
+ * Day of week and time bucket of an instant in local time
+ * @returns {Object} { dayOfWeek, timeBucket }
+ */
+const getTimeSlot = (date) => {
+  const parts = slotFormatter.formatToParts(new Date(date));
+  const weekday = parts.find(part => part.type === 'weekday').value;
+  const hour = parseInt(parts.find(part => part.type === 'hour').value) % 24;
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(weekday),
+    timeBucket: TIME_BUCKETS.find(bucket => hour >= bucket.from && hour < bucket.to).name
+  };
+};
+
+/**
+ * Lookup keys for each level of the model
+ */
+const segmentKey = (routeId, segmentIndex, dayOfWeek, timeBucket) => `route:${routeId}|${segmentIndex}|${dayOfWeek}|${timeBucket}`;
+const routeTypeKey = (routeType, dayOfWeek, timeBucket) => `type:${routeType}|${dayOfWeek}|${timeBucket}`;
+
+/**
+ * Build an in-memory model from stat documents
+ */
+const createModel = (stats, builtAt = null) => {
+  const lookup = new Map();
+
+  stats.forEach(stat => {
+    const key = stat.routeId
+      ? segmentKey(stat.routeId, stat.segmentIndex, stat.dayOfWeek, stat.timeBucket)
+      : routeTypeKey(stat.routeType, stat.dayOfWeek, stat.timeBucket);
+    lookup.set(key, stat);
+  });
+
+  return { lookup, builtAt, size: stats.length };
+};
+
+/**
+ * Find the most specific trusted stat for a key list
+ */
+const findTrusted = (model, keys) => {
+  for (const key of keys) {
+    const stat = model.lookup.get(key);
+    if (stat && stat.samples >= MIN_SAMPLES) return stat;
+  }
+  return null;
+};
+
+/**
+ * Estimate the minutes to travel one whole segment starting at a given time slot
+ * @param {Object} options - { fallbackSpeed } km/h tried before the constant (e.g. live or planned speed)
+ * @returns {Object} { minutes, dwell, basis } - dwell is the stop time at the segment's end stop (0 when learned from history)
+ */
+const estimateSegmentMinutes = (model, route, segmentIndex, slot, options = {}) => {
+  const stops = route.getStopDistances();
+  const length = stops[segmentIndex + 1] - stops[segmentIndex];
+
+  const history = findTrusted(model, [
+    segmentKey(route._id, segmentIndex, slot.dayOfWeek, slot.timeBucket),
+    segmentKey(route._id, segmentIndex, null, slot.timeBucket)
+  ]);
+
+  if (history && history.meanMinutes != null) {
+    return { minutes: history.meanMinutes, dwell: 0, basis: 'history' };
+  }
+
+  const endWaypoint = route.waypoints[segmentIndex];
+  const dwell = endWaypoint ? (endWaypoint.stopDuration || 0) : 0;
+
+  const typical = findTrusted(model, [
+    routeTypeKey(route.routeType || 'normal', slot.dayOfWeek, slot.timeBucket),
+    routeTypeKey(route.routeType || 'normal', null, slot.timeBucket)
+  ]);
+
+  // Learned speeds already include time spent at stops
+  if (typical && typical.meanSpeed) {
+    return { minutes: (length / typical.meanSpeed) * 60, dwell: 0, basis: 'route-type' };
+  }
+
+  if (options.fallbackSpeed) {
+    return { minutes: (length / options.fallbackSpeed) * 60, dwell, basis: 'fallback' };
+  }
+
+  return { minutes: (length / DEFAULT_SPEED_KMH) * 60, dwell, basis: 'default' };
+};
+
+/**
+ * Predict the travel time between two points on a route
+ * @param {Object} model - Model from getTravelTimeModel()
+ * @param {Object} route - Route document (needs distance, waypoints, routeType)
+ * @param {number} fromKm - Start position, km from the route start
+ * @param {number} toKm - End position, km from the route start
+ * @param {Date} startAt - When the bus is at fromKm
+ * @param {Object} options - { fallbackSpeed }
+ * @returns {Object} { minutes, basis } where basis is the weakest source used
+ */
+const predictTravelMinutes = (model, route, fromKm, toKm, startAt = new Date(), options = {}) => {
+  const stops = route.getStopDistances();
+  let at = new Date(startAt);
+  let minutes = 0;
+  let weakest = 0;
+
+  for (let segmentIndex = 0; segmentIndex < stops.length - 1; segmentIndex++) {
+    const start = stops[segmentIndex];
+    const end = stops[segmentIndex + 1];
+    const length = end - start;
+    const covered = Math.min(end, toKm) - Math.max(start, fromKm);
+
+    if (length > 0 ? covered <= 0 : !(start >= fromKm && start < toKm)) continue;
+
+    // Each segment uses the time slot in which the bus is expected to enter it
+    const estimate = estimateSegmentMinutes(model, route, segmentIndex, getTimeSlot(at), options);
+    let segmentMinutes = length > 0 ? estimate.minutes * (covered / length) : estimate.minutes;
+
+    // Dwell only counts at stops the bus passes through, not at the destination itself
+    if (end < toKm) {
+      segmentMinutes += estimate.dwell;
+    }
+
+    minutes += segmentMinutes;
+    at = new Date(at.getTime() + segmentMinutes * 60000);
+    weakest = Math.max(weakest, BASES.indexOf(estimate.basis));
+  }
+
+  return { minutes, basis: BASES[weakest] };
+};
+
+let cachedModel = null;
+let cachedAt = 0;
+
+/**
+ * Get the travel time model, loading it from the database when the cache is stale
+ * @returns {Promise<Object>} Model for predictTravelMinutes()
+ */
+const getTravelTimeModel = async () => {
+  if (!cachedModel || Date.now() - cachedAt > MODEL_CACHE_TTL_MS) {
+    const stats = await TravelTimeStat.find().lean();
+    const builtAt = stats.length > 0 ? stats[0].builtAt : null;
+
+    cachedModel = createModel(stats, builtAt);
+    cachedAt = Date.now();
+  }
+
+  return cachedModel;
+};
+
+/**
+ * Predict the full duration of a trip departing at a given time
+ * Used to default a trip's estimatedArrival; the route's planned speed is the fallback before the constant
+ * @returns {Promise<number>} Minutes
+ */
+const predictTripDuration = async (route, departureTime) => {
+  const model = await getTravelTimeModel();
+  const plannedSpeed = route.estimatedDuration ? route.distance / (route.estimatedDuration / 60) : null;
+
+  return predictTravelMinutes(model, route, 0, route.distance, departureTime, { fallbackSpeed: plannedSpeed }).minutes;
+};
+
+/**
+ * Extract segment travel time samples from a completed trip's GPS track
+ * A stop is "passed" at the ping closest to it (within WAYPOINT_MATCH_RADIUS_KM);
+ * the start and end use the actual departure and arrival times
+ * @returns {Array} [{ segmentIndex, startAt, minutes, distance }]
+ */
+const extractSegmentSamples = (trip, route, pings) => {
+  const stops = route.getStopDistances();
+  const passedAt = new Array(stops.length).fill(null);
+
+  passedAt[0] = trip.actualDeparture;
+  passedAt[stops.length - 1] = trip.actualArrival;
+
+  route.waypoints.forEach((waypoint, index) => {
+    let closest = null;
+
+    pings.forEach(ping => {
+      const distance = calculateDistance(ping.latitude, ping.longitude, waypoint.coordinates.latitude, waypoint.coordinates.longitude);
+      if (distance <= WAYPOINT_MATCH_RADIUS_KM && (!closest || distance < closest.distance)) {
+        closest = { distance, recordedAt: ping.recordedAt };
+      }
+    });
+
+    passedAt[index + 1] = closest ? closest.recordedAt : null;
+  });
+
+  const samples = [];
+
+  for (let segmentIndex = 0; segmentIndex < stops.length - 1; segmentIndex++) {
+    const start = passedAt[segmentIndex];
+    const end = passedAt[segmentIndex + 1];
+
+    if (!start || !end || end <= start) continue;
+
+    samples.push({
+      segmentIndex,
+      startAt: new Date(start),
+      minutes: (end - start) / 60000,
+      distance: stops[segmentIndex + 1] - stops[segmentIndex]
+    });
+  }
+
+  return samples;
+};
+
+/**
+ * Aggregate samples into stat documents for every level of the model
+ * @param {Array} trainingTrips - [{ route, samples }]
+ */
+const aggregateStats = (trainingTrips, builtAt = new Date()) => {
+  const buckets = new Map();
+
+  const add = (key, fields, sample) => {
+    const bucket = buckets.get(key) || { ...fields, samples: 0, minutes: 0, distance: 0 };
+    bucket.samples += 1;
+    bucket.minutes += sample.minutes;
+    bucket.distance += sample.distance;
+    buckets.set(key, bucket);
+  };
+
+  trainingTrips.forEach(({ route, samples }) => {
+    const routeType = route.routeType || 'normal';
+
+    samples.forEach(sample => {
+      const { dayOfWeek, timeBucket } = getTimeSlot(sample.startAt);
+
+      add(segmentKey(route._id, sample.segmentIndex, dayOfWeek, timeBucket), { routeId: route._id, routeType, segmentIndex: sample.segmentIndex, dayOfWeek, timeBucket }, sample);
+      add(segmentKey(route._id, sample.segmentIndex, null, timeBucket), { routeId: route._id, routeType, segmentIndex: sample.segmentIndex, dayOfWeek: null, timeBucket }, sample);
+      add(routeTypeKey(routeType, dayOfWeek, timeBucket), { routeId: null, routeType, segmentIndex: null, dayOfWeek, timeBucket }, sample);
+      add(routeTypeKey(routeType, null, timeBucket), { routeId: null, routeType, segmentIndex: null, dayOfWeek: null, timeBucket }, sample);
+    });
+  });
+
+  return Array.from(buckets.values()).map(({ minutes, distance, ...fields }) => ({
+    ...fields,
+    meanMinutes: fields.routeId ? Math.round((minutes / fields.samples) * 100) / 100 : undefined,
+    meanSpeed: minutes > 0 ? Math.round((distance / (minutes / 60)) * 100) / 100 : undefined,
+    builtAt
+  }));
+};
+
+/**
+ * Measure prediction error of a model on held-out trips (full trip duration, departure to arrival)
+ */
+const evaluateModel = (model, evaluationTrips) => {
+  const round = (value) => Math.round(value * 10) / 10;
+  let modelError = 0;
+  let baselineError = 0;
+  let bias = 0;
+  let withinFive = 0;
+
+  evaluationTrips.forEach(({ trip, route }) => {
+    const actual = (trip.actualArrival - trip.actualDeparture) / 60000;
+    const predicted = predictTravelMinutes(model, route, 0, route.distance, trip.actualDeparture).minutes;
+    const baseline = (route.distance / DEFAULT_SPEED_KMH) * 60;
+
+    modelError += Math.abs(predicted - actual);
+    baselineError += Math.abs(baseline - actual);
+    bias += predicted - actual;
+    if (Math.abs(predicted - actual) <= 5) withinFive += 1;
+  });
+
+  const count = evaluationTrips.length;
+  if (count === 0) {
+    return { tripsEvaluated: 0, maeMinutes: null, baselineMaeMinutes: null, biasMinutes: null, withinFiveMinutesPct: null };
+  }
+
+  return {
+    tripsEvaluated: count,
+    maeMinutes: round(modelError / count),
+    baselineMaeMinutes: round(baselineError / count),
+    biasMinutes: round(bias / count),
+    withinFiveMinutesPct: round((withinFive / count) * 100)
+  };
+};
+
+/**
+ * Rebuild the model from recently completed trips and replace the stored stats
+ * The most recent trips are held back first to report accuracy against actual arrivals,
+ * then the stored model is trained on all trips
+ * @param {Object} options - { days }
+ * @returns {Promise<Object>} Rebuild report
+ */
+const rebuildTravelTimeModel = async (options = {}) => {
+  const { days = DEFAULT_TRAINING_DAYS } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const trips = await Trip.find({
+    status: 'completed',
+    actualDeparture: { $gte: since },
+    actualArrival: { $exists: true }
+  })
+    .populate('routeId', 'distance waypoints routeType estimatedDuration')
+    .sort({ actualDeparture: 1 });
+
+  const recorded = [];
+
+  for (const trip of trips) {
+    if (!trip.routeId || !trip.actualArrival || trip.actualArrival <= trip.actualDeparture) continue;
+
+    const pings = await LocationPing.findTripTrack(trip._id);
+    recorded.push({ trip, route: trip.routeId, samples: extractSegmentSamples(trip, trip.routeId, pings) });
+  }
+
+  // Hold back the most recent trips for evaluation (time-ordered, so the model never sees the future)
+  const holdout = recorded.length >= 5 ? Math.max(Math.floor(recorded.length * HOLDOUT_RATIO), 1) : 0;
+  const training = recorded.slice(0, recorded.length - holdout);
+  const evaluation = evaluateModel(createModel(aggregateStats(training)), recorded.slice(recorded.length - holdout));
+
+  const builtAt = new Date();
+  const stats = aggregateStats(recorded, builtAt);
+
+  await TravelTimeStat.deleteMany({});
+  if (stats.length > 0) {
+    await TravelTimeStat.insertMany(stats);
+  }
+
+  cachedModel = createModel(stats, builtAt);
+  cachedAt = Date.now();
+
+  return {
+    builtAt,
+    trainingWindowDays: days,
+    tripsUsed: recorded.length,
+    segmentSamples: recorded.reduce((total, entry) => total + entry.samples.length, 0),
+    statsWritten: stats.length,
+    evaluation
+  };
+};
+
+module.exports = { DEFAULT_SPEED_KMH, getTimeSlot, getTravelTimeModel, predictTravelMinutes, predictTripDuration, extractSegmentSamples, rebuildTravelTimeModel };
@@ -0,0 +1,228 @@
+const Trip = require('../models/Trip');
+const TripTemplate = require('../models/TripTemplate');
+const Holiday = require('../models/Holiday');
+const { getLocalParts } = require('./gtfsService');
+const { toMinutes, getDateStart } = require('./timetableService');
+
+/**
+ * Trip Template Service
+ * Materialises Trips from recurring trip templates and keeps untouched future trips in line with their template
+ */
+
+// Days ahead (today included) that template trips are created for
+const DAYS_AHEAD = parseInt(process.env.TRIP_TEMPLATE_DAYS_AHEAD) || 14;
+
+// How often the scheduler tops up template trips
+const SCHEDULER_INTERVAL_MS = (parseInt(process.env.TRIP_TEMPLATE_SCHEDULER_INTERVAL_MIN) || 60) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper function to get the local (Asia/Colombo) date of an instant as YYYY-MM-DD, with its weekday
+ */
+const getLocalDate = (instant) => {
+  const { date, weekday } = getLocalParts(instant);
+  return { date: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`, weekday };
+};
+
+/**
+ * Helper function to get the departure of a template on the local date starting at dayStart
+ */
+const getDeparture = (template, route, dayStart) => {
+  const departureTime = new Date(dayStart.getTime() + toMinutes(template.departureTime) * 60 * 1000);
+  return { departureTime, estimatedArrival: new Date(departureTime.getTime() + route.estimatedDuration * 60 * 1000) };
+};
+
+/**
+ * Departures of a template still ahead in the next `days` days, today included
+ * @param {Object} template - TripTemplate document
+ * @param {Object} route - Route of the template (estimatedDuration)
+ * @param {Object} options - { now, days, holidays (Map of YYYY-MM-DD -> holiday type) }
+ * @returns {Array} [{ date, departureTime, estimatedArrival }]
+ */
+const getTemplateDepartures = (template, route, { now = new Date(), days = DAYS_AHEAD, holidays = new Map() } = {}) => {
+  const today = getDateStart(getLocalDate(now).date);
+  const departures = [];
+
+  for (let day = 0; day < days; day++) {
+    const dayStart = new Date(today.getTime() + day * DAY_MS);
+    const { date, weekday } = getLocalDate(dayStart);
+    if (!template.runsOn(date, weekday, holidays)) continue;
+
+    const departure = getDeparture(template, route, dayStart);
+    if (departure.departureTime > now) departures.push({ date, ...departure });
+  }
+
+  return departures;
+};
+
+/**
+ * Helper function to load the holidays between two instants as a Map of YYYY-MM-DD -> holiday type
+ */
+const loadHolidays = async (from, to) => {
+  const holidays = await Holiday.find({ date: { $gte: getLocalDate(from).date, $lte: getLocalDate(to).date } });
+  return new Map(holidays.map(holiday => [holiday.date, holiday.type]));
+};
+
+/**
+ * Create the missing trips of a template for the days ahead
+ * Trips the template cancelled earlier (syncTemplateTrips) are reinstated; trips cancelled by hand stay cancelled.
+ * Departures are checked with checkBusConflicts first: the template's bus may be busy with another trip then, or
+ * unable to get to the start in time, and those departures are left out.
+ * Templates whose route or default bus is no longer active create nothing
+ * @param {Object} template - TripTemplate with routeId and busId populated
+ * @param {Object} options - { now, days, holidays }
+ * @returns {Promise<Object>} { created (trips created or reinstated), conflicts (departures left out: departureTime,
+ *   busId, conflicts) }
+ */
+const materializeTemplate = async (template, { now = new Date(), days = DAYS_AHEAD, holidays } = {}) => {
+  // Required here, as in generateTimetable
+  const { checkBusConflicts } = require('./busConflictService');
+
+  const route = template.routeId;
+  const bus = template.busId;
+  const result = { created: 0, conflicts: [] };
+  if (!template.isActive || !route || !route.isActive || !bus || bus.status !== 'active') return result;
+
+  const departures = getTemplateDepartures(template, route, {
+    now,
+    days,
+    holidays: holidays || await loadHolidays(now, new Date(now.getTime() + days * DAY_MS))
+  });
+  if (departures.length === 0) return result;
+
+  // The unique template departure index counts cancelled trips too, so they are brought back rather than recreated
+  const existing = await Trip.find({ templateId: template._id, departureTime: { $in: departures.map(departure => departure.departureTime) } });
+  const existingByTime = new Map(existing.map(trip => [trip.departureTime.getTime(), trip]));
+
+  const toTrip = departure => ({
+    busId: bus._id,
+    routeId: route._id,
+    departureTime: departure.departureTime,
+    estimatedArrival: departure.estimatedArrival,
+    fare: route.calculateFare(bus.busType, { at: departure.departureTime }),
+    status: 'scheduled'
+  });
+
+  // Departures the bus cannot run are reported in conflicts and left out
+  const isBusFree = async (departure, trip) => {
+    const tripConflicts = await checkBusConflicts(new Trip({ ...toTrip(departure), ...(trip && { _id: trip._id }), routeId: route }));
+    if (tripConflicts.length > 0) result.conflicts.push({ departureTime: departure.departureTime, busId: bus._id, conflicts: tripConflicts });
+    return tripConflicts.length === 0;
+  };
+
+  const trips = [];
+  for (const departure of departures) {
+    const trip = existingByTime.get(departure.departureTime.getTime());
+    if (trip && (trip.status !== 'cancelled' || trip.manuallyEdited)) continue;
+    if (!await isBusFree(departure, trip)) continue;
+
+    if (trip) {
+      trip.set(toTrip(departure));
+      await trip.save();
+      result.created++;
+    } else {
+      trips.push({ ...toTrip(departure), templateId: template._id });
+    }
+  }
+  if (trips.length === 0) return result;
+
+  try {
+    result.created += (await Trip.insertMany(trips, { ordered: false })).length;
+  } catch (error) {
+    // Another run created some of them first (unique template departure index)
+    if (error.code !== 11000) throw error;
+    result.created += (error.insertedDocs || []).length;
+  }
+
+  return result;
+};
+
+/**
+ * Create the missing trips of every active template for the days ahead
+ * @returns {Promise<Object>} { templates, created, conflicts (departures left out, with their templateId) }
+ */
+const runTemplateScheduler = async ({ now = new Date(), days = DAYS_AHEAD } = {}) => {
+  const templates = await TripTemplate.find({ isActive: true }).populate('routeId').populate('busId');
+  const holidays = await loadHolidays(now, new Date(now.getTime() + days * DAY_MS));
+
+  let created = 0;
+  const conflicts = [];
+  for (const template of templates) {
+    const result = await materializeTemplate(template, { now, days, holidays });
+    created += result.created;
+    conflicts.push(...result.conflicts.map(conflict => ({ templateId: template._id, ...conflict })));
+  }
+
+  return { templates: templates.length, created, conflicts };
+};
+
+/**
+ * Bring the future trips of an edited (or deactivated) template in line with it
+ * Only scheduled trips that nobody has edited by hand are touched: they are moved to the new time, bus and
+ * route, or cancelled when the template no longer runs that day. Missing trips are then created.
+ * @param {Object} template - TripTemplate with routeId and busId populated
+ * @returns {Promise<Object>} { updated, cancelled, created, conflicts (departures left out by materializeTemplate) }
+ */
+const syncTemplateTrips = async (template, { now = new Date(), days = DAYS_AHEAD } = {}) => {
+  const route = template.routeId;
+  const bus = template.busId;
+  const trips = await Trip.find({ templateId: template._id, manuallyEdited: false, status: 'scheduled', departureTime: { $gt: now } }).sort('departureTime');
+  const lastTrip = trips.length > 0 ? trips[trips.length - 1].departureTime : now;
+  const holidays = await loadHolidays(now, new Date(Math.max(lastTrip.getTime(), now.getTime() + days * DAY_MS)));
+
+  const summary = { updated: 0, cancelled: 0, created: 0, conflicts: [] };
+
+  for (const trip of trips) {
+    const { date, weekday } = getLocalDate(trip.departureTime);
+    const runs = template.isActive && route.isActive && template.runsOn(date, weekday, holidays);
+    const departure = runs ? getDeparture(template, route, getDateStart(date)) : null;
+
+    if (!departure || departure.departureTime <= now) {
+      await trip.cancelTrip(template.isActive ? 'No longer in the trip template\'s service pattern' : 'Trip template withdrawn');
+      summary.cancelled++;
+      continue;
+    }
+
+    trip.set({ ...departure, busId: bus._id, routeId: route._id, fare: route.calculateFare(bus.busType, { at: departure.departureTime }) });
+    if (trip.isModified()) {
+      await trip.save();
+      summary.updated++;
+    }
+  }
+
+  const { created, conflicts } = await materializeTemplate(template, { now, days, holidays });
+  return { ...summary, created, conflicts };
+};
+
+/**
+ * Run runTemplateScheduler now and then every TRIP_TEMPLATE_SCHEDULER_INTERVAL_MIN minutes
+ * @returns {Object} { stop } to cancel the scheduler on shutdown
+ */
+const startTemplateScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    try {
+      await runTemplateScheduler();
+    } catch (error) {
+      console.error('Trip template scheduler failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  tick();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { DAYS_AHEAD, getTemplateDepartures, materializeTemplate, runTemplateScheduler, syncTemplateTrips, startTemplateScheduler };
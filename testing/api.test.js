@@ -97,6 +97,57 @@ describe('Bus Tracking API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toBeDefined();
     });
+
+    test('GET /api/routes/:id/stops/:waypointIndex/arrivals should return 404 for unknown route', async () => {
+      const response = await request(app)
+        .get(`/api/routes/${new mongoose.Types.ObjectId()}/stops/0/arrivals`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('GET /api/routes/:id/fare should return 404 for unknown route', async () => {
+      const response = await request(app)
+        .get(`/api/routes/${new mongoose.Types.ObjectId()}/fare?from=Kadawatha&to=Kegalle`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('POST /api/routes/:id/timetable/generate should require authentication', async () => {
+      await request(app)
+        .post(`/api/routes/${new mongoose.Types.ObjectId()}/timetable/generate`)
+        .send({ from: '2026-11-01', to: '2026-11-07', busIds: [new mongoose.Types.ObjectId().toString()], preview: true })
+        .expect(401);
+    });
+  });
+
+  describe('Stops', () => {
+    test('GET /api/stops/nearby should require coordinates', async () => {
+      const response = await request(app)
+        .get('/api/stops/nearby?radius=500')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('GET /api/stops/:id/routes should return 404 for unknown stop', async () => {
+      const response = await request(app)
+        .get(`/api/stops/${new mongoose.Types.ObjectId()}/routes`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Journeys', () => {
+    test('GET /api/journeys should require from and to', async () => {
+      const response = await request(app)
+        .get('/api/journeys?from=Galle')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('Buses', () => {
@@ -124,6 +175,29 @@ describe('Bus Tracking API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toBeDefined();
     });
+
+    test('GET /api/buses/nearby should reject an unknown bus type', async () => {
+      const response = await request(app)
+        .get('/api/buses/nearby?latitude=6.9271&longitude=79.8612&busType=double-decker')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('GET /api/buses/nearby should reject an unknown freshness state', async () => {
+      const response = await request(app)
+        .get('/api/buses/nearby?latitude=6.9271&longitude=79.8612&freshness=live,asleep')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('PUT /api/buses/:id/seat-map should require authentication', async () => {
+      await request(app)
+        .put(`/api/buses/${new mongoose.Types.ObjectId()}/seat-map`)
+        .send({ rows: 13, columns: 3 })
+        .expect(401);
+    });
   });
 
   describe('Tracking', () => {
@@ -136,6 +210,122 @@ describe('Bus Tracking API', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    test('GET /api/tracking/bus/:busId/history should require authentication', async () => {
+      await request(app)
+        .get(`/api/tracking/bus/${new mongoose.Types.ObjectId()}/history`)
+        .expect(401);
+    });
+
+    test('POST /api/tracking/batch should require authentication', async () => {
+      await request(app)
+        .post('/api/tracking/batch')
+        .send({ busId: new mongoose.Types.ObjectId().toString(), fixes: [] })
+        .expect(401);
+    });
+
+    test('GET /api/tracking/alerts should require authentication', async () => {
+      await request(app)
+        .get('/api/tracking/alerts')
+        .expect(401);
+    });
+
+    test('POST /api/tracking/eta-model/rebuild should require authentication', async () => {
+      await request(app)
+        .post('/api/tracking/eta-model/rebuild')
+        .expect(401);
+    });
+
+    test('GET /api/tracking/route/:routeId/stream should validate route ID', async () => {
+      const response = await request(app)
+        .get('/api/tracking/route/invalidid/stream')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('GET /api/tracking/route/:routeId/stream should return 404 for unknown route', async () => {
+      const response = await request(app)
+        .get(`/api/tracking/route/${new mongoose.Types.ObjectId()}/stream`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Trips', () => {
+    test('GET /api/trips/:id/replay should require authentication', async () => {
+      await request(app)
+        .get(`/api/trips/${new mongoose.Types.ObjectId()}/replay?speed=10`)
+        .expect(401);
+    });
+  });
+
+  describe('Trip Templates', () => {
+    test('GET /api/trip-templates should require authentication', async () => {
+      await request(app)
+        .get('/api/trip-templates')
+        .expect(401);
+    });
+  });
+
+  describe('Bookings', () => {
+    test('POST /api/bookings should require authentication', async () => {
+      await request(app)
+        .post('/api/bookings')
+        .send({ tripId: new mongoose.Types.ObjectId().toString(), seats: [1] })
+        .expect(401);
+    });
+  });
+
+  describe('Fare Revisions', () => {
+    test('POST /api/fare-revisions should require authentication', async () => {
+      await request(app)
+        .post('/api/fare-revisions')
+        .send({ percentage: 5, effectiveFrom: '2027-01-01T00:00:00+05:30', preview: true })
+        .expect(401);
+    });
+  });
+
+  describe('Tickets', () => {
+    test('GET /api/tickets/public-key should return the signing key', async () => {
+      const response = await request(app)
+        .get('/api/tickets/public-key')
+        .expect(200);
+
+      expect(response.body.data.algorithm).toBe('Ed25519');
+    });
+
+    test('POST /api/tickets/validate should require authentication', async () => {
+      await request(app)
+        .post('/api/tickets/validate')
+        .send({ qrPayload: 'BT1.e30.AA' })
+        .expect(401);
+    });
+  });
+
+  describe('Geofences', () => {
+    test('GET /api/geofences should require authentication', async () => {
+      await request(app)
+        .get('/api/geofences')
+        .expect(401);
+    });
+  });
+
+  describe('GTFS', () => {
+    test('POST /api/gtfs/import should require authentication', async () => {
+      await request(app)
+        .post('/api/gtfs/import?dryRun=true')
+        .set('Content-Type', 'application/zip')
+        .send(Buffer.from('not a zip'))
+        .expect(401);
+    });
+
+    test('GET /api/gtfs-rt/trip-updates should validate the format', async () => {
+      await request(app)
+        .get('/api/gtfs-rt/trip-updates?format=xml')
+        .expect(400);
+    });
   });
 
   describe('Error Handling', () => {
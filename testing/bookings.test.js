@@ -0,0 +1,47 @@
+const Booking = require('../models/Booking');
+const Bus = require('../models/Bus');
+const { getRefundPercentage } = require('../services/bookingService');
+
+describe('Seat Bookings', () => {
+  test('buses without a seat map are laid out from their capacity and type', () => {
+    const normal = new Bus({ busNumber: 'NB-1111', capacity: 52, busType: 'normal' }).getSeatMap();
+    expect(normal).toMatchObject({ custom: false, capacity: 52, columns: 5, rows: 11, aisleAfterColumn: 2 });
+    expect(normal.seats).toHaveLength(52);
+    expect(normal.seats.slice(0, 5).map(seat => seat.position)).toEqual(['window', 'aisle', 'aisle', 'middle', 'window']);
+    expect(normal.seats[51]).toMatchObject({ seatNumber: 52, row: 11, column: 2 });
+
+    const luxury = new Bus({ busNumber: 'NB-2222', capacity: 30, busType: 'luxury' }).getSeatMap();
+    expect(luxury).toMatchObject({ columns: 3, rows: 10 });
+    expect(luxury.seats.slice(0, 3).map(seat => seat.position)).toEqual(['window', 'aisle', 'window']);
+  });
+
+  test('refunds shrink as departure gets closer, and are in full when the trip is cancelled', () => {
+    const now = new Date('2026-11-02T00:00:00Z');
+    const inHours = hours => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+    expect(getRefundPercentage(inHours(48), { now })).toBe(90);
+    expect(getRefundPercentage(inHours(24), { now })).toBe(90);
+    expect(getRefundPercentage(inHours(10), { now })).toBe(50);
+    expect(getRefundPercentage(inHours(2), { now })).toBe(0);
+    expect(getRefundPercentage(inHours(-1), { now })).toBe(0);
+    expect(getRefundPercentage(inHours(2), { now, tripCancelled: true })).toBe(100);
+  });
+
+  test('bookings keep their seats only while held or confirmed, and cannot repeat a seat', async () => {
+    const booking = new Booking({
+      tripId: '64a1b2c3d4e5f6789012345a', userId: '64a1b2c3d4e5f6789012345b', seats: [5, 6],
+      farePerSeat: 2500, totalAmount: 5000, holdExpiresAt: new Date()
+    });
+
+    await booking.validate();
+    expect(booking.active).toBe(true);
+    expect(booking.bookingReference).toMatch(/^BK-[0-9A-F]{8}$/);
+
+    booking.status = 'expired';
+    await booking.validate();
+    expect(booking.active).toBe(false);
+
+    booking.seats = [5, 5];
+    await expect(booking.validate()).rejects.toThrow('seats cannot repeat');
+  });
+});
@@ -0,0 +1,66 @@
+const Trip = require('../models/Trip');
+const { getConnectionKey, getRepositioning, findConflicts } = require('../services/busConflictService');
+const { places, local, buildRoute } = require('./fixtures');
+
+describe('Bus Conflict Detection', () => {
+  const buildRouteBetween = (routeNumber, from, to, distance, estimatedDuration) => buildRoute({
+    routeNumber, routeName: `${from.city} - ${to.city}`, distance, estimatedDuration, baseFare: 200,
+    startLocation: from, endLocation: to
+  });
+
+  const colomboKandy = buildRouteBetween('R-001', places.colombo, places.kandy, 115, 180);
+  const colomboJaffna = buildRouteBetween('R-002', places.colombo, places.jaffna, 396, 480);
+  const kandyColombo = buildRouteBetween('R-003', places.kandy, places.colombo, 115, 180);
+
+  const buildTrip = (route, departure, arrival) => {
+    const trip = new Trip({ routeId: route._id, departureTime: local(departure), estimatedArrival: local(arrival), fare: 200 });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+    return trip;
+  };
+
+  test('repositioning uses a route joining the cities, or the straight-line distance when there is none', () => {
+    const connections = new Map([[getConnectionKey('Colombo', 'Kandy'), colomboKandy]]);
+
+    const nearKandy = { ...places.kandy, city: 'kandy ', coordinates: { latitude: 7.29, longitude: 80.63 } };
+    expect(getRepositioning(places.kandy, nearKandy, connections)).toEqual({ distance: 0, minutes: 0, via: null });
+    expect(getRepositioning(places.kandy, places.colombo, connections)).toEqual({ distance: 115, minutes: 180, via: 'R-001' });
+
+    const direct = getRepositioning(places.jaffna, places.kandy, connections);
+    expect(direct.via).toBeNull();
+    expect(direct.distance).toBeGreaterThan(300);
+    expect(direct.minutes).toBe(Math.round(direct.distance / 40 * 60));
+  });
+
+  test('overlapping trips of the bus are conflicts, back-to-back ones in the same city are not', () => {
+    const trip = buildTrip(colomboKandy, '08:00', '11:00');
+    const others = [buildTrip(colomboJaffna, '10:30', '18:30'), buildTrip(kandyColombo, '11:30', '14:30')];
+
+    const conflicts = findConflicts(trip, colomboKandy, others);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ type: 'overlap', trip: { tripId: others[0]._id, routeNumber: 'R-002' } });
+  });
+
+  test('a departure from another city too soon after arriving is an impossible repositioning', () => {
+    // Arrives in Jaffna at 13:00, then is due out of Kandy ten minutes later
+    const previous = buildTrip(colomboJaffna, '05:00', '13:00');
+    const trip = buildTrip(kandyColombo, '13:10', '16:10');
+    const connections = new Map([[getConnectionKey('Colombo', 'Jaffna'), colomboJaffna]]);
+
+    const conflicts = findConflicts(trip, kandyColombo, [previous], connections);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      type: 'repositioning', direction: 'before', fromCity: 'Jaffna', toCity: 'Kandy', availableMinutes: 10, via: null
+    });
+    expect(conflicts[0].requiredMinutes).toBeGreaterThan(conflicts[0].availableMinutes);
+
+    // The next trip is checked from where this one ends, and the trip itself is never its own conflict
+    const next = buildTrip(colomboKandy, '16:30', '19:30');
+    expect(findConflicts(trip, kandyColombo, [trip, next])).toEqual([]);
+    expect(findConflicts(buildTrip(colomboKandy, '12:00', '15:00'), colomboKandy, [next])).toEqual([
+      expect.objectContaining({ type: 'repositioning', direction: 'after', fromCity: 'Kandy', toCity: 'Colombo', availableMinutes: 90 })
+    ]);
+  });
+});
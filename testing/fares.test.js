@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const FareRevision = require('../models/FareRevision');
+const { quoteFare, reviseFares } = require('../services/fareService');
+const { updateRouteFares } = require('../controllers/routeController');
+const { validateRouteUpdate } = require('../middleware/validation');
+const { kandyRoadStops, buildRoute, createResponse } = require('./fixtures');
+
+describe('Stage Fares', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // 115 km in 2 km stages: Kadawatha is in stage 8, Kegalle in stage 39 and Kandy in stage 58
+  const buildKandyRoute = fields => buildRoute({ baseFare: 460, waypoints: kandyRoadStops, ...fields });
+
+  const stageFares = Array.from({ length: 58 }, (value, index) => 30 + index * 8);
+
+  test('without a fare table the base fare is spread over the stages', () => {
+    const route = buildKandyRoute();
+
+    expect(route.getFareStages()).toEqual([0, 8, 39, 58]);
+    expect(route.calculateFare('normal')).toBe(460);
+    expect(route.calculateFare('luxury')).toBe(Math.round(460 * 1.6));
+    expect(route.calculateFare('normal', { fromStop: 1, toStop: 2 })).toBe(Math.round(460 * 31 / 58));
+
+    route.waypoints[1].fareStage = 40;
+    expect(route.getStageFare('normal', { toStop: 2 })).toEqual({
+      fromStage: 0, toStage: 40, stages: 40, fare: Math.round(460 * 40 / 58), source: 'base-fare', effectiveFrom: null, revisionId: null
+    });
+  });
+
+  test('quotes the fare table between stops given by name', () => {
+    const route = buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares }] });
+
+    const { quote } = quoteFare(route, 'normal', { from: 'kadawatha', to: 'KEGALLE' });
+    expect(quote).toMatchObject({ wholeRoute: false, distance: 61, stages: 31, fare: 30 + 30 * 8, source: 'fare-table' });
+    expect(quote.from).toEqual({ name: 'Kadawatha', stopId: null, stopSequence: 2, fareStage: 8 });
+
+    expect(quoteFare(route, 'normal').quote).toMatchObject({ wholeRoute: true, stages: 58, fare: stageFares[57] });
+    expect(quoteFare(route, 'luxury').quote).toMatchObject({ fare: Math.round(460 * 1.6), source: 'base-fare' });
+    expect(quoteFare(route, 'normal', { from: 'Kegalle', to: 'Kadawatha' })).toMatchObject({ status: 400 });
+    expect(quoteFare(route, 'normal', { from: 'Matara' })).toMatchObject({ status: 404 });
+  });
+
+  test('fares come from the version in effect at the time of travel', () => {
+    const route = buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares }] });
+    const revisedFares = stageFares.map(fare => Math.round(fare * 1.1));
+
+    route.addFareVersion({ effectiveFrom: new Date('2027-01-01T00:00:00+05:30'), baseFare: 506, fareTables: [{ busType: 'normal', stageFares: revisedFares }] });
+    route.addFareVersion({ effectiveFrom: new Date('2026-11-01T00:00:00+05:30'), baseFare: 483, fareTables: [] });
+
+    expect(route.fareVersions.map(version => version.baseFare)).toEqual([483, 506]);
+    expect(route.calculateFare('normal', { at: new Date('2026-10-31T23:00:00+05:30') })).toBe(stageFares[57]);
+    expect(route.calculateFare('normal', { at: new Date('2026-11-01T06:00:00+05:30') })).toBe(483);
+    expect(route.getStageFare('normal', { at: new Date('2027-03-01T06:00:00+05:30') })).toMatchObject({ fare: revisedFares[57], source: 'fare-table' });
+    expect(quoteFare(route, 'luxury', { at: new Date('2026-12-01T06:00:00+05:30') }).quote)
+      .toMatchObject({ fare: Math.round(483 * 1.6), effectiveFrom: new Date('2026-11-01T00:00:00+05:30') });
+  });
+
+  test('fare tables must cover every stage and cannot go down', async () => {
+    await expect(buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares: stageFares.slice(0, 40) }] }).validate())
+      .rejects.toThrow("Fare table must give the fare for each of the route's 58 stages");
+
+    await expect(buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares: [...stageFares].reverse() }] }).validate())
+      .rejects.toThrow('Stage fares are required and cannot go down as more stages are travelled');
+
+    await expect(buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares }] }).validate()).resolves.toBeUndefined();
+  });
+
+  test('a fare revision writes nothing unless every route passes validation', async () => {
+    const routes = [
+      buildKandyRoute({ fareTables: [{ busType: 'normal', stageFares }] }),
+      buildKandyRoute({ routeNumber: 'R-002', fareTables: [{ busType: 'normal', stageFares: stageFares.slice(0, 40) }] })
+    ];
+    jest.spyOn(Route, 'find').mockReturnValue({ sort: () => Promise.resolve(routes) });
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate: () => Promise.resolve([]) });
+    const saveRoute = jest.spyOn(Route.prototype, 'save');
+    const saveRevision = jest.spyOn(FareRevision.prototype, 'save');
+
+    await expect(reviseFares({ percentage: 5, effectiveFrom: '2026-11-01T00:00:00+05:30', appliedBy: new mongoose.Types.ObjectId() }))
+      .rejects.toThrow("Fare table must give the fare for each of the route's 58 stages");
+    expect(saveRoute).not.toHaveBeenCalled();
+    expect(saveRevision).not.toHaveBeenCalled();
+  });
+
+  test('a fare revision reprices trips at the route fare and leaves fares set by hand alone', async () => {
+    const route = buildKandyRoute();
+    const bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' });
+    const buildTrip = fare => Object.assign(new Trip({ routeId: route._id, fare, departureTime: new Date('2026-11-02T06:00:00+05:30'), estimatedArrival: new Date('2026-11-02T09:00:00+05:30') }), { busId: bus });
+    const [atRouteFare, setByHand] = [buildTrip(460), buildTrip(400)];
+
+    jest.spyOn(Route, 'find').mockReturnValue({ sort: () => Promise.resolve([route]) });
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate: () => Promise.resolve([atRouteFare, setByHand]) });
+    jest.spyOn(Route.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(FareRevision.prototype, 'save').mockImplementation(async function() { return this; });
+    const bulkWrite = jest.spyOn(Trip, 'bulkWrite').mockResolvedValue({});
+
+    const { revision } = await reviseFares({ percentage: 10, effectiveFrom: '2026-11-01T00:00:00+05:30', appliedBy: new mongoose.Types.ObjectId() });
+
+    expect(revision.tripsRepriced).toBe(1);
+    expect(revision.tripsSkipped).toEqual([setByHand._id]);
+    expect(bulkWrite).toHaveBeenCalledWith([{ updateOne: { filter: { _id: atRouteFare._id }, update: { $set: { fare: 506 } } } }]);
+  });
+
+  test('fares are changed through their own endpoint, and only versioned from an effective date', async () => {
+    const req = { body: { routeName: 'Colombo - Kandy', baseFare: 500 } };
+    await Promise.all(validateRouteUpdate.map(validator => validator.run(req)));
+    expect(validationResult(req).array().map(error => error.msg)).toEqual(['Fares cannot be changed here. Use PUT /api/routes/:id/fares']);
+
+    const route = buildKandyRoute();
+    jest.spyOn(Route, 'findOne').mockResolvedValue(route);
+    jest.spyOn(Route.prototype, 'save').mockImplementation(async function() { return this; });
+    const putFares = async body => {
+      const res = createResponse();
+      const next = jest.fn();
+      updateRouteFares({ params: { id: route._id.toString() }, body }, res, next);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(next).not.toHaveBeenCalled();
+      return res.body;
+    };
+
+    await putFares({ fareTables: [{ busType: 'normal', stageFares }] });
+    expect(route.fareVersions).toHaveLength(0);
+    expect(route.fareTables[0].stageFares).toEqual(stageFares);
+
+    const { message } = await putFares({ baseFare: 500, effectiveFrom: '2027-01-01T00:00:00+05:30' });
+    expect(message).toBe(`Fares updated successfully from ${new Date('2027-01-01T00:00:00+05:30').toISOString()}`);
+    expect(route.baseFare).toBe(460);
+    expect(route.fareVersions.map(version => [version.baseFare, version.fareTables[0].stageFares.length])).toEqual([[500, 58]]);
+  });
+});
@@ -0,0 +1,60 @@
+const { EventEmitter } = require('events');
+const Route = require('../models/Route');
+
+/**
+ * Shared Test Fixtures
+ * Unsaved documents used across the unit tests
+ */
+
+const places = {
+  colombo: { city: 'Colombo', province: 'Western', coordinates: { latitude: 6.9271, longitude: 79.8612 } },
+  kandy: { city: 'Kandy', province: 'Central', coordinates: { latitude: 7.2906, longitude: 80.6337 } },
+  negombo: { city: 'Negombo', province: 'Western', coordinates: { latitude: 7.2008, longitude: 79.8737 } },
+  jaffna: { city: 'Jaffna', province: 'Northern', coordinates: { latitude: 9.6615, longitude: 80.0255 } }
+};
+
+// Local time on a day of the tests: Asia/Colombo is UTC+05:30
+const local = (time, date = '2026-11-02') => new Date(`${date}T${time}:00+05:30`);
+
+// Stops of the Colombo - Kandy road used as waypoints
+const kandyRoadStops = [
+  { name: 'Kadawatha', coordinates: { latitude: 7.0013, longitude: 79.9537 }, distanceFromStart: 16 },
+  { name: 'Kegalle', coordinates: { latitude: 7.2513, longitude: 80.3464 }, distanceFromStart: 77 }
+];
+
+/**
+ * Build an unsaved route: the Colombo - Kandy Express unless the fields say otherwise
+ */
+const buildRoute = (fields = {}) => new Route({
+  routeNumber: 'R-001', routeName: 'Colombo - Kandy Express', distance: 115, estimatedDuration: 180, frequency: 60, baseFare: 450,
+  startLocation: places.colombo,
+  endLocation: places.kandy,
+  operatingHours: { startTime: '05:00', endTime: '21:00' },
+  ...fields
+});
+
+/**
+ * Stand-in for an Express response that records what is written to it, for JSON and event stream handlers
+ */
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.status = () => res;
+  res.set = () => res;
+  res.flushHeaders = () => {};
+  res.write = chunk => res.chunks.push(chunk);
+  res.json = body => { res.body = body; res.writableEnded = true; };
+  res.end = () => { res.writableEnded = true; };
+  return res;
+};
+
+/**
+ * Read the events written to a createResponse() stream as { event, id, data }
+ */
+const readEvents = (res) => res.chunks.join('').split('\n\n')
+  .map(block => Object.fromEntries(block.split('\n').filter(line => /^(id|event|data): /.test(line)).map(line => line.split(/: (.*)/s).slice(0, 2))))
+  .filter(fields => fields.event)
+  .map(({ event, id, data }) => ({ event, id: id === undefined ? undefined : Number(id), data: JSON.parse(data) }));
+
+module.exports = { places, local, kandyRoadStops, buildRoute, createResponse, readEvents };
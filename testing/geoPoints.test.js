@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const { toGeoPoint } = require('../utils/geo');
+const { buildRoute } = require('./fixtures');
+
+describe('GeoJSON Points', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('points are longitude first and never half built', () => {
+    expect(toGeoPoint(6.9271, '79.8612')).toEqual({ type: 'Point', coordinates: [79.8612, 6.9271] });
+    expect(toGeoPoint(6.9271, undefined)).toBeUndefined();
+    expect(toGeoPoint(null, 79.8612)).toBeUndefined();
+    expect(toGeoPoint('north', 79.8612)).toBeUndefined();
+  });
+
+  test('bus and route points follow their coordinates on save', async () => {
+    const bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal', operatorId: new mongoose.Types.ObjectId() });
+    bus.currentLocation = { latitude: 7.0013, longitude: 79.9537 };
+    // Only the location is checked: the operator lookup needs the database
+    await bus.validate(['currentLocation.latitude', 'currentLocation.longitude']);
+    expect(bus.currentLocation.point.toObject()).toEqual({ type: 'Point', coordinates: [79.9537, 7.0013] });
+
+    const route = buildRoute({
+      waypoints: [{ name: 'Kegalle', coordinates: { latitude: 7.2513, longitude: 80.3464 }, distanceFromStart: 77 }]
+    });
+    await route.validate();
+    expect(route.startLocation.point.coordinates).toEqual([79.8612, 6.9271]);
+    expect(route.endLocation.point.coordinates).toEqual([80.6337, 7.2906]);
+    expect(route.waypoints[0].point.coordinates).toEqual([80.3464, 7.2513]);
+  });
+
+  test('updates through findOneAndUpdate keep the point in sync too', async () => {
+    jest.spyOn(mongoose.Query.prototype, '_findOneAndUpdate').mockResolvedValue(null);
+
+    const nested = Bus.findOneAndUpdate({ _id: new mongoose.Types.ObjectId() }, { currentLocation: { latitude: 7.2, longitude: 80.1 } });
+    await nested;
+    expect(nested.getUpdate().currentLocation.point).toEqual({ type: 'Point', coordinates: [80.1, 7.2] });
+
+    const dotted = Bus.findOneAndUpdate({ _id: new mongoose.Types.ObjectId() }, { $set: { 'currentLocation.latitude': 7.2, 'currentLocation.longitude': 80.1 } });
+    await dotted;
+    expect(dotted.getUpdate().$set['currentLocation.point']).toEqual({ type: 'Point', coordinates: [80.1, 7.2] });
+  });
+
+  test('nearby buses come from $geoNear, nearest first, with the distance in kilometers', () => {
+    const busIds = [new mongoose.Types.ObjectId()];
+    const [geoNear, rounded] = Bus.findNearby(6.9271, 79.8612, 5, { busType: 'luxury', busIds }).pipeline();
+
+    expect(geoNear.$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [79.8612, 6.9271] },
+      key: 'currentLocation.point',
+      maxDistance: 5000,
+      spherical: true,
+      query: { status: 'active', isActive: true, busType: 'luxury', _id: { $in: busIds } }
+    });
+    expect(rounded).toEqual({ $set: { distance: { $round: [{ $divide: ['$distance', 1000] }, 2] } } });
+  });
+});
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const { evaluateGeofences, invalidateGeofenceCache } = require('../services/geofenceService');
+const { buildRoute } = require('./fixtures');
+
+describe('Geofences', () => {
+  const route = buildRoute();
+
+  // 500 m around Colombo terminal, and a box around Kandy town
+  const colomboTerminal = new Geofence({ name: 'Colombo Central Terminal', city: 'Colombo', shape: 'circle', center: { latitude: 6.9271, longitude: 79.8612 }, radius: 500, tripAutomation: true });
+  const kandyTerminal = new Geofence({ name: 'Kandy Goods Shed Terminal', city: 'Kandy', shape: 'polygon', tripAutomation: true,
+    polygon: [{ latitude: 7.28, longitude: 80.62 }, { latitude: 7.30, longitude: 80.62 }, { latitude: 7.30, longitude: 80.65 }, { latitude: 7.28, longitude: 80.65 }] });
+  const depot = new Geofence({ name: 'Kadawatha Depot', category: 'depot', city: 'Kadawatha', shape: 'circle', center: { latitude: 7.0013, longitude: 79.9537 }, radius: 300 });
+
+  const atColombo = { latitude: 6.9280, longitude: 79.8615, recordedAt: new Date('2026-11-02T05:55:00+05:30') };
+  const leftColombo = { latitude: 6.9400, longitude: 79.8800, recordedAt: new Date('2026-11-02T06:02:00+05:30') };
+  const atKandy = { latitude: 7.2906, longitude: 80.6337, recordedAt: new Date('2026-11-02T09:05:00+05:30') };
+
+  let bus;
+  let insertMany;
+
+  const buildTrip = (status) => {
+    const trip = new Trip({ busId: bus._id, routeId: route._id, status, fare: 450,
+      departureTime: new Date('2026-11-02T06:00:00+05:30'), estimatedArrival: new Date('2026-11-02T09:00:00+05:30') });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+    return trip;
+  };
+
+  beforeEach(() => {
+    bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal', operatorId: new mongoose.Types.ObjectId() });
+    invalidateGeofenceCache();
+    jest.spyOn(Geofence, 'find').mockResolvedValue([colomboTerminal, kandyTerminal, depot]);
+    jest.spyOn(Trip.prototype, 'save').mockImplementation(async function() { return this; });
+    insertMany = jest.spyOn(GeofenceEvent, 'insertMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('circles and polygons contain the points inside them', () => {
+    expect(colomboTerminal.contains(atColombo.latitude, atColombo.longitude)).toBe(true);
+    expect(colomboTerminal.contains(leftColombo.latitude, leftColombo.longitude)).toBe(false);
+    expect(kandyTerminal.contains(atKandy.latitude, atKandy.longitude)).toBe(true);
+    expect(kandyTerminal.contains(7.31, 80.6337)).toBe(false);
+    expect(kandyTerminal.servesCity(' kandy ')).toBe(true);
+  });
+
+  test('events are logged only when a bus crosses the boundary', async () => {
+    const entered = await evaluateGeofences(bus, atColombo, null);
+    expect(entered.events).toEqual([{ geofenceId: colomboTerminal._id, name: 'Colombo Central Terminal', type: 'enter', tripId: null, tripAction: null }]);
+    expect(bus.insideGeofences.map(String)).toEqual([colomboTerminal._id.toString()]);
+
+    // Still inside: nothing new
+    expect((await evaluateGeofences(bus, { ...atColombo, latitude: 6.9275 }, null)).events).toEqual([]);
+    expect(insertMany).toHaveBeenCalledTimes(1);
+
+    const exited = await evaluateGeofences(bus, leftColombo, null, { automate: false });
+    expect(exited.events.map(event => event.type)).toEqual(['exit']);
+    expect(exited.tripStarted).toBeNull();
+    expect(bus.insideGeofences).toEqual([]);
+  });
+
+  test('leaving the origin terminal starts the scheduled trip and reaching the destination completes it', async () => {
+    const scheduled = buildTrip('scheduled');
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate: async () => [scheduled] });
+    bus.insideGeofences = [colomboTerminal._id];
+
+    const departed = await evaluateGeofences(bus, leftColombo, null);
+    expect(departed.tripStarted).toBe(scheduled);
+    expect(departed.events).toEqual([expect.objectContaining({ type: 'exit', tripId: scheduled._id, tripAction: 'started' })]);
+    expect(scheduled.status).toBe('in-progress');
+
+    const arrived = await evaluateGeofences(bus, atKandy, scheduled);
+    expect(arrived.tripCompleted).toBe(scheduled);
+    expect(arrived.events).toEqual([expect.objectContaining({ type: 'enter', name: 'Kandy Goods Shed Terminal', tripAction: 'completed' })]);
+    expect(scheduled.status).toBe('completed');
+    expect(insertMany.mock.calls[1][0][0]).toMatchObject({ routeId: route._id, operatorId: bus.operatorId, occurredAt: atKandy.recordedAt });
+  });
+
+  test('a terminal that does not serve the trip\'s destination leaves the trip running', async () => {
+    const running = buildTrip('in-progress');
+    running.actualDeparture = new Date('2026-11-02T06:00:00+05:30');
+
+    // Turned back to Colombo an hour into the trip
+    const { events, tripCompleted } = await evaluateGeofences(bus, { ...atColombo, recordedAt: new Date('2026-11-02T07:00:00+05:30') }, running);
+
+    expect(events).toEqual([expect.objectContaining({ type: 'enter', tripId: running._id, tripAction: null })]);
+    expect(tripCompleted).toBeNull();
+    expect(running.status).toBe('in-progress');
+  });
+});
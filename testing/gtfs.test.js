@@ -0,0 +1,292 @@
+const JSZip = require('jszip');
+const User = require('../models/User');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const { buildGtfsFeed, zipGtfsFeed } = require('../services/gtfsService');
+const { readGtfsZip, buildRoutesFromFeed, diffRoute } = require('../services/gtfsImportService');
+const { buildVehiclePositionsFeed, buildTripUpdatesFeed, encodeFeed, feedToJson } = require('../services/gtfsRealtimeService');
+const { predictRemainingStops } = require('../services/etaService');
+const { transit_realtime: GtfsRealtime } = require('gtfs-realtime-bindings');
+const { toCsv, parseCsv, validateGtfsFeed } = require('../utils/gtfs');
+const { kandyRoadStops, buildRoute } = require('./fixtures');
+
+describe('GTFS Static Feed', () => {
+  const operators = [
+    new User({ username: 'southern', email: 'southern@example.com', password: 'Password123', role: 'operator', fullName: 'Southern Operator', companyName: 'Southern Express', contactNumber: '+94771234567' }),
+    new User({ username: 'kandyline', email: 'kandy@example.com', password: 'Password123', role: 'operator', fullName: 'Kandy Operator', companyName: 'Kandy Line, Ltd "KL"' })
+  ];
+
+  const buses = [
+    new Bus({ busNumber: 'NB-1234', operatorId: operators[0]._id, capacity: 50, busType: 'normal' }),
+    new Bus({ busNumber: 'NC-5678', operatorId: operators[1]._id, capacity: 45, busType: 'luxury' })
+  ];
+
+  const routes = [
+    buildRoute({ waypoints: kandyRoadStops }),
+    buildRoute({
+      routeNumber: 'R-002', routeName: 'Colombo - Galle Coastal', distance: 119, estimatedDuration: 150, frequency: 30, baseFare: 380,
+      endLocation: { city: 'Galle', province: 'Southern', coordinates: { latitude: 6.0535, longitude: 80.2210 } },
+      waypoints: [{ name: 'Kalutara', coordinates: { latitude: 6.5854, longitude: 79.9607 } }],
+      operatingHours: { startTime: '04:30', endTime: '22:00' }
+    })
+  ];
+
+  const newTrip = (bus, route, departure, minutes, status = 'scheduled') => new Trip({
+    busId: bus, routeId: route, status, fare: route.baseFare,
+    departureTime: new Date(departure),
+    estimatedArrival: new Date(new Date(departure).getTime() + minutes * 60 * 1000)
+  });
+
+  const trips = [
+    newTrip(buses[0], routes[0], '2026-10-19T00:30:00Z', 180),
+    newTrip(buses[1], routes[0], '2026-10-19T02:00:00Z', 200),
+    // Departs 22:30 local time and arrives after midnight
+    newTrip(buses[0], routes[1], '2026-10-20T17:00:00Z', 150)
+  ];
+
+  const from = new Date('2026-10-18T18:30:00Z');
+  const to = new Date('2026-10-25T18:30:00Z');
+
+  test('generated feed passes the structural validator', () => {
+    const files = buildGtfsFeed({ trips, operators, from, to });
+    const { valid, errors } = validateGtfsFeed(files);
+
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+  });
+
+  test('feed describes agencies, shared stops, calendar and overnight stop times', () => {
+    const files = buildGtfsFeed({ trips, operators, from, to });
+    const table = file => parseCsv(files[file]).rows;
+
+    expect(table('agency.txt').map(agency => agency.agency_name)).toEqual(['Southern Express', 'Kandy Line, Ltd "KL"']);
+    expect(table('agency.txt')[0].agency_timezone).toBe('Asia/Colombo');
+
+    // Each operator running R-001 gets its own GTFS route
+    expect(table('routes.txt').filter(route => route.route_short_name === 'R-001')).toHaveLength(2);
+
+    // Colombo is the start of both routes but only one stop
+    expect(table('stops.txt').filter(stop => stop.stop_name === 'Colombo')).toHaveLength(1);
+
+    expect(table('calendar.txt')).toEqual([
+      expect.objectContaining({ service_id: '20261019', monday: '1', tuesday: '0', start_date: '20261019', end_date: '20261019' }),
+      expect.objectContaining({ service_id: '20261020', monday: '0', tuesday: '1' })
+    ]);
+
+    const stopTimes = table('stop_times.txt').filter(stopTime => stopTime.trip_id === trips[0]._id.toString());
+    expect(stopTimes.map(stopTime => stopTime.departure_time)).toEqual(['06:00:00', '06:25:03', '08:00:31', '09:00:00']);
+
+    const overnight = table('stop_times.txt').filter(stopTime => stopTime.trip_id === trips[2]._id.toString());
+    expect(overnight[0].departure_time).toBe('22:30:00');
+    expect(overnight[overnight.length - 1].arrival_time).toBe('25:00:00');
+
+    expect(table('feed_info.txt')[0]).toEqual(expect.objectContaining({ feed_start_date: '20261019', feed_end_date: '20261025' }));
+  });
+
+  test('trips without a known operator are left out', () => {
+    const orphan = newTrip(new Bus({ busNumber: 'ND-0001', operatorId: new User()._id, capacity: 40, busType: 'normal' }), routes[1], '2026-10-21T03:00:00Z', 150);
+    const files = buildGtfsFeed({ trips: [trips[0], orphan], operators, from, to });
+
+    expect(parseCsv(files['trips.txt']).rows.map(trip => trip.trip_id)).toEqual([trips[0]._id.toString()]);
+  });
+
+  test('validator reports broken references and stop times going backwards', () => {
+    const files = buildGtfsFeed({ trips: [trips[0]], operators, from, to });
+    const broken = {
+      ...files,
+      'trips.txt': files['trips.txt'].replace('20261019', '20991231'),
+      'stop_times.txt': files['stop_times.txt'].replace('08:00:31,08:00:31', '05:00:00,05:00:00')
+    };
+
+    const { valid, errors } = validateGtfsFeed(broken);
+    const messages = errors.map(error => error.message);
+
+    expect(valid).toBe(false);
+    expect(messages).toContain('Unknown service_id "20991231"');
+    expect(messages.some(message => message.includes('go backwards in time'))).toBe(true);
+  });
+
+  test('feed zips into the expected files', async () => {
+    const archive = await zipGtfsFeed(buildGtfsFeed({ trips, operators, from, to }));
+    const zip = await JSZip.loadAsync(archive);
+
+    expect(Object.keys(zip.files).sort()).toEqual(['agency.txt', 'calendar.txt', 'feed_info.txt', 'routes.txt', 'stop_times.txt', 'stops.txt', 'trips.txt']);
+  });
+});
+
+describe('GTFS Static Feed Import', () => {
+  // Colombo -> Kalutara -> Galle, with a shape that starts at a depot 1 km north of the first stop
+  const feed = {
+    'agency.txt': toCsv(['agency_id', 'agency_name', 'agency_url', 'agency_timezone'], [
+      { agency_id: 'NTC', agency_name: 'National Transport Commission', agency_url: 'https://www.ntc.gov.lk', agency_timezone: 'Asia/Colombo' }
+    ]),
+    'stops.txt': toCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], [
+      { stop_id: 'CMB', stop_name: 'Colombo', stop_lat: 6.9271, stop_lon: 79.8612 },
+      { stop_id: 'KLT', stop_name: 'Kalutara', stop_lat: 6.5854, stop_lon: 79.9607 },
+      { stop_id: 'GLE', stop_name: 'Galle', stop_lat: 6.0535, stop_lon: 80.2210 }
+    ]),
+    'routes.txt': toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], [
+      { route_id: 'coastal', agency_id: 'NTC', route_short_name: '2', route_long_name: 'Colombo - Galle Coastal', route_type: 3 },
+      { route_id: 'shuttle', agency_id: 'NTC', route_short_name: 'EX-1', route_long_name: 'Airport Shuttle', route_type: 3 }
+    ]),
+    'trips.txt': toCsv(['route_id', 'service_id', 'trip_id', 'direction_id', 'shape_id'], [
+      { route_id: 'coastal', service_id: 'WK', trip_id: 'c1', direction_id: 0, shape_id: 'coastal-shape' },
+      { route_id: 'coastal', service_id: 'WK', trip_id: 'c2', direction_id: 0, shape_id: 'coastal-shape' },
+      { route_id: 'coastal', service_id: 'WK', trip_id: 'c3', direction_id: 0, shape_id: 'coastal-shape' },
+      { route_id: 'shuttle', service_id: 'WK', trip_id: 's1', direction_id: 0 }
+    ]),
+    'stop_times.txt': toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], [
+      ...[['c1', 5], ['c2', 6], ['c3', 8]].flatMap(([tripId, hour]) => [
+        { trip_id: tripId, arrival_time: `0${hour}:00:00`, departure_time: `0${hour}:00:00`, stop_id: 'CMB', stop_sequence: 1 },
+        { trip_id: tripId, arrival_time: `0${hour}:55:00`, departure_time: `0${hour}:58:00`, stop_id: 'KLT', stop_sequence: 2 },
+        { trip_id: tripId, arrival_time: `${String(hour + 2).padStart(2, '0')}:30:00`, departure_time: `${String(hour + 2).padStart(2, '0')}:30:00`, stop_id: 'GLE', stop_sequence: 3 }
+      ]),
+      { trip_id: 's1', arrival_time: '07:00:00', departure_time: '07:00:00', stop_id: 'CMB', stop_sequence: 1 },
+      { trip_id: 's1', arrival_time: '08:00:00', departure_time: '08:00:00', stop_id: 'KLT', stop_sequence: 2 }
+    ]),
+    'calendar.txt': toCsv(['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'], [
+      { service_id: 'WK', monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 0, sunday: 0, start_date: '20260101', end_date: '20261231' }
+    ]),
+    'shapes.txt': toCsv(['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'], [
+      { shape_id: 'coastal-shape', shape_pt_lat: 6.9361, shape_pt_lon: 79.8612, shape_pt_sequence: 1 },
+      { shape_id: 'coastal-shape', shape_pt_lat: 6.9271, shape_pt_lon: 79.8612, shape_pt_sequence: 2 },
+      { shape_id: 'coastal-shape', shape_pt_lat: 6.7000, shape_pt_lon: 79.9000, shape_pt_sequence: 3 },
+      { shape_id: 'coastal-shape', shape_pt_lat: 6.5854, shape_pt_lon: 79.9607, shape_pt_sequence: 4 },
+      { shape_id: 'coastal-shape', shape_pt_lat: 6.0535, shape_pt_lon: 80.2210, shape_pt_sequence: 5 }
+    ]),
+    'fare_attributes.txt': toCsv(['fare_id', 'price', 'currency_type', 'payment_method', 'transfers'], [
+      { fare_id: 'coastal-full', price: '380', currency_type: 'LKR', payment_method: 0, transfers: 0 },
+      { fare_id: 'coastal-short', price: '150', currency_type: 'LKR', payment_method: 0, transfers: 0 }
+    ]),
+    'fare_rules.txt': toCsv(['fare_id', 'route_id'], [
+      { fare_id: 'coastal-full', route_id: 'coastal' },
+      { fare_id: 'coastal-short', route_id: 'coastal' }
+    ])
+  };
+
+  test('maps GTFS routes to Route data with waypoints measured along the shape', () => {
+    const { routes, skipped } = buildRoutesFromFeed(feed);
+
+    expect(routes).toHaveLength(1);
+    const [route] = routes;
+
+    expect(route).toEqual(expect.objectContaining({
+      routeNumber: 'R-002',
+      routeName: 'Colombo - Galle Coastal',
+      estimatedDuration: 150,
+      operatingHours: { startTime: '05:00', endTime: '08:00' },
+      // Median of the 60 and 120 minute gaps between departures
+      frequency: 90,
+      baseFare: 380,
+      source: 'gtfs',
+      gtfsRouteId: 'coastal'
+    }));
+    expect(route.startLocation).toEqual({ city: 'Colombo', province: 'Western', coordinates: { latitude: 6.9271, longitude: 79.8612 } });
+    expect(route.endLocation.province).toBe('Southern');
+
+    // Measured from Colombo (not the depot where the shape starts) via the bend in the shape
+    expect(route.waypoints).toEqual([expect.objectContaining({ name: 'Kalutara', stopDuration: 3, distanceFromStart: 40 })]);
+    expect(route.distance).toBe(105.8);
+
+    expect(skipped).toEqual([expect.objectContaining({ gtfsRouteId: 'shuttle', routeNumber: null })]);
+
+    // Every mapped route passes the Route schema
+    expect(new Route(route).validateSync()).toBeUndefined();
+  });
+
+  test('diff lists the fields an import would change', () => {
+    const [data] = buildRoutesFromFeed(feed).routes;
+    const current = new Route(data);
+
+    expect(diffRoute(current, data)).toEqual([]);
+
+    current.set({ baseFare: 300, 'operatingHours.endTime': '20:00', isActive: false });
+    current.waypoints[0].stopDuration = 10;
+
+    expect(diffRoute(current, data)).toEqual(['waypoints', 'operatingHours', 'baseFare', 'isActive']);
+  });
+
+  test('routes round-trip through our own export zip', async () => {
+    const operator = new User({ username: 'southern', email: 'southern@example.com', password: 'Password123', role: 'operator', fullName: 'Southern Operator', companyName: 'Southern Express' });
+    const bus = new Bus({ busNumber: 'NB-1234', operatorId: operator._id, capacity: 50, busType: 'normal' });
+    const route = buildRoute({ waypoints: kandyRoadStops.slice(1) });
+    const trip = new Trip({ busId: bus, routeId: route, fare: 450, departureTime: new Date('2026-10-19T00:30:00Z'), estimatedArrival: new Date('2026-10-19T03:30:00Z') });
+
+    const archive = await zipGtfsFeed(buildGtfsFeed({ trips: [trip], operators: [operator] }));
+    const { routes } = buildRoutesFromFeed(await readGtfsZip(archive));
+
+    expect(routes.map(imported => imported.routeNumber)).toEqual(['R-001']);
+    expect(routes[0].startLocation.city).toBe('Colombo');
+    expect(routes[0].endLocation).toEqual(expect.objectContaining({ city: 'Kandy', province: 'Central' }));
+    expect(routes[0].waypoints.map(waypoint => waypoint.name)).toEqual(['Kegalle']);
+    expect(routes[0].estimatedDuration).toBe(180);
+  });
+});
+
+describe('GTFS-Realtime Feeds', () => {
+  const now = new Date('2026-10-19T01:30:00Z');
+  const operator = new User({ username: 'southern', email: 'southern@example.com', password: 'Password123', role: 'operator', fullName: 'Southern Operator', companyName: 'Southern Express' });
+  const route = buildRoute({ waypoints: kandyRoadStops });
+
+  const runningBus = new Bus({
+    busNumber: 'NB-1234', operatorId: operator._id, capacity: 50, busType: 'normal',
+    currentLocation: { ...kandyRoadStops[0].coordinates, speed: 36, heading: 90, lastUpdated: new Date('2026-10-19T01:29:30Z') }
+  });
+  const running = new Trip({
+    busId: runningBus, routeId: route, fare: 450, status: 'in-progress', occupancy: 30, delay: 5,
+    departureTime: new Date('2026-10-19T00:30:00Z'), estimatedArrival: new Date('2026-10-19T03:30:00Z'),
+    distanceTravelled: 16, currentWaypoint: 0
+  });
+
+  const spareBus = new Bus({ busNumber: 'NB-5678', operatorId: operator._id, capacity: 50, busType: 'normal' });
+  const upcoming = new Trip({ busId: spareBus, routeId: route, fare: 450, departureTime: new Date('2026-10-19T02:00:00Z'), estimatedArrival: new Date('2026-10-19T05:00:00Z') });
+  const cancelled = new Trip({ busId: spareBus, routeId: route, fare: 450, status: 'cancelled', departureTime: new Date('2026-10-19T04:00:00Z'), estimatedArrival: new Date('2026-10-19T07:00:00Z') });
+
+  test('vehicle positions use static feed IDs and stop sequences', () => {
+    const feed = feedToJson(buildVehiclePositionsFeed([running], [{ freshness: 'live', signalAge: 30 }], now));
+    const { vehicle } = feed.entity[0];
+
+    expect(feed.header.incrementality).toBe('FULL_DATASET');
+    expect(vehicle.trip).toEqual({
+      tripId: running._id.toString(),
+      routeId: `R-001-${operator._id}`,
+      startDate: '20261019',
+      startTime: '06:00:00',
+      scheduleRelationship: 'SCHEDULED'
+    });
+    // At Kadawatha, the first waypoint (stop_sequence 2)
+    expect(vehicle.currentStopSequence).toBe(2);
+    expect(vehicle.currentStatus).toBe('STOPPED_AT');
+    expect(vehicle.position.speed).toBeCloseTo(10);
+    expect(vehicle.occupancyStatus).toBe('FEW_SEATS_AVAILABLE');
+
+    // Offline buses are left out
+    expect(buildVehiclePositionsFeed([running], [{ freshness: 'offline', signalAge: 4000 }], now).entity).toHaveLength(0);
+  });
+
+  test('trip updates carry stop predictions and cancellations, and survive protobuf encoding', async () => {
+    const predictions = new Map([
+      [running._id.toString(), [{ stopIndex: 2, scheduledArrival: new Date('2026-10-19T02:30:31Z'), predictedArrival: new Date('2026-10-19T02:35:31Z') }, { stopIndex: 3, scheduledArrival: new Date('2026-10-19T03:30:00Z'), predictedArrival: new Date('2026-10-19T03:35:00Z') }]],
+      [upcoming._id.toString(), await predictRemainingStops(upcoming, route, null, now)]
+    ]);
+
+    const encoded = encodeFeed(buildTripUpdatesFeed([running, upcoming, cancelled], predictions, now));
+    const feed = GtfsRealtime.FeedMessage.toObject(GtfsRealtime.FeedMessage.decode(encoded), { enums: String, longs: Number });
+    const [runningUpdate, upcomingUpdate, cancelledUpdate] = feed.entity.map(entity => entity.tripUpdate);
+
+    expect(runningUpdate.delay).toBe(300);
+    expect(runningUpdate.stopTimeUpdate).toEqual([
+      expect.objectContaining({ stopSequence: 3, arrival: expect.objectContaining({ delay: 300 }), departure: expect.objectContaining({ delay: 300 }) }),
+      // The last stop has no departure
+      { stopSequence: 4, arrival: { time: Date.parse('2026-10-19T03:35:00Z') / 1000, delay: 300 } }
+    ]);
+
+    // Not departed yet: every stop on the timetable, starting with the departure from the first stop
+    expect(upcomingUpdate.stopTimeUpdate.map(update => update.stopSequence)).toEqual([1, 2, 3, 4]);
+    expect(upcomingUpdate.stopTimeUpdate[0]).toEqual({ stopSequence: 1, departure: { time: Date.parse('2026-10-19T02:00:00Z') / 1000, delay: 0 } });
+
+    expect(cancelledUpdate.trip.scheduleRelationship).toBe('CANCELED');
+    expect(cancelledUpdate.stopTimeUpdate).toBeUndefined();
+  });
+});
@@ -0,0 +1,70 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const { toPlace, planJourneys } = require('../services/journeyService');
+const { places, kandyRoadStops, buildRoute } = require('./fixtures');
+
+describe('Journey Planner', () => {
+  const coastal = new Route({
+    routeNumber: 'R-002', routeName: 'Galle - Colombo Coastal', distance: 120, estimatedDuration: 150, frequency: 30, baseFare: 360,
+    startLocation: { city: 'Galle', province: 'Southern', coordinates: { latitude: 6.0535, longitude: 80.2210 } },
+    endLocation: places.colombo,
+    waypoints: [{ name: 'Kalutara', coordinates: { latitude: 6.5854, longitude: 79.9607 }, distanceFromStart: 75 }],
+    operatingHours: { startTime: '04:30', endTime: '22:00' }
+  });
+
+  // Stops at Kegalle only
+  const express = buildRoute({ baseFare: 460, waypoints: kandyRoadStops.slice(1) });
+
+  const normalBus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' });
+  const luxuryBus = new Bus({ busNumber: 'NC-5678', capacity: 45, busType: 'luxury' });
+
+  const newTrip = (bus, route, departure, minutes) => new Trip({
+    busId: bus, routeId: route, status: 'scheduled', fare: route.baseFare,
+    departureTime: new Date(departure),
+    estimatedArrival: new Date(new Date(departure).getTime() + minutes * 60 * 1000)
+  });
+
+  const trips = [
+    newTrip(normalBus, coastal, '2026-10-19T00:30:00Z', 150), // Galle 06:00 -> Colombo 08:30 local
+    newTrip(luxuryBus, express, '2026-10-19T03:05:00Z', 180), // Colombo 08:35, too soon to change
+    newTrip(normalBus, express, '2026-10-19T03:30:00Z', 180), // Colombo 09:00 -> Kandy 12:00
+    newTrip(normalBus, express, '2026-10-19T05:30:00Z', 180)
+  ];
+
+  const galle = toPlace([], 'galle');
+  const kandy = toPlace([], 'Kandy');
+  const departAfter = new Date('2026-10-19T00:00:00Z');
+
+  test('connects routes through a shared stop with the minimum transfer time', () => {
+    const [itinerary, ...others] = planJourneys(trips, galle, kandy, { departAfter, minTransferMinutes: 10 });
+
+    expect(others).toEqual([]);
+    expect(itinerary.transfers).toBe(1);
+    expect(itinerary.legs.map(leg => leg.route.routeNumber)).toEqual(['R-002', 'R-001']);
+    expect(itinerary.legs[1].from).toEqual(expect.objectContaining({ name: 'Colombo', stopSequence: 1 }));
+    expect(itinerary.legs[1].transferTime).toBe(30);
+    expect(itinerary.departureTime).toEqual(new Date('2026-10-19T00:30:00Z'));
+    expect(itinerary.arrivalTime).toEqual(new Date('2026-10-19T06:30:00Z'));
+    expect(itinerary.duration).toBe(360);
+    expect(itinerary.fare).toBe(360 + 460);
+  });
+
+  test('a shorter transfer time catches the earlier bus, priced by its bus type', () => {
+    const [itinerary] = planJourneys(trips, galle, kandy, { departAfter, minTransferMinutes: 5 });
+
+    expect(itinerary.legs[1].bus.busNumber).toBe('NC-5678');
+    expect(itinerary.legs[1].fare).toBe(Math.round(460 * 1.6));
+    expect(itinerary.arrivalTime).toEqual(new Date('2026-10-19T06:05:00Z'));
+  });
+
+  test('partial legs are priced by fare stage and transfers can be ruled out', () => {
+    const [itinerary] = planJourneys(trips, toPlace([], 'Kalutara'), kandy, { departAfter });
+
+    expect(itinerary.legs[0].distance).toBe(45);
+    // Kalutara is in stage 38 of 60 (2 km stages)
+    expect(itinerary.legs[0].fare).toBe(Math.round(360 * 22 / 60));
+    expect(planJourneys(trips, galle, kandy, { departAfter, maxTransfers: 0 })).toEqual([]);
+    expect(planJourneys(trips, galle, kandy, { departAfter: new Date('2026-10-19T01:00:00Z') })).toEqual([]);
+  });
+});
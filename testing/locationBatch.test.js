@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Geofence = require('../models/Geofence');
+const LocationPing = require('../models/LocationPing');
+const { batchUpdateBusLocation } = require('../controllers/trackingController');
+const { createResponse } = require('./fixtures');
+
+describe('Batched GPS Ingestion', () => {
+  const operatorId = new mongoose.Types.ObjectId();
+  const lastFix = new Date(Date.now() - 30 * 60 * 1000);
+  const minutesAfterLastFix = minutes => new Date(lastFix.getTime() + minutes * 60 * 1000).toISOString();
+  const fix = (minutes, fields) => ({ latitude: 7.0, longitude: 80.0, timestamp: minutesAfterLastFix(minutes), ...fields });
+
+  let bus;
+
+  const upload = async (fixes, user = { role: 'admin' }) => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    batchUpdateBusLocation({ body: { busId: bus._id.toString(), fixes }, user }, res, next);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(next).not.toHaveBeenCalled();
+    return res.body;
+  };
+
+  beforeEach(() => {
+    bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal', operatorId,
+      currentLocation: { latitude: 6.95, longitude: 79.9, lastUpdated: lastFix } });
+
+    jest.spyOn(Bus, 'findOne').mockReturnValue({ populate: async () => bus });
+    jest.spyOn(Bus.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Trip, 'findOne').mockReturnValue({ populate: async () => null });
+    jest.spyOn(Geofence, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the newest fix becomes the live position and older ones only go to history', async () => {
+    const insertMany = jest.spyOn(LocationPing, 'insertMany').mockResolvedValue([]);
+    const create = jest.spyOn(LocationPing, 'create').mockResolvedValue({});
+
+    const { data } = await upload([fix(1), fix(2, { latitude: 7.1, speed: 35 }), fix(3, { latitude: 7.2, longitude: 80.1 })]);
+
+    expect(data.results.map(result => result.status)).toEqual(['history', 'history', 'live']);
+    expect(insertMany.mock.calls[0][0].map(ping => ping.latitude)).toEqual([7.0, 7.1]);
+    expect(insertMany.mock.calls[0][0][1].speed).toBe(35);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ latitude: 7.2, longitude: 80.1 }));
+
+    expect(bus.currentLocation).toMatchObject({ latitude: 7.2, longitude: 80.1, lastUpdated: new Date(minutesAfterLastFix(3)) });
+    expect(data.liveUpdate.location).toMatchObject({ latitude: 7.2, longitude: 80.1 });
+  });
+
+  test('duplicate, out-of-order, future and invalid fixes are rejected one by one', async () => {
+    jest.spyOn(LocationPing, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(LocationPing, 'create').mockResolvedValue({});
+
+    const { message, data } = await upload([
+      fix(0),
+      fix(2),
+      fix(2, { latitude: 7.3 }),
+      fix(1),
+      fix(3, { latitude: 4.0 }),
+      fix(3, { timestamp: 'yesterday' }),
+      fix(24 * 60),
+      fix(4, { latitude: 7.4 })
+    ]);
+
+    expect(data.results.map(result => result.reason || result.status))
+      .toEqual(['duplicate', 'history', 'duplicate', 'out-of-order', 'invalid', 'invalid', 'future', 'live']);
+    expect(data.results[4].message).toBe('Latitude must be within Sri Lanka bounds (5.5 to 10.0)');
+    expect(message).toBe('Processed 8 fixes: 2 accepted, 6 rejected');
+    expect(bus.currentLocation.latitude).toBe(7.4);
+  });
+
+  test('items that are not fixes are rejected without losing the rest of the batch', async () => {
+    jest.spyOn(LocationPing, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(LocationPing, 'create').mockResolvedValue({});
+
+    const { message, data } = await upload([null, 1, 'x', [], fix(1), fix(2, { latitude: 7.2 })]);
+
+    expect(data.results.map(result => result.reason || result.status)).toEqual(['invalid', 'invalid', 'invalid', 'invalid', 'history', 'live']);
+    expect(data.results[0]).toEqual({ index: 0, timestamp: undefined, status: 'rejected', reason: 'invalid', message: 'Fix must be an object' });
+    expect(message).toBe('Processed 6 fixes: 2 accepted, 4 rejected');
+    expect(bus.currentLocation.latitude).toBe(7.2);
+  });
+
+  test('a batch with nothing new leaves the bus where it was', async () => {
+    const insertMany = jest.spyOn(LocationPing, 'insertMany');
+
+    const { data } = await upload([fix(-5), fix(-1)]);
+
+    expect(data).toMatchObject({ accepted: 0, rejected: 2, liveUpdate: null });
+    expect(data.results.map(result => result.reason)).toEqual(['out-of-order', 'out-of-order']);
+    expect(insertMany).not.toHaveBeenCalled();
+    expect(bus.currentLocation.lastUpdated).toEqual(lastFix);
+  });
+
+  test('operators can only upload fixes for their own buses', async () => {
+    expect(await upload([fix(1)], { role: 'operator', _id: new mongoose.Types.ObjectId() }))
+      .toEqual({ success: false, message: 'You can only update location for your own buses' });
+  });
+});
@@ -0,0 +1,73 @@
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Geofence = require('../models/Geofence');
+const LocationPing = require('../models/LocationPing');
+const { recordHistoricalFixes } = require('../services/locationService');
+const { buildRoute } = require('./fixtures');
+
+describe('Location History', () => {
+  const route = buildRoute();
+  const bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' });
+
+  const buildTrip = () => {
+    const trip = new Trip({
+      busId: bus._id, routeId: route._id, status: 'in-progress', fare: 450,
+      departureTime: new Date('2026-11-02T06:00:00+05:30'), actualDeparture: new Date('2026-11-02T06:05:00+05:30')
+    });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+    return trip;
+  };
+
+  // Points on the straight line from Colombo to Kandy
+  const along = (fraction, time) => ({
+    latitude: 6.9271 + (7.2906 - 6.9271) * fraction,
+    longitude: 79.8612 + (80.6337 - 79.8612) * fraction,
+    recordedAt: `2026-11-02T${time}:00+05:30`
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Geofence, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('buffered fixes become breadcrumbs, tied to the trip only once it has departed', async () => {
+    const insertMany = jest.spyOn(LocationPing, 'insertMany').mockResolvedValue([]);
+    const trip = buildTrip();
+
+    const written = await recordHistoricalFixes(bus, [along(0, '06:00'), along(0.2, '06:30'), along(0.4, '07:00')], trip);
+
+    expect(written).toBe(3);
+    const [pings] = insertMany.mock.calls[0];
+    expect(pings.map(ping => ping.tripId)).toEqual([null, trip._id, trip._id]);
+    expect(pings[0]).toMatchObject({ busId: bus._id, routeId: null, speed: 0, heading: 0, distanceTravelled: undefined });
+    expect(pings[1].routeId).toEqual(route._id);
+    expect(pings[2].distanceTravelled).toBeGreaterThan(pings[1].distanceTravelled);
+    expect(pings[2].recordedAt).toEqual(new Date('2026-11-02T07:00:00+05:30'));
+
+    // History only: the trip itself is left to the live fix
+    expect(trip.distanceTravelled).toBe(0);
+  });
+
+  test('without an active trip fixes are still recorded against the bus', async () => {
+    const insertMany = jest.spyOn(LocationPing, 'insertMany').mockResolvedValue([]);
+
+    expect(await recordHistoricalFixes(bus, [], null)).toBe(0);
+    expect(insertMany).not.toHaveBeenCalled();
+
+    await recordHistoricalFixes(bus, [{ ...along(0.5, '08:00'), speed: 40, heading: 90 }], null);
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ busId: bus._id, tripId: null, speed: 40, heading: 90 })]);
+  });
+
+  test('bus history and trip tracks are read oldest first', () => {
+    const from = new Date('2026-11-02T00:00:00Z');
+    const to = new Date('2026-11-03T00:00:00Z');
+
+    const history = LocationPing.findBusHistory(bus._id, from, to, 500);
+    expect(history.getFilter()).toEqual({ busId: bus._id, recordedAt: { $gte: from, $lte: to } });
+    expect(history.getOptions()).toMatchObject({ sort: { recordedAt: 1 }, limit: 500 });
+
+    expect(LocationPing.findTripTrack('trip-1').getFilter()).toEqual({ tripId: 'trip-1' });
+  });
+});
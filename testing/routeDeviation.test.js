@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const TrackingAlert = require('../models/TrackingAlert');
+const { DEVIATION_THRESHOLD_M, DEVIATION_CONSECUTIVE_PINGS, evaluateRouteDeviation, endTripDeviation } = require('../services/deviationService');
+const { trackingEvents } = require('../services/trackingEvents');
+const { buildRoute } = require('./fixtures');
+
+describe('Route Deviation', () => {
+  const route = buildRoute();
+  const bus = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal', operatorId: new mongoose.Types.ObjectId() });
+
+  // Halfway to Kandy on the route line, or shifted north off it
+  const halfway = (northBy = 0) => ({ latitude: (6.9271 + 7.2906) / 2 + northBy, longitude: (79.8612 + 80.6337) / 2, recordedAt: new Date() });
+  const onRoute = () => halfway(0.003);
+  const offRoute = () => halfway(0.015);
+
+  let trip;
+  let alerts;
+  const recordAlert = change => alerts.push(change.event);
+
+  beforeAll(() => trackingEvents.on('alert', recordAlert));
+  afterAll(() => trackingEvents.off('alert', recordAlert));
+
+  beforeEach(() => {
+    trip = new Trip({ busId: bus._id, routeId: route._id, status: 'in-progress', fare: 450 });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+    alerts = [];
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('fixes within the corridor never count against the bus', async () => {
+    const result = await evaluateRouteDeviation(trip, bus, onRoute());
+
+    expect(result.offRoute).toBe(false);
+    expect(result.distanceFromRoute).toBeGreaterThan(0);
+    expect(result.distanceFromRoute).toBeLessThanOrEqual(DEVIATION_THRESHOLD_M);
+    expect(result.changed).toBe(false);
+  });
+
+  test('an alert is raised on the third fix in a row off the route and cleared once back on it', async () => {
+    const alertId = new mongoose.Types.ObjectId();
+    const create = jest.spyOn(TrackingAlert, 'create').mockImplementation(async fields => ({ _id: alertId, ...fields }));
+    const updateOne = jest.spyOn(TrackingAlert, 'updateOne').mockResolvedValue({});
+
+    for (let fix = 1; fix < DEVIATION_CONSECUTIVE_PINGS; fix++) {
+      expect(await evaluateRouteDeviation(trip, bus, offRoute())).toMatchObject({ offRoute: true, alertId: null, changed: true });
+    }
+    expect(create).not.toHaveBeenCalled();
+
+    const raised = await evaluateRouteDeviation(trip, bus, offRoute());
+    expect(raised).toMatchObject({ offRoute: true, alertId, changed: true });
+    expect(raised.distanceFromRoute).toBeGreaterThan(DEVIATION_THRESHOLD_M);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ type: 'route-deviation', tripId: trip._id, distanceFromRoute: raised.distanceFromRoute }));
+
+    // Further fixes off the route update the open alert instead of raising another
+    await evaluateRouteDeviation(trip, bus, offRoute());
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith({ _id: alertId }, expect.objectContaining({ $max: { maxDistanceFromRoute: raised.distanceFromRoute } }));
+
+    const alert = new TrackingAlert({ _id: alertId, type: 'route-deviation', status: 'active' });
+    jest.spyOn(TrackingAlert, 'findOne').mockResolvedValue(alert);
+    const save = jest.spyOn(alert, 'save').mockResolvedValue(alert);
+
+    expect(await evaluateRouteDeviation(trip, bus, onRoute())).toMatchObject({ offRoute: false, alertId: null, changed: true });
+    expect(save).toHaveBeenCalled();
+    expect(alert.status).toBe('cleared');
+    expect(trip.deviation.offRouteCount).toBe(0);
+    expect(alerts).toEqual(['raised', 'cleared']);
+  });
+
+  test('a single GPS jump off the route is forgotten when the next fix is back on it', async () => {
+    const create = jest.spyOn(TrackingAlert, 'create');
+
+    await evaluateRouteDeviation(trip, bus, offRoute());
+    await evaluateRouteDeviation(trip, bus, offRoute());
+    await evaluateRouteDeviation(trip, bus, onRoute());
+    await evaluateRouteDeviation(trip, bus, offRoute());
+
+    expect(trip.deviation.offRouteCount).toBe(1);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('ending a trip clears its open alert', async () => {
+    trip.deviation = { offRouteCount: 4, alertId: new mongoose.Types.ObjectId() };
+    jest.spyOn(TrackingAlert, 'findOne').mockResolvedValue(null);
+
+    await endTripDeviation(trip);
+
+    expect(trip.deviation.toObject()).toEqual({ offRouteCount: 0, alertId: null });
+  });
+});
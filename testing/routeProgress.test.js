@@ -0,0 +1,87 @@
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const TravelTimeStat = require('../models/TravelTimeStat');
+const { streamRouteProgress } = require('../controllers/trackingController');
+const { trackingEvents, publishLocationUpdate } = require('../services/trackingEvents');
+const { buildRoute, createResponse, readEvents } = require('./fixtures');
+
+describe('Route Progress Stream', () => {
+  const route = buildRoute();
+
+  const openStream = async (res, lastEventId) => {
+    const next = jest.fn();
+    streamRouteProgress({ params: { routeId: route._id.toString() }, query: {}, header: name => (name === 'Last-Event-ID' ? lastEventId : undefined) }, res, next);
+    // Let the route lookup settle
+    await new Promise(resolve => setImmediate(resolve));
+    expect(next).not.toHaveBeenCalled();
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate() { return this; }, sort: async () => [] });
+    jest.spyOn(TravelTimeStat, 'find').mockReturnValue({ lean: async () => [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('sends a snapshot, then one per update on the route until the client disconnects', async () => {
+    jest.spyOn(Route, 'findOne').mockResolvedValue(route);
+    const listeners = trackingEvents.listenerCount('location');
+    const res = createResponse();
+
+    await openStream(res);
+    expect(readEvents(res).map(({ event }) => event)).toEqual(['route-progress']);
+    expect(trackingEvents.listenerCount('location')).toBe(listeners + 1);
+
+    trackingEvents.emit('location', { routeId: route._id }, 7);
+    trackingEvents.emit('location', { routeId: buildRoute()._id }, 8);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(readEvents(res)).toHaveLength(2);
+    expect(readEvents(res)[1]).toMatchObject({ event: 'route-progress', id: 7, data: { route: { routeNumber: 'R-001' }, totalActiveBuses: 0 } });
+
+    res.emit('close');
+    expect(trackingEvents.listenerCount('location')).toBe(listeners);
+  });
+
+  test('a client reconnecting with Last-Event-ID only gets the updates after it', async () => {
+    jest.spyOn(Route, 'findOne').mockResolvedValue(route);
+    const seen = publishLocationUpdate({ routeId: route._id });
+
+    const upToDate = createResponse();
+    await openStream(upToDate, String(seen));
+    expect(readEvents(upToDate)).toEqual([]);
+
+    const missed = publishLocationUpdate({ routeId: route._id });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(readEvents(upToDate).map(({ id }) => id)).toEqual([missed]);
+
+    // A client that missed the last update gets a snapshot as of that update first
+    const behind = createResponse();
+    await openStream(behind, String(seen));
+    expect(readEvents(behind)).toEqual([expect.objectContaining({ event: 'route-progress', id: missed })]);
+
+    upToDate.emit('close');
+    behind.emit('close');
+  });
+
+  test('a client that disconnects while the first snapshot is built leaves nothing behind', async () => {
+    const listeners = trackingEvents.listenerCount('location');
+    const res = createResponse();
+    jest.spyOn(Route, 'findOne').mockImplementation(async () => {
+      res.emit('close');
+      return route;
+    });
+
+    await openStream(res);
+    expect(res.chunks).toEqual([]);
+    expect(trackingEvents.listenerCount('location')).toBe(listeners);
+  });
+
+  test('an unknown route is a 404 rather than a stream', async () => {
+    jest.spyOn(Route, 'findOne').mockResolvedValue(null);
+    const res = createResponse();
+
+    await openStream(res);
+    expect(res.body).toEqual({ success: false, message: 'Route not found' });
+    expect(res.chunks).toEqual([]);
+  });
+});
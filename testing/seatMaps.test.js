@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+
+describe('Bus Seat Maps', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const buildBus = fields => new Bus({ busNumber: 'NB-1111', operatorId: new mongoose.Types.ObjectId(), busType: 'luxury', ...fields });
+
+  // 2+1 luxury coach: 13 rows of three, the front-left pair reserved for clergy and the next seat for disabled passengers
+  const luxuryMap = () => {
+    const seatMap = Bus.buildSeatMap(39, 'luxury');
+    seatMap.seats.slice(0, 2).forEach(seat => { seat.category = 'clergy'; });
+    seatMap.seats[2].category = 'disabled';
+    return seatMap;
+  };
+
+  test('a bus with a seat map takes its capacity from the seats', async () => {
+    const bus = buildBus({ seatMap: luxuryMap() });
+
+    await bus.validate(['capacity', 'seatMap']);
+    expect(bus.capacity).toBe(39);
+
+    const seatMap = bus.getSeatMap();
+    expect(seatMap).toMatchObject({ custom: true, capacity: 39, rows: 13, columns: 3, aisleAfterColumn: 2 });
+    expect(seatMap.seats.slice(0, 3)).toEqual([
+      { seatNumber: 1, row: 1, column: 1, category: 'clergy', position: 'window' },
+      { seatNumber: 2, row: 1, column: 2, category: 'clergy', position: 'aisle' },
+      { seatNumber: 3, row: 1, column: 3, category: 'disabled', position: 'window' }
+    ]);
+  });
+
+  test('a capacity that does not match the seat map is rejected', async () => {
+    const bus = buildBus({ capacity: 45, seatMap: luxuryMap() });
+
+    await expect(bus.validate(['capacity', 'seatMap'])).rejects.toThrow('Capacity must match the number of seats in the seat map');
+  });
+
+  test('updates cannot change the capacity of a bus with a seat map', async () => {
+    jest.spyOn(Bus, 'findOne').mockReturnValue({ select: () => Promise.resolve(buildBus({ capacity: 39, seatMap: luxuryMap() })) });
+    jest.spyOn(mongoose.Query.prototype, '_findOneAndUpdate').mockResolvedValue(null);
+    const busId = new mongoose.Types.ObjectId();
+
+    await expect(Bus.findOneAndUpdate({ _id: busId }, { capacity: 45 }, { runValidators: true }))
+      .rejects.toThrow('Capacity is set by the seat map (39 seats). Update the seat map instead.');
+    await expect(Bus.findOneAndUpdate({ _id: busId }, { $set: { capacity: 39 } }, { runValidators: true })).resolves.toBeNull();
+  });
+
+  test('seats must fit the grid, with unique numbers and places', () => {
+    const seatMap = luxuryMap();
+    expect(Bus.checkSeatMap(seatMap)).toBeNull();
+
+    expect(Bus.checkSeatMap({ ...seatMap, rows: 12 })).toBe('Seats 37, 38, 39 are outside the 12 x 3 grid');
+    expect(Bus.checkSeatMap({ ...seatMap, aisleAfterColumn: 3 })).toBe('The aisle must come before the last column');
+    expect(Bus.checkSeatMap({ ...seatMap, seats: [...seatMap.seats, { seatNumber: 1, row: 13, column: 3 }] })).toBe('Seat numbers cannot repeat');
+    expect(Bus.checkSeatMap({ ...seatMap, seats: [...seatMap.seats, { seatNumber: 40, row: 1, column: 1 }] })).toBe('Two seats cannot share a row and column');
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const TrackingAlert = require('../models/TrackingAlert');
+const { DEFAULT_THRESHOLDS, resolveThresholds, classifyFreshness, classifyBuses, parseFreshnessFilter, sweepLostSignals } = require('../services/signalService');
+
+describe('Signal Freshness', () => {
+  const now = new Date('2026-11-02T08:00:00+05:30');
+  const secondsAgo = seconds => new Date(now.getTime() - seconds * 1000);
+  const thresholds = { delayedAfter: 60, staleAfter: 300, offlineAfter: 1800 };
+
+  // A bus that never reported has no last fix
+  const buildBus = (operatorId, lastUpdated) => new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal', operatorId,
+    currentLocation: lastUpdated ? { latitude: 7.0, longitude: 80.0, lastUpdated } : { lastUpdated: null } });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the age of the last fix decides the state, each threshold being inclusive', () => {
+    const stateAfter = seconds => classifyFreshness(secondsAgo(seconds), thresholds, now).freshness;
+
+    expect([0, 60, 61, 300, 301, 1800, 1801].map(stateAfter)).toEqual(['live', 'live', 'delayed', 'delayed', 'stale', 'stale', 'offline']);
+    expect(classifyFreshness(secondsAgo(95), thresholds, now)).toEqual({ freshness: 'delayed', signalAge: 95 });
+    expect(classifyFreshness(null, thresholds, now)).toEqual({ freshness: 'offline', signalAge: null });
+
+    // A device clock slightly ahead of the server is still live
+    expect(classifyFreshness(secondsAgo(-20), thresholds, now)).toEqual({ freshness: 'live', signalAge: 0 });
+  });
+
+  test('operator overrides replace only the thresholds they set', () => {
+    expect(resolveThresholds()).toEqual(DEFAULT_THRESHOLDS);
+    expect(resolveThresholds({ staleAfter: 120 })).toEqual({ ...DEFAULT_THRESHOLDS, staleAfter: 120 });
+    expect(resolveThresholds({ delayedAfter: 0, staleAfter: null })).toEqual({ ...DEFAULT_THRESHOLDS, delayedAfter: 0 });
+  });
+
+  test('buses are classified with their own operator\'s thresholds', async () => {
+    const strict = new mongoose.Types.ObjectId();
+    const relaxed = new mongoose.Types.ObjectId();
+    const find = jest.spyOn(User, 'find').mockReturnValue({
+      select() { return this; },
+      lean: async () => [{ _id: strict, signalThresholds: { delayedAfter: 30, staleAfter: 90 } }, { _id: relaxed }]
+    });
+
+    const states = await classifyBuses([buildBus(strict, secondsAgo(100)), buildBus(relaxed, secondsAgo(100)), buildBus(strict)], now);
+
+    expect(states).toEqual([{ freshness: 'stale', signalAge: 100 }, { freshness: 'delayed', signalAge: 100 }, { freshness: 'offline', signalAge: null }]);
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find.mock.calls[0][0]._id.$in).toHaveLength(2);
+  });
+
+  test('freshness filters are read from a comma separated list', () => {
+    expect(parseFreshnessFilter(' live, delayed ,')).toEqual(['live', 'delayed']);
+    expect(parseFreshnessFilter(undefined)).toBeNull();
+  });
+
+  test('the sweep raises one signal-lost alert per quiet trip', async () => {
+    const operatorId = new mongoose.Types.ObjectId();
+    const trips = [secondsAgo(30), secondsAgo(600), null].map(lastUpdated => {
+      const trip = new Trip({ routeId: new mongoose.Types.ObjectId(), status: 'in-progress', fare: 450 });
+      // Stand-in for populate('busId')
+      trip.busId = buildBus(operatorId, lastUpdated);
+      return trip;
+    });
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate() { return this; }, select: async () => trips });
+    jest.spyOn(User, 'find').mockReturnValue({ select() { return this; }, lean: async () => [] });
+    const create = jest.spyOn(TrackingAlert, 'create').mockImplementation(async fields => new TrackingAlert(fields));
+    // The third trip ended while the sweep was running
+    const updateOne = jest.spyOn(Trip, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+    const deleteOne = jest.spyOn(TrackingAlert, 'deleteOne').mockResolvedValue({});
+
+    expect(await sweepLostSignals(now)).toEqual({ checked: 3, raised: 1 });
+    expect(create.mock.calls.map(([fields]) => fields.message)).toEqual([
+      'Bus NB-1234 has not reported its location for 10 minutes (stale)',
+      'Bus NB-1234 has not reported its location (offline)'
+    ]);
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: trips[1]._id, status: 'in-progress', signalAlertId: null });
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+  });
+});
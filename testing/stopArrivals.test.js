@@ -0,0 +1,84 @@
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const TravelTimeStat = require('../models/TravelTimeStat');
+const { getTravelTimeModel } = require('../services/travelTimeService');
+const { getStopArrivals, predictRemainingStops } = require('../services/etaService');
+const { kandyRoadStops, buildRoute } = require('./fixtures');
+
+describe('Stop Arrival Predictions', () => {
+  const route = buildRoute({ waypoints: kandyRoadStops });
+  const at = time => new Date(`2026-11-02T${time}:00+05:30`);
+  const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+  const buildTrip = (departure, fields) => {
+    const trip = new Trip({ routeId: route._id, status: 'scheduled', fare: 450, departureTime: at(departure), estimatedArrival: minutesAfter(at(departure), 180) });
+    // Stand-in for populate('busId')
+    trip.busId = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' });
+    return Object.assign(trip, fields);
+  };
+
+  // In progress at Kadawatha, reporting 40 km/h
+  const buildLiveTrip = () => {
+    const trip = buildTrip('05:30', { status: 'in-progress', distanceTravelled: 16 });
+    trip.busId.currentLocation = { latitude: 7.0013, longitude: 79.9537, speed: 40 };
+    return trip;
+  };
+
+  const recentSpeeds = speeds => jest.spyOn(LocationPing, 'find')
+    .mockReturnValue({ select() { return this; }, lean: async () => speeds.map(speed => ({ speed })) });
+
+  let model;
+
+  beforeAll(async () => {
+    jest.spyOn(TravelTimeStat, 'find').mockReturnValue({ lean: async () => [] });
+    model = await getTravelTimeModel();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('trips that have not left follow the timetable, pushed back when they leave late', async () => {
+    const scheduled = (await predictRemainingStops(buildTrip('06:00'), route, model, at('05:30')));
+    expect(scheduled.map(stop => stop.stopIndex)).toEqual([0, 1, 2, 3]);
+    expect(scheduled[2]).toEqual({ stopIndex: 2, scheduledArrival: minutesAfter(at('06:00'), 180 * 77 / 115), predictedArrival: minutesAfter(at('06:00'), 180 * 77 / 115), source: 'schedule' });
+
+    const late = await predictRemainingStops(buildTrip('06:00'), route, model, at('06:10'));
+    expect(late[3].predictedArrival).toEqual(at('09:10'));
+  });
+
+  test('running trips are predicted from their recent speed, counting the stop time on the way', async () => {
+    recentSpeeds([60, 40]);
+    const now = at('06:00');
+
+    const stops = await predictRemainingStops(buildLiveTrip(), route, model, now);
+
+    // Kadawatha has been passed; 61 km to Kegalle at 50 km/h, then 5 minutes there and 38 km to Kandy
+    expect(stops.map(stop => stop.stopIndex)).toEqual([2, 3]);
+    expect(stops[0]).toMatchObject({ source: 'live', predictedArrival: minutesAfter(now, 61 / 50 * 60) });
+    expect(stops[1].predictedArrival).toEqual(minutesAfter(now, 61 / 50 * 60 + 5 + 38 / 50 * 60));
+  });
+
+  test('a bus crawling in traffic is not assumed to keep crawling', async () => {
+    recentSpeeds([2, 4]);
+
+    const [kegalle] = await predictRemainingStops(buildLiveTrip(), route, model, at('06:00'));
+    expect(kegalle.predictedArrival).toEqual(minutesAfter(at('06:00'), 61 / 10 * 60));
+  });
+
+  test('arrivals at a stop are listed soonest first, skipping buses that have passed it', async () => {
+    recentSpeeds([50]);
+    const live = buildLiveTrip();
+    const later = buildTrip('06:30');
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate() { return this; }, sort: async () => [later, live] });
+    const now = at('06:00');
+
+    const kegalle = await getStopArrivals(route, 1, { now });
+    expect(kegalle.map(arrival => arrival.tripId)).toEqual([live._id, later._id]);
+    expect(kegalle[0]).toMatchObject({ source: 'live', basis: 'fallback', distanceAway: 61, speedUsed: 50, minutesAway: 73 });
+    expect(kegalle[1]).toMatchObject({ source: 'schedule', basis: 'timetable', scheduledArrival: minutesAfter(at('06:30'), 180 * 77 / 115), expectedDelay: 0 });
+
+    live.distanceTravelled = 18;
+    const kadawatha = await getStopArrivals(route, 0, { now });
+    expect(kadawatha.map(arrival => arrival.tripId)).toEqual([later._id]);
+  });
+});
@@ -0,0 +1,73 @@
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { normalizeStopName, toStopCode, linkRouteStops } = require('../services/stopService');
+const { buildRoute } = require('./fixtures');
+
+describe('Shared Stops', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stop codes are derived from names and never reused', () => {
+    const taken = new Set(['KADAWATHA']);
+
+    expect(normalizeStopName(' Kadawatha. ')).toBe('kadawatha');
+    expect(toStopCode('Kadawatha', taken)).toBe('KADAWATHA-2');
+    expect(toStopCode('Nuwara Eliya', taken)).toBe('NUWARA-ELIYA');
+    expect(taken.has('KADAWATHA-2')).toBe(true);
+  });
+
+  test('copies of a stop on different routes are merged by name and proximity', async () => {
+    const existing = new Stop({ code: 'KANDY', name: { en: 'Kandy' }, coordinates: { latitude: 7.2910, longitude: 80.6340 } });
+    jest.spyOn(Stop, 'find').mockResolvedValue([existing]);
+    jest.spyOn(Stop, 'distinct').mockResolvedValue(['KANDY']);
+
+    const express = buildRoute({ waypoints: [{ name: 'Kadawatha', coordinates: { latitude: 7.0012, longitude: 79.9500 }, distanceFromStart: 15 }] });
+    const normal = buildRoute({ routeNumber: 'R-002', waypoints: [
+      { name: 'KADAWATHA ', coordinates: { latitude: 7.0030, longitude: 79.9510 }, distanceFromStart: 15 },
+      // Same name, but too far away to be the same stop
+      { name: 'Kadawatha', coordinates: { latitude: 7.0500, longitude: 80.0000 }, distanceFromStart: 22 }
+    ] });
+
+    const { created, linked } = await linkRouteStops([express, normal], { dryRun: true });
+
+    expect(linked).toBe(7);
+    expect(created.map(stop => stop.code).sort()).toEqual(['COLOMBO', 'KADAWATHA', 'KADAWATHA-2']);
+
+    // Both routes end at the existing Kandy stop and share the first Kadawatha, placed between its copies
+    expect(express.endLocation.stopId).toEqual(existing._id);
+    expect(normal.endLocation.stopId).toEqual(existing._id);
+    expect(normal.waypoints[0].stopId).toEqual(express.waypoints[0].stopId);
+    expect(normal.waypoints[1].stopId).not.toEqual(express.waypoints[0].stopId);
+
+    const kadawatha = created.find(stop => stop._id.equals(express.waypoints[0].stopId));
+    expect(kadawatha.coordinates.latitude).toBeCloseTo(7.0021, 4);
+  });
+
+  test('routes read the name and position of the stops they reference', async () => {
+    const kadawatha = new Stop({ code: 'KADAWATHA', name: { en: 'Kadawatha' }, coordinates: { latitude: 7.0013, longitude: 79.9537 } });
+    jest.spyOn(Stop, 'find').mockReturnValue({ select: async () => [kadawatha] });
+
+    const route = buildRoute({ waypoints: [
+      { stopId: kadawatha._id, name: 'Kadawata', coordinates: { latitude: 7.1, longitude: 80.0 }, distanceFromStart: 16, stopDuration: 3 }
+    ] });
+    await route.validate();
+
+    // The route keeps its own distance and stop duration, but no copy of the stop
+    const [waypoint] = route.waypoints;
+    expect(waypoint.get('name', null, { getters: false })).toBeUndefined();
+    expect(waypoint.get('coordinates.latitude', null, { getters: false })).toBeUndefined();
+    expect(waypoint.point.coordinates).toBeUndefined();
+    expect(waypoint).toMatchObject({ name: 'Kadawatha', distanceFromStart: 16, stopDuration: 3 });
+    expect(route.getPolyline()[1]).toMatchObject({ latitude: 7.0013, longitude: 79.9537 });
+
+    kadawatha.name.en = 'Kadawatha Junction';
+    expect(route.toJSON().waypoints[0]).toMatchObject({ name: 'Kadawatha Junction', coordinates: { latitude: 7.0013, longitude: 79.9537 } });
+  });
+
+  test('a route cannot reference a stop that does not exist', async () => {
+    jest.spyOn(Stop, 'find').mockReturnValue({ select: async () => [] });
+
+    const route = buildRoute({ endLocation: { stopId: new Stop()._id, city: 'Kandy', province: 'Central' } });
+
+    await expect(route.validate()).rejects.toThrow('endLocation.stopId: Stop not found');
+  });
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const Bus = require('../models/Bus');
+const Booking = require('../models/Booking');
+const Ticket = require('../models/Ticket');
+const Trip = require('../models/Trip');
+const { getPublicKeyInfo, signTicketPayload, verifyTicketPayload, validateTicket } = require('../services/ticketService');
+const { confirmBooking } = require('../services/bookingService');
+
+describe('QR E-Tickets', () => {
+  const payload = { tkt: 'TK-1C9E44B0A7', trip: '64a1b2c3d4e5f6789012345a', seat: 12, fare: 2500, dep: '2026-11-02T02:30:00.000Z', iat: 1793500000 };
+
+  test('signed payloads verify and carry the ticket details with the key ID', () => {
+    const qrPayload = signTicketPayload(payload);
+
+    expect(qrPayload).toMatch(/^BT1\.[\w-]+\.[\w-]+$/);
+    expect(verifyTicketPayload(qrPayload)).toEqual({ ...payload, kid: getPublicKeyInfo().keyId });
+  });
+
+  test('tampered, malformed and foreign payloads are rejected', () => {
+    const [prefix, body, signature] = signTicketPayload(payload).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...payload, seat: 13 })).toString('base64url');
+
+    expect(verifyTicketPayload(`${prefix}.${forged}.${signature}`)).toBeNull();
+    expect(verifyTicketPayload(`BT2.${body}.${signature}`)).toBeNull();
+    expect(verifyTicketPayload('not a ticket')).toBeNull();
+    expect(verifyTicketPayload(undefined)).toBeNull();
+
+    const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    const foreignSignature = crypto.sign(null, Buffer.from(`${prefix}.${body}`), otherKey).toString('base64url');
+    expect(verifyTicketPayload(`${prefix}.${body}.${foreignSignature}`)).toBeNull();
+  });
+
+  test('conductor apps can check a ticket with the published public key alone', () => {
+    const [prefix, body, signature] = signTicketPayload(payload).split('.');
+    const { algorithm, jwk } = getPublicKeyInfo();
+
+    expect(algorithm).toBe('Ed25519');
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(crypto.verify(null, Buffer.from(`${prefix}.${body}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('without TICKET_SIGNING_KEY the public key is flagged as temporary', () => {
+    expect(getPublicKeyInfo().temporary).toBe(true);
+  });
+});
+
+describe('Booked and Boarded Seats', () => {
+  const now = new Date('2026-11-01T10:00:00+05:30');
+  const trip = new Trip({ busId: '64a1b2c3d4e5f6789012345b', routeId: '64a1b2c3d4e5f6789012345c', departureTime: new Date('2026-11-02T08:00:00+05:30'), arrivalTime: new Date('2026-11-02T11:00:00+05:30'), fare: 460 });
+  const bus = { capacity: 54 };
+  const buildBooking = status => new Booking({
+    tripId: trip._id, userId: '64a1b2c3d4e5f6789012345d', seats: [12, 13], farePerSeat: 460, totalAmount: 920, status,
+    holdExpiresAt: new Date(now.getTime() + 10 * 60 * 1000)
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('confirming counts the seats in the occupancy and issues a ticket per seat', async () => {
+    const booking = buildBooking('held');
+    const confirmed = buildBooking('confirmed');
+    confirmed._id = booking._id;
+
+    jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(confirmed);
+    const updateOne = jest.spyOn(Trip, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const insertMany = jest.spyOn(Ticket, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Ticket, 'find').mockReturnValue({ sort: () => Promise.resolve([]) });
+
+    await confirmBooking(booking, trip, bus, { now });
+
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(JSON.stringify(updateOne.mock.calls[0][1])).toContain('"$add":[{"$ifNull":["$occupancy",0]},2]');
+    expect(insertMany.mock.calls[0][0].map(ticket => ticket.seatNumber)).toEqual([12, 13]);
+  });
+
+  test('retrying a confirmed booking issues missing tickets without counting the seats again', async () => {
+    const booking = buildBooking('confirmed');
+
+    const findOneAndUpdate = jest.spyOn(Booking, 'findOneAndUpdate');
+    const updateOne = jest.spyOn(Trip, 'updateOne');
+    const insertMany = jest.spyOn(Ticket, 'insertMany').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    jest.spyOn(Ticket, 'find').mockReturnValue({ sort: () => Promise.resolve(['ticket 12', 'ticket 13']) });
+
+    await expect(confirmBooking(booking, trip, bus, { now })).resolves.toEqual({ booking, tickets: ['ticket 12', 'ticket 13'] });
+    expect(insertMany).toHaveBeenCalledTimes(1);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('validating a ticket counts the passenger as boarded without counting the seat again', async () => {
+    const booking = buildBooking('confirmed');
+    const ticket = new Ticket({ bookingId: booking._id, tripId: trip._id, userId: booking.userId, seatNumber: 12, fare: 460, keyId: getPublicKeyInfo().keyId, qrPayload: 'BT1' });
+    const qrPayload = signTicketPayload({ tkt: ticket.ticketNumber, trip: String(trip._id), seat: 12, fare: 460, dep: trip.departureTime.toISOString(), iat: 1793500000 });
+    const used = Object.assign(new Ticket(ticket.toObject()), { status: 'used', usedAt: now });
+
+    jest.spyOn(Ticket, 'findOne').mockResolvedValue(ticket);
+    jest.spyOn(Ticket, 'findOneAndUpdate').mockResolvedValue(used);
+    jest.spyOn(Bus, 'findById').mockResolvedValue(new Bus({ busNumber: 'NB-1234', capacity: 54, busType: 'normal' }));
+    jest.spyOn(Trip, 'findById')
+      .mockResolvedValueOnce(trip)
+      .mockReturnValueOnce({ select: () => Promise.resolve({ occupancy: 2, boardedCount: 1 }) });
+    const updateOne = jest.spyOn(Trip, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(validateTicket(qrPayload, { tripId: trip._id, now })).resolves.toEqual({ ticket: used, trip: { occupancy: 2, boardedCount: 1 } });
+    expect(updateOne).toHaveBeenCalledWith({ _id: trip._id }, { $inc: { boardedCount: 1 } });
+  });
+});
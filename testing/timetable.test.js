@@ -0,0 +1,96 @@
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const busConflictService = require('../services/busConflictService');
+const { getServiceDepartures, planTimetable, generateTimetable } = require('../services/timetableService');
+const { places, local, buildRoute } = require('./fixtures');
+
+describe('Timetable Generation', () => {
+  const buildNegomboRoute = (operatingHours, frequency) => buildRoute({
+    routeName: 'Colombo - Negombo Normal', distance: 40, estimatedDuration: 45, frequency, baseFare: 120,
+    endLocation: places.negombo,
+    operatingHours
+  });
+
+  const route = buildNegomboRoute({ startTime: '05:00', endTime: '07:00' }, 30);
+  const buses = [
+    new Bus({ busNumber: 'NB-1111', capacity: 50, busType: 'normal' }),
+    new Bus({ busNumber: 'NB-2222', capacity: 50, busType: 'luxury' })
+  ];
+  const now = new Date('2026-11-01T00:00:00Z');
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('departures follow the operating hours and frequency, past midnight when needed', () => {
+    const dayStart = local('00:00');
+
+    expect(getServiceDepartures(route, dayStart)).toEqual(['05:00', '05:30', '06:00', '06:30', '07:00'].map(time => local(time)));
+    expect(getServiceDepartures(buildNegomboRoute({ startTime: '23:00', endTime: '00:30' }, 45), dayStart))
+      .toEqual([local('23:00'), local('23:45'), local('00:30', '2026-11-03')]);
+  });
+
+  test('buses get a departure once they are back and free, and existing departures are skipped', () => {
+    const plan = planTimetable({
+      route, buses, from: '2026-11-02', to: '2026-11-02', now,
+      existingDepartures: [local('06:30')],
+      // The first bus is still finishing an earlier trip at 05:00
+      busyTrips: [{ busId: buses[0]._id, departureTime: local('04:00'), estimatedArrival: local('04:50') }]
+    });
+
+    expect(plan.trips.map(trip => [trip.departureTime, trip.busId])).toEqual([
+      [local('05:00'), buses[1]._id],
+      [local('05:30'), buses[0]._id],
+      [local('07:00'), buses[1]._id]
+    ]);
+    expect(plan.trips[0].estimatedArrival).toEqual(local('05:45'));
+    expect(plan.trips[0].fare).toBe(Math.round(120 * 1.6));
+    expect(plan.existing).toEqual([local('06:30')]);
+    expect(plan.unassigned).toEqual([local('06:00')]);
+  });
+
+  test('a range covers each date and leaves out departures in the past', () => {
+    const plan = planTimetable({ route, buses, from: '2026-11-02', to: '2026-11-03', now: local('06:10') });
+
+    expect(plan.trips.map(trip => trip.departureTime)).toEqual([
+      local('06:30'), local('07:00'),
+      ...['05:00', '05:30', '07:00'].map(time => local(time, '2026-11-03'))
+    ]);
+  });
+
+  test('generated trips leave out bus conflicts and departures another run added first', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    jest.setSystemTime(now);
+
+    jest.spyOn(Bus, 'find').mockReturnValue({ distinct: async () => buses.map(bus => bus._id) });
+    jest.spyOn(Trip, 'find').mockReturnValue({ select: async () => [] });
+    // The bus given the 05:00 departure is still in Kandy from the night before
+    jest.spyOn(busConflictService, 'checkBusConflicts').mockImplementation(async trip =>
+      (trip.departureTime.getTime() === local('05:00').getTime() ? [{ type: 'repositioning', message: 'Bus cannot get from Kandy to Colombo' }] : []));
+    const insertMany = jest.spyOn(Trip, 'insertMany').mockImplementation(async trips => {
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = [{ code: 11000 }];
+      error.insertedDocs = trips.slice(1).map(data => new Trip(data));
+      throw error;
+    });
+
+    const timetable = await generateTimetable(route, { from: '2026-11-02', to: '2026-11-02', buses });
+
+    expect(timetable.conflicts).toEqual([expect.objectContaining({ departureTime: local('05:00'), busId: buses[0]._id })]);
+    expect(insertMany.mock.calls[0][0].map(trip => trip.departureTime)).toEqual([local('05:30'), local('07:00')]);
+    expect(insertMany.mock.calls[0][1]).toEqual({ ordered: false });
+    // 05:30 was added by the other run
+    expect(timetable.trips.map(trip => trip.departureTime)).toEqual([local('07:00')]);
+    expect(timetable.existing).toEqual([local('05:30')]);
+    expect(timetable.unassigned).toEqual([local('06:00'), local('06:30')]);
+  });
+
+  test('the unique departure index leaves cancelled trips out, so a cancelled trip can be scheduled again', () => {
+    const [, options] = Trip.schema.indexes().find(([fields]) => fields.routeId && fields.busId && fields.departureTime);
+    const indexed = options.partialFilterExpression.status.$in;
+
+    expect(options.unique).toBe(true);
+    expect(Trip.schema.path('status').enumValues.filter(status => !indexed.includes(status))).toEqual(['cancelled']);
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const { buildSubscription } = require('../services/trackingSocket');
+
+describe('Tracking WebSocket Subscriptions', () => {
+  const routeId = new mongoose.Types.ObjectId();
+  const busId = new mongoose.Types.ObjectId();
+  const operator = { _id: new mongoose.Types.ObjectId(), role: 'operator' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const commuter = { _id: new mongoose.Types.ObjectId(), role: 'commuter' };
+
+  const update = (fields) => ({
+    routeId, busId, operatorId: operator._id, location: { latitude: 7.0, longitude: 80.0 }, ...fields
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('route channels are public and only match updates for the route', async () => {
+    const { filter, error } = await buildSubscription({ channel: 'route', routeId: routeId.toString() }, null);
+
+    expect(error).toBeUndefined();
+    expect(filter(update())).toBe(true);
+    expect(filter(update({ routeId: new mongoose.Types.ObjectId() }))).toBe(false);
+    expect(filter(update({ routeId: null }))).toBeFalsy();
+
+    expect(await buildSubscription({ channel: 'route', routeId: 'R-001' }, null)).toEqual({ error: 'Invalid routeId format' });
+    expect(await buildSubscription({ channel: 'trips' }, null)).toEqual({ error: 'Channel must be one of: route, bus, bounds, alerts' });
+  });
+
+  test('bus channels need a staff token and operators only get their own buses', async () => {
+    expect(await buildSubscription({ channel: 'bus', busId: busId.toString() }, commuter))
+      .toEqual({ error: 'Bus channels require an admin or operator token' });
+    expect(await buildSubscription({ channel: 'bus', busId: 'NB-1234' }, admin)).toEqual({ error: 'Invalid busId format' });
+
+    const { filter } = await buildSubscription({ channel: 'bus', busId: busId.toString() }, admin);
+    expect(filter(update())).toBe(true);
+    expect(filter(update({ busId: new mongoose.Types.ObjectId() }))).toBe(false);
+
+    const findById = jest.spyOn(Bus, 'findById').mockReturnValue({ select: async () => ({ operatorId: operator._id }) });
+    expect((await buildSubscription({ channel: 'bus', busId: busId.toString() }, operator)).filter).toBeInstanceOf(Function);
+    expect(findById).toHaveBeenCalledWith(busId.toString());
+
+    findById.mockReturnValue({ select: async () => ({ operatorId: new mongoose.Types.ObjectId() }) });
+    expect(await buildSubscription({ channel: 'bus', busId: busId.toString() }, operator))
+      .toEqual({ error: 'You can only subscribe to your own buses' });
+  });
+
+  test('bounds channels match updates inside the box, from the operator\'s own buses', async () => {
+    expect(await buildSubscription({ channel: 'bounds', bounds: '7.5,6.5,81,79.5' }, null))
+      .toEqual({ error: 'Bounding box channels require an admin or operator token' });
+    for (const bounds of ['6.5,7.5,81,79.5', '7.5,6.5,east,79.5', undefined]) {
+      expect(await buildSubscription({ channel: 'bounds', bounds }, admin))
+        .toEqual({ error: 'Bounds must be in format "north,south,east,west"' });
+    }
+
+    const { filter } = await buildSubscription({ channel: 'bounds', bounds: '7.5,6.5,81,79.5' }, operator);
+    expect(filter(update())).toBe(true);
+    expect(filter(update({ location: { latitude: 8.0, longitude: 80.0 } }))).toBe(false);
+    expect(filter(update({ operatorId: new mongoose.Types.ObjectId() }))).toBe(false);
+  });
+
+  test('alert channels use the alert event and are scoped to the operator', async () => {
+    expect(await buildSubscription({ channel: 'alerts' }, commuter))
+      .toEqual({ error: 'Alert channels require an admin or operator token' });
+
+    const { event, filter } = await buildSubscription({ channel: 'alerts' }, operator);
+    expect(event).toBe('alert');
+    expect(filter({ alert: { operatorId: operator._id } })).toBe(true);
+    expect(filter({ alert: { operatorId: new mongoose.Types.ObjectId() } })).toBe(false);
+
+    expect((await buildSubscription({ channel: 'alerts' }, admin)).filter({ alert: { operatorId: operator._id } })).toBe(true);
+  });
+});
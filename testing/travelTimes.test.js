@@ -0,0 +1,74 @@
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const TravelTimeStat = require('../models/TravelTimeStat');
+const { getTimeSlot, getTravelTimeModel, predictTravelMinutes, extractSegmentSamples, rebuildTravelTimeModel } = require('../services/travelTimeService');
+const { kandyRoadStops, buildRoute } = require('./fixtures');
+
+describe('Travel Time Model', () => {
+  const route = buildRoute({ waypoints: kandyRoadStops });
+  const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+  const [kadawatha, kegalle] = kandyRoadStops.map(stop => stop.coordinates);
+
+  // A completed 06:00 departure: Kadawatha after 30 + extra minutes, Kegalle 90 minutes later, Kandy an hour after that
+  const buildCompletedTrip = (date, extra = 0) => {
+    const actualDeparture = new Date(`${date}T06:00:00+05:30`);
+    const atKadawatha = minutesAfter(actualDeparture, 30 + extra);
+    const atKegalle = minutesAfter(atKadawatha, 90);
+    const trip = new Trip({ routeId: route._id, status: 'completed', fare: 450, departureTime: actualDeparture, actualDeparture, actualArrival: minutesAfter(atKegalle, 60) });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+
+    trip.pings = [
+      { ...kadawatha, recordedAt: atKadawatha },
+      // About 3 km past Kadawatha - too far away to count as passing it
+      { latitude: kadawatha.latitude + 0.02, longitude: kadawatha.longitude + 0.02, recordedAt: minutesAfter(atKadawatha, 4) },
+      { latitude: kegalle.latitude + 0.001, longitude: kegalle.longitude, recordedAt: atKegalle }
+    ];
+    return trip;
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('time slots are taken in Sri Lankan local time', () => {
+    expect(getTimeSlot(new Date('2026-11-02T07:30:00+05:30'))).toEqual({ dayOfWeek: 1, timeBucket: 'morning-peak' });
+    // Sunday 23:30 UTC is already Monday morning in Colombo
+    expect(getTimeSlot(new Date('2026-11-01T23:30:00Z'))).toEqual({ dayOfWeek: 1, timeBucket: 'early-morning' });
+  });
+
+  test('a stop counts as passed at the nearest ping within a kilometer', () => {
+    const trip = buildCompletedTrip('2026-11-02');
+
+    expect(extractSegmentSamples(trip, route, trip.pings)).toEqual([
+      { segmentIndex: 0, startAt: trip.actualDeparture, minutes: 30, distance: 16 },
+      { segmentIndex: 1, startAt: trip.pings[0].recordedAt, minutes: 90, distance: 61 },
+      { segmentIndex: 2, startAt: trip.pings[2].recordedAt, minutes: 60, distance: 38 }
+    ]);
+
+    // Without a ping near Kegalle neither segment touching it can be measured
+    expect(extractSegmentSamples(trip, route, trip.pings.slice(0, 2)).map(sample => sample.segmentIndex)).toEqual([0]);
+  });
+
+  test('rebuilding learns segment times for the slot, holding back the latest trips to measure accuracy', async () => {
+    const trips = ['2026-10-05', '2026-10-12', '2026-10-19', '2026-10-26', '2026-11-02', '2026-11-09'].map((date, index) => buildCompletedTrip(date, index));
+    jest.spyOn(Trip, 'find').mockReturnValue({ populate() { return this; }, sort: async () => trips });
+    jest.spyOn(LocationPing, 'findTripTrack').mockImplementation(async tripId => trips.find(trip => trip._id.equals(tripId)).pings);
+    jest.spyOn(TravelTimeStat, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(TravelTimeStat, 'insertMany').mockResolvedValue([]);
+
+    const report = await rebuildTravelTimeModel();
+
+    expect(report).toMatchObject({ tripsUsed: 6, segmentSamples: 18, statsWritten: 10, evaluation: { tripsEvaluated: 1 } });
+    expect(insertMany.mock.calls[0][0]).toContainEqual(expect.objectContaining({
+      routeId: route._id, segmentIndex: 0, dayOfWeek: 1, timeBucket: 'early-morning', samples: 6, meanMinutes: 32.5
+    }));
+
+    const model = await getTravelTimeModel();
+
+    // Monday 06:00: 32.5 minutes to Kadawatha, then the learned 90 and 60 minutes
+    expect(predictTravelMinutes(model, route, 0, route.distance, new Date('2026-11-16T06:00:00+05:30'))).toEqual({ minutes: 182.5, basis: 'history' });
+    // Other days fall back to the same time of day on any day
+    expect(predictTravelMinutes(model, route, 0, 16, new Date('2026-11-17T06:00:00+05:30'))).toEqual({ minutes: 32.5, basis: 'history' });
+    // Nothing was learned for midday: 50 km/h with 5 minutes at each stop on the way
+    expect(predictTravelMinutes(model, route, 0, route.distance, new Date('2026-11-16T12:00:00+05:30'))).toEqual({ minutes: 115 / 50 * 60 + 10, basis: 'default' });
+  });
+});
@@ -0,0 +1,67 @@
+const Trip = require('../models/Trip');
+const { calculateTripProgress } = require('../services/locationService');
+const { kandyRoadStops, buildRoute } = require('./fixtures');
+
+describe('Trip Progress Along the Route', () => {
+  const route = buildRoute({ waypoints: kandyRoadStops });
+  const [kadawatha, kegalle] = kandyRoadStops.map(stop => stop.coordinates);
+
+  // A point part of the way from one position to another
+  const between = (from, to, fraction) => ({
+    latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+    longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+    recordedAt: new Date('2026-11-02T07:00:00+05:30')
+  });
+
+  const buildTrip = (fields) => {
+    const trip = new Trip({ routeId: route._id, status: 'in-progress', fare: 450,
+      departureTime: new Date('2026-11-02T06:00:00+05:30'), estimatedArrival: new Date('2026-11-02T09:00:00+05:30'), ...fields });
+    // Stand-in for populate('routeId')
+    trip.routeId = route;
+    return trip;
+  };
+
+  test('positions are measured along the route line between its stops', () => {
+    const halfway = between(kadawatha, kegalle, 0.5);
+    const position = route.locatePosition(halfway.latitude, halfway.longitude);
+
+    expect(position.distanceTravelled).toBeCloseTo(16 + 61 / 2, 0);
+    expect(position.progress).toBe(Math.round(position.distanceTravelled / 115 * 100));
+    expect(position.distanceFromRoute).toBe(0);
+    expect(position.nextStop).toMatchObject({ waypointIndex: 1, name: 'Kegalle', distanceFromStart: 77 });
+
+    const end = route.locatePosition(7.2906, 80.6337);
+    expect(end).toMatchObject({ distanceTravelled: 115, distanceRemaining: 0, progress: 100, nextStop: { waypointIndex: null, name: 'Kandy' } });
+  });
+
+  test('a fix behind the distance already covered never moves the bus backwards', () => {
+    const atKadawatha = route.locatePosition(kadawatha.latitude, kadawatha.longitude, 40);
+    expect(atKadawatha.distanceTravelled).toBe(40);
+
+    // Back at the start of the route: earlier segments are not even considered
+    expect(route.locatePosition(6.9271, 79.8612, 20).distanceTravelled).toBe(20);
+  });
+
+  test('successive fixes carry the trip forward through GPS jitter', () => {
+    const trip = buildTrip({ distanceTravelled: 0 });
+    const fixes = [0.2, 0.5, 0.45, 0.8].map(fraction => between(kadawatha, kegalle, fraction));
+
+    const travelled = fixes.map(fix => {
+      const progress = calculateTripProgress(trip, fix);
+      trip.distanceTravelled = progress.distanceTravelled;
+      return progress.distanceTravelled;
+    });
+
+    expect(travelled[2]).toBe(travelled[1]);
+    expect(travelled[3]).toBeGreaterThan(travelled[1]);
+    expect(calculateTripProgress(null, fixes[0])).toBeNull();
+  });
+
+  test('reported progress follows the trip status', () => {
+    expect(buildTrip({ status: 'scheduled', distanceTravelled: 30 }).getRouteProgress(route))
+      .toEqual({ distanceTravelled: 0, distanceRemaining: 115, progressPercentage: 0, nextStop: null });
+    expect(buildTrip({ status: 'completed' }).getRouteProgress(route)).toMatchObject({ distanceTravelled: 115, progressPercentage: 100 });
+    expect(buildTrip({ distanceTravelled: 46 }).getRouteProgress(route))
+      .toMatchObject({ distanceTravelled: 46, distanceRemaining: 69, progressPercentage: 40, nextStop: { name: 'Kegalle', distanceAway: 31 } });
+  });
+});
@@ -0,0 +1,91 @@
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const LocationPing = require('../models/LocationPing');
+const { replayTrip } = require('../controllers/tripController');
+const { buildRoute, createResponse, readEvents } = require('./fixtures');
+
+describe('Trip Replay', () => {
+  const route = buildRoute();
+  const admin = { role: 'admin' };
+
+  const buildTrip = (fields) => {
+    const trip = new Trip({
+      routeId: route._id, status: 'completed', fare: 450,
+      departureTime: new Date('2026-11-02T06:00:00+05:30'), estimatedArrival: new Date('2026-11-02T09:00:00+05:30')
+    });
+    // Stand-in for populate('busId') and populate('routeId')
+    Object.assign(trip, { busId: new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' }), routeId: route }, fields);
+    return trip;
+  };
+
+  // One ping a minute from 06:05, moving a tenth of the way to Kandy each time
+  const pings = [0, 1, 2].map(minute => ({
+    latitude: 6.9271 + (7.2906 - 6.9271) * minute / 10,
+    longitude: 79.8612 + (80.6337 - 79.8612) * minute / 10,
+    speed: 40 + minute * 3,
+    heading: 60,
+    recordedAt: new Date(`2026-11-02T06:0${5 + minute}:00+05:30`)
+  }));
+
+  const replay = async (trip, query = {}, user = admin) => {
+    jest.spyOn(Trip, 'findById').mockReturnValue({ populate() { return this; }, then: resolve => resolve(trip) });
+    const res = createResponse();
+    const next = jest.fn();
+
+    replayTrip({ params: { id: trip ? trip._id.toString() : 'missing' }, query, user }, res, next);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    jest.spyOn(LocationPing, 'findTripTrack').mockResolvedValue(pings);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('plays the track back at the requested speed, interpolating between pings', async () => {
+    const res = await replay(buildTrip(), { speed: '40' });
+
+    // Two recorded minutes at 40x take three one-second frames after the first
+    jest.advanceTimersByTime(3000);
+    const events = readEvents(res);
+
+    expect(events.map(({ event }) => event)).toEqual(['start', 'frame', 'frame', 'frame', 'frame', 'end']);
+    expect(events[0].data).toMatchObject({ busNumber: 'NB-1234', route: { routeNumber: 'R-001' }, speed: 40, pings: 3, estimatedReplaySeconds: 3 });
+
+    const frames = events.filter(({ event }) => event === 'frame').map(({ data }) => data);
+    expect(frames.map(frame => frame.replayTime)).toEqual(['06:05:00', '06:05:40', '06:06:20', '06:07:00']
+      .map(time => new Date(`2026-11-02T${time}+05:30`).toISOString()));
+    expect(frames.map(frame => frame.interpolated)).toEqual([false, true, true, false]);
+    expect(frames.map(frame => frame.pingIndex)).toEqual([0, 0, 1, 2]);
+    expect(frames[1].speed).toBe(42);
+    frames.slice(1).forEach((frame, index) => expect(frame.distanceTravelled).toBeGreaterThan(frames[index].distanceTravelled));
+
+    expect(events[5].data).toMatchObject({ frames: 4 });
+    expect(res.writableEnded).toBe(true);
+  });
+
+  test('trips without a route or recorded locations cannot be replayed', async () => {
+    expect((await replay(null)).body).toEqual({ success: false, message: 'Trip not found' });
+    expect((await replay(buildTrip({ routeId: null }))).body).toEqual({ success: false, message: 'Route not found for this trip' });
+
+    LocationPing.findTripTrack.mockResolvedValue([]);
+    const res = await replay(buildTrip());
+    expect(res.body).toEqual({ success: false, message: 'No recorded locations for this trip' });
+    expect(res.chunks).toEqual([]);
+  });
+
+  test('a trip whose bus was deleted replays for admins and is refused to operators', async () => {
+    const res = await replay(buildTrip({ busId: null }), { speed: '40' });
+    jest.advanceTimersByTime(3000);
+    expect(readEvents(res)[0].data).toMatchObject({ busNumber: null, pings: 3 });
+
+    const refused = await replay(buildTrip({ busId: null }), {}, { role: 'operator', _id: new Bus()._id });
+    expect(refused.body).toEqual({ success: false, message: 'Access denied. You can only replay trips for your own buses.' });
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const TripTemplate = require('../models/TripTemplate');
+const busConflictService = require('../services/busConflictService');
+const { getTemplateDepartures, materializeTemplate } = require('../services/tripTemplateService');
+const { buildRoute } = require('./fixtures');
+
+describe('Trip Templates', () => {
+  const route = buildRoute();
+
+  const buildTemplate = fields => new TripTemplate({
+    routeId: route._id, busId: new mongoose.Types.ObjectId(), operatorId: new mongoose.Types.ObjectId(),
+    departureTime: '06:30', validFrom: '2026-11-01', ...fields
+  });
+
+  // Tuesday 24 November 2026 is a Poya day, Wednesday 25 a public holiday
+  const holidays = new Map([['2026-11-24', 'poya'], ['2026-11-25', 'public']]);
+  // Monday 23 November, 07:00 local time - today's departure has left
+  const now = new Date('2026-11-23T07:00:00+05:30');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const datesOf = (template, days = 7) => getTemplateDepartures(template, route, { now, days, holidays }).map(departure => departure.date);
+
+  test('weekday services skip holidays and weekend services also run on them', () => {
+    const weekday = buildTemplate({ daysOfWeek: [1, 2, 3, 4, 5], holidays: 'skip' });
+    const weekend = buildTemplate({ daysOfWeek: [0, 6], holidays: 'also' });
+
+    expect(datesOf(weekday)).toEqual(['2026-11-26', '2026-11-27']);
+    expect(datesOf(weekend)).toEqual(['2026-11-24', '2026-11-25', '2026-11-28', '2026-11-29']);
+  });
+
+  test('Poya services run only on Poya days', () => {
+    const poya = buildTemplate({ daysOfWeek: [], holidays: 'only', holidayTypes: ['poya'] });
+
+    expect(poya.validateSync()).toBeUndefined();
+    expect(datesOf(poya)).toEqual(['2026-11-24']);
+    expect(buildTemplate({ daysOfWeek: [] }).validateSync().errors.daysOfWeek).toBeDefined();
+  });
+
+  test('exceptions and validity dates override the pattern', () => {
+    const template = buildTemplate({
+      daysOfWeek: [1, 2, 3, 4, 5],
+      validUntil: '2026-11-27',
+      exceptions: [{ date: '2026-11-25', type: 'removed', reason: 'Road closure' }, { date: '2026-11-28', type: 'added' }]
+    });
+
+    expect(datesOf(template)).toEqual(['2026-11-24', '2026-11-26', '2026-11-27']);
+  });
+
+  test('departures use the local departure time and route duration', () => {
+    const [departure] = getTemplateDepartures(buildTemplate({ daysOfWeek: [2] }), route, { now, days: 7, holidays });
+
+    expect(departure.departureTime).toEqual(new Date('2026-11-24T06:30:00+05:30'));
+    expect(departure.estimatedArrival).toEqual(new Date('2026-11-24T09:30:00+05:30'));
+  });
+
+  const buildPopulatedTemplate = fields => {
+    const template = buildTemplate(fields);
+    // Stand-in for populate('routeId') and populate('busId')
+    template.routeId = route;
+    template.busId = new Bus({ busNumber: 'NB-1234', capacity: 50, busType: 'normal' });
+    return template;
+  };
+
+  test('trips the template cancelled are reinstated, trips cancelled by hand are not', async () => {
+    const template = buildPopulatedTemplate({ daysOfWeek: [1, 2, 3, 4, 5], holidays: 'also' });
+    const bus = template.busId;
+
+    const dropped = new Trip({ templateId: template._id, busId: bus._id, routeId: route._id, status: 'cancelled', fare: 450,
+      departureTime: new Date('2026-11-26T06:30:00+05:30'), estimatedArrival: new Date('2026-11-26T09:30:00+05:30') });
+    const cancelledByHand = new Trip({ templateId: template._id, busId: bus._id, routeId: route._id, status: 'cancelled', manuallyEdited: true, fare: 450,
+      departureTime: new Date('2026-11-27T06:30:00+05:30'), estimatedArrival: new Date('2026-11-27T09:30:00+05:30') });
+
+    jest.spyOn(Trip, 'find').mockResolvedValue([dropped, cancelledByHand]);
+    jest.spyOn(busConflictService, 'checkBusConflicts').mockResolvedValue([]);
+    const save = jest.spyOn(Trip.prototype, 'save').mockImplementation(async function() { return this; });
+    const insertMany = jest.spyOn(Trip, 'insertMany').mockImplementation(async trips => trips);
+
+    await expect(materializeTemplate(template, { now, days: 7, holidays })).resolves.toEqual({ created: 3, conflicts: [] });
+
+    expect(insertMany.mock.calls[0][0].map(trip => trip.departureTime))
+      .toEqual([new Date('2026-11-24T06:30:00+05:30'), new Date('2026-11-25T06:30:00+05:30')]);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(dropped.status).toBe('scheduled');
+    expect(cancelledByHand.status).toBe('cancelled');
+  });
+
+  test('departures the bus cannot run are left out and reported, reinstated trips included', async () => {
+    const template = buildPopulatedTemplate({ daysOfWeek: [1, 2, 3, 4, 5], holidays: 'also' });
+    const dropped = new Trip({ templateId: template._id, busId: template.busId._id, routeId: route._id, status: 'cancelled', fare: 450,
+      departureTime: new Date('2026-11-26T06:30:00+05:30'), estimatedArrival: new Date('2026-11-26T09:30:00+05:30') });
+    const busy = [new Date('2026-11-25T06:30:00+05:30'), dropped.departureTime].map(time => time.getTime());
+    const overlap = { type: 'overlap', tripId: new mongoose.Types.ObjectId() };
+
+    jest.spyOn(Trip, 'find').mockResolvedValue([dropped]);
+    jest.spyOn(busConflictService, 'checkBusConflicts').mockImplementation(async trip => (busy.includes(trip.departureTime.getTime()) ? [overlap] : []));
+    const save = jest.spyOn(Trip.prototype, 'save').mockImplementation(async function() { return this; });
+    const insertMany = jest.spyOn(Trip, 'insertMany').mockImplementation(async trips => trips);
+
+    const { created, conflicts } = await materializeTemplate(template, { now, days: 7, holidays });
+
+    expect(created).toBe(2);
+    expect(conflicts).toEqual(busy.map(time => ({ departureTime: new Date(time), busId: template.busId._id, conflicts: [overlap] })));
+    expect(insertMany.mock.calls[0][0].map(trip => trip.departureTime))
+      .toEqual([new Date('2026-11-24T06:30:00+05:30'), new Date('2026-11-27T06:30:00+05:30')]);
+    expect(save).not.toHaveBeenCalled();
+    expect(dropped.status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Geographic Helper Functions
+ * Distance and waypoint calculations shared by tracking, replay and ETA features
+ */
+
+/**
+ * Helper function to convert degrees to radians
+ */
+const toRadians = (degrees) => {
+  return degrees * (Math.PI / 180);
+};
+
+/**
+ * Helper function to calculate distance between two points (haversine, in kilometers)
+ */
+const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+/**
+ * Helper function to build a GeoJSON Point (note GeoJSON order is [longitude, latitude])
+ * Returns undefined when either coordinate is missing so no half-built point is stored
+ */
+const toGeoPoint = (latitude, longitude) => {
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    return undefined;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (Number.isNaN(lat) || Number.isNaN(lng)) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Helper function to calculate nearest waypoint
+ */
+const calculateNearestWaypoint = (lat, lng, waypoints) => {
+  let nearestIndex = 0;
+  let minDistance = Number.MAX_VALUE;
+
+  waypoints.forEach((waypoint, index) => {
+    const distance = calculateDistance(
+      lat, lng, 
+      waypoint.coordinates.latitude, 
+      waypoint.coordinates.longitude
+    );
+    
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearestIndex = index;
+    }
+  });
+
+  return nearestIndex;
+};
+
+/**
+ * Helper function to project a point onto a polyline of { latitude, longitude } points
+ * Segments are treated as straight lines on a local flat plane, which is accurate at route scale
+ * @param {number} fromSegment - Ignore segments before this index (e.g. ones the bus has already passed)
+ * @returns {Object|null} { distance (km to the line), segmentIndex, fraction (0-1 along that segment) }
+ */
+const projectOntoPolyline = (lat, lng, points, fromSegment = 0) => {
+  if (!points || points.length === 0) return null;
+
+  if (points.length === 1) {
+    return { distance: calculateDistance(lat, lng, points[0].latitude, points[0].longitude), segmentIndex: 0, fraction: 0 };
+  }
+
+  const kmPerDegreeLat = 111.32;
+  const kmPerDegreeLng = 111.32 * Math.cos(toRadians(lat));
+  let best = null;
+
+  for (let i = Math.min(fromSegment, points.length - 2); i < points.length - 1; i++) {
+    // Segment end points relative to the fix, in km
+    const ax = (points[i].longitude - lng) * kmPerDegreeLng;
+    const ay = (points[i].latitude - lat) * kmPerDegreeLat;
+    const dx = (points[i + 1].longitude - lng) * kmPerDegreeLng - ax;
+    const dy = (points[i + 1].latitude - lat) * kmPerDegreeLat - ay;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const fraction = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+    const distance = Math.hypot(ax + fraction * dx, ay + fraction * dy);
+
+    if (!best || distance < best.distance) {
+      best = { distance, segmentIndex: i, fraction };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Helper function to test whether a point lies inside a polygon of { latitude, longitude } points (ray casting)
+ */
+const isPointInPolygon = (lat, lng, points) => {
+  let inside = false;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+
+    const crosses = (a.latitude > lat) !== (b.latitude > lat) &&
+      lng < (b.longitude - a.longitude) * (lat - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+/**
+ * Helper function to interpolate between two GPS fixes
+ * @param {Object} from - Fix with latitude, longitude, speed, heading
+ * @param {Object} to - Fix with latitude, longitude, speed, heading
+ * @param {number} fraction - 0 returns "from", 1 returns "to"
+ */
+const interpolateFix = (from, to, fraction) => {
+  const lerp = (a, b) => a + (b - a) * fraction;
+
+  // Interpolate heading the short way round (350° -> 10° passes through 0°)
+  const headingDelta = ((((to.heading || 0) - (from.heading || 0)) % 360) + 540) % 360 - 180;
+
+  return {
+    latitude: lerp(from.latitude, to.latitude),
+    longitude: lerp(from.longitude, to.longitude),
+    speed: lerp(from.speed || 0, to.speed || 0),
+    heading: ((from.heading || 0) + headingDelta * fraction + 360) % 360
+  };
+};
+
+module.exports = { toRadians, calculateDistance, toGeoPoint, calculateNearestWaypoint, projectOntoPolyline, isPointInPolygon, interpolateFix };
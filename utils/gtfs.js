@@ -0,0 +1,303 @@
+/**
+ * GTFS Utilities
+ * CSV encoding/decoding, GTFS date/time formats and a structural feed validator
+ */
+
+// Required files and the columns each of them must have
+const GTFS_REQUIRED_FILES = {
+  'agency.txt': ['agency_name', 'agency_url', 'agency_timezone'],
+  'stops.txt': ['stop_id', 'stop_name', 'stop_lat', 'stop_lon'],
+  'routes.txt': ['route_id', 'route_type'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id'],
+  'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence'],
+  'calendar.txt': ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date']
+};
+
+const WEEKDAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const GTFS_TIME_PATTERN = /^\d{1,3}:[0-5]\d:[0-5]\d$/;
+const GTFS_DATE_PATTERN = /^\d{4}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Helper function to encode a value as a CSV field (quoted only when needed)
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from row objects
+ * @param {Array} columns - Column names, in order
+ * @param {Array} rows - Objects keyed by column name
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => toCsvField(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse a CSV document into row objects keyed by the header
+ * Handles quoted fields, escaped quotes, CRLF line endings and a UTF-8 byte order mark
+ * @param {string} text - CSV text
+ * @returns {Object} { columns, rows }
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(fields => fields.length > 1 || fields[0] !== '');
+  if (nonEmpty.length === 0) return { columns: [], rows: [] };
+
+  const columns = nonEmpty[0].map(column => column.trim());
+  const rows = nonEmpty.slice(1).map(fields => {
+    const row = {};
+    columns.forEach((column, index) => { row[column] = fields[index] !== undefined ? fields[index].trim() : ''; });
+    return row;
+  });
+
+  return { columns, rows };
+};
+
+/**
+ * Format a number of seconds since the start of the service day as a GTFS time (may exceed 24:00:00)
+ */
+const formatGtfsTime = (seconds) => {
+  const total = Math.max(Math.round(seconds), 0);
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+};
+
+/**
+ * Parse a GTFS time (HH:MM:SS, hours may exceed 23) into seconds since the start of the service day
+ * @returns {number|null} null when the value is not a valid time
+ */
+const parseGtfsTime = (value) => {
+  if (!value || !GTFS_TIME_PATTERN.test(value)) return null;
+
+  const [hours, minutes, seconds] = value.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Validate the structure of a GTFS feed
+ * Checks required files and columns, required values, unique IDs, references between files,
+ * coordinate ranges, date/time formats and stop time ordering
+ * @param {Object} files - File name -> CSV text
+ * @returns {Object} { valid, errors } where each error is { file, line, message }
+ */
+const validateGtfsFeed = (files) => {
+  const errors = [];
+  const tables = {};
+
+  const addError = (file, line, message) => errors.push({ file, line, message });
+
+  // Files and columns
+  Object.entries(GTFS_REQUIRED_FILES).forEach(([file, requiredColumns]) => {
+    if (files[file] === undefined) {
+      if (!(file === 'calendar.txt' && files['calendar_dates.txt'] !== undefined)) {
+        addError(file, null, 'Required file is missing');
+      }
+      return;
+    }
+
+    const table = parseCsv(files[file]);
+    tables[file] = table;
+
+    requiredColumns.filter(column => !table.columns.includes(column))
+      .forEach(column => addError(file, 1, `Missing required column ${column}`));
+
+    // Line numbers count the header as line 1
+    table.rows.forEach((row, index) => {
+      requiredColumns.forEach(column => {
+        if (table.columns.includes(column) && row[column] === '') {
+          addError(file, index + 2, `Missing value for required field ${column}`);
+        }
+      });
+    });
+  });
+
+  const rowsOf = file => (tables[file] ? tables[file].rows : []);
+
+  // Unique IDs, returned as a set for reference checks
+  const collectIds = (file, column) => {
+    const ids = new Set();
+    rowsOf(file).forEach((row, index) => {
+      if (!row[column]) return;
+      if (ids.has(row[column])) addError(file, index + 2, `Duplicate ${column} "${row[column]}"`);
+      ids.add(row[column]);
+    });
+    return ids;
+  };
+
+  const agencyIds = collectIds('agency.txt', 'agency_id');
+  const stopIds = collectIds('stops.txt', 'stop_id');
+  const routeIds = collectIds('routes.txt', 'route_id');
+  const tripIds = collectIds('trips.txt', 'trip_id');
+  const serviceIds = collectIds('calendar.txt', 'service_id');
+  rowsOf('calendar_dates.txt').forEach(row => serviceIds.add(row.service_id));
+
+  // Agencies
+  const agencies = rowsOf('agency.txt');
+  if (tables['agency.txt'] && agencies.length === 0) addError('agency.txt', null, 'At least one agency is required');
+  if (agencies.length > 1 && agencies.some(agency => !agency.agency_id)) {
+    addError('agency.txt', null, 'agency_id is required when the feed has more than one agency');
+  }
+  if (new Set(agencies.map(agency => agency.agency_timezone)).size > 1) {
+    addError('agency.txt', null, 'All agencies must use the same agency_timezone');
+  }
+  agencies.forEach((agency, index) => {
+    if (agency.agency_url && !/^https?:\/\/\S+$/.test(agency.agency_url)) {
+      addError('agency.txt', index + 2, `Invalid agency_url "${agency.agency_url}"`);
+    }
+  });
+
+  // Stops
+  rowsOf('stops.txt').forEach((stop, index) => {
+    const lat = Number(stop.stop_lat);
+    const lon = Number(stop.stop_lon);
+    if (stop.stop_lat !== '' && !(lat >= -90 && lat <= 90)) addError('stops.txt', index + 2, `Invalid stop_lat "${stop.stop_lat}"`);
+    if (stop.stop_lon !== '' && !(lon >= -180 && lon <= 180)) addError('stops.txt', index + 2, `Invalid stop_lon "${stop.stop_lon}"`);
+  });
+
+  // Routes
+  rowsOf('routes.txt').forEach((route, index) => {
+    if (!route.route_short_name && !route.route_long_name) {
+      addError('routes.txt', index + 2, 'Either route_short_name or route_long_name is required');
+    }
+    if (route.route_type !== '' && !/^\d+$/.test(route.route_type)) {
+      addError('routes.txt', index + 2, `Invalid route_type "${route.route_type}"`);
+    }
+    if (agencies.length > 1 && !route.agency_id) {
+      addError('routes.txt', index + 2, 'agency_id is required when the feed has more than one agency');
+    }
+    if (route.agency_id && !agencyIds.has(route.agency_id)) {
+      addError('routes.txt', index + 2, `Unknown agency_id "${route.agency_id}"`);
+    }
+  });
+
+  // Trips
+  rowsOf('trips.txt').forEach((trip, index) => {
+    if (trip.route_id && !routeIds.has(trip.route_id)) addError('trips.txt', index + 2, `Unknown route_id "${trip.route_id}"`);
+    if (trip.service_id && !serviceIds.has(trip.service_id)) addError('trips.txt', index + 2, `Unknown service_id "${trip.service_id}"`);
+  });
+
+  // Calendar
+  rowsOf('calendar.txt').forEach((service, index) => {
+    WEEKDAY_COLUMNS.forEach(column => {
+      if (service[column] !== undefined && !['0', '1'].includes(service[column])) {
+        addError('calendar.txt', index + 2, `${column} must be 0 or 1`);
+      }
+    });
+    ['start_date', 'end_date'].forEach(column => {
+      if (service[column] && !GTFS_DATE_PATTERN.test(service[column])) {
+        addError('calendar.txt', index + 2, `Invalid ${column} "${service[column]}"`);
+      }
+    });
+    if (service.start_date > service.end_date) addError('calendar.txt', index + 2, 'start_date is after end_date');
+  });
+
+  // Stop times: references, time formats and ordering per trip
+  const stopTimesByTrip = new Map();
+  rowsOf('stop_times.txt').forEach((stopTime, index) => {
+    const line = index + 2;
+
+    if (stopTime.trip_id && !tripIds.has(stopTime.trip_id)) addError('stop_times.txt', line, `Unknown trip_id "${stopTime.trip_id}"`);
+    if (stopTime.stop_id && !stopIds.has(stopTime.stop_id)) addError('stop_times.txt', line, `Unknown stop_id "${stopTime.stop_id}"`);
+    if (stopTime.stop_sequence !== '' && !/^\d+$/.test(stopTime.stop_sequence)) {
+      addError('stop_times.txt', line, `Invalid stop_sequence "${stopTime.stop_sequence}"`);
+    }
+    ['arrival_time', 'departure_time'].forEach(column => {
+      if (stopTime[column] && parseGtfsTime(stopTime[column]) === null) {
+        addError('stop_times.txt', line, `Invalid ${column} "${stopTime[column]}"`);
+      }
+    });
+
+    if (!stopTimesByTrip.has(stopTime.trip_id)) stopTimesByTrip.set(stopTime.trip_id, []);
+    stopTimesByTrip.get(stopTime.trip_id).push({ ...stopTime, line });
+  });
+
+  tripIds.forEach(tripId => {
+    if (!stopTimesByTrip.has(tripId)) addError('trips.txt', null, `Trip "${tripId}" has no stop times`);
+  });
+
+  stopTimesByTrip.forEach((stopTimes, tripId) => {
+    const ordered = [...stopTimes].sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+
+    if (ordered.length < 2) addError('stop_times.txt', null, `Trip "${tripId}" must have at least two stop times`);
+
+    // The first and last stops must be timed
+    [ordered[0], ordered[ordered.length - 1]].forEach(stopTime => {
+      if (!stopTime.arrival_time || !stopTime.departure_time) {
+        addError('stop_times.txt', stopTime.line, `First and last stops of trip "${tripId}" need arrival_time and departure_time`);
+      }
+    });
+
+    let previousSequence = null;
+    let previousTime = null;
+    ordered.forEach(stopTime => {
+      const sequence = Number(stopTime.stop_sequence);
+      if (previousSequence !== null && sequence === previousSequence) {
+        addError('stop_times.txt', stopTime.line, `Duplicate stop_sequence ${sequence} in trip "${tripId}"`);
+      }
+      previousSequence = sequence;
+
+      const arrival = parseGtfsTime(stopTime.arrival_time);
+      const departure = parseGtfsTime(stopTime.departure_time);
+      if (arrival !== null && departure !== null && departure < arrival) {
+        addError('stop_times.txt', stopTime.line, 'departure_time is before arrival_time');
+      }
+      if (arrival !== null && previousTime !== null && arrival < previousTime) {
+        addError('stop_times.txt', stopTime.line, `Stop times of trip "${tripId}" go backwards in time`);
+      }
+      if (departure !== null || arrival !== null) previousTime = departure !== null ? departure : arrival;
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = { GTFS_REQUIRED_FILES, toCsv, parseCsv, formatGtfsTime, parseGtfsTime, validateGtfsFeed };
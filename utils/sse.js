@@ -0,0 +1,75 @@
+/**
+ * Server-Sent Events Helper
+ * Opens a text/event-stream response with heartbeats and close handling
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+/**
+ * Open an SSE stream on an Express response
+ * @param {Object} res - Express response (the stream stays open until the client disconnects or end() is called)
+ * @param {Object} options - { heartbeatMs, retryMs }
+ * @returns {Object} Stream handle with send(), comment(), end(), onClose() and closed
+ */
+const openEventStream = (res, options = {}) => {
+  const { heartbeatMs = HEARTBEAT_INTERVAL_MS, retryMs = RECONNECT_DELAY_MS } = options;
+  const closeHandlers = [];
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform also stops the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Disable proxy buffering (nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+
+    send(event, data, id) {
+      if (stream.closed || res.writableEnded) return;
+      if (id !== undefined && id !== null) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    comment(text) {
+      if (stream.closed || res.writableEnded) return;
+      res.write(`: ${text}\n\n`);
+    },
+
+    end() {
+      if (stream.closed) return;
+      cleanup();
+      res.end();
+    },
+
+    onClose(handler) {
+      // A client that is already gone gets cleaned up straight away
+      if (stream.closed) return handler();
+      closeHandlers.push(handler);
+    }
+  };
+
+  const heartbeat = setInterval(() => stream.comment(`heartbeat ${new Date().toISOString()}`), heartbeatMs);
+
+  const cleanup = () => {
+    if (stream.closed) return;
+    stream.closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  };
+
+  // res 'close' fires when the client disconnects (req 'close' fires as soon as the request is read)
+  res.on('close', cleanup);
+
+  // Tell the browser how long to wait before reconnecting
+  res.write(`retry: ${retryMs}\n\n`);
+
+  return stream;
+};
+
+module.exports = { openEventStream };